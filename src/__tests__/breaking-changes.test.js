@@ -0,0 +1,233 @@
+/**
+ * Breaking-Change Detection Unit Tests
+ * Run with: node --test src/__tests__/breaking-changes.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { compareSpecs, hasBreakingChanges, formatChangesText, ChangeSeverity } from '../breaking-changes.js';
+import { parseSpec, parseSpecContent } from '../parser.js';
+import { createMinimalSpec, getFixturePath, readFixture } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+function createTaskSpec({ taskSchema, createSchema, parameters, responses, extraPaths } = {}) {
+  return createMinimalSpec({
+    paths: {
+      '/tasks': {
+        get: {
+          operationId: 'listTasks',
+          parameters: parameters || [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 100 } }],
+          responses: {
+            '200': { description: 'OK', content: { 'application/json': { schema: { type: 'array', items: taskSchema || createTaskSchema() } } } }
+          }
+        },
+        post: {
+          operationId: 'createTask',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: createSchema || createTaskInputSchema() } }
+          },
+          responses: responses || { '201': { description: 'Created' }, '400': { description: 'Bad request' } }
+        }
+      },
+      '/tasks/{taskId}': {
+        get: {
+          operationId: 'getTask',
+          parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      ...extraPaths
+    }
+  });
+}
+
+function createTaskSchema(overrides = {}) {
+  return {
+    type: 'object',
+    required: ['id', 'title'],
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      status: { type: 'string', enum: ['open', 'done'] },
+      ...overrides
+    }
+  };
+}
+
+function createTaskInputSchema(overrides = {}, required = ['title']) {
+  return {
+    type: 'object',
+    required,
+    properties: {
+      title: { type: 'string', maxLength: 200 },
+      priority: { type: 'integer', minimum: 1 },
+      status: { type: 'string', enum: ['open', 'done'] },
+      ...overrides
+    }
+  };
+}
+
+function findingsOf(report, severity) {
+  return report.findings
+    .filter(finding => !severity || finding.severity === severity)
+    .map(finding => `${finding.ruleId}: ${finding.message}`);
+}
+
+// ============================================================
+// Operation and Response Tests
+// ============================================================
+
+describe('compareSpecs operations', () => {
+  it('should report nothing for identical specs', () => {
+    const report = compareSpecs(createTaskSpec(), createTaskSpec());
+
+    assert.deepStrictEqual(report.findings, []);
+    assert.strictEqual(hasBreakingChanges(report), false);
+  });
+
+  it('should report removed operations as breaking and added ones as info', () => {
+    const before = createTaskSpec();
+    const after = createTaskSpec({ extraPaths: { '/health': { get: { responses: { '200': { description: 'OK' } } } } } });
+    delete after.paths['/tasks/{taskId}'];
+
+    const report = compareSpecs(before, after);
+
+    assert.deepStrictEqual(report.findings.map(finding => [finding.severity, finding.ruleId, finding.operation]), [
+      ['breaking', 'operation-removed', 'GET /tasks/{taskId}'],
+      ['info', 'operation-added', 'GET /health']
+    ]);
+    assert.strictEqual(report.findings[0].pointer, '/paths/~1tasks~1{taskId}/get');
+  });
+
+  it('should match operations whose path parameters were renamed', () => {
+    const after = createTaskSpec();
+    after.paths['/tasks/{id}'] = after.paths['/tasks/{taskId}'];
+    after.paths['/tasks/{id}'].get.parameters[0].name = 'id';
+    delete after.paths['/tasks/{taskId}'];
+
+    assert.deepStrictEqual(compareSpecs(createTaskSpec(), after).findings, []);
+  });
+
+  it('should report removed status codes as breaking', () => {
+    const report = compareSpecs(createTaskSpec(), createTaskSpec({ responses: { '201': { description: 'Created' } } }));
+
+    assert.deepStrictEqual(findingsOf(report), ['response-status-removed: Response 400 was removed']);
+  });
+});
+
+// ============================================================
+// Request Tests
+// ============================================================
+
+describe('compareSpecs requests', () => {
+  it('should report new required parameters and request fields', () => {
+    const report = compareSpecs(createTaskSpec(), createTaskSpec({
+      parameters: [
+        { name: 'limit', in: 'query', required: true, schema: { type: 'integer', maximum: 100 } },
+        { name: 'X-Tenant', in: 'header', required: true, schema: { type: 'string' } }
+      ],
+      createSchema: createTaskInputSchema({ projectId: { type: 'string' }, notes: { type: 'string' } }, ['title', 'priority', 'projectId'])
+    }));
+
+    assert.deepStrictEqual(findingsOf(report, ChangeSeverity.BREAKING), [
+      "parameter-required: Query parameter 'limit' is now required",
+      "parameter-added-required: New required header parameter 'X-Tenant'",
+      "request-field-required: Request body field 'priority' is now required",
+      "request-field-added-required: Request body has a new required field 'projectId'"
+    ]);
+    assert.deepStrictEqual(findingsOf(report, ChangeSeverity.INFO), ["request-field-added: Request body has a new field 'notes'"]);
+  });
+
+  it('should report narrowed enums, changed types and stricter constraints', () => {
+    const report = compareSpecs(createTaskSpec(), createTaskSpec({
+      parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 50 } }],
+      createSchema: createTaskInputSchema({
+        title: { type: 'string', maxLength: 80, pattern: '^[A-Z]' },
+        priority: { type: 'string' },
+        status: { type: 'string', enum: ['open'] }
+      })
+    }));
+
+    assert.deepStrictEqual(findingsOf(report), [
+      "constraint-stricter: Query parameter 'limit' maximum tightened from 100 to 50",
+      "constraint-stricter: Request body field 'title' maxLength tightened from 200 to 80",
+      "constraint-stricter: Request body field 'title' pattern tightened from none to '^[A-Z]'",
+      "type-changed: Request body field 'priority' type changed from integer to string",
+      'enum-narrowed: Request body field \'status\' no longer accepts "done"'
+    ]);
+    assert.ok(report.findings.every(finding => finding.severity === ChangeSeverity.BREAKING));
+  });
+
+  it('should accept looser request schemas without breaking', () => {
+    const report = compareSpecs(createTaskSpec(), createTaskSpec({
+      createSchema: createTaskInputSchema({
+        title: { type: 'string', maxLength: 500 },
+        priority: { type: 'number', minimum: 0 },
+        status: { type: 'string', enum: ['open', 'done', 'archived'] }
+      })
+    }));
+
+    assert.deepStrictEqual(findingsOf(report), ["type-changed: Request body field 'priority' type changed from integer to number"]);
+    assert.strictEqual(report.findings[0].severity, ChangeSeverity.INFO);
+  });
+});
+
+// ============================================================
+// Response Tests
+// ============================================================
+
+describe('compareSpecs responses', () => {
+  it('should report removed response fields as breaking', () => {
+    const taskSchema = createTaskSchema({ dueDate: { type: 'string', format: 'date' } });
+    delete taskSchema.properties.status;
+
+    const report = compareSpecs(createTaskSpec(), createTaskSpec({ taskSchema }));
+
+    assert.deepStrictEqual(report.findings.map(finding => [finding.severity, finding.ruleId, finding.message]), [
+      ['info', 'response-field-added', "Response 200 has a new field '[].dueDate'"],
+      ['breaking', 'response-field-removed', "Response 200 field '[].status' was removed"]
+    ]);
+  });
+
+  it('should warn about widened response enums and fields that became optional', () => {
+    const taskSchema = createTaskSchema({ status: { type: 'string', enum: ['open', 'done', 'blocked'] } });
+    taskSchema.required = ['id'];
+
+    const report = compareSpecs(createTaskSpec(), createTaskSpec({ taskSchema }));
+
+    assert.deepStrictEqual(findingsOf(report, ChangeSeverity.WARNING), [
+      "response-field-optional: Response 200 field '[].title' is no longer required",
+      'enum-widened: Response 200 field \'[].status\' may now return "blocked"'
+    ]);
+    assert.strictEqual(hasBreakingChanges(report), false);
+  });
+});
+
+// ============================================================
+// Reporting Tests
+// ============================================================
+
+describe('breaking change reports', () => {
+  it('should format findings and a summary', () => {
+    const after = createTaskSpec();
+    delete after.paths['/tasks/{taskId}'];
+    const text = formatChangesText(compareSpecs(createTaskSpec(), after));
+
+    assert.match(text, /^breaking +operation-removed +GET \/tasks\/\{taskId\}: Operation was removed$/m);
+    assert.match(text, /1 breaking, 0 warnings, 0 info$/);
+    assert.match(formatChangesText(compareSpecs(after, after)), /^No changes\n0 breaking/);
+  });
+
+  it('should compare a spec file with stored spec content', async () => {
+    const stored = await parseSpecContent(readFixture('minimal-spec.yaml'));
+    const current = await parseSpec(getFixturePath('minimal-spec.yaml'));
+
+    assert.deepStrictEqual(compareSpecs(stored, current).findings, []);
+    await assert.rejects(() => parseSpecContent('openapi: [unclosed', { source: 'Spec Hub spec' }), /Spec Hub spec/);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Spec Bundler Unit Tests
+ * Run with: node --test src/__tests__/bundler.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import yaml from 'js-yaml';
+import SwaggerParser from '@apidevtools/swagger-parser';
+
+import { bundleSpec, writeBundle, BundleError } from '../bundler.js';
+import { parseSpec, extractEndpoints } from '../parser.js';
+import { getFixturePath } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const splitSpecPath = getFixturePath(path.join('split-spec', 'openapi.yaml'));
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundler-'));
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+// ============================================================
+// bundleSpec Tests
+// ============================================================
+
+describe('bundleSpec', () => {
+  it('should inline external path items and move referenced content to components', () => {
+    const { spec, files } = bundleSpec(splitSpecPath);
+    const list = spec.paths['/tasks'].get;
+
+    assert.deepStrictEqual(files, [
+      'paths/tasks.yaml',
+      'common/parameters.yaml',
+      'common/responses.yaml',
+      'common/bodies.yaml',
+      'paths/task.yaml',
+      'schemas/task.yaml',
+      'schemas/user.yaml'
+    ]);
+    assert.deepStrictEqual(list.parameters, [{ $ref: '#/components/parameters/limit' }]);
+    assert.deepStrictEqual(list.responses['400'], { $ref: '#/components/responses/BadRequest' });
+    assert.deepStrictEqual(list.responses['200'].content['application/json'].schema.items, { $ref: '#/components/schemas/Task' });
+    assert.deepStrictEqual(spec.paths['/tasks'].post.requestBody, { $ref: '#/components/requestBodies/NewTask' });
+  });
+
+  it('should keep component names from the entry file and resolve recursive refs', () => {
+    const { spec } = bundleSpec(splitSpecPath);
+    const task = spec.components.schemas.Task;
+
+    assert.deepStrictEqual(Object.keys(spec.components.schemas), ['Task', 'Error', 'user']);
+    assert.deepStrictEqual(task.properties.subtasks.items, { $ref: '#/components/schemas/Task' });
+    assert.deepStrictEqual(task.properties.owner, { $ref: '#/components/schemas/user' });
+  });
+
+  it('should turn refs back into the entry file into internal refs', () => {
+    const { spec } = bundleSpec(splitSpecPath);
+
+    assert.deepStrictEqual(
+      spec.paths['/tasks/{taskId}'].get.responses['404'].content['application/json'].schema,
+      { $ref: '#/components/schemas/Error' }
+    );
+    assert.deepStrictEqual(spec.components.responses.BadRequest.content['application/json'].schema, { $ref: '#/components/schemas/Error' });
+  });
+
+  it('should write a self-contained spec with the same operations', async () => {
+    const outPath = path.join(tmpDir, 'bundled.yaml');
+    writeBundle(splitSpecPath, outPath);
+
+    const content = fs.readFileSync(outPath, 'utf8');
+    const bundled = await SwaggerParser.dereference(yaml.load(content), { dereference: { circular: 'ignore' } });
+    const split = await parseSpec(splitSpecPath);
+    const operations = api => extractEndpoints(api).map(endpoint => `${endpoint.method} ${endpoint.path}`);
+
+    assert.ok(!/\$ref: (?!"#)/.test(content));
+    assert.deepStrictEqual(operations(bundled), operations(split));
+    assert.deepStrictEqual(operations(split), ['GET /tasks', 'POST /tasks', 'GET /tasks/{taskId}']);
+  });
+
+  it('should return single-file specs unchanged', () => {
+    const specPath = getFixturePath('minimal-spec.yaml');
+
+    assert.strictEqual(bundleSpec(specPath).content, fs.readFileSync(specPath, 'utf8'));
+    assert.deepStrictEqual(bundleSpec(specPath).files, []);
+  });
+
+  it('should avoid component name clashes', () => {
+    const dir = writeFiles(path.join(tmpDir, 'clash'), {
+      'openapi.json': JSON.stringify({
+        openapi: '3.0.3',
+        info: { title: 'Clash', version: '1.0.0' },
+        paths: {
+          '/a': { get: { responses: { '200': { description: 'OK', content: { 'application/json': { schema: { $ref: 'a/item.json' } } } } } } },
+          '/b': { get: { responses: { '200': { description: 'OK', content: { 'application/json': { schema: { $ref: 'b/item.json' } } } } } } }
+        }
+      }),
+      'a/item.json': JSON.stringify({ type: 'string' }),
+      'b/item.json': JSON.stringify({ type: 'integer' })
+    });
+
+    const { spec, content } = bundleSpec(path.join(dir, 'openapi.json'));
+    assert.deepStrictEqual(spec.components.schemas, { item: { type: 'string' }, item_2: { type: 'integer' } });
+    assert.doesNotThrow(() => JSON.parse(content));
+  });
+
+  it('should fail for missing files and pointers', () => {
+    const dir = writeFiles(path.join(tmpDir, 'broken'), {
+      'openapi.yaml': 'openapi: 3.0.3\ninfo: { title: Broken, version: 1.0.0 }\npaths:\n  /a:\n    $ref: missing.yaml\n',
+      'pointer.yaml': 'openapi: 3.0.3\ninfo: { title: Broken, version: 1.0.0 }\npaths:\n  /a:\n    $ref: "openapi.yaml#/nope"\n'
+    });
+
+    assert.throws(() => bundleSpec(path.join(dir, 'openapi.yaml')), BundleError);
+    assert.throws(() => bundleSpec(path.join(dir, 'pointer.yaml')), /Cannot resolve \$ref: openapi.yaml#\/nope/);
+  });
+});
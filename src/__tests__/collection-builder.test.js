@@ -0,0 +1,237 @@
+/**
+ * Collection Builder Unit Tests
+ * Run with: node --test src/__tests__/collection-builder.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  buildCollection,
+  buildCollections,
+  buildAuth,
+  writeCollections,
+  COLLECTION_SCHEMA
+} from '../collection-builder.js';
+
+import {
+  createMinimalSpec,
+  validateJavaScriptSyntax
+} from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const taskSchema = {
+  type: 'object',
+  required: ['id', 'title'],
+  properties: { id: { type: 'string' }, title: { type: 'string', example: 'Write docs' } }
+};
+
+function createTaskSpec() {
+  return createMinimalSpec({
+    servers: [{ url: 'https://api.example.com/v1' }],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } }
+    },
+    paths: {
+      '/tasks': {
+        get: {
+          summary: 'List tasks',
+          tags: ['Tasks'],
+          parameters: [
+            { name: 'limit', in: 'query', schema: { type: 'integer', default: 20 } },
+            { name: 'X-Request-Id', in: 'header', schema: { type: 'string' }, example: 'req-1' }
+          ],
+          responses: { '200': { description: 'OK', content: { 'application/json': { schema: { type: 'array', items: taskSchema } } } } }
+        },
+        post: {
+          summary: 'Create task',
+          tags: ['Tasks'],
+          requestBody: { content: { 'application/json': { schema: taskSchema } } },
+          responses: { '201': { description: 'Created', content: { 'application/json': { schema: taskSchema } } } }
+        }
+      },
+      '/tasks/{taskId}': {
+        parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' }, example: 'task-001' }],
+        get: { summary: 'Get task', tags: ['Tasks'], responses: { '200': { description: 'OK' } } },
+        delete: { summary: 'Delete task', tags: ['Tasks'], responses: { '204': { description: 'Deleted' } } }
+      },
+      '/health': {
+        get: { summary: 'Health check', security: [], responses: { '200': { description: 'OK' } } }
+      }
+    }
+  });
+}
+
+function findItem(items, name) {
+  for (const item of items) {
+    if (item.name === name && !item.item) return item;
+    if (item.item) {
+      const found = findItem(item.item, name);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// Collection Tests
+// ============================================================
+
+describe('buildCollection', () => {
+  it('should build a v2.1 collection with baseUrl and collection auth', () => {
+    const collection = buildCollection(createTaskSpec());
+
+    assert.strictEqual(collection.info.schema, COLLECTION_SCHEMA);
+    assert.strictEqual(collection.info.name, 'Test API');
+    assert.deepStrictEqual(collection.variable, [{ key: 'baseUrl', value: 'https://api.example.com/v1', type: 'any' }]);
+    assert.strictEqual(collection.auth.type, 'bearer');
+  });
+
+  it('should group requests into tag folders and keep untagged ones at the root', () => {
+    const collection = buildCollection(createTaskSpec());
+
+    assert.deepStrictEqual(collection.item.map(item => item.name), ['Tasks', 'Health check']);
+    assert.deepStrictEqual(collection.item[0].item.map(item => item.name), ['List tasks', 'Create task', 'Get task', 'Delete task']);
+  });
+
+  it('should build URLs with path variables and query parameters', () => {
+    const collection = buildCollection(createTaskSpec());
+    const list = findItem(collection.item, 'List tasks').request;
+    const get = findItem(collection.item, 'Get task').request;
+
+    assert.strictEqual(list.url.raw, '{{baseUrl}}/tasks?limit=20');
+    assert.deepStrictEqual(list.url.query, [{ key: 'limit', value: '20', description: '' }]);
+    assert.strictEqual(get.url.raw, '{{baseUrl}}/tasks/:taskId');
+    assert.deepStrictEqual(get.url.path, ['tasks', ':taskId']);
+    assert.deepStrictEqual(get.url.variable, [{ key: 'taskId', value: 'task-001', description: '' }]);
+  });
+
+  it('should point callback URLs at the webhook receiver', () => {
+    const api = createTaskSpec();
+    api.paths['/tasks'].post.callbacks = {
+      taskDone: { '{$request.body#/notify/url}': { post: { responses: { '200': { description: 'OK' } } } } }
+    };
+
+    const create = findItem(buildCollection(api).item, 'Create task').request;
+    assert.strictEqual(JSON.parse(create.body.raw).notify.url, '{{webhookReceiverUrl}}/callbacks/post__tasks/taskDone');
+  });
+
+  it('should add headers and an example JSON body', () => {
+    const collection = buildCollection(createTaskSpec());
+    const list = findItem(collection.item, 'List tasks').request;
+    const create = findItem(collection.item, 'Create task').request;
+
+    assert.deepStrictEqual(list.header.map(h => [h.key, h.value]), [['Accept', 'application/json'], ['X-Request-Id', 'req-1']]);
+    assert.strictEqual(create.body.mode, 'raw');
+    assert.deepStrictEqual(JSON.parse(create.body.raw), { id: 'string', title: 'Write docs' });
+    assert.strictEqual(create.header[0].value, 'application/json');
+  });
+
+  it('should disable auth for operations with security: []', () => {
+    const collection = buildCollection(createTaskSpec());
+
+    assert.deepStrictEqual(findItem(collection.item, 'Health check').request.auth, { type: 'noauth' });
+    assert.strictEqual(findItem(collection.item, 'List tasks').request.auth, undefined);
+  });
+
+  it('should add example responses for documented status codes', () => {
+    const collection = buildCollection(createTaskSpec());
+    const [response] = findItem(collection.item, 'Create task').response;
+
+    assert.strictEqual(response.code, 201);
+    assert.strictEqual(response.status, 'Created');
+    assert.deepStrictEqual(JSON.parse(response.body), { id: 'string', title: 'Write docs' });
+  });
+});
+
+describe('buildAuth', () => {
+  it('should map security schemes to Postman auth', () => {
+    const schemes = {
+      basic: { type: 'http', scheme: 'basic' },
+      key: { type: 'apiKey', in: 'query', name: 'api_key' },
+      session: { type: 'apiKey', in: 'cookie', name: 'SESSION' },
+      oauth: { type: 'oauth2', flows: {} }
+    };
+
+    assert.strictEqual(buildAuth([{ basic: [] }], schemes).type, 'basic');
+    assert.deepStrictEqual(buildAuth([{ key: [] }], schemes).apikey.map(e => e.value), ['api_key', '{{api_key_api_key}}', 'query']);
+    assert.deepStrictEqual(buildAuth([{ session: [] }], schemes).apikey.map(e => e.value), ['Cookie', 'SESSION={{api_key_SESSION}}', 'header']);
+    assert.strictEqual(buildAuth([{ oauth: ['read'] }], schemes).oauth2[0].value, '{{access_token}}');
+    assert.strictEqual(buildAuth([{}], schemes), null);
+  });
+});
+
+// ============================================================
+// Test Collection Tests
+// ============================================================
+
+describe('buildCollections', () => {
+  it('should build every collection type for test level all', () => {
+    const collections = buildCollections(createTaskSpec());
+
+    assert.deepStrictEqual(collections.map(c => c.name), [
+      'Test API',
+      'Test API - Smoke Tests',
+      'Test API - Contract Tests',
+      'Test API - Negative Tests',
+      'Test API - Lifecycle Tests'
+    ]);
+  });
+
+  it('should build only the docs collection for test level none', () => {
+    const collections = buildCollections(createTaskSpec(), { testLevel: 'none' });
+
+    assert.deepStrictEqual(collections.map(c => c.type), ['main']);
+    assert.strictEqual(findItem(collections[0].collection.item, 'List tasks').event, undefined);
+  });
+
+  it('should inject valid contract tests and chain requests', () => {
+    const [, contract] = buildCollections(createTaskSpec(), { testLevel: 'contract' });
+    const create = findItem(contract.collection.item, 'Create task');
+    const get = findItem(contract.collection.item, 'Get task');
+
+    const script = create.event.find(e => e.listen === 'test').script.exec;
+    assert.ok(validateJavaScriptSyntax(script).valid);
+    assert.ok(script.join('\n').includes('pm.collectionVariables.set("post__tasks_taskId", value);'));
+    assert.deepStrictEqual(get.request.url.variable, [{ key: 'taskId', value: '{{post__tasks_taskId}}', description: '' }]);
+    assert.deepStrictEqual(contract.collection.item[0].item.map(item => item.name), ['Create task', 'List tasks', 'Get task', 'Delete task']);
+  });
+
+  it('should build negative variants and lifecycle folders', () => {
+    const collections = buildCollections(createTaskSpec());
+    const negative = collections.find(c => c.type === 'negative').collection;
+    const lifecycle = collections.find(c => c.type === 'lifecycle').collection;
+
+    assert.ok(findItem(negative.item, 'Auth: no credentials (bearerAuth)'));
+    assert.deepStrictEqual(lifecycle.item.map(item => item.name), ['/tasks lifecycle']);
+    assert.strictEqual(lifecycle.item[0].item.length, 4);
+  });
+});
+
+describe('writeCollections', () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collection-builder-'));
+  after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+  it('should write one file per collection using the repo export names', () => {
+    const collections = buildCollections(createTaskSpec(), { testLevel: 'smoke' });
+    const written = writeCollections(collections, outDir);
+
+    assert.deepStrictEqual(written.map(file => path.basename(file.filepath)), ['test-api.collection.json', 'test-api-smoke.collection.json']);
+    const saved = JSON.parse(fs.readFileSync(written[1].filepath, 'utf8'));
+    assert.strictEqual(saved.info.name, 'Test API - Smoke Tests');
+  });
+
+  it('should not write files in dry-run mode', () => {
+    const dryDir = path.join(outDir, 'dry');
+    writeCollections(buildCollections(createTaskSpec(), { testLevel: 'none' }), dryDir, { dryRun: true });
+
+    assert.strictEqual(fs.existsSync(dryDir), false);
+  });
+});
@@ -0,0 +1,377 @@
+/**
+ * Collection Runner Unit Tests
+ * Run with: node --test src/__tests__/collection-runner.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+import { CollectionRunner, loadEnvironment } from '../collection-runner.js';
+import { runScript, replaceVariables, createExpect } from '../script-sandbox.js';
+import { deepEqual, validateJsonSchema } from '../json-schema.js';
+import { buildCollections } from '../collection-builder.js';
+import { generateJUnitReport, generateSarifReport } from '../reporters.js';
+import { createMinimalSpec } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const taskSchema = {
+  type: 'object',
+  required: ['id', 'title'],
+  properties: { id: { type: 'string' }, title: { type: 'string', example: 'Write docs' } }
+};
+
+function createTaskSpec() {
+  return createMinimalSpec({
+    servers: [{ url: 'https://api.example.com/v1' }],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } }
+    },
+    paths: {
+      '/tasks': {
+        post: {
+          summary: 'Create task',
+          requestBody: { content: { 'application/json': { schema: taskSchema } } },
+          responses: { '201': { description: 'Created', content: { 'application/json': { schema: taskSchema } } } }
+        }
+      },
+      '/tasks/{taskId}': {
+        parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }],
+        get: {
+          summary: 'Get task',
+          responses: {
+            '200': { description: 'OK', content: { 'application/json': { schema: taskSchema } } },
+            '404': { description: 'Not found' }
+          }
+        },
+        delete: { summary: 'Delete task', responses: { '204': { description: 'Deleted' } } }
+      }
+    }
+  });
+}
+
+/**
+ * In-memory task API under /v1 that requires "Bearer secret"
+ */
+function createTaskServer({ omitTitle = false } = {}) {
+  const tasks = new Map();
+  let nextId = 1;
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (code, data) => {
+        res.writeHead(code, data === undefined ? {} : { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? undefined : JSON.stringify(data));
+      };
+
+      if (req.headers.authorization !== 'Bearer secret') return send(401, { error: 'unauthorized' });
+
+      const match = req.url.match(/^\/v1\/tasks(?:\/([^/?]+))?/);
+      if (!match) return send(404, { error: 'not found' });
+
+      const id = match[1] && decodeURIComponent(match[1]);
+      if (!id && req.method === 'POST') {
+        const task = { id: `task-${nextId++}`, ...(omitTitle ? {} : { title: JSON.parse(body).title }) };
+        tasks.set(task.id, task);
+        return send(201, task);
+      }
+      if (!tasks.has(id)) return send(404, { error: 'not found' });
+      if (req.method === 'GET') return send(200, tasks.get(id));
+      if (req.method === 'DELETE') {
+        tasks.delete(id);
+        return send(204);
+      }
+      return send(405, { error: 'method not allowed' });
+    });
+  });
+}
+
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}/v1`;
+}
+
+function runSnippet(lines, response) {
+  const context = {
+    scopes: { local: {}, environment: { baseUrl: 'http://env' }, collection: { baseUrl: 'http://collection', taskId: 't-1' } },
+    request: { name: 'Get task', method: 'GET', url: 'http://env/tasks/t-1', headers: [], pathVariables: [{ key: 'taskId', value: 't-1' }], query: [] },
+    response,
+    tests: []
+  };
+  runScript(lines, context);
+  return context;
+}
+
+// ============================================================
+// JSON Schema Validation Tests
+// ============================================================
+
+describe('validateJsonSchema', () => {
+  it('should accept data matching the schema', () => {
+    assert.deepStrictEqual(validateJsonSchema(taskSchema, { id: 'a', title: 'b' }), []);
+  });
+
+  it('should report missing properties, wrong types and enum violations with paths', () => {
+    const schema = {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        status: { type: 'string', enum: ['open', 'done'] },
+        tags: { type: 'array', items: { type: 'string' } }
+      }
+    };
+
+    const errors = validateJsonSchema(schema, { status: 'closed', tags: ['a', 1] });
+
+    assert.deepStrictEqual(errors.map(e => e.path), ['', '/status', '/tags/1']);
+  });
+
+  it('should validate nullable types, combinators and local $refs', () => {
+    const schema = {
+      definitions: { id: { type: 'string', minLength: 2 } },
+      type: 'object',
+      properties: {
+        id: { $ref: '#/definitions/id' },
+        note: { type: ['string', 'null'] },
+        value: { oneOf: [{ type: 'integer' }, { type: 'string' }] }
+      }
+    };
+
+    assert.deepStrictEqual(validateJsonSchema(schema, { id: 'ab', note: null, value: 3 }), []);
+    assert.strictEqual(validateJsonSchema(schema, { id: 'a', note: 1, value: 1.5 }).length, 3);
+  });
+
+  it('should report keywords it cannot validate instead of passing them', () => {
+    const schema = {
+      type: 'object',
+      if: { properties: { kind: { const: 'user' } } },
+      then: { required: ['email'] },
+      properties: { tags: { type: 'array', contains: { const: 'admin' } } },
+      propertyNames: { maxLength: 10 }
+    };
+
+    assert.deepStrictEqual(validateJsonSchema(schema, { kind: 'user', tags: ['guest'] }), [
+      { path: '', message: 'uses unsupported keyword "if" (not validated)' },
+      { path: '', message: 'uses unsupported keyword "then" (not validated)' },
+      { path: '', message: 'uses unsupported keyword "propertyNames" (not validated)' },
+      { path: '/tags', message: 'uses unsupported keyword "contains" (not validated)' }
+    ]);
+  });
+
+  it('should compare enum and const values structurally', () => {
+    assert.deepStrictEqual(validateJsonSchema({ enum: [{ a: [1, 2] }] }, { a: [1, 2] }), []);
+    assert.deepStrictEqual(validateJsonSchema({ const: 0 }, -0), []);
+    assert.ok(deepEqual({ a: [1, { b: null }] }, { a: [1, { b: null }] }));
+    assert.ok(!deepEqual([1, 2], { 0: 1, 1: 2 }));
+  });
+});
+
+// ============================================================
+// Script Sandbox Tests
+// ============================================================
+
+describe('script sandbox', () => {
+  it('should resolve variables from local, environment, then collection scope', () => {
+    const scopes = [{}, { baseUrl: 'http://env' }, { baseUrl: 'http://collection', taskId: 't-1' }];
+
+    assert.strictEqual(replaceVariables('{{baseUrl}}/tasks/{{taskId}}/{{unknown}}', scopes), 'http://env/tasks/t-1/{{unknown}}');
+  });
+
+  it('should resolve variables inside variable values', () => {
+    const scopes = [{}, { baseUrl: 'https://{{region}}.example.com/{{version}}', region: 'eu', version: 'v2' }];
+
+    assert.strictEqual(replaceVariables('{{baseUrl}}/tasks', scopes), 'https://eu.example.com/v2/tasks');
+    assert.strictEqual(replaceVariables('{{loop}}', [{ loop: '{{loop}}' }]), '{{loop}}');
+  });
+
+  it('should support the chai-style assertions used by generated scripts', () => {
+    const expect = createExpect();
+
+    expect([1, 2]).to.be.an('array').that.has.lengthOf(2);
+    expect({ id: 'a' }).to.have.property('id').that.is.a('string');
+    expect(404).to.be.oneOf([400, 404]);
+    expect('abc').to.match(/b/);
+    expect(undefined).to.not.exist;
+    assert.throws(() => expect(1).to.equal(2), /expected 1 to equal 2/);
+  });
+
+  it('should record pm.test results and assert on the response', () => {
+    const { tests } = runSnippet([
+      'pm.test("Status code is 200", function () { pm.response.to.have.status(200); });',
+      'pm.test("Has title", function () { pm.expect(pm.response.json()).to.have.property("title"); });',
+      'pm.test("Fast", function () { pm.expect(pm.response.responseTime).to.be.below(100); });'
+    ], { code: 200, status: 'OK', responseTime: 250, headers: [{ key: 'Content-Type', value: 'application/json' }], body: '{"id":"a"}' });
+
+    assert.deepStrictEqual(tests.map(t => [t.name, t.passed]), [['Status code is 200', true], ['Has title', false], ['Fast', false]]);
+  });
+
+  it('should validate responses with jsonSchema and expose request path variables', () => {
+    const { tests } = runSnippet([
+      'pm.test("Schema", function () { pm.response.to.have.jsonSchema({ type: "object", required: ["id"] }); });',
+      'pm.test("Same id", function () { pm.expect(pm.response.json().id).to.eql(pm.request.url.variables.get("taskId")); });'
+    ], { code: 200, status: 'OK', responseTime: 5, headers: [], body: '{"id":"t-1"}' });
+
+    assert.ok(tests.every(t => t.passed), JSON.stringify(tests));
+  });
+
+  it('should persist variables set by scripts and report script errors', () => {
+    const context = runSnippet([
+      'pm.collectionVariables.set("taskId", "t-2");',
+      'pm.environment.unset("baseUrl");',
+      'notDefined();'
+    ]);
+
+    assert.strictEqual(context.scopes.collection.taskId, 't-2');
+    assert.strictEqual(context.scopes.environment.baseUrl, undefined);
+    assert.strictEqual(context.tests[0].name, 'Script error');
+  });
+});
+
+// ============================================================
+// Collection Runner Tests
+// ============================================================
+
+describe('CollectionRunner', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = createTaskServer();
+    baseUrl = await listen(server);
+  });
+
+  after(() => server.close());
+
+  it('should run a generated lifecycle collection against the API', async () => {
+    const { collection } = buildCollections(createTaskSpec(), { testLevel: 'lifecycle' }).find(c => c.type === 'lifecycle');
+    const runner = new CollectionRunner({ baseUrl, environment: { bearerToken: 'secret' } });
+
+    const result = await runner.run(collection);
+
+    assert.deepStrictEqual(result.executions.map(e => [e.name, e.response.code]), [
+      ['1. Create: POST /tasks', 201],
+      ['2. Read: GET /tasks/{taskId}', 200],
+      ['3. Delete: DELETE /tasks/{taskId}', 204],
+      ['4. Read after delete: GET /tasks/{taskId}', 404]
+    ]);
+    assert.strictEqual(result.stats.failed, 0, JSON.stringify(result.executions.flatMap(e => e.tests.filter(t => !t.passed))));
+    assert.ok(result.stats.passed > 0);
+  });
+
+  it('should report contract violations as failed tests', async () => {
+    const brokenServer = createTaskServer({ omitTitle: true });
+    const brokenUrl = await listen(brokenServer);
+
+    try {
+      const { collection } = buildCollections(createTaskSpec(), { testLevel: 'contract' }).find(c => c.type === 'contract');
+      const result = await new CollectionRunner({ baseUrl: brokenUrl, environment: { bearerToken: 'secret' } }).run(collection);
+      const create = result.executions.find(e => e.name === 'Create task');
+
+      assert.ok(create.tests.some(t => !t.passed));
+      assert.ok(result.stats.failed > 0);
+    } finally {
+      brokenServer.close();
+    }
+  });
+
+  it('should link schema failures to their assertion in reports', async () => {
+    const brokenServer = createTaskServer({ omitTitle: true });
+    const brokenUrl = await listen(brokenServer);
+
+    try {
+      const { collection } = buildCollections(createTaskSpec(), { testLevel: 'contract' }).find(c => c.type === 'contract');
+      const result = await new CollectionRunner({ baseUrl: brokenUrl, environment: { bearerToken: 'secret' } }).run(collection);
+      const create = result.executions.find(e => e.name === 'Create task');
+      const schemaTest = create.tests.find(t => t.name.startsWith('Response body matches schema for '));
+
+      assert.strictEqual(schemaTest.passed, false);
+      assert.ok(schemaTest.assertion.source.startsWith('pm.test("Response body matches schema for " + (responseKey || statusCode), function () {'));
+
+      const results = [{ collection: collection.info.name, executions: result.executions, stats: result.stats }];
+      const sarifResult = generateSarifReport(results).runs[0].results.find(r => r.message.text.includes(schemaTest.name));
+      assert.strictEqual(sarifResult.properties.assertion, schemaTest.assertion.source);
+      assert.ok(generateJUnitReport(results).includes('pm.test(&quot;Response body matches schema for &quot; + (responseKey || statusCode)'));
+    } finally {
+      brokenServer.close();
+    }
+  });
+
+  it('should record the spec operation and the assertion of every test', async () => {
+    const { collection } = buildCollections(createTaskSpec(), { testLevel: 'lifecycle' }).find(c => c.type === 'lifecycle');
+    const result = await new CollectionRunner({ baseUrl, environment: { bearerToken: 'wrong' } }).run(collection);
+    const [create] = result.executions;
+    const failed = create.tests.find(test => test.name === 'Status code is 201');
+
+    assert.deepStrictEqual(result.executions.map(e => e.key), ['post|/tasks', 'get|/tasks/{taskId}', 'delete|/tasks/{taskId}', 'get|/tasks/{taskId}']);
+    assert.strictEqual(failed.passed, false);
+    assert.ok(failed.assertion.source.startsWith('pm.test("Status code is 201", function () {'));
+    assert.ok(failed.assertion.source.endsWith('});'));
+  });
+
+  it('should resolve collection auth and fail unauthenticated requests', async () => {
+    const { collection } = buildCollections(createTaskSpec(), { testLevel: 'smoke' }).find(c => c.type === 'smoke');
+    const result = await new CollectionRunner({ baseUrl, environment: { bearerToken: 'wrong' } }).run(collection);
+
+    assert.ok(result.executions.every(e => e.response.code === 401));
+    assert.ok(result.stats.failed > 0);
+  });
+
+  it('should record connection errors without aborting the run', async () => {
+    const collection = {
+      info: { name: 'Offline' },
+      item: [
+        { name: 'First', request: { method: 'GET', url: 'http://127.0.0.1:1/a' } },
+        { name: 'Second', request: { method: 'GET', url: 'http://127.0.0.1:1/b' } }
+      ]
+    };
+
+    const result = await new CollectionRunner({ timeout: 2000 }).run(collection);
+
+    assert.strictEqual(result.stats.requests, 2);
+    assert.strictEqual(result.stats.requestErrors, 2);
+    assert.ok(result.executions[0].error);
+  });
+
+  it('should stop at the first failing request with bail', async () => {
+    const collection = {
+      info: { name: 'Bail' },
+      item: [
+        { name: 'First', request: { method: 'GET', url: 'http://127.0.0.1:1/a' } },
+        { name: 'Second', request: { method: 'GET', url: 'http://127.0.0.1:1/b' } }
+      ]
+    };
+
+    const result = await new CollectionRunner({ timeout: 2000, bail: true }).run(collection);
+
+    assert.strictEqual(result.stats.requests, 1);
+  });
+});
+
+describe('loadEnvironment', () => {
+  it('should load enabled values from an exported environment file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collection-runner-'));
+    const file = path.join(dir, 'dev.environment.json');
+    fs.writeFileSync(file, JSON.stringify({
+      name: 'Dev',
+      values: [
+        { key: 'baseUrl', value: 'http://localhost:3000', enabled: true },
+        { key: 'status', value: 'pending', enabled: false }
+      ]
+    }));
+
+    try {
+      assert.deepStrictEqual(loadEnvironment(file), { baseUrl: 'http://localhost:3000' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
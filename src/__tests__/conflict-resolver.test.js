@@ -0,0 +1,182 @@
+/**
+ * Conflict Resolver Unit Tests
+ * Run with: node --test src/__tests__/conflict-resolver.test.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+
+import { ConflictResolver, Resolution, formatConflict, parseEditedValue } from '../conflict-resolver.js';
+import { ChangeDetector } from '../change-detector.js';
+import { SpecMerge } from '../spec-merge.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+function createSpec(descriptions = {}) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Test API', version: '1.0.0', description: descriptions.info ?? 'Base API' },
+    paths: {
+      '/tasks': {
+        get: { summary: descriptions.list ?? 'List tasks', responses: { '200': { description: 'OK' } } },
+        post: { summary: descriptions.create ?? 'Create task', responses: { '201': { description: 'Created' } } }
+      }
+    }
+  };
+}
+
+function createConflicts() {
+  const base = createSpec();
+  const local = createSpec({ info: 'Repo API', list: 'List all tasks', create: 'Add a task' });
+  const remote = createSpec({ info: 'Postman API', list: 'Get tasks', create: 'New task' });
+  const { needsReview } = new ChangeDetector().detectChanges(base, local, remote);
+
+  return { local, remote, needsReview };
+}
+
+function createOutput() {
+  const output = new PassThrough();
+  output.columns = 60;
+  output.text = '';
+  output.on('data', chunk => { output.text += chunk; });
+  return output;
+}
+
+function answers(...lines) {
+  const input = new PassThrough();
+  input.end(lines.map(line => `${line}\n`).join(''));
+  return input;
+}
+
+// ============================================================
+// Display Tests
+// ============================================================
+
+describe('formatConflict', () => {
+  it('should show base, local and remote values side by side and wrap long lines', () => {
+    const text = formatConflict({ path: 'info.description', base: 'Base', local: 'Repo', remote: { summary: 'Postman' } }, 66);
+
+    assert.deepStrictEqual(text.split('\n'), [
+      'info.description',
+      'BASE                 | LOCAL (repo)         | REMOTE (Postman)',
+      '-------------------- | -------------------- | --------------------',
+      'Base                 | Repo                 | {',
+      '                     |                      |   "summary": "Postma',
+      '                     |                      | n"',
+      '                     |                      | }'
+    ]);
+  });
+
+  it('should parse edited values as JSON with a text fallback', () => {
+    assert.deepStrictEqual(parseEditedValue('{"a": 1}'), { a: 1 });
+    assert.strictEqual(parseEditedValue('"quoted"'), 'quoted');
+    assert.strictEqual(parseEditedValue('Plain text'), 'Plain text');
+  });
+});
+
+// ============================================================
+// Resolution Tests
+// ============================================================
+
+describe('ConflictResolver', () => {
+  let dir;
+  let resolutionFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conflict-resolver-'));
+    resolutionFile = path.join(dir, 'api.resolutions.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should prompt for each conflict and store the decisions', async () => {
+    const { local, needsReview } = createConflicts();
+    const output = createOutput();
+    const resolver = new ConflictResolver({
+      resolutionFile,
+      interactive: true,
+      input: answers('r', 'x', 'e', 'Listed tasks', 's'),
+      output
+    });
+
+    const resolved = await resolver.resolveConflicts(needsReview, local);
+
+    assert.deepStrictEqual(resolved.map(change => [change.path, change.resolution, change.newValue]), [
+      ['info.description', Resolution.REMOTE, 'Postman API'],
+      ['paths./tasks.get.summary', Resolution.EDIT, 'Listed tasks'],
+      ['paths./tasks.post.summary', Resolution.SKIP, 'New task']
+    ]);
+    assert.match(output.text, /Conflict 1\/3: info\.description/);
+    assert.match(output.text, /Base API +\| Repo API +\| Postman API/);
+
+    const stored = JSON.parse(fs.readFileSync(resolutionFile, 'utf8'));
+    assert.strictEqual(stored.version, 1);
+    assert.deepStrictEqual(stored.resolutions.map(entry => [entry.path, entry.local, entry.remote, entry.resolution, entry.value]), [
+      ['info.description', 'Repo API', 'Postman API', 'remote', undefined],
+      ['paths./tasks.get.summary', 'List all tasks', 'Get tasks', 'edit', 'Listed tasks']
+    ]);
+  });
+
+  it('should replay stored decisions without prompting while the values are unchanged', async () => {
+    const { local, needsReview } = createConflicts();
+    await new ConflictResolver({ resolutionFile, interactive: true, input: answers('l', 'r', 'r'), output: createOutput() })
+      .resolveConflicts(needsReview, local);
+
+    const updated = needsReview.map(change =>
+      change.path === 'paths./tasks.post.summary' ? { ...change, newValue: 'Create a new task' } : change
+    );
+    const replayed = await new ConflictResolver({ resolutionFile }).resolveConflicts(updated, local);
+
+    assert.deepStrictEqual(replayed.map(change => [change.path, change.resolution]), [
+      ['info.description', Resolution.LOCAL],
+      ['paths./tasks.get.summary', Resolution.REMOTE],
+      ['paths./tasks.post.summary', undefined]
+    ]);
+  });
+
+  it('should leave conflicts unresolved when input ends', async () => {
+    const { local, needsReview } = createConflicts();
+    const resolver = new ConflictResolver({ resolutionFile, interactive: true, input: answers('r'), output: createOutput() });
+
+    const resolved = await resolver.resolveConflicts(needsReview, local);
+
+    assert.deepStrictEqual(resolved.map(change => change.resolution), [Resolution.REMOTE, Resolution.SKIP, Resolution.SKIP]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(resolutionFile, 'utf8')).resolutions.length, 1);
+  });
+});
+
+// ============================================================
+// Merge Tests
+// ============================================================
+
+describe('SpecMerge with resolved conflicts', () => {
+  it('should apply remote and edited values and keep local ones', async () => {
+    const { local, remote, needsReview } = createConflicts();
+    const resolved = await new ConflictResolver({ interactive: true, input: answers('l', 'r', 'e', '"Create one task"'), output: createOutput() })
+      .resolveConflicts(needsReview, local);
+
+    const result = new SpecMerge({ conflictStrategy: 'interactive' }).mergeSpecs(local, remote, resolved);
+
+    assert.strictEqual(result.spec.info.description, 'Repo API');
+    assert.strictEqual(result.spec.paths['/tasks'].get.summary, 'Get tasks');
+    assert.strictEqual(result.spec.paths['/tasks'].post.summary, 'Create one task');
+    assert.deepStrictEqual(result.skipped.map(change => change.reason), ['Conflict - local kept']);
+  });
+
+  it('should skip unresolved conflicts in interactive mode', () => {
+    const { local, remote, needsReview } = createConflicts();
+
+    const result = new SpecMerge({ conflictStrategy: 'interactive' }).mergeSpecs(local, remote, needsReview);
+
+    assert.deepStrictEqual(result.applied, []);
+    assert.ok(result.skipped.every(change => change.reason === 'Conflict - unresolved'));
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Contract Coverage Unit Tests
+ * Run with: node --test src/__tests__/coverage.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { analyzeCoverage, formatCoverageText, CoverageKind } from '../coverage.js';
+import { createMinimalSpec } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+function createTaskSpec() {
+  return createMinimalSpec({
+    components: {
+      schemas: {
+        Task: {
+          type: 'object',
+          required: ['id', 'status'],
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: ['open', 'done'] },
+            secret: { type: 'string', writeOnly: true },
+            owner: { type: 'object', properties: { name: { type: 'string' } } }
+          }
+        }
+      }
+    },
+    paths: {
+      '/tasks': {
+        get: {
+          summary: 'List tasks',
+          tags: ['Tasks'],
+          parameters: [{ name: 'limit', in: 'query', required: true, schema: { type: 'integer', maximum: 100 } }],
+          responses: {
+            '200': {
+              description: 'OK',
+              headers: { 'X-Rate-Limit': { schema: { type: 'string', enum: ['low', 'high'] } } },
+              content: { 'application/json': { schema: { type: 'object', properties: { data: { type: 'array', items: { $ref: '#/components/schemas/Task' } } } } } }
+            },
+            '4XX': { description: 'Client error' },
+            default: { description: 'Unexpected error' }
+          }
+        }
+      },
+      '/health': {
+        get: {
+          summary: 'Health check',
+          tags: ['System'],
+          responses: { '204': { description: 'Healthy' } }
+        }
+      }
+    }
+  });
+}
+
+function itemsOf(report, kind) {
+  return report.operations.flatMap(operation => operation.items).filter(item => item.kind === kind);
+}
+
+// ============================================================
+// Tests
+// ============================================================
+
+describe('analyzeCoverage', () => {
+  it('should list every contract item of the spec', () => {
+    const report = analyzeCoverage(createTaskSpec(), { testLevel: 'contract' });
+
+    assert.deepStrictEqual(itemsOf(report, CoverageKind.OPERATION).map(item => item.name), ['GET /tasks', 'GET /health']);
+    assert.deepStrictEqual(itemsOf(report, CoverageKind.STATUS).map(item => item.name), ['200', '4XX', '204']);
+    assert.deepStrictEqual(itemsOf(report, CoverageKind.PROPERTY).map(item => item.name), [
+      '200 data',
+      '200 data[].id',
+      '200 data[].status',
+      '200 data[].owner',
+      '200 data[].owner.name'
+    ]);
+    assert.deepStrictEqual(itemsOf(report, CoverageKind.ENUM).map(item => item.name), [
+      '200 data[].status = "open"',
+      '200 data[].status = "done"',
+      '200 header X-Rate-Limit = "low"',
+      '200 header X-Rate-Limit = "high"'
+    ]);
+    assert.deepStrictEqual(itemsOf(report, CoverageKind.HEADER).map(item => item.name), ['200 X-Rate-Limit']);
+  });
+
+  it('should mark what the contract tests assert', () => {
+    const report = analyzeCoverage(createTaskSpec(), { testLevel: 'contract' });
+
+    assert.ok(itemsOf(report, CoverageKind.PROPERTY).every(item => item.covered));
+    assert.ok(itemsOf(report, CoverageKind.ENUM).every(item => item.covered));
+    assert.ok(itemsOf(report, CoverageKind.HEADER).every(item => item.covered));
+    assert.deepStrictEqual(report.uncovered.map(item => `${item.operation} ${item.name}`), ['GET /tasks 4XX']);
+  });
+
+  it('should count range statuses as covered by negative tests', () => {
+    const report = analyzeCoverage(createTaskSpec(), { testLevel: 'all' });
+
+    assert.ok(itemsOf(report, CoverageKind.STATUS).every(item => item.covered));
+    assert.strictEqual(report.summary.percent, 100);
+  });
+
+  it('should only credit status codes to smoke tests', () => {
+    const report = analyzeCoverage(createTaskSpec(), { testLevel: 'smoke' });
+
+    assert.strictEqual(report.kinds.operation.percent, 100);
+    assert.strictEqual(report.kinds.property.covered, 0);
+    assert.strictEqual(report.kinds.header.covered, 0);
+    assert.ok(report.uncovered.some(item => item.kind === CoverageKind.ENUM && item.tags.includes('Tasks')));
+  });
+
+  it('should aggregate coverage per tag', () => {
+    const report = analyzeCoverage(createTaskSpec(), { testLevel: 'none' });
+
+    assert.deepStrictEqual(report.tags.System, { covered: 0, total: 2, percent: 0 });
+    assert.strictEqual(report.tags.Tasks.covered, 0);
+    assert.strictEqual(report.summary.percent, 0);
+  });
+
+  it('should list enum values of compositions without changing the spec', () => {
+    const spec = createTaskSpec();
+    spec.components.schemas.Task.properties.status = { enum: ['open'], anyOf: [{ enum: ['open', 'done'] }, { enum: ['archived'] }] };
+
+    const report = analyzeCoverage(spec, { testLevel: 'contract' });
+
+    assert.deepStrictEqual(itemsOf(report, CoverageKind.ENUM).filter(item => item.name.includes('status')).map(item => item.name), [
+      '200 data[].status = "open"',
+      '200 data[].status = "done"',
+      '200 data[].status = "archived"'
+    ]);
+    assert.deepStrictEqual(spec.components.schemas.Task.properties.status.enum, ['open']);
+  });
+
+  it('should report full coverage for a spec without operations', () => {
+    const report = analyzeCoverage(createMinimalSpec({ paths: {} }));
+
+    assert.deepStrictEqual(report.summary, { covered: 0, total: 0, percent: 100 });
+  });
+});
+
+describe('formatCoverageText', () => {
+  it('should print kinds, tags and the uncovered list', () => {
+    const text = formatCoverageText(analyzeCoverage(createTaskSpec(), { testLevel: 'contract' }));
+
+    assert.match(text, /Contract coverage \(test level: contract\)/);
+    assert.match(text, /property\s+5\s+5\s+100\.0%/);
+    assert.match(text, /System\s+2\s+2\s+100\.0%/);
+    assert.match(text, /Uncovered \(1\):\n {2}GET \/tasks {2}status 4XX/);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Environment Generator Unit Tests
+ * Run with: node --test src/__tests__/environment-generator.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { generateEnvironments, generateEnvironmentForServer } from '../environment-generator.js';
+import { createMinimalSpec } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const regionalServer = {
+  url: 'https://{region}.api.example.com/{basePath}',
+  description: 'Production',
+  variables: {
+    region: { default: 'us-east', enum: ['us-east', 'eu-west'] },
+    basePath: { default: 'v1', enum: ['v1', 'v2'] },
+    tenant: { default: 'acme' }
+  }
+};
+
+function createServerSpec(servers) {
+  return createMinimalSpec({
+    info: { title: 'Regional API' },
+    servers,
+    paths: {
+      '/tenants/{tenant}': {
+        get: {
+          operationId: 'getTenant',
+          parameters: [{ name: 'tenant', in: 'path', required: true, schema: { type: 'string', example: 't-1' } }],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  });
+}
+
+function valuesOf(environment) {
+  return Object.fromEntries(environment.values.map(variable => [variable.key, variable.value]));
+}
+
+// ============================================================
+// generateEnvironmentForServer Tests
+// ============================================================
+
+describe('generateEnvironmentForServer', () => {
+  it('should compose baseUrl from server variables with their defaults', () => {
+    const values = valuesOf(generateEnvironmentForServer(createServerSpec([regionalServer]), regionalServer));
+
+    assert.strictEqual(values.baseUrl, 'https://{{region}}.api.example.com/{{basePath}}');
+    assert.strictEqual(values.region, 'us-east');
+    assert.strictEqual(values.basePath, 'v1');
+  });
+
+  it('should prefix server variables that clash with parameter variables', () => {
+    const server = { url: 'https://{tenant}.example.com', variables: { tenant: { default: 'acme' } } };
+    const values = valuesOf(generateEnvironmentForServer(createServerSpec([server]), server));
+
+    assert.strictEqual(values.baseUrl, 'https://{{server_tenant}}.example.com');
+    assert.strictEqual(values.server_tenant, 'acme');
+    assert.strictEqual(values.tenant, 't-1');
+  });
+
+  it('should keep plain server URLs as they are', () => {
+    const server = { url: 'https://api.example.com/v1', description: 'Staging' };
+    const environment = generateEnvironmentForServer(createServerSpec([server]), server);
+
+    assert.strictEqual(environment.name, 'Regional API - Staging');
+    assert.strictEqual(valuesOf(environment).baseUrl, 'https://api.example.com/v1');
+  });
+});
+
+// ============================================================
+// generateEnvironments Tests
+// ============================================================
+
+describe('generateEnvironments', () => {
+  it('should generate one environment per server by default', () => {
+    const environments = generateEnvironments(createServerSpec([regionalServer, { url: 'http://localhost:3000', description: 'Local' }]));
+
+    assert.deepStrictEqual(environments.map(environment => environment.name), ['Regional API - Production', 'Regional API - Local']);
+  });
+
+  it('should generate an environment per enum combination when configured', () => {
+    const environments = generateEnvironments(createServerSpec([regionalServer]), { expandServerVariables: true });
+
+    assert.deepStrictEqual(environments.map(environment => environment.name), [
+      'Regional API - Production us east v1',
+      'Regional API - Production us east v2',
+      'Regional API - Production eu west v1',
+      'Regional API - Production eu west v2'
+    ]);
+    assert.deepStrictEqual(
+      environments.map(environment => [valuesOf(environment).region, valuesOf(environment).basePath, valuesOf(environment).server_tenant]),
+      [['us-east', 'v1', 'acme'], ['us-east', 'v2', 'acme'], ['eu-west', 'v1', 'acme'], ['eu-west', 'v2', 'acme']]
+    );
+  });
+
+  it('should fall back to a default server', () => {
+    const [environment] = generateEnvironments(createServerSpec([]));
+
+    assert.strictEqual(environment.name, 'Regional API - Default');
+    assert.strictEqual(valuesOf(environment).baseUrl, 'https://api.example.com');
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Example Generator Unit Tests
+ * Run with: node --test src/__tests__/example-generator.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { generateExample, mergeAllOf } from '../example-generator.js';
+import { buildRequestBodyExample } from '../parser.js';
+import { validateJsonSchema } from '../json-schema.js';
+import { Logger } from '../logger.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+function createPetComponents() {
+  const Pet = {
+    type: 'object',
+    required: ['petType'],
+    properties: { petType: { type: 'string' }, name: { type: 'string', minLength: 2 } },
+    discriminator: { propertyName: 'petType', mapping: { cat: '#/components/schemas/Cat', dog: '#/components/schemas/Dog' } }
+  };
+  const Cat = { allOf: [Pet, { type: 'object', properties: { indoor: { type: 'boolean' } } }] };
+  const Dog = { allOf: [Pet, { type: 'object', properties: { barks: { type: 'boolean' } } }] };
+
+  return { Pet, Cat, Dog };
+}
+
+// ============================================================
+// Determinism Tests
+// ============================================================
+
+describe('generateExample determinism', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      code: { type: 'string', pattern: '^[A-Z]{3}-\\d{4}$' },
+      createdAt: { type: 'string', format: 'date-time' },
+      day: { type: 'string', format: 'date' }
+    }
+  };
+
+  it('should return the same value for the same seed', () => {
+    assert.deepStrictEqual(generateExample(schema, { seed: 7 }), generateExample(schema, { seed: 7 }));
+    assert.deepStrictEqual(generateExample(schema), generateExample(schema));
+  });
+
+  it('should use fixed dates instead of the current time', () => {
+    const example = generateExample(schema);
+
+    assert.strictEqual(example.createdAt, '2024-01-15T09:30:00Z');
+    assert.strictEqual(example.day, '2024-01-15');
+  });
+
+  it('should vary pattern strings with the seed', () => {
+    const values = new Set([1, 2, 3, 4].map(seed => generateExample(schema.properties.code, { seed })));
+
+    assert.ok(values.size > 1);
+    for (const value of values) assert.match(value, /^[A-Z]{3}-\d{4}$/);
+  });
+});
+
+// ============================================================
+// Constraint Tests
+// ============================================================
+
+describe('generateExample constraints', () => {
+  it('should honour string lengths, patterns and formats', () => {
+    assert.strictEqual(generateExample({ type: 'string', minLength: 10 }).length, 10);
+    assert.strictEqual(generateExample({ type: 'string', maxLength: 3 }), 'str');
+    assert.match(generateExample({ type: 'string', pattern: '^(foo|bar)_[a-z]{2,4}$', maxLength: 7 }), /^(foo|bar)_[a-z]{2,4}$/);
+    assert.strictEqual(generateExample({ type: 'string', format: 'ipv4' }), '192.0.2.1');
+    assert.strictEqual(generateExample({ type: 'string', format: 'uri' }), 'https://example.com/resource');
+  });
+
+  it('should repeat pattern quantifiers up to minLength and no further than maxLength', () => {
+    const digits = generateExample({ type: 'string', pattern: '^[0-9]+$', minLength: 10 });
+    assert.match(digits, /^[0-9]{10}$/);
+
+    const bounded = generateExample({ type: 'string', pattern: '^[a-z]{2,}-[0-9]*$', minLength: 8, maxLength: 8 });
+    assert.match(bounded, /^[a-z]{2,}-[0-9]*$/);
+    assert.strictEqual(bounded.length, 8);
+  });
+
+  it('should check lookahead patterns against the full pattern', () => {
+    const schema = { type: 'string', pattern: '^(?=.*\\d)[a-z0-9]{8}$' };
+
+    assert.deepStrictEqual(validateJsonSchema(schema, generateExample(schema)), []);
+  });
+
+  it('should report format values that cannot meet the length limits instead of fitting them', (t) => {
+    const warn = t.mock.method(Logger.prototype, 'warn', () => {});
+
+    assert.strictEqual(generateExample({ type: 'string', format: 'email', maxLength: 5 }), undefined);
+    assert.strictEqual(generateExample({ type: 'string', format: 'date', minLength: 20 }), undefined);
+    assert.strictEqual(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /"format":"email".*must be at most 5 characters/);
+  });
+
+  it('should report unsupported patterns instead of emitting a placeholder string', (t) => {
+    const warn = t.mock.method(Logger.prototype, 'warn', () => {});
+
+    assert.strictEqual(generateExample({ type: 'string', pattern: '^(a|b)\\1$' }), undefined);
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /no supported value matches the pattern/);
+  });
+
+  it('should honour numeric bounds, exclusive bounds and multipleOf', () => {
+    assert.strictEqual(generateExample({ type: 'integer', minimum: 1, exclusiveMinimum: true, maximum: 10, multipleOf: 3 }), 3);
+    assert.strictEqual(generateExample({ type: 'integer', exclusiveMinimum: 5 }), 6);
+    assert.strictEqual(generateExample({ type: 'integer', maximum: -4 }), -4);
+    assert.strictEqual(generateExample({ type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 }), 0.5);
+  });
+
+  it('should honour array sizes and unique items', () => {
+    assert.deepStrictEqual(generateExample({ type: 'array', items: { type: 'integer' }, minItems: 3, uniqueItems: true }), [0, 1, 2]);
+    assert.deepStrictEqual(generateExample({ type: 'array', items: { type: 'string', enum: ['a', 'b'] }, minItems: 2, uniqueItems: true }), ['a', 'b']);
+    assert.deepStrictEqual(generateExample({ type: 'array', items: { type: 'string' }, maxItems: 0 }), []);
+  });
+
+  it('should fill minProperties and skip readOnly/writeOnly properties by direction', () => {
+    const schema = {
+      type: 'object',
+      properties: { id: { type: 'integer', readOnly: true }, password: { type: 'string', writeOnly: true } },
+      minProperties: 2
+    };
+
+    assert.deepStrictEqual(generateExample(schema, { direction: 'request' }), { password: 'string', property1: 'string' });
+    assert.deepStrictEqual(generateExample(schema, { direction: 'response' }), { id: 0, property1: 'string' });
+  });
+
+  it('should leave out optional properties beyond maxProperties', () => {
+    const schema = {
+      type: 'object',
+      required: ['c'],
+      properties: { a: { type: 'string' }, b: { type: 'string' }, c: { type: 'string' } },
+      maxProperties: 2
+    };
+
+    assert.deepStrictEqual(generateExample(schema), { a: 'string', c: 'string' });
+    assert.deepStrictEqual(generateExample({ ...schema, required: [], maxProperties: 1 }), { a: 'string' });
+  });
+
+  it('should pick values outside a not schema', () => {
+    const schema = { type: 'string', not: { enum: ['string'] } };
+
+    assert.strictEqual(generateExample(schema), 'string2');
+    assert.strictEqual(generateExample({ type: 'integer', minimum: 2, not: { multipleOf: 2 } }), 3);
+    assert.deepStrictEqual(validateJsonSchema(schema, generateExample(schema)), []);
+  });
+
+  it('should produce values that validate against their schema', () => {
+    const schema = {
+      type: 'object',
+      required: ['sku', 'quantity', 'tags'],
+      properties: {
+        sku: { type: 'string', pattern: '^SKU-[0-9]{6}$' },
+        quantity: { type: 'integer', minimum: 1, maximum: 99, multipleOf: 5 },
+        price: { type: 'number', exclusiveMinimum: 0 },
+        tags: { type: 'array', items: { type: 'string', minLength: 3 }, minItems: 2, uniqueItems: true },
+        contact: { type: ['string', 'null'], format: 'email' }
+      }
+    };
+
+    assert.deepStrictEqual(validateJsonSchema(schema, generateExample(schema)), []);
+  });
+});
+
+// ============================================================
+// Composition Tests
+// ============================================================
+
+describe('generateExample compositions', () => {
+  it('should merge allOf members including constraints', () => {
+    const merged = mergeAllOf({ allOf: [{ type: 'integer', minimum: 1 }, { minimum: 5, maximum: 9 }] });
+
+    assert.deepStrictEqual(merged, { type: 'integer', minimum: 5, maximum: 9 });
+    assert.strictEqual(generateExample({ allOf: [{ type: 'integer', minimum: 1 }, { minimum: 5 }] }), 5);
+  });
+
+  it('should generate oneOf values that match exactly one option', () => {
+    const schema = {
+      oneOf: [
+        { type: 'object', properties: { title: { type: 'string' } } },
+        { type: 'object', properties: { count: { type: 'integer' } } }
+      ]
+    };
+
+    assert.deepStrictEqual(generateExample(schema), { title: 'string', count: 'string' });
+    assert.deepStrictEqual(validateJsonSchema(schema, generateExample(schema)), []);
+    assert.strictEqual(generateExample({ oneOf: [{ type: 'integer', minimum: 1 }, { type: 'integer' }] }), 0, 'Falls back to the next option');
+    assert.strictEqual(generateExample({ anyOf: [{ type: 'integer', minimum: 1 }, { type: 'integer' }] }), 1);
+  });
+
+  it('should set the discriminator value for oneOf options', () => {
+    const { Cat, Dog, Pet } = createPetComponents();
+    const schema = { oneOf: [Dog, Cat], discriminator: Pet.discriminator };
+
+    assert.deepStrictEqual(generateExample(schema, { components: { Cat, Dog } }), { petType: 'dog', name: 'string', barks: true });
+  });
+
+  it('should set the discriminator value for allOf subtypes', () => {
+    const { Cat } = createPetComponents();
+
+    assert.deepStrictEqual(generateExample(Cat, { components: { Cat } }), { petType: 'cat', name: 'string', indoor: true });
+  });
+
+  it('should be used for request bodies', () => {
+    const body = buildRequestBodyExample({
+      content: {
+        'application/json': {
+          schema: { type: 'object', properties: { id: { type: 'string', readOnly: true }, email: { type: 'string', format: 'email' } } }
+        }
+      }
+    });
+
+    assert.deepStrictEqual(body, { email: 'user@example.com' });
+  });
+});
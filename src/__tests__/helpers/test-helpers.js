@@ -96,8 +96,18 @@ export class MockSpecHubClient {
     return { collection };
   }
 
-  async addTestScripts(collectionUid, testScripts) {
-    this._recordCall('addTestScripts', { collectionUid, testScripts });
+  async addTestScripts(collectionUid, testScripts, options = {}) {
+    this._recordCall('addTestScripts', { collectionUid, testScripts, options });
+    return { success: true };
+  }
+
+  async addRequestVariants(collectionUid, variantsByKey) {
+    this._recordCall('addRequestVariants', { collectionUid, variantsByKey });
+    return { success: true };
+  }
+
+  async addLifecycleFolders(collectionUid, lifecycles) {
+    this._recordCall('addLifecycleFolders', { collectionUid, lifecycles });
     return { success: true };
   }
 
@@ -0,0 +1,192 @@
+/**
+ * Lifecycle Generator Unit Tests
+ * Run with: node --test src/__tests__/lifecycle-generator.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  generateLifecycleTestsForSpec,
+  LifecyclePhase
+} from '../lifecycle-generator.js';
+import { buildCollections } from '../collection-builder.js';
+import { CollectionRunner } from '../collection-runner.js';
+import { generateEnvironments } from '../environment-generator.js';
+import { MockServer } from '../mock-server.js';
+
+import {
+  createMinimalSpec,
+  validateJavaScriptSyntax
+} from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const taskSchema = {
+  type: 'object',
+  required: ['id', 'title'],
+  properties: { id: { type: 'string' }, title: { type: 'string' } }
+};
+
+const errorSchema = {
+  type: 'object',
+  required: ['message'],
+  properties: { message: { type: 'string' } }
+};
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+
+function createTaskSpec(itemOperations = {}) {
+  return createMinimalSpec({
+    paths: {
+      '/tasks': {
+        get: { summary: 'List tasks', responses: { '200': { description: 'OK' } } },
+        post: { operationId: 'createTask', summary: 'Create task', responses: { '201': { description: 'Created', ...json(taskSchema) } } }
+      },
+      '/tasks/{taskId}': {
+        get: {
+          summary: 'Get task',
+          responses: {
+            '200': { description: 'OK', ...json(taskSchema) },
+            '404': { description: 'Not found', ...json(errorSchema) }
+          }
+        },
+        put: { summary: 'Update task', responses: { '200': { description: 'OK', ...json(taskSchema) } } },
+        delete: { summary: 'Delete task', responses: { '204': { description: 'Deleted' } } },
+        ...itemOperations
+      },
+      '/tasks/{taskId}/complete': {
+        post: { summary: 'Complete task', responses: { '200': { description: 'OK', ...json(taskSchema) } } }
+      },
+      '/health': {
+        get: { summary: 'Health', responses: { '200': { description: 'OK' } } }
+      }
+    }
+  });
+}
+
+// ============================================================
+// Lifecycle Tests
+// ============================================================
+
+describe('generateLifecycleTestsForSpec', () => {
+  it('should generate one lifecycle per resource family', () => {
+    const lifecycles = generateLifecycleTestsForSpec(createTaskSpec());
+
+    assert.strictEqual(lifecycles.length, 1);
+    assert.strictEqual(lifecycles[0].name, '/tasks lifecycle');
+    assert.strictEqual(lifecycles[0].idParam, 'taskId');
+    assert.strictEqual(lifecycles[0].idField, 'id');
+  });
+
+  it('should run create, read, update, sub-actions, delete, then read again', () => {
+    const [lifecycle] = generateLifecycleTestsForSpec(createTaskSpec());
+
+    assert.deepStrictEqual(lifecycle.steps.map(step => [step.phase, step.key]), [
+      [LifecyclePhase.CREATE, 'post|/tasks'],
+      [LifecyclePhase.READ, 'get|/tasks/{taskId}'],
+      [LifecyclePhase.UPDATE, 'put|/tasks/{taskId}'],
+      [LifecyclePhase.ACTION, 'post|/tasks/{taskId}/complete'],
+      [LifecyclePhase.DELETE, 'delete|/tasks/{taskId}'],
+      [LifecyclePhase.VERIFY_DELETED, 'get|/tasks/{taskId}']
+    ]);
+    assert.strictEqual(lifecycle.steps[5].name, '6. Read after delete: GET /tasks/{taskId}');
+  });
+
+  it('should include PATCH after PUT', () => {
+    const spec = createTaskSpec({
+      patch: { summary: 'Patch task', responses: { '200': { description: 'OK' } } }
+    });
+    const [lifecycle] = generateLifecycleTestsForSpec(spec);
+
+    assert.deepStrictEqual(
+      lifecycle.steps.filter(step => step.phase === LifecyclePhase.UPDATE).map(step => step.key),
+      ['put|/tasks/{taskId}', 'patch|/tasks/{taskId}']
+    );
+  });
+
+  it('should capture the created id and bind it on every later step', () => {
+    const [lifecycle] = generateLifecycleTestsForSpec(createTaskSpec());
+    const [create, ...rest] = lifecycle.steps;
+
+    assert.ok(create.script.join('\n').includes('pm.collectionVariables.set("createTask_taskId", value);'));
+    assert.deepStrictEqual(create.preRequest, ['pm.collectionVariables.unset("createTask_taskId");']);
+    assert.deepStrictEqual(create.request, {});
+    for (const step of rest) {
+      assert.deepStrictEqual(step.request, { pathVariables: { taskId: '{{createTask_taskId}}' } });
+    }
+  });
+
+  it('should address the created resource when the environment defines the path parameter', async () => {
+    const api = createTaskSpec();
+    const [environment] = generateEnvironments(api);
+    assert.ok(environment.values.some(value => value.key === 'taskId'));
+
+    const mock = new MockServer(api, { port: 0 });
+    const baseUrl = await mock.start();
+
+    try {
+      const { collection } = buildCollections(api, { testLevel: 'lifecycle' }).find(c => c.type === 'lifecycle');
+      const variables = Object.fromEntries(environment.values.map(value => [value.key, value.value]));
+      const result = await new CollectionRunner({ baseUrl, environment: variables }).run(collection);
+      const [create, ...rest] = result.executions;
+      const createdId = JSON.parse(create.response.body).id;
+
+      assert.notStrictEqual(createdId, variables.taskId);
+      assert.ok(rest.length > 0);
+      for (const execution of rest) {
+        assert.ok(execution.request.url.startsWith(`${baseUrl}/tasks/${createdId}`), execution.request.url);
+      }
+    } finally {
+      await mock.stop();
+    }
+  });
+
+  it('should carry contract assertions on every step', () => {
+    const [lifecycle] = generateLifecycleTestsForSpec(createTaskSpec());
+
+    for (const step of lifecycle.steps.slice(0, -1)) {
+      const script = step.script.join('\n');
+      assert.ok(script.includes('// Contract tests for:'), step.name);
+      assert.ok(validateJavaScriptSyntax(step.script).valid, step.name);
+    }
+    assert.ok(lifecycle.steps[1].script.join('\n').includes('Read returns the created resource'));
+  });
+
+  it('should expect 404 with the documented error schema after delete', () => {
+    const [lifecycle] = generateLifecycleTestsForSpec(createTaskSpec());
+    const verify = lifecycle.steps.at(-1);
+    const script = verify.script.join('\n');
+
+    assert.ok(validateJavaScriptSyntax(verify.script).valid);
+    assert.ok(script.includes('pm.response.to.have.status(404);'));
+    assert.ok(script.includes('Not found response matches schema for 404'));
+  });
+
+  it('should fall back to the 4XX response for the not found schema', () => {
+    const spec = createTaskSpec();
+    const responses = spec.paths['/tasks/{taskId}'].get.responses;
+    responses['4XX'] = responses['404'];
+    delete responses['404'];
+    const [lifecycle] = generateLifecycleTestsForSpec(spec);
+
+    assert.ok(lifecycle.steps.at(-1).script.join('\n').includes('Not found response matches schema for 4XX'));
+  });
+
+  it('should skip the final read when the resource cannot be deleted', () => {
+    const spec = createTaskSpec();
+    delete spec.paths['/tasks/{taskId}'].delete;
+    const [lifecycle] = generateLifecycleTestsForSpec(spec);
+
+    assert.strictEqual(lifecycle.steps.at(-1).phase, LifecyclePhase.ACTION);
+  });
+
+  it('should skip families without an identifiable id', () => {
+    const spec = createTaskSpec();
+    spec.paths['/tasks'].post.responses['201'] = { description: 'Created' };
+
+    assert.deepStrictEqual(generateLifecycleTestsForSpec(spec), []);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Linter Unit Tests
+ * Run with: node --test src/__tests__/linter.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { lintSpec, hasFailures, formatLintText, generateLintSarif, LINT_RULES, LintSeverity } from '../linter.js';
+import { parseSpec } from '../parser.js';
+import { createMinimalSpec, getFixturePath } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const taskSchema = {
+  type: 'object',
+  required: ['id', 'title'],
+  properties: {
+    id: { type: 'string', readOnly: true },
+    title: { type: 'string' },
+    status: { type: 'string', enum: ['open', 'done'] }
+  }
+};
+
+function createLintSpec() {
+  return createMinimalSpec({
+    security: [{ apiKey: [] }],
+    paths: {
+      '/tasks/{taskId}': {
+        get: {
+          parameters: [{ name: 'taskId', in: 'path', required: true }],
+          responses: {
+            '200': { description: 'OK', content: { 'application/json': { schema: taskSchema, example: { id: 't-1', title: 'Write', status: 'later' } } } },
+            '404': { description: 'Not found', content: { 'application/json': {} } }
+          }
+        },
+        put: {
+          operationId: 'updateTask',
+          security: [],
+          parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' }, example: 't-1' }],
+          requestBody: { content: { 'application/json': { schema: taskSchema, examples: { valid: { value: { title: 'Write' } } } } } },
+          responses: { '200': { description: 'OK' }, '400': { description: 'Invalid' } }
+        }
+      }
+    }
+  });
+}
+
+function findingsFor(report, ruleId) {
+  return report.findings.filter(finding => finding.ruleId === ruleId);
+}
+
+// ============================================================
+// lintSpec Tests
+// ============================================================
+
+describe('lintSpec', () => {
+  it('should report missing operationIds, 4xx and 401 responses', () => {
+    const report = lintSpec(createLintSpec());
+
+    assert.deepStrictEqual(findingsFor(report, 'operation-id').map(finding => finding.operation), ['GET /tasks/{taskId}']);
+    assert.deepStrictEqual(findingsFor(report, 'secured-operation-401').map(finding => finding.operation), ['GET /tasks/{taskId}']);
+    assert.deepStrictEqual(findingsFor(report, 'operation-4xx-response'), []);
+  });
+
+  it('should report responses without schema or example', () => {
+    const messages = findingsFor(lintSpec(createLintSpec()), 'response-schema').map(finding => finding.message);
+
+    assert.deepStrictEqual(messages, [
+      'Response 404 (application/json) has no schema or example',
+      'Response 200 has no content'
+    ]);
+  });
+
+  it('should report examples that break their schema', () => {
+    const [finding, ...rest] = findingsFor(lintSpec(createLintSpec()), 'example-valid');
+
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(finding.severity, 'error');
+    assert.strictEqual(finding.pointer, '/paths/~1tasks~1{taskId}/get/responses/200/content/application~1json/example');
+    assert.match(finding.message, /^Response 200 \(application\/json\) example does not match its schema: \/status/);
+  });
+
+  it('should report path parameters without a schema', () => {
+    const [finding] = findingsFor(lintSpec(createLintSpec()), 'path-parameter-schema');
+
+    assert.strictEqual(finding.message, 'Path parameter "taskId" has no schema');
+    assert.strictEqual(finding.pointer, '/paths/~1tasks~1{taskId}/get/parameters/0');
+  });
+
+  it('should apply severity overrides and disable rules', () => {
+    const report = lintSpec(createLintSpec(), { severities: { 'example-valid': 'warning', 'operation-id': 'off' } });
+
+    assert.strictEqual(findingsFor(report, 'example-valid')[0].severity, 'warning');
+    assert.deepStrictEqual(findingsFor(report, 'operation-id'), []);
+    assert.strictEqual(report.rules.find(rule => rule.id === 'operation-id').severity, 'off');
+  });
+
+  it('should reject unknown rules and severities', () => {
+    assert.throws(() => lintSpec(createLintSpec(), { severities: { 'no-such-rule': 'error' } }), /Unknown lint rule: no-such-rule/);
+    assert.throws(() => lintSpec(createLintSpec(), { severities: { 'operation-id': 'fatal' } }), /Invalid severity "fatal"/);
+  });
+
+  it('should run custom rules next to the built-in ones', () => {
+    const summaryRule = {
+      id: 'operation-summary',
+      description: 'Operations need a summary',
+      severity: LintSeverity.INFO,
+      check: endpoint => (endpoint.raw.summary ? [] : [{ message: 'Operation has no summary' }])
+    };
+    const report = lintSpec(createLintSpec(), { rules: [...LINT_RULES, summaryRule] });
+
+    assert.strictEqual(findingsFor(report, 'operation-summary').length, 2);
+    assert.strictEqual(report.summary.info, 2);
+  });
+
+  it('should pass a spec that covers every rule', async () => {
+    const api = await parseSpec(getFixturePath('minimal-spec.yaml'));
+    const report = lintSpec(api, { severities: { 'operation-4xx-response': 'off' } });
+
+    assert.deepStrictEqual(report.summary, { error: 0, warning: 0, info: 0 });
+  });
+});
+
+// ============================================================
+// Output Tests
+// ============================================================
+
+describe('hasFailures', () => {
+  it('should compare findings with the fail-on severity', () => {
+    const report = lintSpec(createLintSpec(), { severities: { 'example-valid': 'off', 'path-parameter-schema': 'off' } });
+
+    assert.strictEqual(hasFailures(report), false);
+    assert.strictEqual(hasFailures(report, 'warning'), true);
+    assert.strictEqual(hasFailures(lintSpec(createLintSpec()), 'off'), false);
+    assert.throws(() => hasFailures(report, 'fatal'), /Unknown severity/);
+  });
+});
+
+describe('lint output', () => {
+  it('should format findings and totals as text', () => {
+    const text = formatLintText(lintSpec(createLintSpec()));
+
+    assert.match(text, /^warning  operation-id +GET \/tasks\/\{taskId\}: Operation has no operationId$/m);
+    assert.match(text, /2 errors, 4 warnings, 0 info$/);
+  });
+
+  it('should generate SARIF with rule levels and spec locations', () => {
+    const specPath = getFixturePath('minimal-spec.yaml');
+    const report = lintSpec(createMinimalSpec({ paths: { '/health': { get: { responses: { '200': { description: 'OK' } } } } } }));
+    const sarif = generateLintSarif(report, { specPath });
+    const [run] = sarif.runs;
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(run.tool.driver.rules.length, LINT_RULES.length);
+    assert.deepStrictEqual(run.results.map(result => [result.ruleId, result.level]), [
+      ['operation-id', 'warning'],
+      ['operation-4xx-response', 'warning'],
+      ['response-schema', 'warning']
+    ]);
+    assert.strictEqual(run.results[0].ruleIndex, 0);
+    assert.match(run.results[0].locations[0].physicalLocation.artifactLocation.uri, /minimal-spec\.yaml$/);
+    assert.ok(run.results[0].locations[0].physicalLocation.region.startLine > 0);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Overlay Unit Tests
+ * Run with: node --test src/__tests__/overlay.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+
+import { applyOverlays, queryJsonPath, diffDocuments, formatDiff, loadOverlay, OverlayError } from '../overlay.js';
+import { parseSpec } from '../parser.js';
+import { bundleSpec } from '../bundler.js';
+import { createMinimalSpec, createTempDir, getFixturePath } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+function createOverlaySpec() {
+  return createMinimalSpec({
+    paths: {
+      '/tasks': {
+        get: {
+          operationId: 'listTasks',
+          tags: ['Tasks'],
+          parameters: [
+            { name: 'limit', in: 'query', schema: { type: 'integer' } },
+            { name: 'X-Trace', in: 'header', schema: { type: 'string' } }
+          ],
+          responses: { '200': { description: 'OK' } }
+        }
+      },
+      '/internal/metrics': {
+        get: { operationId: 'metrics', 'x-internal': true, responses: { '200': { description: 'OK' } } }
+      }
+    }
+  });
+}
+
+function overlay(...actions) {
+  return { overlay: '1.0.0', info: { title: 'Test overlay', version: '1.0.0' }, actions };
+}
+
+const tempDir = createTempDir();
+
+after(() => tempDir.cleanup());
+
+// ============================================================
+// queryJsonPath Tests
+// ============================================================
+
+describe('queryJsonPath', () => {
+  it('should select by name, bracket name, index and wildcard', () => {
+    const spec = createOverlaySpec();
+
+    assert.deepStrictEqual(queryJsonPath(spec, '$.info.title').map(match => match.value), ['Test API']);
+    assert.deepStrictEqual(queryJsonPath(spec, "$.paths['/tasks'].get.parameters[1].name").map(match => match.value), ['X-Trace']);
+    assert.deepStrictEqual(queryJsonPath(spec, '$.paths.*.get.operationId').map(match => match.value), ['listTasks', 'metrics']);
+    assert.deepStrictEqual(queryJsonPath(spec, '$.paths[*].get.parameters[-1].in').map(match => match.value), ['header']);
+  });
+
+  it('should select with recursive descent and filters', () => {
+    const spec = createOverlaySpec();
+
+    assert.deepStrictEqual(queryJsonPath(spec, '$..operationId').map(match => match.value), ['listTasks', 'metrics']);
+    assert.deepStrictEqual(queryJsonPath(spec, "$..parameters[?(@.in == 'query')]").map(match => match.value.name), ['limit']);
+    assert.deepStrictEqual(queryJsonPath(spec, "$.paths.*[?@['x-internal']]").map(match => match.path), [['paths', '/internal/metrics', 'get']]);
+    assert.deepStrictEqual(queryJsonPath(spec, '$..parameters[?(@.schema.type != "integer")].name').map(match => match.value), ['X-Trace']);
+  });
+
+  it('should reject unsupported expressions', () => {
+    assert.throws(() => queryJsonPath({}, 'paths'), OverlayError);
+    assert.throws(() => queryJsonPath({}, '$.paths[?(@.a =~ /x/)]'), /Unsupported JSONPath/);
+  });
+});
+
+// ============================================================
+// applyOverlays Tests
+// ============================================================
+
+describe('applyOverlays', () => {
+  it('should merge updates into objects and append to arrays', () => {
+    const spec = createOverlaySpec();
+    const result = applyOverlays(spec, [overlay(
+      { target: '$.info', update: { title: 'Vendor API', 'x-logo': { url: 'https://example.com/logo.png' } } },
+      { target: "$.paths['/tasks'].get", update: { tags: ['Vendor'], responses: { '429': { description: 'Slow down' } } } },
+      { target: "$.paths['/tasks'].get.parameters", update: { name: 'X-Vendor', in: 'header', schema: { type: 'string' } } }
+    )]);
+    const operation = result.paths['/tasks'].get;
+
+    assert.strictEqual(result.info.title, 'Vendor API');
+    assert.strictEqual(result.info.version, '1.0.0');
+    assert.deepStrictEqual(operation.tags, ['Vendor']);
+    assert.deepStrictEqual(Object.keys(operation.responses), ['200', '429']);
+    assert.deepStrictEqual(operation.parameters.map(parameter => parameter.name), ['limit', 'X-Trace', 'X-Vendor']);
+    assert.strictEqual(spec.info.title, 'Test API');
+  });
+
+  it('should remove selected nodes, including several array items', () => {
+    const result = applyOverlays(createOverlaySpec(), [overlay(
+      { target: "$.paths[?@.get['x-internal']]", remove: true },
+      { target: '$..parameters[*]', remove: true }
+    )]);
+
+    assert.deepStrictEqual(Object.keys(result.paths), ['/tasks']);
+    assert.deepStrictEqual(result.paths['/tasks'].get.parameters, []);
+  });
+
+  it('should apply overlays in order', () => {
+    const result = applyOverlays(createOverlaySpec(), [
+      overlay({ target: '$.info', update: { description: 'First' } }),
+      overlay({ target: "$.info[?(@ == 'First')]", remove: true }, { target: '$.info', update: { summary: 'Second' } })
+    ]);
+
+    assert.deepStrictEqual(result.info, { title: 'Test API', version: '1.0.0', summary: 'Second' });
+  });
+
+  it('should reject invalid overlays and scalar update targets', () => {
+    const spec = createOverlaySpec();
+
+    assert.throws(() => applyOverlays(spec, [{ actions: [] }]), /Not an OpenAPI Overlay/);
+    assert.throws(() => applyOverlays(spec, [overlay({ target: '$.info' })]), /needs "update" or "remove: true"/);
+    assert.throws(() => applyOverlays(spec, [overlay({ target: '$.info.title', update: 'x' })]), /update targets must be objects or arrays/);
+    assert.throws(() => applyOverlays(spec, [overlay({ target: '$', remove: true })]), /Cannot remove the document root/);
+  });
+});
+
+// ============================================================
+// Pipeline Tests
+// ============================================================
+
+describe('overlays in the pipeline', () => {
+  const overlayPath = path.join(tempDir.path, 'vendor.yaml');
+  fs.writeFileSync(overlayPath, [
+    'overlay: 1.0.0',
+    'info: { title: Vendor, version: 1.0.0 }',
+    'actions:',
+    '  - target: $.info',
+    '    update: { title: Vendor Minimal API }',
+    "  - target: $.paths['/health'].get.responses",
+    "    update: { '503': { description: Unavailable } }"
+  ].join('\n'));
+
+  it('should load overlay files', () => {
+    assert.strictEqual(loadOverlay(overlayPath).actions.length, 2);
+    assert.throws(() => loadOverlay(path.join(tempDir.path, 'missing.yaml')), /Overlay file not found/);
+  });
+
+  it('should apply overlays in parseSpec before dereferencing', async () => {
+    const api = await parseSpec(getFixturePath('minimal-spec.yaml'), { overlays: [overlayPath] });
+
+    assert.strictEqual(api.info.title, 'Vendor Minimal API');
+    assert.deepStrictEqual(Object.keys(api.paths['/health'].get.responses), ['200', '503']);
+  });
+
+  it('should parse split specs from the same bundle that is uploaded', async () => {
+    const specPath = getFixturePath('split-spec/openapi.yaml');
+    const overlays = [overlay({ target: '$.components.schemas.user.properties.name', update: { maxLength: 40 } })];
+
+    const api = await parseSpec(specPath, { overlays });
+    const bundle = bundleSpec(specPath, { overlays });
+
+    assert.strictEqual(api.components.schemas.Task.properties.owner.properties.name.maxLength, 40);
+    assert.strictEqual(bundle.spec.components.schemas.user.properties.name.maxLength, 40);
+  });
+
+  it('should upload the overlaid bundle and describe the changes', () => {
+    const specPath = getFixturePath('minimal-spec.yaml');
+    const { spec } = bundleSpec(specPath);
+    const bundle = bundleSpec(specPath, { overlays: [overlayPath] });
+    const changes = diffDocuments(spec, bundle.spec);
+
+    assert.match(bundle.content, /title: Vendor Minimal API/);
+    assert.strictEqual(formatDiff(changes), [
+      '~ $.info.title: "Minimal API" -> "Vendor Minimal API"',
+      "+ $.paths['/health'].get.responses['503']: {\"description\":\"Unavailable\"}"
+    ].join('\n'));
+    assert.strictEqual(formatDiff([]), 'No changes');
+  });
+});
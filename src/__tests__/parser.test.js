@@ -12,11 +12,14 @@ import {
   parseSpec,
   extractEndpoints,
   getResponseSchema,
+  getResponseForStatus,
+  getResponseHeaders,
   getRequiredFields,
   getExample,
   buildRequestBodyExample,
   convertPathParams,
-  getBaseUrl
+  getBaseUrl,
+  resolveServerUrl
 } from '../parser.js';
 
 import {
@@ -325,6 +328,83 @@ describe('getResponseSchema', () => {
   });
 });
 
+// ============================================================
+// getResponseForStatus Tests
+// ============================================================
+
+describe('getResponseForStatus', () => {
+  const responses = {
+    '200': { description: 'OK' },
+    '404': { description: 'Not found' },
+    '4XX': { description: 'Client error' },
+    default: { description: 'Unexpected error' }
+  };
+
+  it('should prefer the exact status code', () => {
+    const result = getResponseForStatus(responses, 404);
+    assert.strictEqual(result.key, '404');
+    assert.strictEqual(result.response.description, 'Not found');
+  });
+
+  it('should fall back to the status code range', () => {
+    assert.strictEqual(getResponseForStatus(responses, 422).key, '4XX');
+    assert.strictEqual(getResponseForStatus({ '5xx': {} }, '503').key, '5xx');
+  });
+
+  it('should fall back to the default response', () => {
+    assert.strictEqual(getResponseForStatus(responses, 500).key, 'default');
+  });
+
+  it('should return null for undocumented status codes', () => {
+    assert.strictEqual(getResponseForStatus({ '200': {} }, 500), null);
+    assert.strictEqual(getResponseForStatus(undefined, 200), null);
+  });
+});
+
+// ============================================================
+// getResponseHeaders Tests
+// ============================================================
+
+describe('getResponseHeaders', () => {
+  it('should extract declared headers with their schemas', () => {
+    const headers = getResponseHeaders({
+      headers: {
+        ETag: { required: true, schema: { type: 'string' }, description: 'Entity tag' },
+        'RateLimit-Limit': { schema: { type: 'integer' } }
+      }
+    });
+
+    assert.deepStrictEqual(headers, [
+      { name: 'ETag', required: true, schema: { type: 'string' }, description: 'Entity tag' },
+      { name: 'RateLimit-Limit', required: false, schema: { type: 'integer' }, description: '' }
+    ]);
+  });
+
+  it('should skip Content-Type and unresolved references', () => {
+    const headers = getResponseHeaders({
+      headers: {
+        'content-type': { schema: { type: 'string' } },
+        'X-Trace': { $ref: '#/components/headers/Trace' }
+      }
+    });
+
+    assert.deepStrictEqual(headers, []);
+  });
+
+  it('should read the schema from header content', () => {
+    const [header] = getResponseHeaders({
+      headers: { 'X-Meta': { content: { 'application/json': { schema: { type: 'object' } } } } }
+    });
+
+    assert.deepStrictEqual(header.schema, { type: 'object' });
+  });
+
+  it('should return an empty array when no headers are declared', () => {
+    assert.deepStrictEqual(getResponseHeaders({ description: 'OK' }), []);
+    assert.deepStrictEqual(getResponseHeaders(undefined), []);
+  });
+});
+
 // ============================================================
 // getRequiredFields Tests
 // ============================================================
@@ -516,6 +596,21 @@ describe('getExample', () => {
     assert.strictEqual(example[0], 'string');
   });
 
+  it('should merge allOf members into one example', () => {
+    const schema = {
+      allOf: [
+        { type: 'object', properties: { name: { type: 'string' } } },
+        { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } }
+      ]
+    };
+
+    assert.deepStrictEqual(getExample(schema), { name: 'string', id: 1 });
+  });
+
+  it('should use the first oneOf option', () => {
+    assert.strictEqual(getExample({ oneOf: [{ type: 'boolean' }, { type: 'string' }] }), true);
+  });
+
   it('should generate object example from properties', () => {
     const schema = {
       type: 'object',
@@ -694,7 +789,24 @@ describe('getBaseUrl', () => {
     assert.strictEqual(getBaseUrl(api), 'https://api.example.com');
   });
 
-  it('should handle server URL with variables', () => {
+  it('should fill in server variables with their defaults', () => {
+    const api = {
+      servers: [
+        {
+          url: 'https://{environment}.example.com/{basePath}',
+          description: 'Variable',
+          variables: {
+            environment: { default: 'staging', enum: ['staging', 'prod'] },
+            basePath: { default: 'v2' }
+          }
+        }
+      ]
+    };
+
+    assert.strictEqual(getBaseUrl(api), 'https://staging.example.com/v2');
+  });
+
+  it('should keep placeholders without a server variable', () => {
     const api = {
       servers: [
         { url: 'https://{environment}.example.com', description: 'Variable' }
@@ -704,3 +816,12 @@ describe('getBaseUrl', () => {
     assert.strictEqual(getBaseUrl(api), 'https://{environment}.example.com');
   });
 });
+
+describe('resolveServerUrl', () => {
+  it('should prefer given values over defaults', () => {
+    const server = { url: '{scheme}://{region}.example.com', variables: { scheme: { default: 'https' }, region: { enum: ['us', 'eu'] } } };
+
+    assert.strictEqual(resolveServerUrl(server), 'https://us.example.com');
+    assert.strictEqual(resolveServerUrl(server, { region: 'eu' }), 'https://eu.example.com');
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Reporter Unit Tests
+ * Run with: node --test src/__tests__/reporters.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  generateJUnitReport,
+  generateSarifReport,
+  generateHtmlReport,
+  locateOperations,
+  writeReports
+} from '../reporters.js';
+import { createMinimalSpec } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const SPEC_YAML = `openapi: 3.0.3
+info:
+  title: Test API
+  version: 1.0.0
+paths:
+  /tasks:
+    get:
+      summary: List tasks
+      tags: [Tasks]
+      responses:
+        '200':
+          description: OK
+  /tasks/{taskId}:
+    get:
+      summary: Get task
+      tags: [Tasks]
+      responses:
+        '200':
+          description: OK
+  /health:
+    get:
+      summary: Health check
+      responses:
+        '200':
+          description: OK
+`;
+
+function createApi() {
+  return createMinimalSpec({
+    paths: {
+      '/tasks': { get: { summary: 'List tasks', tags: ['Tasks'], responses: { '200': { description: 'OK' } } } },
+      '/tasks/{taskId}': { get: { summary: 'Get task', tags: ['Tasks'], responses: { '200': { description: 'OK' } } } },
+      '/health': { get: { summary: 'Health check', responses: { '200': { description: 'OK' } } } }
+    }
+  });
+}
+
+const statusAssertion = 'pm.test("Status code is 200", function () {\n    pm.response.to.have.status(200);\n});';
+
+function createResults() {
+  const executions = [
+    {
+      name: 'List tasks',
+      folder: ['Tasks'],
+      key: 'get|/tasks',
+      request: { method: 'GET', url: 'http://localhost/tasks' },
+      response: { code: 200, responseTime: 12 },
+      tests: [{ name: 'Status code is 200', passed: true, assertion: { line: 1, source: statusAssertion } }],
+      error: null
+    },
+    {
+      name: 'Get task',
+      folder: ['Tasks'],
+      key: 'get|/tasks/{taskId}',
+      request: { method: 'GET', url: 'http://localhost/tasks/t-1' },
+      response: { code: 500, responseTime: 30 },
+      tests: [
+        { name: 'Status code is 200', passed: false, error: 'expected 500 to equal 200 <&>', assertion: { line: 1, source: statusAssertion } },
+        { name: 'Response time is acceptable', passed: true, assertion: null }
+      ],
+      error: null
+    },
+    {
+      name: 'Health check',
+      folder: [],
+      key: 'get|/health',
+      request: { method: 'GET', url: 'http://localhost/health' },
+      response: null,
+      tests: [],
+      error: 'connect ECONNREFUSED'
+    }
+  ];
+
+  return [{
+    collection: 'Test API - Contract Tests',
+    executions,
+    stats: { requests: 3, requestErrors: 1, tests: 3, passed: 2, failed: 1 }
+  }];
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporters-'));
+const specPath = path.join(tmpDir, 'api.yaml');
+fs.writeFileSync(specPath, SPEC_YAML);
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// ============================================================
+// Tests
+// ============================================================
+
+describe('locateOperations', () => {
+  it('should find the line of every operation in a YAML spec', () => {
+    assert.deepStrictEqual(locateOperations(specPath), {
+      'get|/tasks': { line: 7, column: 5 },
+      'get|/tasks/{taskId}': { line: 14, column: 5 },
+      'get|/health': { line: 21, column: 5 }
+    });
+  });
+
+  it('should locate operations in JSON specs', () => {
+    const jsonPath = path.join(tmpDir, 'api.json');
+    const json = JSON.stringify(createApi(), null, 2);
+    fs.writeFileSync(jsonPath, json);
+
+    const lines = json.split('\n');
+    const healthLine = lines.findIndex(line => line.includes('"/health"')) + 2;
+    assert.deepStrictEqual(locateOperations(jsonPath)['get|/health'], { line: healthLine, column: 7 });
+  });
+});
+
+describe('generateJUnitReport', () => {
+  it('should write one testcase per test with escaped failures and request errors', () => {
+    const report = generateJUnitReport(createResults());
+
+    assert.ok(report.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.ok(report.includes('<testsuites name="spec-sync" tests="4" failures="1" errors="1">'));
+    assert.ok(report.includes('<testsuite name="Test API - Contract Tests" tests="4" failures="1" errors="1" time="0.042">'));
+    assert.ok(report.includes('<failure message="expected 500 to equal 200 &lt;&amp;&gt;" type="AssertionError">'));
+    assert.ok(report.includes('pm.test(&quot;Status code is 200&quot;'));
+    assert.ok(report.includes('<error message="connect ECONNREFUSED" type="RequestError">'));
+    assert.strictEqual(report.match(/<testcase /g).length, 4);
+  });
+});
+
+describe('generateSarifReport', () => {
+  it('should locate failures at the operation in the spec', () => {
+    const sarif = generateSarifReport(createResults(), { specPath });
+    const [run] = sarif.runs;
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['status-code-is-200', 'request-error']);
+    assert.strictEqual(run.results.length, 2);
+
+    const [failure, requestError] = run.results;
+    assert.strictEqual(failure.message.text, 'GET /tasks/{taskId}: Status code is 200 - expected 500 to equal 200 <&>');
+    assert.deepStrictEqual(failure.locations[0].physicalLocation.region, { startLine: 14, startColumn: 5 });
+    assert.strictEqual(failure.properties.assertion, statusAssertion);
+    assert.strictEqual(requestError.ruleIndex, 1);
+    assert.strictEqual(requestError.locations[0].physicalLocation.region.startLine, 21);
+  });
+
+  it('should fall back to logical locations without a spec', () => {
+    const [failure] = generateSarifReport(createResults()).runs[0].results;
+
+    assert.strictEqual(failure.locations[0].physicalLocation, undefined);
+    assert.deepStrictEqual(failure.locations[0].logicalLocations, [{ name: 'get|/tasks/{taskId}', kind: 'function' }]);
+  });
+});
+
+describe('generateHtmlReport', () => {
+  it('should group executions by tag and operation in spec order', () => {
+    const report = generateHtmlReport(createResults(), { api: createApi() });
+
+    assert.ok(report.startsWith('<!DOCTYPE html>'));
+    assert.ok(report.indexOf('<h2>Tasks</h2>') < report.indexOf('<h2>default</h2>'));
+    assert.ok(report.indexOf('<code>GET /tasks</code>') < report.indexOf('<code>GET /tasks/{taskId}</code>'));
+    assert.ok(report.includes('<details class="operation failed" open>'));
+    assert.ok(report.includes('expected 500 to equal 200 &lt;&amp;&gt;'));
+    assert.ok(report.includes('Request failed: connect ECONNREFUSED'));
+    assert.ok(report.includes('<span>1 failed</span>'));
+  });
+
+  it('should group by folder without a spec', () => {
+    const report = generateHtmlReport(createResults());
+
+    assert.ok(report.includes('<h2>Tasks</h2>'));
+    assert.ok(report.includes('<h2>Other requests</h2>'));
+  });
+});
+
+describe('writeReports', () => {
+  it('should write the selected formats', () => {
+    const outDir = path.join(tmpDir, 'reports');
+    const written = writeReports(createResults(), { formats: ['junit', 'sarif', 'html'], outDir, api: createApi(), specPath });
+
+    assert.deepStrictEqual(written.map(file => path.basename(file.filepath)), [
+      'contract-tests.junit.xml',
+      'contract-tests.sarif',
+      'contract-tests.html'
+    ]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(written[1].filepath, 'utf8')).runs[0].results.length, 2);
+  });
+
+  it('should reject unknown formats', () => {
+    assert.throws(() => writeReports([], { formats: ['pdf'], outDir: tmpDir }), /Unknown report format: pdf/);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Swagger 2.0 Converter Unit Tests
+ * Run with: node --test src/__tests__/swagger-converter.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+import { isSwagger2, convertSwagger2 } from '../swagger-converter.js';
+import { parseSpec, extractEndpoints, getBaseUrl } from '../parser.js';
+import { buildCollections } from '../collection-builder.js';
+import { CollectionRunner } from '../collection-runner.js';
+import { MockServer } from '../mock-server.js';
+import { getFixturePath } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+function createSwaggerSpec(overrides = {}) {
+  return {
+    swagger: '2.0',
+    info: { title: 'Legacy API', version: '1.0.0' },
+    paths: {},
+    ...overrides
+  };
+}
+
+// ============================================================
+// isSwagger2 Tests
+// ============================================================
+
+describe('isSwagger2', () => {
+  it('should detect Swagger 2.0 documents', () => {
+    assert.strictEqual(isSwagger2(createSwaggerSpec()), true);
+    assert.strictEqual(isSwagger2({ openapi: '3.0.3' }), false);
+    assert.strictEqual(isSwagger2(null), false);
+  });
+});
+
+// ============================================================
+// convertSwagger2 Tests
+// ============================================================
+
+describe('convertSwagger2', () => {
+  it('should build servers from host, basePath and schemes', () => {
+    const converted = convertSwagger2(createSwaggerSpec({ host: 'api.example.com', basePath: '/v2/', schemes: ['https', 'http'] }));
+
+    assert.strictEqual(converted.openapi, '3.0.3');
+    assert.deepStrictEqual(converted.servers, [{ url: 'https://api.example.com/v2' }, { url: 'http://api.example.com/v2' }]);
+    assert.deepStrictEqual(convertSwagger2(createSwaggerSpec({ basePath: '/v2' })).servers, [{ url: '/v2' }]);
+  });
+
+  it('should move body parameters to requestBody using consumes', () => {
+    const converted = convertSwagger2(createSwaggerSpec({
+      consumes: ['application/json', 'application/xml'],
+      paths: {
+        '/items': {
+          post: {
+            parameters: [
+              { name: 'item', in: 'body', required: true, description: 'Item', schema: { type: 'object' }, 'x-examples': { 'application/json': { id: 1 } } },
+              { name: 'dryRun', in: 'query', type: 'boolean' }
+            ],
+            responses: { '201': { description: 'Created' } }
+          }
+        }
+      }
+    }));
+    const operation = converted.paths['/items'].post;
+
+    assert.deepStrictEqual(operation.requestBody, {
+      description: 'Item',
+      required: true,
+      content: {
+        'application/json': { schema: { type: 'object' }, example: { id: 1 } },
+        'application/xml': { schema: { type: 'object' } }
+      }
+    });
+    assert.deepStrictEqual(operation.parameters, [{ name: 'dryRun', in: 'query', schema: { type: 'boolean' } }]);
+  });
+
+  it('should turn formData parameters into a form body', () => {
+    const converted = convertSwagger2(createSwaggerSpec({
+      paths: {
+        '/login': {
+          post: {
+            parameters: [
+              { name: 'username', in: 'formData', type: 'string', required: true },
+              { name: 'remember', in: 'formData', type: 'boolean' }
+            ],
+            responses: { '200': { description: 'OK' } }
+          }
+        }
+      }
+    }));
+
+    assert.deepStrictEqual(converted.paths['/login'].post.requestBody, {
+      required: true,
+      content: {
+        'application/x-www-form-urlencoded': {
+          schema: { type: 'object', properties: { username: { type: 'string' }, remember: { type: 'boolean' } }, required: ['username'] }
+        }
+      }
+    });
+  });
+
+  it('should convert responses with produces, headers and examples', () => {
+    const converted = convertSwagger2(createSwaggerSpec({
+      produces: ['application/json'],
+      paths: {
+        '/items': {
+          get: {
+            responses: {
+              '200': {
+                description: 'OK',
+                headers: { 'X-Rate-Limit': { type: 'integer', description: 'Remaining requests' } },
+                schema: { type: 'array', items: { $ref: '#/definitions/Item' } },
+                examples: { 'application/json': [{ id: 1 }] }
+              }
+            }
+          }
+        }
+      },
+      definitions: { Item: { type: 'object', properties: { id: { type: 'integer' }, note: { type: 'string', 'x-nullable': true } } } }
+    }));
+
+    assert.deepStrictEqual(converted.paths['/items'].get.responses['200'], {
+      description: 'OK',
+      headers: { 'X-Rate-Limit': { schema: { type: 'integer' }, description: 'Remaining requests' } },
+      content: {
+        'application/json': {
+          schema: { type: 'array', items: { $ref: '#/components/schemas/Item' } },
+          example: [{ id: 1 }]
+        }
+      }
+    });
+    assert.deepStrictEqual(converted.components.schemas.Item.properties.note, { type: 'string', nullable: true });
+  });
+
+  it('should serialize array parameters like their collectionFormat', () => {
+    const converted = convertSwagger2(createSwaggerSpec({
+      paths: {
+        '/items': {
+          get: {
+            parameters: [
+              { name: 'ids', in: 'query', type: 'array', items: { type: 'integer' } },
+              { name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' },
+              { name: 'X-Fields', in: 'header', type: 'array', items: { type: 'string' }, collectionFormat: 'pipes' }
+            ],
+            responses: { '200': { description: 'OK' } }
+          }
+        }
+      }
+    }));
+    const [ids, tags, fields] = converted.paths['/items'].get.parameters;
+
+    assert.deepStrictEqual([ids.style, ids.explode], ['form', false]);
+    assert.deepStrictEqual([tags.style, tags.explode], ['form', true]);
+    assert.deepStrictEqual([fields.style, fields.explode], ['pipeDelimited', false]);
+  });
+
+  it('should convert securityDefinitions to securitySchemes', () => {
+    const converted = convertSwagger2(createSwaggerSpec({
+      securityDefinitions: {
+        basicAuth: { type: 'basic' },
+        apiKey: { type: 'apiKey', name: 'api_key', in: 'query' },
+        oauth: { type: 'oauth2', flow: 'application', tokenUrl: 'https://auth.example.com/token', scopes: { read: 'Read' } }
+      }
+    }));
+
+    assert.deepStrictEqual(converted.components.securitySchemes, {
+      basicAuth: { type: 'http', scheme: 'basic' },
+      apiKey: { type: 'apiKey', name: 'api_key', in: 'query' },
+      oauth: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: { read: 'Read' } } } }
+    });
+  });
+
+  it('should resolve shared parameters and rewrite component refs', () => {
+    const converted = convertSwagger2(createSwaggerSpec({
+      parameters: {
+        itemBody: { name: 'item', in: 'body', schema: { $ref: '#/definitions/Item' } },
+        limit: { name: 'limit', in: 'query', type: 'integer' }
+      },
+      responses: { NotFound: { description: 'Not found' } },
+      definitions: { Item: { type: 'object' } },
+      paths: {
+        '/items': {
+          put: {
+            parameters: [{ $ref: '#/parameters/itemBody' }],
+            responses: { '404': { $ref: '#/responses/NotFound' } }
+          }
+        }
+      }
+    }));
+    const operation = converted.paths['/items'].put;
+
+    assert.deepStrictEqual(operation.requestBody.content['application/json'].schema, { $ref: '#/components/schemas/Item' });
+    assert.deepStrictEqual(operation.responses['404'], { $ref: '#/components/responses/NotFound' });
+    assert.deepStrictEqual(Object.keys(converted.components.parameters), ['limit']);
+    assert.deepStrictEqual(Object.keys(converted.components.requestBodies), ['itemBody']);
+  });
+});
+
+// ============================================================
+// parseSpec Integration Tests
+// ============================================================
+
+describe('parseSpec with Swagger 2.0', () => {
+  it('should load Swagger 2.0 specs as OpenAPI 3.0', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+    const endpoints = extractEndpoints(api);
+
+    assert.strictEqual(api.openapi, '3.0.3');
+    assert.strictEqual(getBaseUrl(api), 'https://legacy.example.com/api');
+    assert.deepStrictEqual(endpoints.map(endpoint => `${endpoint.method} ${endpoint.path}`), [
+      'GET /pets',
+      'POST /pets',
+      'GET /pets/{petId}',
+      'POST /pets/{petId}/photo'
+    ]);
+    assert.strictEqual(endpoints[2].parameters[0].example, 'pet-1');
+    assert.ok(endpoints[1].requestBody.content['application/json'].schema.properties.name);
+    assert.ok(endpoints[3].requestBody.content['multipart/form-data']);
+  });
+
+  describe('generated collections', () => {
+    let api;
+    let mock;
+    let baseUrl;
+
+    before(async () => {
+      api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+      mock = new MockServer(api, { port: 0 });
+      baseUrl = await mock.start();
+    });
+
+    after(() => mock.stop());
+
+    it('should pass the contract collection against the mock', async () => {
+      const { collection } = buildCollections(api, { testLevel: 'contract' }).find(c => c.type === 'contract');
+      const result = await new CollectionRunner({ baseUrl, environment: { 'api_key_X-API-Key': 'mock-api-key' } }).run(collection);
+      const failures = result.executions.flatMap(e => e.tests.filter(t => !t.passed).map(t => `${e.name}: ${t.name} - ${t.error}`));
+
+      assert.ok(result.stats.tests > 0);
+      assert.deepStrictEqual(failures, []);
+    });
+  });
+});
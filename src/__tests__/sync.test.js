@@ -123,6 +123,177 @@ describe('ChangeDetector', () => {
   });
 });
 
+// ============================================================
+// KEYED ARRAY DIFF TESTS
+// ============================================================
+
+function createKeyedSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Test API', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com' }, { url: 'https://staging.example.com' }],
+    tags: [{ name: 'Tasks' }, { name: 'Users' }],
+    security: [{ apiKey: [] }, { oauth: ['read'] }],
+    paths: {
+      '/tasks': {
+        get: {
+          tags: ['Tasks'],
+          parameters: [
+            { name: 'limit', in: 'query', description: 'Page size' },
+            { name: 'offset', in: 'query', description: 'Page start' },
+            { name: 'status', in: 'query', description: 'Filter' },
+            { name: 'X-Trace', in: 'header' }
+          ],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  };
+}
+
+function reorder(items, order) {
+  return order.map(index => items[index]);
+}
+
+describe('ChangeDetector keyed arrays', () => {
+  it('should report reordered parameters, tags, servers and security as moves only', () => {
+    const remote = createKeyedSpec();
+    const operation = remote.paths['/tasks'].get;
+    operation.parameters = reorder(operation.parameters, [3, 0, 1, 2]);
+    remote.tags.reverse();
+    remote.servers.reverse();
+    remote.security.reverse();
+
+    const changes = new ChangeDetector().detectChanges(createKeyedSpec(), createKeyedSpec(), remote);
+    const all = [...changes.safeToSync, ...changes.needsReview, ...changes.blocked, ...changes.tests];
+
+    assert.deepStrictEqual(all.map(change => [change.kind, change.path, change.oldValue, change.newValue]), [
+      ['M', 'servers.0', 0, 1],
+      ['M', 'tags.0', 0, 1],
+      ['M', 'security.0', 0, 1],
+      ['M', 'paths./tasks.get.parameters.3', 3, 0]
+    ]);
+    assert.deepStrictEqual(all[3].keyPath.slice(-1), [{ key: 'header:X-Trace' }]);
+  });
+
+  it('should report edits, removals and additions against the matching item', () => {
+    const remote = createKeyedSpec();
+    const operation = remote.paths['/tasks'].get;
+    operation.parameters = reorder(operation.parameters, [2, 0, 3]);
+    operation.parameters[0] = { ...operation.parameters[0], description: 'Filter by status' };
+    operation.parameters.push({ name: 'sort', in: 'query' });
+    remote.servers[1] = { url: 'https://sandbox.example.com' };
+
+    const changes = new ChangeDetector().detectChanges(createKeyedSpec(), createKeyedSpec(), remote);
+    const all = [...changes.safeToSync, ...changes.blocked];
+
+    assert.deepStrictEqual(all.map(change => `${change.kind} ${change.path}`).sort(), [
+      'D paths./tasks.get.parameters.1',
+      'D servers.1',
+      'E paths./tasks.get.parameters.2.description',
+      'M paths./tasks.get.parameters.0',
+      'N paths./tasks.get.parameters.3',
+      'N servers.1'
+    ]);
+    assert.deepStrictEqual(changes.safeToSync.map(change => [change.path, change.newValue]), [
+      ['paths./tasks.get.parameters.2.description', 'Filter by status']
+    ]);
+  });
+
+  it('should detect conflicts on the same item when either side reordered it', () => {
+    const local = createKeyedSpec();
+    local.paths['/tasks'].get.parameters.reverse();
+    local.paths['/tasks'].get.parameters[2].description = 'Items to skip';
+
+    const remote = createKeyedSpec();
+    remote.paths['/tasks'].get.parameters[1].description = 'Offset into the list';
+
+    const changes = new ChangeDetector().detectChanges(createKeyedSpec(), local, remote);
+
+    assert.deepStrictEqual(changes.needsReview.map(change => [change.path, change.hasConflict]), [
+      ['paths./tasks.get.parameters.1.description', true]
+    ]);
+  });
+
+  it('should fall back to index diffs for arrays without unique keys', () => {
+    const base = createKeyedSpec();
+    base.paths['/tasks'].get.parameters.push({ name: 'limit', in: 'query' });
+    const remote = JSON.parse(JSON.stringify(base));
+    remote.paths['/tasks'].get.parameters.reverse();
+
+    const changes = new ChangeDetector().detectChanges(base, base, remote);
+
+    assert.ok(changes.blocked.some(change => change.kind === 'E' && /parameters\.1\.name$/.test(change.path)));
+    assert.ok(changes.blocked.every(change => change.kind !== 'M'));
+  });
+});
+
+// ============================================================
+// FIELD RULE TESTS
+// ============================================================
+
+function withParameterDefault(spec, value) {
+  spec.paths['/tasks'].get.parameters[0].schema = { type: 'integer', default: value };
+  return spec;
+}
+
+describe('ChangeDetector field rules', () => {
+  const requireApprovalFor = ['paths.*.*.parameters.*.schema.default'];
+
+  it('should classify changes with configured allowed and blocked fields', () => {
+    const detector = new ChangeDetector({ allowedFields: ['info.title'], blockedFields: ['info'] });
+    const remote = createKeyedSpec();
+    remote.info.title = 'Renamed API';
+    remote.info.version = '2.0.0';
+
+    const changes = detector.detectChanges(createKeyedSpec(), createKeyedSpec(), remote);
+
+    assert.deepStrictEqual(changes.safeToSync.map(change => change.path), ['info.title']);
+    assert.deepStrictEqual(changes.blocked.map(change => change.path), ['info.version']);
+  });
+
+  it('should put requireApprovalFor matches in the approval bucket ahead of allowed fields', () => {
+    const detector = new ChangeDetector({ allowedFields: ['paths'], requireApprovalFor });
+    const base = withParameterDefault(createKeyedSpec(), 20);
+    const remote = withParameterDefault(createKeyedSpec(), 50);
+    remote.paths['/tasks'].get.parameters[1].description = 'Items to skip';
+
+    const changes = detector.detectChanges(base, base, remote);
+
+    assert.deepStrictEqual(changes.safeToSync.map(change => change.path), ['paths./tasks.get.parameters.1.description']);
+    assert.deepStrictEqual(changes.approvalRequired.map(change => [change.path, change.requiresApproval]), [
+      ['paths./tasks.get.parameters.0.schema.default', true]
+    ]);
+    assert.strictEqual(detector.getSummary(changes).approvalRequired, 1);
+  });
+
+  it('should send conflicting approval changes to review', () => {
+    const detector = new ChangeDetector({ requireApprovalFor });
+    const base = withParameterDefault(createKeyedSpec(), 20);
+
+    const changes = detector.detectChanges(base, withParameterDefault(createKeyedSpec(), 30), withParameterDefault(createKeyedSpec(), 50));
+
+    assert.deepStrictEqual(changes.approvalRequired, []);
+    assert.deepStrictEqual(changes.needsReview.map(change => [change.path, change.hasConflict, change.requiresApproval]), [
+      ['paths./tasks.get.parameters.0.schema.default', true, true]
+    ]);
+  });
+
+  it('should only merge approval changes that were signed off', () => {
+    const base = withParameterDefault(createKeyedSpec(), 20);
+    const remote = withParameterDefault(createKeyedSpec(), 50);
+    const { approvalRequired } = new ChangeDetector({ requireApprovalFor }).detectChanges(base, base, remote);
+
+    const pending = new SpecMerge().mergeSpecs(base, remote, approvalRequired);
+    const approved = new SpecMerge({ approvals: requireApprovalFor }).mergeSpecs(base, remote, approvalRequired);
+
+    assert.strictEqual(pending.spec.paths['/tasks'].get.parameters[0].schema.default, 20);
+    assert.deepStrictEqual(pending.skipped.map(change => change.reason), ['Requires approval']);
+    assert.strictEqual(approved.spec.paths['/tasks'].get.parameters[0].schema.default, 50);
+    assert.strictEqual(approved.applied.length, 1);
+  });
+});
+
 // ============================================================
 // SPEC MERGE TESTS
 // ============================================================
@@ -209,6 +380,30 @@ describe('SpecMerge', () => {
       'Postman description should win'
     );
   });
+
+  it('should apply keyed changes to a differently ordered local spec', () => {
+    const local = createKeyedSpec();
+    local.paths['/tasks'].get.parameters = reorder(local.paths['/tasks'].get.parameters, [3, 0, 1, 2]);
+
+    const remote = createKeyedSpec();
+    const parameters = remote.paths['/tasks'].get.parameters;
+    parameters[1].description = 'Offset into the list';
+    parameters.splice(2, 1);
+    parameters.push({ name: 'sort', in: 'query' });
+    remote.tags.reverse();
+
+    const { safeToSync, blocked } = new ChangeDetector().detectChanges(createKeyedSpec(), local, remote);
+    const result = new SpecMerge().mergeSpecs(local, remote, [...safeToSync, ...blocked]);
+
+    assert.strictEqual(result.skipped.length, 0);
+    assert.deepStrictEqual(result.spec.paths['/tasks'].get.parameters.map(param => [param.name, param.description]), [
+      ['X-Trace', undefined],
+      ['limit', 'Page size'],
+      ['offset', 'Offset into the list'],
+      ['sort', undefined]
+    ]);
+    assert.deepStrictEqual(result.spec.tags.map(tag => tag.name), ['Users', 'Tasks']);
+  });
 });
 
 // ============================================================
@@ -500,3 +695,282 @@ describe('Config Loader', () => {
     assert.strictEqual(config._apiKey, undefined);
   });
 });
+
+// ============================================================
+// SPEC HUB CLIENT TESTS
+// ============================================================
+
+import { SpecHubClient } from '../spec-hub-client.js';
+import { generateTestKey } from '../test-generator.js';
+
+describe('SpecHubClient', () => {
+  const client = new SpecHubClient('test-key', 'test-workspace');
+
+  const requestItem = (name, method, pathSegments, extra = {}) => ({
+    id: `${name}-id`,
+    name,
+    request: {
+      method,
+      url: {
+        raw: `{{baseUrl}}/${pathSegments.join('/')}?limit=10`,
+        host: ['{{baseUrl}}'],
+        path: pathSegments,
+        query: [{ key: 'limit', value: '10' }],
+        variable: [{ key: 'taskId', value: '<string>' }]
+      },
+      ...extra
+    },
+    response: [{ name: 'Example' }]
+  });
+
+  describe('generateTestKeyFromItem', () => {
+    it('should map Postman path variables to OpenAPI templates', () => {
+      const item = requestItem('Get task', 'GET', ['tasks', ':taskId']);
+
+      assert.strictEqual(client.generateTestKeyFromItem(item.request), 'get|/tasks/{taskId}');
+    });
+
+    it('should handle string URLs with path variables', () => {
+      const key = client.generateTestKeyFromItem({ method: 'DELETE', url: '{{baseUrl}}/tasks/:taskId' });
+
+      assert.strictEqual(key, 'delete|/tasks/{taskId}');
+    });
+
+    it('should match spec test keys for colon-style Postman paths', () => {
+      const cases = [
+        [{ method: 'GET', url: '{{baseUrl}}/projects/:projectId/tasks/:taskId?expand=owner' }, 'GET', '/projects/{projectId}/tasks/{taskId}'],
+        [{ method: 'PUT', url: 'https://api.example.com/tasks/:task_id#details' }, 'PUT', '/tasks/{task_id}'],
+        [requestItem('Get task', 'GET', ['projects', ':projectId', 'tasks', ':taskId']).request, 'GET', '/projects/{projectId}/tasks/{taskId}'],
+        [{ method: 'GET', url: '{{baseUrl}}/tasks/{taskId}' }, 'GET', '/tasks/{taskId}']
+      ];
+
+      for (const [request, method, path] of cases) {
+        assert.strictEqual(client.generateTestKeyFromItem(request), generateTestKey(method, path));
+      }
+    });
+  });
+
+  describe('workflow', () => {
+    const workflow = {
+      bindings: { 'get|/tasks/{taskId}': [{ in: 'path', name: 'taskId', variable: 'taskId' }] },
+      order: ['post|/tasks', 'get|/tasks', 'get|/tasks/{taskId}', 'delete|/tasks/{taskId}']
+    };
+
+    it('should bind linked path variables to collection variables', () => {
+      const items = [requestItem('Get task', 'GET', ['tasks', ':taskId'])];
+      const bound = client.applyWorkflowToItems(items, workflow);
+
+      assert.strictEqual(bound, 1);
+      assert.deepStrictEqual(items[0].request.url.variable, [{ key: 'taskId', value: '{{taskId}}' }]);
+    });
+
+    it('should order requests and folders by workflow order', () => {
+      const items = [
+        { name: 'Health', item: [requestItem('Health', 'GET', ['health'])] },
+        {
+          name: 'Tasks',
+          item: [
+            requestItem('Delete task', 'DELETE', ['tasks', ':taskId']),
+            requestItem('Get task', 'GET', ['tasks', ':taskId']),
+            requestItem('Create task', 'POST', ['tasks'])
+          ]
+        }
+      ];
+      const ordered = client.orderItems(items, workflow.order);
+
+      assert.deepStrictEqual(ordered.map(i => i.name), ['Tasks', 'Health']);
+      assert.deepStrictEqual(ordered[0].item.map(i => i.name), ['Create task', 'Get task', 'Delete task']);
+    });
+  });
+
+  describe('buildVariantItems', () => {
+    const variants = {
+      'put|/tasks/{taskId}': [
+        { name: 'Body: missing required "title"', request: { body: { status: 'open' } }, script: ['pm.test("x", function () {});'] },
+        { name: 'Query: "limit" above maximum 100', request: { query: { limit: '101' } }, script: ['pm.test("x", function () {});'] },
+        { name: 'Broken script', request: {}, script: ['pm.test("x", function () {'] }
+      ]
+    };
+
+    it('should replace matched requests with a folder of variants', () => {
+      const items = [{ name: 'Tasks', item: [requestItem('Update task', 'PUT', ['tasks', ':taskId'])] }];
+      const { items: result, count } = client.buildVariantItems(items, variants);
+
+      assert.strictEqual(count, 2);
+      const [folder] = result[0].item;
+      assert.strictEqual(folder.name, 'Update task');
+      assert.deepStrictEqual(folder.item.map(i => i.name), ['Body: missing required "title"', 'Query: "limit" above maximum 100']);
+    });
+
+    it('should apply body and query overrides to cloned requests', () => {
+      const original = requestItem('Update task', 'PUT', ['tasks', ':taskId']);
+      const { items: result } = client.buildVariantItems([original], variants);
+      const [bodyVariant, queryVariant] = result[0].item;
+
+      assert.deepStrictEqual(JSON.parse(bodyVariant.request.body.raw), { status: 'open' });
+      assert.deepStrictEqual(queryVariant.request.url.query, [{ key: 'limit', value: '101' }]);
+      assert.ok(queryVariant.request.url.raw.endsWith('?limit=101'));
+      assert.strictEqual(bodyVariant.id, undefined);
+      assert.strictEqual(bodyVariant.response, undefined);
+      assert.deepStrictEqual(bodyVariant.event[0].script.exec, ['pm.test("x", function () {});']);
+      assert.strictEqual(original.request.body, undefined, 'Original item should not be modified');
+    });
+
+    it('should override path variables', () => {
+      const pathVariants = {
+        'put|/tasks/{taskId}': [
+          { name: 'Path: "taskId" wrong type (expected integer)', request: { pathVariables: { taskId: 'not-a-number' } }, script: [] }
+        ]
+      };
+      const { items: result } = client.buildVariantItems([requestItem('Update task', 'PUT', ['tasks', ':taskId'])], pathVariants);
+
+      assert.deepStrictEqual(result[0].item[0].request.url.variable, [{ key: 'taskId', value: 'not-a-number' }]);
+    });
+
+    it('should apply auth and header overrides', () => {
+      const authVariants = {
+        'put|/tasks/{taskId}': [{
+          name: 'Auth: malformed credentials (bearerAuth)',
+          request: { auth: { type: 'noauth' }, headers: { Authorization: 'Bearer malformed' } },
+          script: []
+        }]
+      };
+      const original = requestItem('Update task', 'PUT', ['tasks', ':taskId'], {
+        header: [{ key: 'authorization', value: 'Bearer {{bearerToken}}' }, { key: 'Accept', value: 'application/json' }]
+      });
+      const { items: result } = client.buildVariantItems([original], authVariants);
+      const { request } = result[0].item[0];
+
+      assert.deepStrictEqual(request.auth, { type: 'noauth' });
+      assert.deepStrictEqual(request.header, [
+        { key: 'Accept', value: 'application/json' },
+        { key: 'Authorization', value: 'Bearer malformed' }
+      ]);
+    });
+
+    it('should drop requests and folders without variants', () => {
+      const items = [
+        { name: 'Health', item: [requestItem('Health', 'GET', ['health'])] },
+        requestItem('List tasks', 'GET', ['tasks'])
+      ];
+      const { items: result, count } = client.buildVariantItems(items, variants);
+
+      assert.deepStrictEqual(result, []);
+      assert.strictEqual(count, 0);
+    });
+  });
+
+  describe('buildLifecycleItems', () => {
+    const lifecycles = [{
+      name: '/tasks lifecycle',
+      steps: [
+        { key: 'post|/tasks', name: '1. Create: POST /tasks', request: {}, preRequest: ['pm.collectionVariables.unset("taskId");'], script: ['pm.test("x", function () {});'] },
+        { key: 'get|/tasks/{taskId}', name: '2. Read: GET /tasks/{taskId}', request: { pathVariables: { taskId: '{{taskId}}' } }, script: ['pm.test("x", function () {});'] },
+        { key: 'patch|/tasks/{taskId}', name: '3. Update: PATCH /tasks/{taskId}', request: {}, script: [] },
+        { key: 'get|/tasks/{taskId}', name: '4. Read after delete: GET /tasks/{taskId}', request: { pathVariables: { taskId: '{{taskId}}' } }, script: ['pm.test("gone", function () {});'] }
+      ]
+    }];
+
+    it('should build one folder per lifecycle with steps in order', () => {
+      const items = [{
+        name: 'Tasks',
+        item: [requestItem('Get task', 'GET', ['tasks', ':taskId']), requestItem('Create task', 'POST', ['tasks'])]
+      }];
+      const { items: result, count } = client.buildLifecycleItems(items, lifecycles);
+
+      assert.strictEqual(count, 3, 'Steps without a request are skipped');
+      assert.strictEqual(result[0].name, '/tasks lifecycle');
+      assert.deepStrictEqual(result[0].item.map(i => i.name), [
+        '1. Create: POST /tasks',
+        '2. Read: GET /tasks/{taskId}',
+        '4. Read after delete: GET /tasks/{taskId}'
+      ]);
+    });
+
+    it('should bind the id and add pre-request scripts to cloned requests', () => {
+      const items = [requestItem('Get task', 'GET', ['tasks', ':taskId']), requestItem('Create task', 'POST', ['tasks'])];
+      const { items: result } = client.buildLifecycleItems(items, lifecycles);
+      const [create, read] = result[0].item;
+
+      assert.deepStrictEqual(create.event.map(e => e.listen), ['prerequest', 'test']);
+      assert.deepStrictEqual(create.event[0].script.exec, ['pm.collectionVariables.unset("taskId");']);
+      assert.deepStrictEqual(read.request.url.variable, [{ key: 'taskId', value: '{{taskId}}' }]);
+      assert.deepStrictEqual(items[0].request.url.variable, [{ key: 'taskId', value: '<string>' }]);
+    });
+  });
+});
+
+// ============================================================
+// FORWARD SYNC BREAKING CHANGE GATE TESTS
+// ============================================================
+
+import { sync } from '../spec-hub-sync.js';
+import { getFixturePath } from './helpers/test-helpers.js';
+
+describe('Forward sync breaking change gate', () => {
+  const stored = [
+    'openapi: 3.0.3',
+    'info: { title: Minimal API, version: 1.0.0 }',
+    'paths:',
+    '  /health:',
+    "    get: { responses: { '200': { description: OK } } }",
+    '  /tasks:',
+    "    get: { responses: { '200': { description: OK } } }"
+  ].join('\n');
+  let requests;
+
+  /**
+   * Answer Spec Hub requests from a map of path -> [status, body]
+   */
+  function mockSpecHub(routes) {
+    requests = [];
+    mock.method(globalThis, 'fetch', async (url, init) => {
+      const { pathname, search } = new URL(url);
+      requests.push(`${init.method} ${pathname}${search}`);
+      const [status, body] = routes[pathname] || [404, { error: 'Not found' }];
+      return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+    });
+  }
+
+  const options = (overrides = {}) => ({
+    spec: getFixturePath('minimal-spec.yaml'),
+    apiKey: 'test-key',
+    workspaceId: 'test-workspace',
+    testLevel: 'none',
+    dryRun: true,
+    failOnBreaking: true,
+    ...overrides
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('should compare with Spec Hub before a dry run completes', async () => {
+    mockSpecHub({
+      '/specs': [200, { specs: [{ id: 'spec-1', name: 'Minimal API' }] }],
+      '/specs/spec-1/files': [200, { files: [{ path: 'index.yaml', type: 'ROOT' }] }],
+      '/specs/spec-1/files/index.yaml': [200, { content: stored }]
+    });
+
+    await assert.rejects(sync(options()), /1 breaking change\(s\) against the spec in Spec Hub/);
+  });
+
+  it('should fail instead of uploading unchecked when the comparison errors', async () => {
+    mockSpecHub({ '/specs': [200, { specs: [{ id: 'spec-1', name: 'Minimal API' }] }] });
+
+    await assert.rejects(sync(options({ dryRun: false })), /Could not compare with the spec in Spec Hub - not uploading/);
+    assert.ok(!requests.some(request => !request.startsWith('GET')), 'Nothing is uploaded');
+
+    mockSpecHub({ '/specs': [500, { error: 'Unavailable' }] });
+    await assert.rejects(sync(options({ dryRun: false })), /Could not check for existing spec - not uploading/);
+  });
+
+  it('should not contact Spec Hub for dry runs without a comparison', async () => {
+    mockSpecHub({});
+
+    await sync(options({ failOnBreaking: false }));
+
+    assert.deepStrictEqual(requests, []);
+  });
+});
@@ -7,6 +7,7 @@ import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import vm from 'vm';
 
 import {
   TestLevel,
@@ -40,6 +41,10 @@ describe('TestLevel', () => {
   it('should define CONTRACT level', () => {
     assert.strictEqual(TestLevel.CONTRACT, 'contract');
   });
+
+  it('should define NEGATIVE level', () => {
+    assert.strictEqual(TestLevel.NEGATIVE, 'negative');
+  });
 });
 
 // ============================================================
@@ -535,6 +540,269 @@ describe('Contract Test Script Generation', () => {
   });
 });
 
+// ============================================================
+// Full JSON Schema Validation Tests
+// ============================================================
+
+/**
+ * Run a generated script against a stub pm object and capture the
+ * schema passed to pm.response.to.have.jsonSchema()
+ */
+function captureEmbeddedSchemas(script, statusCode = 200) {
+  const schemas = [];
+  const chain = new Proxy(function () {}, {
+    get: () => chain,
+    apply: () => chain
+  });
+  const pm = {
+    test: (name, fn) => {
+      try { fn(); } catch (error) { /* assertion failures are irrelevant here */ }
+    },
+    expect: chain,
+    environment: { get: () => null },
+    response: {
+      code: statusCode,
+      responseTime: 1,
+      headers: { get: () => 'application/json' },
+      json: () => ({}),
+      to: { have: { status: () => {}, header: () => {}, jsonSchema: (schema) => schemas.push(JSON.parse(JSON.stringify(schema))) } }
+    }
+  };
+  vm.runInNewContext(script.join('\n'), { pm });
+  return schemas;
+}
+
+describe('Full JSON Schema Validation', () => {
+  const composedSpec = () => createMinimalSpec({
+    paths: {
+      '/pets': {
+        get: {
+          summary: 'Composed',
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'array',
+                    items: {
+                      allOf: [
+                        { type: 'object', required: ['id'], properties: { id: { type: 'integer', format: 'int64' } } },
+                        {
+                          oneOf: [
+                            { type: 'object', properties: { bark: { type: 'boolean' } }, additionalProperties: false },
+                            { type: 'object', properties: { meow: { type: 'string', nullable: true } } }
+                          ]
+                        }
+                      ],
+                      not: { type: 'object', required: ['deleted'] },
+                      example: { id: 1 }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  it('should embed the full composed response schema', () => {
+    const scripts = generateTestScriptsForSpec(composedSpec(), TestLevel.CONTRACT);
+    const [schema] = captureEmbeddedSchemas(scripts['get|/pets']);
+
+    assert.ok(schema, 'Script should validate the body with jsonSchema');
+    assert.strictEqual(schema.type, 'array');
+    assert.strictEqual(schema.items.allOf.length, 2);
+    assert.strictEqual(schema.items.allOf[1].oneOf[0].additionalProperties, false);
+    assert.deepStrictEqual(schema.items.not, { type: 'object', required: ['deleted'] });
+  });
+
+  it('should convert OpenAPI-only keywords to JSON Schema', () => {
+    const scripts = generateTestScriptsForSpec(composedSpec(), TestLevel.CONTRACT);
+    const [schema] = captureEmbeddedSchemas(scripts['get|/pets']);
+    const idSchema = schema.items.allOf[0].properties.id;
+    const meowSchema = schema.items.allOf[1].oneOf[1].properties.meow;
+
+    assert.strictEqual(idSchema.format, undefined, 'int64 is not a JSON Schema format');
+    assert.deepStrictEqual(meowSchema.type, ['string', 'null']);
+    assert.strictEqual(schema.items.example, undefined);
+  });
+
+  it('should resolve component schemas from the parsed spec', async () => {
+    const api = await parseSpec(getFixturePath('complex-spec.yaml'));
+    const scripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+
+    for (const [key, script] of Object.entries(scripts)) {
+      if (key === 'default') continue;
+      for (const schema of captureEmbeddedSchemas(script)) {
+        assert.ok(!JSON.stringify(schema).includes('#/components/'), `${key} should not reference components`);
+      }
+    }
+  });
+
+  it('should hoist circular references into definitions', async () => {
+    const api = await parseSpec(getFixturePath('circular-spec.yaml'));
+    const scripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+    const [schema] = captureEmbeddedSchemas(scripts['get|/nodes']);
+
+    assert.ok(schema.definitions.Node);
+    assert.strictEqual(schema.definitions.Node.properties.parent.$ref, '#/definitions/Node');
+  });
+});
+
+// ============================================================
+// Array Element Validation Tests
+// ============================================================
+
+/**
+ * Run a generated script against a response body and collect the
+ * messages of failed `oneOf`/`match`/`property`/`header` assertions
+ */
+function collectFailureMessages(script, body, statusCode = 200, headers = { 'Content-Type': 'application/json' }) {
+  const failures = [];
+  const getHeader = (name) => {
+    const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+    return match === undefined ? undefined : headers[match];
+  };
+  const expect = (value, message) => {
+    const chain = new Proxy(function () {}, {
+      get: (target, prop) => {
+        if (prop === 'oneOf') return (list) => { if (!list.includes(value)) failures.push(message); };
+        if (prop === 'match') return (pattern) => { if (!pattern.test(value)) failures.push(message); };
+        if (prop === 'property') return (name) => { if (!(name in Object(value))) failures.push(message); };
+        return chain;
+      },
+      apply: () => chain
+    });
+    return chain;
+  };
+  expect.fail = (message) => failures.push(message);
+  const pm = {
+    test: (name, fn) => fn(),
+    expect,
+    environment: { get: () => null },
+    response: {
+      code: statusCode,
+      responseTime: 1,
+      headers: { get: getHeader },
+      json: () => body,
+      to: {
+        have: {
+          status: () => {},
+          header: (name) => { if (getHeader(name) === undefined) failures.push(`header ${name}`); },
+          jsonSchema: () => {}
+        }
+      }
+    }
+  };
+  vm.runInNewContext(script.join('\n'), { pm });
+  return failures;
+}
+
+describe('Array Element Validation', () => {
+  const listSpec = () => createMinimalSpec({
+    paths: {
+      '/items': {
+        get: {
+          summary: 'List items',
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      items: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          required: ['id', 'status'],
+                          properties: {
+                            id: { type: 'string' },
+                            status: { type: 'string', enum: ['open', 'closed'] },
+                            tags: {
+                              type: 'array',
+                              items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  it('should loop over every element instead of checking the first', () => {
+    const scripts = generateTestScriptsForSpec(listSpec(), TestLevel.CONTRACT);
+    const scriptText = scripts['get|/items'].join('\n');
+
+    assert.ok(scriptText.includes('.forEach(function (item0, i0)'));
+    assert.ok(!scriptText.includes('[0]'), 'Should not index the first element');
+  });
+
+  it('should name the offending index in failure messages', () => {
+    const scripts = generateTestScriptsForSpec(listSpec(), TestLevel.CONTRACT);
+    const items = Array.from({ length: 20 }, (_, i) => ({ id: `item-${i}`, status: 'open' }));
+    items[17].status = 'archived';
+
+    const failures = collectFailureMessages(scripts['get|/items'], { items });
+
+    assert.deepStrictEqual(failures, ['items[17].status']);
+  });
+
+  it('should validate required fields of every element in nested arrays', () => {
+    const scripts = generateTestScriptsForSpec(listSpec(), TestLevel.CONTRACT);
+    const items = [
+      { id: 'a', status: 'open', tags: [{ name: 'x' }] },
+      { id: 'b', status: 'open', tags: [{ name: 'y' }, {}] },
+      { status: 'closed' }
+    ];
+
+    const failures = collectFailureMessages(scripts['get|/items'], { items });
+
+    assert.deepStrictEqual(failures, ['items[1].tags[1]', 'items[2]']);
+  });
+
+  it('should validate every element of a top-level array response', () => {
+    const api = createMinimalSpec({
+      paths: {
+        '/statuses': {
+          get: {
+            summary: 'Top-level array',
+            responses: {
+              '200': {
+                description: 'OK',
+                content: {
+                  'application/json': {
+                    schema: {
+                      type: 'array',
+                      items: { type: 'object', properties: { status: { type: 'string', enum: ['on', 'off'] } } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+    const scripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+
+    const failures = collectFailureMessages(scripts['get|/statuses'], [{ status: 'on' }, { status: 'dim' }]);
+
+    assert.deepStrictEqual(failures, ['[1].status']);
+  });
+});
+
 // ============================================================
 // Default Test Script Tests
 // ============================================================
@@ -781,3 +1049,225 @@ describe('Edge Cases', () => {
     assert.ok(result.valid);
   });
 });
+
+// ============================================================
+// Per-Status Response Validation Tests
+// ============================================================
+
+describe('Per-Status Response Validation', () => {
+  const errorSchema = {
+    type: 'object',
+    required: ['code', 'message'],
+    properties: { code: { type: 'string' }, message: { type: 'string' } }
+  };
+  const statusSpec = () => createMinimalSpec({
+    paths: {
+      '/tasks/{taskId}': {
+        get: {
+          summary: 'Get task',
+          parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            '200': {
+              description: 'OK',
+              content: { 'application/json': { schema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } } } }
+            },
+            '404': {
+              description: 'Not found',
+              content: { 'application/problem+json': { schema: errorSchema } }
+            },
+            '5XX': {
+              description: 'Server error',
+              content: { 'application/json': { schema: { type: 'object', required: ['traceId'], properties: { traceId: { type: 'string' } } } } }
+            },
+            default: {
+              description: 'Unexpected error',
+              content: { 'application/json': { schema: errorSchema } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  it('should validate a 404 against the documented error schema', () => {
+    const scripts = generateTestScriptsForSpec(statusSpec(), TestLevel.CONTRACT);
+    const [schema] = captureEmbeddedSchemas(scripts['get|/tasks/{taskId}'], 404);
+
+    assert.deepStrictEqual(schema.required, ['code', 'message']);
+  });
+
+  it('should select range and default responses', () => {
+    const scripts = generateTestScriptsForSpec(statusSpec(), TestLevel.CONTRACT);
+    const script = scripts['get|/tasks/{taskId}'];
+
+    assert.deepStrictEqual(captureEmbeddedSchemas(script, 503)[0].required, ['traceId']);
+    assert.deepStrictEqual(captureEmbeddedSchemas(script, 409)[0].required, ['code', 'message']);
+    assert.deepStrictEqual(captureEmbeddedSchemas(script, 200)[0].required, ['id']);
+  });
+
+  it('should accept the documented Content-Type of each response', () => {
+    const scripts = generateTestScriptsForSpec(statusSpec(), TestLevel.CONTRACT);
+    const scriptText = scripts['get|/tasks/{taskId}'].join('\n');
+
+    assert.ok(scriptText.includes('"application/problem+json"'));
+    assert.ok(scriptText.includes('Content-Type matches documented response'));
+  });
+
+  it('should skip the success field checks for error statuses', () => {
+    const scripts = generateTestScriptsForSpec(statusSpec(), TestLevel.CONTRACT);
+    const errorBody = { code: 'NOT_FOUND', message: 'Missing' };
+
+    assert.deepStrictEqual(collectFailureMessages(scripts['get|/tasks/{taskId}'], errorBody, 200), ['response body']);
+    assert.deepStrictEqual(collectFailureMessages(scripts['get|/tasks/{taskId}'], errorBody, 404), []);
+  });
+
+  it('should generate valid syntax for multi-status endpoints', () => {
+    const scripts = generateTestScriptsForSpec(statusSpec(), TestLevel.CONTRACT);
+    const result = validateJavaScriptSyntax(scripts['get|/tasks/{taskId}']);
+
+    assert.ok(result.valid, result.error);
+  });
+});
+
+// ============================================================
+// Response Header Validation Tests
+// ============================================================
+
+describe('Response Header Validation', () => {
+  const headerSpec = () => createMinimalSpec({
+    paths: {
+      '/tasks': {
+        post: {
+          summary: 'Create task',
+          responses: {
+            '201': {
+              description: 'Created',
+              headers: {
+                Location: { required: true, schema: { type: 'string' } },
+                'X-Request-Id': { required: true, schema: { type: 'string', format: 'uuid' } },
+                'RateLimit-Remaining': { schema: { type: 'integer' } },
+                'X-Cache': { schema: { type: 'string', enum: ['HIT', 'MISS'] } },
+                'Content-Type': { required: true, schema: { type: 'string' } }
+              },
+              content: { 'application/json': { schema: { type: 'object' } } }
+            },
+            '429': {
+              description: 'Too many requests',
+              headers: {
+                'Retry-After': { required: true, schema: { type: 'integer' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+  const validHeaders = {
+    'Content-Type': 'application/json',
+    Location: '/tasks/1',
+    'X-Request-Id': '123e4567-e89b-42d3-a456-426614174000',
+    'RateLimit-Remaining': '42',
+    'X-Cache': 'HIT'
+  };
+
+  it('should pass when declared headers match their schemas', () => {
+    const scripts = generateTestScriptsForSpec(headerSpec(), TestLevel.CONTRACT);
+
+    assert.deepStrictEqual(collectFailureMessages(scripts['post|/tasks'], {}, 201, validHeaders), []);
+  });
+
+  it('should fail when a required header is missing', () => {
+    const scripts = generateTestScriptsForSpec(headerSpec(), TestLevel.CONTRACT);
+    const { Location, ...headers } = validHeaders;
+
+    assert.deepStrictEqual(collectFailureMessages(scripts['post|/tasks'], {}, 201, headers), ['header Location']);
+  });
+
+  it('should check type, format and enum of header values', () => {
+    const scripts = generateTestScriptsForSpec(headerSpec(), TestLevel.CONTRACT);
+    const headers = { ...validHeaders, 'X-Request-Id': 'abc', 'RateLimit-Remaining': 'many', 'X-Cache': 'STALE' };
+
+    assert.deepStrictEqual(
+      collectFailureMessages(scripts['post|/tasks'], {}, 201, headers),
+      ['X-Request-Id', 'RateLimit-Remaining', 'X-Cache']
+    );
+  });
+
+  it('should only check the headers of the returned status', () => {
+    const scripts = generateTestScriptsForSpec(headerSpec(), TestLevel.CONTRACT);
+    const scriptText = scripts['post|/tasks'].join('\n');
+
+    assert.ok(scriptText.includes('429 response has Retry-After header'));
+    assert.ok(!scriptText.includes('response has Content-Type header'), 'Content-Type is covered by the content map');
+    assert.deepStrictEqual(
+      collectFailureMessages(scripts['post|/tasks'], {}, 429, { 'Retry-After': 'soon' }),
+      ['Retry-After']
+    );
+  });
+
+  it('should generate valid syntax with header validations', () => {
+    const scripts = generateTestScriptsForSpec(headerSpec(), TestLevel.CONTRACT);
+    const result = validateJavaScriptSyntax(scripts['post|/tasks']);
+
+    assert.ok(result.valid, result.error);
+  });
+});
+
+// ============================================================
+// Negative Test Script Tests
+// ============================================================
+
+describe('Negative Test Script Generation', () => {
+  const errorSchema = { type: 'object', required: ['message'], properties: { message: { type: 'string' } } };
+  const negativeSpec = (responses) => createMinimalSpec({
+    paths: {
+      '/tasks': {
+        post: {
+          summary: 'Create task',
+          responses: {
+            '201': { description: 'Created' },
+            ...responses
+          }
+        }
+      }
+    }
+  });
+
+  it('should expect a documented validation error', () => {
+    const api = negativeSpec({
+      '400': { description: 'Bad request', content: { 'application/json': { schema: errorSchema } } },
+      '401': { description: 'Unauthorized' },
+      '422': { description: 'Unprocessable' }
+    });
+    const scripts = generateTestScriptsForSpec(api, TestLevel.NEGATIVE);
+    const scriptText = scripts['post|/tasks'].join('\n');
+
+    assert.ok(scriptText.includes('Status code is a documented client error'));
+    assert.ok(scriptText.includes('oneOf([400, 422])'), 'Auth failures should not count as validation errors');
+  });
+
+  it('should accept any client error when none is documented', () => {
+    const scripts = generateTestScriptsForSpec(negativeSpec({}), TestLevel.NEGATIVE);
+    const scriptText = scripts['post|/tasks'].join('\n');
+
+    assert.ok(scriptText.includes('to.be.within(400, 499)'));
+  });
+
+  it('should validate the error body against the documented schema', () => {
+    const api = negativeSpec({
+      '400': { description: 'Bad request', content: { 'application/json': { schema: errorSchema } } }
+    });
+    const scripts = generateTestScriptsForSpec(api, TestLevel.NEGATIVE);
+    const [schema] = captureEmbeddedSchemas(scripts['post|/tasks'], 400);
+
+    assert.deepStrictEqual(schema.required, ['message']);
+  });
+
+  it('should generate a default negative script', () => {
+    const scripts = generateTestScriptsForSpec(negativeSpec({}), TestLevel.NEGATIVE);
+    const result = validatePostmanTestScript(scripts['default']);
+
+    assert.ok(result.valid);
+    assert.ok(result.tests.includes('Status code is a client error'));
+  });
+});
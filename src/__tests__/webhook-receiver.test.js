@@ -0,0 +1,211 @@
+/**
+ * Webhook Receiver Unit Tests
+ * Run with: node --test src/__tests__/webhook-receiver.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+
+import { WebhookReceiver, RECEIVER_COLLECTION } from '../webhook-receiver.js';
+import { extractOutboundContracts } from '../parser.js';
+import { createMinimalSpec } from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const eventSchema = {
+  type: 'object',
+  required: ['id', 'type'],
+  properties: {
+    id: { type: 'string' },
+    type: { type: 'string', enum: ['task.created', 'task.deleted'] }
+  }
+};
+
+function createWebhookSpec() {
+  return createMinimalSpec({
+    openapi: '3.1.0',
+    webhooks: {
+      taskCreated: {
+        post: {
+          summary: 'Task created',
+          requestBody: { required: true, content: { 'application/json': { schema: eventSchema } } },
+          responses: { '202': { description: 'Accepted' } }
+        }
+      }
+    },
+    paths: {
+      '/exports': {
+        post: {
+          operationId: 'createExport',
+          summary: 'Start export',
+          tags: ['Exports'],
+          requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { callbackUrl: { type: 'string' } } } } } },
+          responses: { '202': { description: 'Accepted' } },
+          callbacks: {
+            exportDone: {
+              '{$request.body#/callbackUrl}': {
+                post: {
+                  requestBody: {
+                    content: { 'application/json': { schema: { type: 'object', required: ['url'], properties: { url: { type: 'string' } } } } }
+                  },
+                  responses: { '200': { description: 'OK' } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+function deliver(receiver, path, payload, headers = { 'content-type': 'application/json' }) {
+  return receiver.handle({ method: 'POST', path, headers, body: payload === undefined ? '' : JSON.stringify(payload) });
+}
+
+// ============================================================
+// extractOutboundContracts Tests
+// ============================================================
+
+describe('extractOutboundContracts', () => {
+  it('should extract webhooks and callbacks with receiver paths', () => {
+    const [webhook, callback] = extractOutboundContracts(createWebhookSpec());
+
+    assert.deepStrictEqual(
+      [webhook.kind, webhook.event, webhook.method, webhook.path, webhook.tags],
+      ['webhook', 'taskCreated', 'POST', '/webhooks/taskCreated', ['webhooks']]
+    );
+    assert.deepStrictEqual(
+      [callback.kind, callback.event, callback.path, callback.expression, callback.tags],
+      ['callback', 'exportDone', '/callbacks/createExport/exportDone', '{$request.body#/callbackUrl}', ['Exports']]
+    );
+    assert.deepStrictEqual(callback.operation, { method: 'POST', path: '/exports' });
+    assert.strictEqual(callback.name, 'exportDone callback');
+  });
+
+  it('should return no contracts for specs without webhooks or callbacks', () => {
+    assert.deepStrictEqual(extractOutboundContracts(createMinimalSpec()), []);
+  });
+});
+
+// ============================================================
+// WebhookReceiver Tests
+// ============================================================
+
+describe('WebhookReceiver.handle', () => {
+  it('should accept valid deliveries with the documented success status', () => {
+    const receiver = new WebhookReceiver(createWebhookSpec());
+
+    assert.strictEqual(deliver(receiver, '/webhooks/taskCreated', { id: 't-1', type: 'task.created' }).status, 202);
+    assert.strictEqual(deliver(receiver, '/callbacks/createExport/exportDone', { url: 'https://files/x' }).status, 200);
+
+    const { executions, stats } = receiver.getResults();
+    assert.deepStrictEqual(executions.map(execution => execution.folder[0]), ['Webhooks', 'Callbacks']);
+    assert.strictEqual(executions[0].key, 'post|/webhooks/taskCreated');
+    assert.deepStrictEqual(stats, { requests: 2, requestErrors: 0, tests: 4, passed: 4, failed: 0 });
+  });
+
+  it('should report payloads that break the schema', () => {
+    const receiver = new WebhookReceiver(createWebhookSpec());
+    deliver(receiver, '/webhooks/taskCreated', { id: 't-1', type: 'task.updated' });
+
+    const failed = receiver.getResults().executions[0].tests.find(test => !test.passed);
+    assert.strictEqual(failed.name, 'Payload matches schema');
+    assert.match(failed.error, /payload\/type/);
+  });
+
+  it('should check the Content-Type and presence of required payloads', () => {
+    const receiver = new WebhookReceiver(createWebhookSpec());
+    deliver(receiver, '/webhooks/taskCreated', { id: 't-1', type: 'task.created' }, { 'content-type': 'text/plain' });
+    deliver(receiver, '/webhooks/taskCreated', undefined);
+
+    const [wrongType, empty] = receiver.getResults().executions;
+    assert.strictEqual(wrongType.tests.find(test => test.name === 'Content-Type is documented').passed, false);
+    assert.deepStrictEqual(empty.tests.map(test => [test.name, test.passed]), [['Payload is present', false]]);
+  });
+
+  it('should match deliveries to other paths by payload', () => {
+    const receiver = new WebhookReceiver(createWebhookSpec());
+    deliver(receiver, '/hooks', { url: 'https://files/x' });
+
+    assert.strictEqual(receiver.getResults().executions[0].name, 'exportDone callback');
+  });
+
+  it('should not attribute invalid payloads on other paths to the only contract of a method', () => {
+    const spec = createWebhookSpec();
+    delete spec.paths['/exports'];
+    const receiver = new WebhookReceiver(spec);
+
+    assert.strictEqual(deliver(receiver, '/hooks', { url: 'https://files/x' }).status, 404);
+    assert.strictEqual(deliver(receiver, '/hooks', { id: 't-1', type: 'task.created' }).status, 202);
+    assert.deepStrictEqual(receiver.getResults().executions.map(execution => execution.name), ['Unexpected POST /hooks', 'Task created']);
+  });
+
+  it('should fail deliveries that match no contract', () => {
+    const receiver = new WebhookReceiver(createWebhookSpec());
+    const response = receiver.handle({ method: 'PUT', path: '/hooks', headers: {}, body: '' });
+
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(receiver.getResults().stats.failed, 1);
+  });
+
+  it('should report contracts without a delivery when required', () => {
+    const receiver = new WebhookReceiver(createWebhookSpec());
+    deliver(receiver, '/webhooks/taskCreated', { id: 't-1', type: 'task.created' });
+
+    assert.strictEqual(receiver.getResults().stats.requestErrors, 0);
+
+    const result = receiver.getResults({ requireDeliveries: true });
+    assert.strictEqual(result.collection, RECEIVER_COLLECTION);
+    assert.strictEqual(result.stats.requestErrors, 1);
+    assert.strictEqual(result.executions[1].error, 'No delivery received');
+  });
+});
+
+describe('WebhookReceiver', () => {
+  const receiver = new WebhookReceiver(createWebhookSpec(), { port: 0 });
+  let url;
+
+  before(async () => {
+    url = await receiver.start();
+  });
+
+  after(() => receiver.stop());
+
+  it('should receive deliveries over HTTP', async () => {
+    const pending = receiver.waitForDeliveries(2000);
+
+    await fetch(`${url}/webhooks/taskCreated`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: 't-1', type: 'task.created' })
+    });
+    const response = await fetch(`${url}/callbacks/createExport/exportDone`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify({ url: 'https://files/x' })
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await pending, []);
+    assert.strictEqual(receiver.getResults().stats.failed, 0);
+  });
+
+  it('should answer 500 when handling a delivery fails', async () => {
+    const failing = new WebhookReceiver(createWebhookSpec(), { port: 0 });
+    failing.handle = () => { throw new Error('boom'); };
+    const failingUrl = await failing.start();
+
+    try {
+      const response = await fetch(`${failingUrl}/webhooks/taskCreated`, { method: 'POST', body: '{}' });
+
+      assert.strictEqual(response.status, 500);
+      assert.deepStrictEqual(await response.json(), { error: 'Internal Server Error', details: ['boom'] });
+      assert.strictEqual((await fetch(`${failingUrl}/hooks`, { method: 'POST', body: '{}' })).status, 500, 'The receiver keeps serving');
+    } finally {
+      await failing.stop();
+    }
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Workflow Generator Unit Tests
+ * Run with: node --test src/__tests__/workflow-generator.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import vm from 'vm';
+
+import {
+  buildWorkflow,
+  extractLinks,
+  inferIdField,
+  generateCaptureScript,
+  applyWorkflowCaptures,
+  expressionToScript
+} from '../workflow-generator.js';
+
+import { extractEndpoints } from '../parser.js';
+
+import {
+  createMinimalSpec,
+  validateJavaScriptSyntax
+} from './helpers/test-helpers.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const taskSchema = {
+  type: 'object',
+  properties: { id: { type: 'string' }, title: { type: 'string' } }
+};
+
+function createTaskSpec(overrides = {}) {
+  return createMinimalSpec({
+    paths: {
+      '/tasks': {
+        get: { summary: 'List tasks', responses: { '200': { description: 'OK' } } },
+        post: {
+          summary: 'Create task',
+          operationId: 'createTask',
+          responses: {
+            '201': { description: 'Created', content: { 'application/json': { schema: taskSchema } } }
+          }
+        }
+      },
+      '/tasks/{taskId}': {
+        get: { summary: 'Get task', operationId: 'getTask', responses: { '200': { description: 'OK' } } },
+        put: { summary: 'Update task', responses: { '200': { description: 'OK' } } },
+        delete: { summary: 'Delete task', responses: { '204': { description: 'Deleted' } } }
+      },
+      '/tasks/{taskId}/complete': {
+        post: { summary: 'Complete task', responses: { '200': { description: 'OK' } } }
+      },
+      ...overrides
+    }
+  });
+}
+
+/**
+ * Run capture lines against a stub pm object and return the variables set
+ */
+function runCapture(lines, { code = 201, body = {}, headers = {} } = {}) {
+  const variables = {};
+  const pm = {
+    response: {
+      code,
+      json: () => body,
+      headers: { get: (name) => headers[name] }
+    },
+    request: { url: { variables: { get: () => undefined }, query: { get: () => undefined } } },
+    collectionVariables: { set: (key, value) => { variables[key] = value; } }
+  };
+  vm.runInNewContext(lines.join('\n'), { pm, console: { log: () => {} } });
+  return variables;
+}
+
+// ============================================================
+// Inferred Chain Tests
+// ============================================================
+
+describe('buildWorkflow - inferred chains', () => {
+  it('should capture the created id from POST on the collection path', () => {
+    const workflow = buildWorkflow(createTaskSpec());
+
+    assert.deepStrictEqual(workflow.captures['post|/tasks'], [
+      { variable: 'createTask_taskId', expression: '$response.body#/id', statusCode: '201' }
+    ]);
+  });
+
+  it('should bind the id to every operation on the item path', () => {
+    const workflow = buildWorkflow(createTaskSpec());
+
+    assert.deepStrictEqual(Object.keys(workflow.bindings).sort(), [
+      'delete|/tasks/{taskId}',
+      'get|/tasks/{taskId}',
+      'post|/tasks/{taskId}/complete',
+      'put|/tasks/{taskId}'
+    ]);
+    assert.deepStrictEqual(workflow.bindings['get|/tasks/{taskId}'], [
+      { in: 'path', name: 'taskId', variable: 'createTask_taskId' }
+    ]);
+  });
+
+  it('should order create first, reads before writes, and DELETE last', () => {
+    const workflow = buildWorkflow(createTaskSpec());
+
+    assert.deepStrictEqual(workflow.order, [
+      'post|/tasks',
+      'get|/tasks',
+      'get|/tasks/{taskId}',
+      'put|/tasks/{taskId}',
+      'post|/tasks/{taskId}/complete',
+      'delete|/tasks/{taskId}'
+    ]);
+  });
+
+  it('should keep captures of resources sharing a parameter name apart', () => {
+    const userSchema = { type: 'object', properties: { id: { type: 'string' } } };
+    const spec = createMinimalSpec({
+      paths: {
+        '/users': {
+          post: { operationId: 'createUser', responses: { '201': { description: 'Created', content: { 'application/json': { schema: userSchema } } } } }
+        },
+        '/users/{id}': { get: { operationId: 'getUser', responses: { '200': { description: 'OK' } } } },
+        '/tasks': {
+          post: { responses: { '201': { description: 'Created', content: { 'application/json': { schema: taskSchema } } } } }
+        },
+        '/tasks/{id}': { get: { operationId: 'getTask', responses: { '200': { description: 'OK' } } } }
+      }
+    });
+    const workflow = buildWorkflow(spec);
+
+    assert.deepStrictEqual(workflow.captures['post|/users'].map(capture => capture.variable), ['createUser_id']);
+    assert.deepStrictEqual(workflow.captures['post|/tasks'].map(capture => capture.variable), ['post__tasks_id']);
+    assert.deepStrictEqual(workflow.bindings['get|/users/{id}'], [{ in: 'path', name: 'id', variable: 'createUser_id' }]);
+    assert.deepStrictEqual(workflow.bindings['get|/tasks/{id}'], [{ in: 'path', name: 'id', variable: 'post__tasks_id' }]);
+  });
+
+  it('should not infer a chain when the response has no id field', () => {
+    const spec = createTaskSpec();
+    spec.paths['/tasks'].post.responses['201'].content['application/json'].schema = {
+      type: 'object',
+      properties: { title: { type: 'string' } }
+    };
+
+    assert.deepStrictEqual(buildWorkflow(spec).links, []);
+  });
+});
+
+// ============================================================
+// Link Tests
+// ============================================================
+
+describe('buildWorkflow - OpenAPI links', () => {
+  it('should follow links by operationId and operationRef', () => {
+    const spec = createTaskSpec();
+    spec.paths['/tasks'].post.responses['201'].links = {
+      GetTask: { operationId: 'getTask', parameters: { taskId: '$response.body#/id' } },
+      UpdateTask: { operationRef: '#/paths/~1tasks~1{taskId}/put', parameters: { 'path.taskId': '$response.body#/id' } }
+    };
+    const links = extractLinks(extractEndpoints(spec));
+
+    assert.deepStrictEqual(links.map(link => [link.source, link.target, link.parameter.in]), [
+      ['post|/tasks', 'get|/tasks/{taskId}', 'path'],
+      ['post|/tasks', 'put|/tasks/{taskId}', 'path']
+    ]);
+  });
+
+  it('should prefer explicit links over inferred chains', () => {
+    const spec = createTaskSpec();
+    spec.paths['/tasks'].post.responses['201'].links = {
+      GetTask: { operationId: 'getTask', parameters: { taskId: '$response.header.Location' } }
+    };
+    const workflow = buildWorkflow(spec);
+    const getLinks = workflow.links.filter(link => link.target === 'get|/tasks/{taskId}');
+
+    assert.strictEqual(getLinks.length, 1);
+    assert.strictEqual(getLinks[0].inferred, false);
+  });
+
+  it('should bind query parameters from links', () => {
+    const spec = createTaskSpec({
+      '/comments': {
+        get: {
+          summary: 'List comments',
+          operationId: 'listComments',
+          parameters: [{ name: 'task', in: 'query', schema: { type: 'string' } }],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    });
+    spec.paths['/tasks'].post.responses['201'].links = {
+      Comments: { operationId: 'listComments', parameters: { task: '$response.body#/id' } }
+    };
+    const workflow = buildWorkflow(spec);
+
+    assert.deepStrictEqual(workflow.bindings['get|/comments'], [{ in: 'query', name: 'task', variable: 'createTask_task' }]);
+    assert.ok(workflow.order.indexOf('post|/tasks') < workflow.order.indexOf('get|/comments'));
+  });
+});
+
+// ============================================================
+// Capture Script Tests
+// ============================================================
+
+describe('generateCaptureScript', () => {
+  it('should set collection variables from the response body', () => {
+    const lines = generateCaptureScript([{ variable: 'taskId', expression: '$response.body#/data/0/id', statusCode: '201' }]);
+
+    assert.ok(validateJavaScriptSyntax(lines).valid);
+    assert.deepStrictEqual(runCapture(lines, { body: { data: [{ id: 'task-9' }] } }), { taskId: 'task-9' });
+  });
+
+  it('should only capture on the linked status code', () => {
+    const lines = generateCaptureScript([{ variable: 'taskId', expression: '$response.body#/id', statusCode: '201' }]);
+
+    assert.deepStrictEqual(runCapture(lines, { code: 400, body: { id: 'nope' } }), {});
+  });
+
+  it('should capture response headers', () => {
+    const lines = generateCaptureScript([{ variable: 'etag', expression: '$response.header.ETag', statusCode: '200' }]);
+
+    assert.deepStrictEqual(runCapture(lines, { code: 200, headers: { ETag: '"v1"' } }), { etag: '"v1"' });
+  });
+
+  it('should append captures to the scripts of link sources', () => {
+    const workflow = buildWorkflow(createTaskSpec());
+    const scripts = applyWorkflowCaptures({ 'post|/tasks': ['// tests'], 'get|/tasks': ['// tests'] }, workflow);
+
+    assert.ok(scripts['post|/tasks'].join('\n').includes('pm.collectionVariables.set("createTask_taskId", value);'));
+    assert.deepStrictEqual(scripts['get|/tasks'], ['// tests']);
+  });
+});
+
+describe('expressionToScript', () => {
+  it('should translate request expressions', () => {
+    assert.strictEqual(expressionToScript('$request.path.taskId'), 'pm.request.url.variables.get("taskId")');
+    assert.strictEqual(expressionToScript('$request.body#/owner/id'), 'JSON.parse(pm.request.body.raw)["owner"]["id"]');
+  });
+
+  it('should treat non-expressions as constants and reject unknown sources', () => {
+    assert.strictEqual(expressionToScript('fixed-value'), '"fixed-value"');
+    assert.strictEqual(expressionToScript('$url'), null);
+  });
+});
+
+describe('inferIdField', () => {
+  it('should prefer the parameter name, then id, then a single *Id field', () => {
+    assert.strictEqual(inferIdField({ properties: { taskId: {}, id: {} } }, 'taskId'), 'taskId');
+    assert.strictEqual(inferIdField({ properties: { id: {} } }, 'taskId'), 'id');
+    assert.strictEqual(inferIdField({ properties: { task_id: {} } }, 'taskId'), 'task_id');
+    assert.strictEqual(inferIdField({ allOf: [{ properties: { uuid: {} } }, { properties: { ownerId: {} } }] }, 'taskId'), 'ownerId');
+    assert.strictEqual(inferIdField({ properties: { name: {} } }, 'taskId'), null);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * YAML Source Editor Unit Tests
+ * Run with: node --test src/__tests__/yaml-editor.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jsYaml from 'js-yaml';
+
+import { updateYamlSource } from '../yaml-editor.js';
+import { SpecMerge } from '../spec-merge.js';
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+const SOURCE = `# Task Management API
+openapi: 3.0.3
+info:
+  title: Task API   # shown in the portal
+  version: '1.0'
+  description: |
+    Manages tasks.
+    Second line.
+x-defaults: &defaults
+  limit: 20
+paths:
+  /tasks:
+    get:
+      summary: "List tasks"
+      tags: [tasks, public]
+      parameters:
+        - name: limit
+          in: query
+          description: Page size
+        - name: offset
+          in: query
+      responses:
+        '200':
+          description: OK
+    x-paging: *defaults
+`;
+
+function edit(change) {
+  const spec = jsYaml.load(SOURCE, { schema: jsYaml.JSON_SCHEMA });
+  change(spec);
+  return { spec, updated: updateYamlSource(SOURCE, spec) };
+}
+
+/**
+ * Lines of updated that differ from the source, as [removed, added]
+ */
+function changedLines(updated) {
+  const before = SOURCE.split('\n');
+  const after = updated.split('\n');
+  return [before.filter(line => !after.includes(line)), after.filter(line => !before.includes(line))];
+}
+
+// ============================================================
+// Scalar Edit Tests
+// ============================================================
+
+describe('updateYamlSource scalars', () => {
+  it('should return the source unchanged when nothing changed', () => {
+    assert.strictEqual(edit(() => {}).updated, SOURCE);
+  });
+
+  it('should replace only the changed scalar and keep quoting and comments', () => {
+    const { updated } = edit(spec => {
+      spec.info.title = 'Tasks';
+      spec.paths['/tasks'].get.summary = 'List all tasks';
+    });
+
+    assert.deepStrictEqual(changedLines(updated), [
+      ['  title: Task API   # shown in the portal', '      summary: "List tasks"'],
+      ['  title: Tasks   # shown in the portal', '      summary: "List all tasks"']
+    ]);
+  });
+
+  it('should keep block scalar style', () => {
+    const { updated } = edit(spec => { spec.info.description = 'Manages tasks.\nAnd projects.\n'; });
+
+    assert.ok(updated.includes('  description: |\n    Manages tasks.\n    And projects.\nx-defaults: &defaults\n'));
+  });
+});
+
+// ============================================================
+// Structural Edit Tests
+// ============================================================
+
+describe('updateYamlSource structure', () => {
+  it('should insert added keys after the last key of their mapping', () => {
+    const { updated } = edit(spec => {
+      spec.paths['/tasks'].get.responses['200'].content = { 'application/json': { example: [{ id: 1 }] } };
+    });
+
+    assert.deepStrictEqual(changedLines(updated), [[], [
+      '          content:',
+      '            application/json:',
+      '              example:',
+      '                - id: 1'
+    ]]);
+    assert.ok(updated.includes("          description: OK\n          content:\n"));
+  });
+
+  it('should delete removed keys and sequence items with their lines', () => {
+    const { updated } = edit(spec => {
+      delete spec.paths['/tasks'].get.parameters[1].in;
+      spec.paths['/tasks'].get.parameters.splice(0, 1);
+    });
+
+    assert.ok(updated.includes('      parameters:\n        - name: offset\n      responses:\n'));
+    assert.strictEqual(SOURCE.split('\n').length - updated.split('\n').length, 4);
+  });
+
+  it('should append sequence items and re-render changed flow collections', () => {
+    const { updated } = edit(spec => {
+      spec.paths['/tasks'].get.parameters.push({ name: 'sort', in: 'query' });
+      spec.paths['/tasks'].get.tags.push('beta');
+    });
+
+    assert.deepStrictEqual(changedLines(updated), [
+      ['      tags: [tasks, public]'],
+      ['      tags: [tasks, public, beta]', '        - name: sort']
+    ]);
+  });
+
+  it('should move reordered sequence items with their lines', () => {
+    const source = [
+      'parameters:',
+      '  # paging',
+      '  - name: limit',
+      '    in: query',
+      '    schema: { type: integer, maximum: 100 }',
+      '  - in: query',
+      '    name: status',
+      '    schema:',
+      '      enum: [pending, in_progress, completed]  # keep in sync',
+      ''
+    ].join('\n');
+    const spec = jsYaml.load(source, { schema: jsYaml.JSON_SCHEMA });
+    spec.parameters.reverse();
+
+    assert.strictEqual(updateYamlSource(source, spec), [
+      'parameters:',
+      '  # paging',
+      '  - in: query',
+      '    name: status',
+      '    schema:',
+      '      enum: [pending, in_progress, completed]  # keep in sync',
+      '  - name: limit',
+      '    in: query',
+      '    schema: { type: integer, maximum: 100 }',
+      ''
+    ].join('\n'));
+  });
+
+  it('should reorder parameters and edit other nodes in the same pass', () => {
+    const { spec, updated } = edit(spec => {
+      spec.paths['/tasks'].get.parameters.reverse();
+      spec.paths['/tasks'].get.summary = 'List all tasks';
+    });
+
+    assert.ok(updated.includes([
+      '      summary: "List all tasks"',
+      '      tags: [tasks, public]',
+      '      parameters:',
+      '        - name: offset',
+      '          in: query',
+      '        - name: limit',
+      '          in: query',
+      '          description: Page size',
+      '      responses:'
+    ].join('\n')));
+    assert.deepStrictEqual(jsYaml.load(updated, { schema: jsYaml.JSON_SCHEMA }), spec);
+  });
+
+  it('should keep anchors and replace only the alias that changed', () => {
+    const { updated } = edit(spec => { spec.paths['/tasks']['x-paging'] = { limit: 50 }; });
+
+    assert.ok(updated.includes('x-defaults: &defaults\n  limit: 20\n'));
+    assert.ok(updated.endsWith('    x-paging:\n      limit: 50\n'));
+  });
+
+  it('should re-render values whose type changed', () => {
+    const { spec, updated } = edit(spec => { spec.info.version = { major: 1, minor: 0 }; });
+
+    assert.ok(updated.includes('  version:\n    major: 1\n    minor: 0\n  description: |\n'));
+    assert.deepStrictEqual(jsYaml.load(updated, { schema: jsYaml.JSON_SCHEMA }), spec);
+  });
+
+  it('should return null for sources it cannot edit in place', () => {
+    assert.strictEqual(updateYamlSource('{ "openapi": "3.0.3" }', { openapi: '3.1.0' }), null);
+    assert.strictEqual(updateYamlSource('openapi: [unclosed', { openapi: '3.1.0' }), null);
+  });
+});
+
+// ============================================================
+// SpecMerge Write Tests
+// ============================================================
+
+describe('SpecMerge.writeSpec', () => {
+  it('should write YAML specs by editing the original file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yaml-editor-'));
+    try {
+      const specPath = path.join(dir, 'api.yaml');
+      const outputPath = path.join(dir, 'api.updated.yaml');
+      fs.writeFileSync(specPath, SOURCE);
+
+      const merger = new SpecMerge();
+      const spec = merger.readSpec(specPath);
+      spec.paths['/tasks'].get.summary = 'List all tasks';
+
+      assert.strictEqual(merger.writeSpec(spec, outputPath, { sourcePath: specPath }), true);
+      assert.strictEqual(fs.readFileSync(outputPath, 'utf8'), SOURCE.replace('"List tasks"', '"List all tasks"'));
+
+      assert.strictEqual(new SpecMerge({ preserveFormatting: false }).writeSpec(spec, specPath), false);
+      assert.ok(!fs.readFileSync(specPath, 'utf8').includes('# Task Management API'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,473 @@
+/**
+ * Breaking-Change Detection
+ *
+ * Compares two versions of a spec operation by operation and reports what
+ * would break existing clients:
+ * - removed operations and response status codes
+ * - new required parameters, request bodies and request fields
+ * - removed response fields
+ * - changed types, narrowed request enums and stricter request constraints
+ *
+ * Request schemas break clients when they accept less; response schemas
+ * break clients when they promise less. Compatible changes are reported
+ * as warnings or info so the diff doubles as a changelog.
+ */
+
+import { extractEndpoints } from './parser.js';
+import { generateTestKey } from './test-generator.js';
+import { mergeAllOf } from './example-generator.js';
+
+/**
+ * Finding severities, most severe first
+ */
+export const ChangeSeverity = {
+  BREAKING: 'breaking',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+const SEVERITY_ORDER = [ChangeSeverity.BREAKING, ChangeSeverity.WARNING, ChangeSeverity.INFO];
+
+/**
+ * Nesting limit for recursive schemas
+ */
+const MAX_DEPTH = 10;
+
+// Bounds where a larger value is stricter, and where a smaller one is
+const LOWER_BOUNDS = ['minLength', 'minItems', 'minProperties'];
+const UPPER_BOUNDS = ['maxLength', 'maxItems', 'maxProperties'];
+
+/**
+ * Compare two specs
+ * @param {Object} oldApi - Parsed OpenAPI spec (previous version)
+ * @param {Object} newApi - Parsed OpenAPI spec (new version)
+ * @returns {Object} { findings, summary: { breaking, warning, info } }
+ */
+export function compareSpecs(oldApi, newApi) {
+  const findings = [];
+  const oldOperations = indexOperations(oldApi);
+  const newOperations = indexOperations(newApi);
+
+  for (const [signature, before] of oldOperations) {
+    const after = newOperations.get(signature);
+    const report = createReporter(findings, after || before);
+
+    if (!after) {
+      report(ChangeSeverity.BREAKING, 'operation-removed', 'Operation was removed', '');
+      continue;
+    }
+
+    if (after.raw?.deprecated && !before.raw?.deprecated) {
+      report(ChangeSeverity.INFO, 'operation-deprecated', 'Operation is now deprecated', '/deprecated');
+    }
+
+    compareParameters(before, after, report);
+    compareRequestBodies(before.requestBody, after.requestBody, report);
+    compareResponses(before.responses || {}, after.responses || {}, report);
+  }
+
+  for (const [signature, after] of newOperations) {
+    if (!oldOperations.has(signature)) {
+      createReporter(findings, after)(ChangeSeverity.INFO, 'operation-added', 'Operation was added', '');
+    }
+  }
+
+  const summary = Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+
+  return { findings, summary };
+}
+
+/**
+ * Check whether a report contains breaking changes
+ * @param {Object} report - Report from compareSpecs()
+ * @returns {boolean} True when at least one change is breaking
+ */
+export function hasBreakingChanges(report) {
+  return report.summary[ChangeSeverity.BREAKING] > 0;
+}
+
+/**
+ * Format a report as one line per finding plus a summary
+ * @param {Object} report - Report from compareSpecs()
+ * @returns {string} Text report
+ */
+export function formatChangesText(report) {
+  const lines = report.findings.map(finding =>
+    `${finding.severity.padEnd(8)}  ${finding.ruleId.padEnd(26)}  ${finding.operation}: ${finding.message}`
+  );
+
+  const { breaking, warning, info } = report.summary;
+  lines.push(lines.length > 0 ? '' : 'No changes', `${breaking} breaking, ${warning} warnings, ${info} info`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Operations keyed by method and path template (parameter names ignored)
+ */
+function indexOperations(api) {
+  const operations = new Map();
+
+  for (const endpoint of extractEndpoints(api)) {
+    operations.set(`${endpoint.method} ${endpoint.path.replace(/\{[^}]+\}/g, '{}')}`, endpoint);
+  }
+
+  return operations;
+}
+
+function createReporter(findings, endpoint) {
+  const base = `/paths/${escapePointer(endpoint.path)}/${endpoint.method.toLowerCase()}`;
+
+  return (severity, ruleId, message, pointer) => {
+    findings.push({
+      ruleId,
+      severity,
+      message,
+      operation: `${endpoint.method} ${endpoint.path}`,
+      key: generateTestKey(endpoint.method, endpoint.path),
+      pointer: `${base}${pointer}`
+    });
+  };
+}
+
+// ============================================================
+// Parameters, request bodies and responses
+// ============================================================
+
+function compareParameters(before, after, report) {
+  const oldParams = indexParameters(before);
+  const newParams = indexParameters(after);
+
+  for (const [id, param] of newParams) {
+    const previous = oldParams.get(id);
+    const label = `${param.in} parameter '${param.name}'`;
+
+    if (!previous) {
+      if (param.in === 'path') continue;
+      report(param.required ? ChangeSeverity.BREAKING : ChangeSeverity.INFO,
+        param.required ? 'parameter-added-required' : 'parameter-added',
+        `New ${param.required ? 'required ' : ''}${label}`, '/parameters');
+      continue;
+    }
+
+    if (param.required && !previous.required) {
+      report(ChangeSeverity.BREAKING, 'parameter-required', `${capitalize(label)} is now required`, '/parameters');
+    }
+
+    compareSchemas(previous.schema, param.schema, { direction: 'request', label, pointer: '/parameters', report });
+  }
+
+  for (const [id, param] of oldParams) {
+    if (!newParams.has(id) && param.in !== 'path') {
+      report(ChangeSeverity.WARNING, 'parameter-removed', `${capitalize(param.in)} parameter '${param.name}' was removed`, '/parameters');
+    }
+  }
+}
+
+/**
+ * Parameters by location and name; path parameters by position, since renaming them is compatible
+ */
+function indexParameters(endpoint) {
+  const placeholders = (endpoint.path.match(/\{([^}]+)\}/g) || []).map(match => match.slice(1, -1));
+  const params = new Map();
+
+  for (const param of endpoint.parameters || []) {
+    if (!param?.name) continue;
+    const id = param.in === 'path'
+      ? `path:${placeholders.indexOf(param.name)}`
+      : `${param.in}:${param.in === 'header' ? param.name.toLowerCase() : param.name}`;
+    params.set(id, param);
+  }
+
+  return params;
+}
+
+function compareRequestBodies(before, after, report) {
+  if (!after) {
+    if (before) report(ChangeSeverity.WARNING, 'request-body-removed', 'Request body was removed', '');
+    return;
+  }
+
+  if (after.required && !before?.required) {
+    report(ChangeSeverity.BREAKING, 'request-body-required', before ? 'Request body is now required' : 'New required request body', '/requestBody');
+  }
+  if (!before) return;
+
+  for (const mediaType of Object.keys(before.content || {})) {
+    if (!after.content?.[mediaType]) {
+      report(ChangeSeverity.BREAKING, 'media-type-removed', `Request media type ${mediaType} is no longer accepted`, '/requestBody/content');
+    }
+  }
+
+  const mediaType = pickMediaType(before.content, after.content);
+  if (mediaType) {
+    compareSchemas(before.content[mediaType].schema, after.content[mediaType].schema, {
+      direction: 'request',
+      label: 'request body',
+      pointer: `/requestBody/content/${escapePointer(mediaType)}/schema`,
+      report
+    });
+  }
+}
+
+function compareResponses(before, after, report) {
+  for (const [status, response] of Object.entries(before)) {
+    const next = after[status];
+    if (!next) {
+      report(ChangeSeverity.BREAKING, 'response-status-removed', `Response ${status} was removed`, '/responses');
+      continue;
+    }
+
+    const mediaType = pickMediaType(response?.content, next.content);
+    if (mediaType) {
+      compareSchemas(response.content[mediaType].schema, next.content[mediaType].schema, {
+        direction: 'response',
+        label: `response ${status}`,
+        pointer: `/responses/${escapePointer(status)}/content/${escapePointer(mediaType)}/schema`,
+        report
+      });
+    }
+  }
+
+  for (const status of Object.keys(after)) {
+    if (!before[status]) {
+      report(ChangeSeverity.INFO, 'response-status-added', `Response ${status} was added`, '/responses');
+    }
+  }
+}
+
+/**
+ * JSON media type present in both versions (the first shared one otherwise)
+ */
+function pickMediaType(oldContent = {}, newContent = {}) {
+  const shared = Object.keys(oldContent || {}).filter(mediaType => newContent?.[mediaType]?.schema && oldContent[mediaType]?.schema);
+  return shared.find(mediaType => mediaType === 'application/json') || shared.find(mediaType => mediaType.includes('json')) || shared[0];
+}
+
+// ============================================================
+// Schemas
+// ============================================================
+
+/**
+ * Compare two schemas in request or response direction
+ * @param {Object} before - Previous schema
+ * @param {Object} after - New schema
+ * @param {Object} context - { direction, label, pointer, report }
+ * @param {string} field - Dotted field path within the schema
+ */
+function compareSchemas(before, after, context, field = '', depth = 0) {
+  if (!before || !after || before === after || depth > MAX_DEPTH) return;
+
+  const oldSchema = mergeAllOf(before);
+  const newSchema = mergeAllOf(after);
+  const isRequest = context.direction === 'request';
+  const where = field ? `${capitalize(context.label)} field '${field}'` : capitalize(context.label);
+  const report = (severity, ruleId, message) => context.report(severity, ruleId, message, context.pointer);
+
+  // Types: requests may accept more, responses may promise less
+  const oldTypes = getTypes(oldSchema);
+  const newTypes = getTypes(newSchema);
+  if (oldTypes && newTypes && !sameMembers(oldTypes, newTypes)) {
+    const compatible = isRequest ? oldTypes.every(type => acceptsType(newTypes, type)) : newTypes.every(type => acceptsType(oldTypes, type));
+    report(compatible ? ChangeSeverity.INFO : ChangeSeverity.BREAKING, 'type-changed',
+      `${where} type changed from ${oldTypes.join('|')} to ${newTypes.join('|')}`);
+    if (!compatible) return;
+  }
+
+  compareEnums(oldSchema, newSchema, isRequest, report, where);
+  compareConstraints(oldSchema, newSchema, isRequest, report, where);
+
+  if (oldSchema.items || newSchema.items) {
+    compareSchemas(oldSchema.items, newSchema.items, context, `${field}[]`, depth + 1);
+  }
+
+  compareProperties(oldSchema, newSchema, context, field, depth);
+}
+
+function compareEnums(oldSchema, newSchema, isRequest, report, where) {
+  const oldValues = Array.isArray(oldSchema.enum) ? oldSchema.enum : null;
+  const newValues = Array.isArray(newSchema.enum) ? newSchema.enum : null;
+  if (!oldValues && !newValues) return;
+
+  const removed = oldValues && newValues ? oldValues.filter(value => !newValues.includes(value)) : [];
+  const added = oldValues && newValues ? newValues.filter(value => !oldValues.includes(value)) : [];
+
+  if (isRequest) {
+    if (!oldValues) {
+      report(ChangeSeverity.BREAKING, 'enum-narrowed', `${where} is now restricted to ${formatValues(newValues)}`);
+    } else if (removed.length > 0) {
+      report(ChangeSeverity.BREAKING, 'enum-narrowed', `${where} no longer accepts ${formatValues(removed)}`);
+    }
+  } else if (!newValues) {
+    report(ChangeSeverity.WARNING, 'enum-widened', `${where} is no longer restricted to ${formatValues(oldValues)}`);
+  } else if (added.length > 0) {
+    report(ChangeSeverity.WARNING, 'enum-widened', `${where} may now return ${formatValues(added)}`);
+  }
+}
+
+/**
+ * Stricter constraints break requests; looser ones may surprise response consumers
+ */
+function compareConstraints(oldSchema, newSchema, isRequest, report, where) {
+  const changes = [];
+
+  for (const keyword of LOWER_BOUNDS) {
+    changes.push(compareBound(keyword, oldSchema[keyword], newSchema[keyword], (a, b) => b > a));
+  }
+  for (const keyword of UPPER_BOUNDS) {
+    changes.push(compareBound(keyword, oldSchema[keyword], newSchema[keyword], (a, b) => b < a));
+  }
+
+  changes.push(compareRange('minimum', getLowerBound(oldSchema), getLowerBound(newSchema), 1));
+  changes.push(compareRange('maximum', getUpperBound(oldSchema), getUpperBound(newSchema), -1));
+
+  if (newSchema.pattern !== oldSchema.pattern) {
+    changes.push({ keyword: 'pattern', stricter: newSchema.pattern !== undefined, from: oldSchema.pattern, to: newSchema.pattern });
+  }
+  if (newSchema.multipleOf !== oldSchema.multipleOf) {
+    const stricter = newSchema.multipleOf !== undefined && (oldSchema.multipleOf === undefined || newSchema.multipleOf % oldSchema.multipleOf !== 0);
+    changes.push({ keyword: 'multipleOf', stricter, from: oldSchema.multipleOf, to: newSchema.multipleOf });
+  }
+  if (Boolean(newSchema.uniqueItems) !== Boolean(oldSchema.uniqueItems)) {
+    changes.push({ keyword: 'uniqueItems', stricter: Boolean(newSchema.uniqueItems), from: Boolean(oldSchema.uniqueItems), to: Boolean(newSchema.uniqueItems) });
+  }
+  if ((newSchema.additionalProperties === false) !== (oldSchema.additionalProperties === false)) {
+    const stricter = newSchema.additionalProperties === false;
+    changes.push({ keyword: 'additionalProperties', stricter, from: !stricter, to: stricter });
+  }
+
+  for (const change of changes.filter(Boolean)) {
+    if (isRequest && change.stricter) {
+      report(ChangeSeverity.BREAKING, 'constraint-stricter', `${where} ${change.keyword} tightened from ${formatValue(change.from)} to ${formatValue(change.to)}`);
+    } else if (!isRequest && !change.stricter) {
+      report(ChangeSeverity.WARNING, 'constraint-looser', `${where} ${change.keyword} loosened from ${formatValue(change.from)} to ${formatValue(change.to)}`);
+    }
+  }
+}
+
+function compareBound(keyword, from, to, isStricter) {
+  if (from === to) return null;
+  const stricter = to !== undefined && (from === undefined || isStricter(from, to));
+  return { keyword, stricter, from, to };
+}
+
+/**
+ * Compare numeric bounds { value, exclusive }; direction 1 for minimum, -1 for maximum
+ */
+function compareRange(keyword, from, to, direction) {
+  if (!from && !to) return null;
+  if (from && to && from.value === to.value && from.exclusive === to.exclusive) return null;
+
+  const stricter = Boolean(to) && (!from || (to.value - from.value) * direction > 0 ||
+    (to.value === from.value && to.exclusive && !from.exclusive));
+  return { keyword, stricter, from: from && formatBound(from), to: to && formatBound(to) };
+}
+
+function compareProperties(oldSchema, newSchema, context, field, depth) {
+  const oldProps = oldSchema.properties || {};
+  const newProps = newSchema.properties || {};
+  const oldRequired = new Set(oldSchema.required || []);
+  const newRequired = new Set(newSchema.required || []);
+  const isRequest = context.direction === 'request';
+  const ignored = schema => (isRequest ? schema?.readOnly : schema?.writeOnly);
+  const report = (severity, ruleId, message) => context.report(severity, ruleId, message, context.pointer);
+  const label = capitalize(context.label);
+
+  for (const [name, schema] of Object.entries(newProps)) {
+    if (ignored(schema)) continue;
+    const path = field ? `${field}.${name}` : name;
+
+    if (!oldProps[name]) {
+      if (isRequest && newRequired.has(name)) {
+        report(ChangeSeverity.BREAKING, 'request-field-added-required', `${label} has a new required field '${path}'`);
+      } else {
+        report(ChangeSeverity.INFO, isRequest ? 'request-field-added' : 'response-field-added', `${label} has a new field '${path}'`);
+      }
+      continue;
+    }
+
+    if (isRequest && newRequired.has(name) && !oldRequired.has(name)) {
+      report(ChangeSeverity.BREAKING, 'request-field-required', `${label} field '${path}' is now required`);
+    }
+    if (!isRequest && oldRequired.has(name) && !newRequired.has(name)) {
+      report(ChangeSeverity.WARNING, 'response-field-optional', `${label} field '${path}' is no longer required`);
+    }
+
+    compareSchemas(oldProps[name], schema, context, path, depth + 1);
+  }
+
+  for (const [name, schema] of Object.entries(oldProps)) {
+    if (newProps[name] || ignored(schema)) continue;
+    const path = field ? `${field}.${name}` : name;
+
+    if (isRequest) {
+      report(ChangeSeverity.WARNING, 'request-field-removed', `${label} field '${path}' was removed`);
+    } else {
+      report(ChangeSeverity.BREAKING, 'response-field-removed', `${label} field '${path}' was removed`);
+    }
+  }
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/**
+ * Schema types, including 3.1 type arrays and 3.0 nullable
+ */
+function getTypes(schema) {
+  if (!schema.type) return null;
+  const types = Array.isArray(schema.type) ? [...schema.type] : [schema.type];
+  if (schema.nullable && !types.includes('null')) types.push('null');
+  return types;
+}
+
+function acceptsType(types, type) {
+  return types.includes(type) || (type === 'integer' && types.includes('number'));
+}
+
+function sameMembers(a, b) {
+  return a.length === b.length && a.every(item => b.includes(item));
+}
+
+/**
+ * Lower bound { value, exclusive } from 3.0 (boolean) or 3.1 (numeric) keywords
+ */
+function getLowerBound(schema) {
+  if (typeof schema.exclusiveMinimum === 'number') return { value: schema.exclusiveMinimum, exclusive: true };
+  if (schema.minimum === undefined) return null;
+  return { value: schema.minimum, exclusive: schema.exclusiveMinimum === true };
+}
+
+function getUpperBound(schema) {
+  if (typeof schema.exclusiveMaximum === 'number') return { value: schema.exclusiveMaximum, exclusive: true };
+  if (schema.maximum === undefined) return null;
+  return { value: schema.maximum, exclusive: schema.exclusiveMaximum === true };
+}
+
+function formatBound(bound) {
+  return bound.exclusive ? `${bound.value} (exclusive)` : bound.value;
+}
+
+function formatValue(value) {
+  return value === undefined ? 'none' : typeof value === 'string' && !/^\d/.test(value) ? `'${value}'` : String(value);
+}
+
+function formatValues(values) {
+  return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+export default {
+  ChangeSeverity,
+  compareSpecs,
+  hasBreakingChanges,
+  formatChangesText
+};
@@ -0,0 +1,284 @@
+/**
+ * Spec Bundler
+ *
+ * Bundles a spec split across files (paths/*.yaml, schemas/*.yaml) into a
+ * single document for upload to Spec Hub:
+ * - External $refs become components ($ref: '#/components/schemas/Task')
+ * - The component type follows where the $ref appears (parameters,
+ *   responses, requestBody, headers, examples, links, callbacks, schemas)
+ * - External path items are inlined under `paths`
+ * - Internal refs of the entry file are kept as they are
+ *
+ * Remote (http/https) refs are left untouched. Overlays, when given, are
+ * applied to the bundled document.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { applyOverlays } from './overlay.js';
+
+/**
+ * Component type for a $ref found in a map under these keys
+ */
+const MAP_CONTEXTS = {
+  responses: 'responses',
+  headers: 'headers',
+  examples: 'examples',
+  links: 'links',
+  callbacks: 'callbacks',
+  securitySchemes: 'securitySchemes'
+};
+
+export class BundleError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BundleError';
+    this.details = details;
+  }
+}
+
+/**
+ * Bundle a spec and its external refs into one document
+ * @param {string} specPath - Entry spec file
+ * @param {Object} options - { format: 'yaml' | 'json' (default: format of the entry file), overlays }
+ * @returns {Object} { spec, content, format, files } - files lists the external files pulled in
+ */
+export function bundleSpec(specPath, options = {}) {
+  const entryPath = path.resolve(specPath);
+  const raw = fs.readFileSync(entryPath, 'utf8');
+  const format = options.format || (isYamlPath(entryPath) ? 'yaml' : 'json');
+
+  const context = {
+    documents: new Map([[entryPath, parseDocument(raw, entryPath)]]),
+    components: {},
+    names: new Map(),
+    files: new Set()
+  };
+
+  const root = context.documents.get(entryPath);
+
+  // Components of the entry file that point at external files keep their names
+  for (const [type, entries] of Object.entries(root?.components || {})) {
+    for (const [name, value] of Object.entries(entries || {})) {
+      const ref = value?.$ref;
+      if (typeof ref !== 'string' || ref.startsWith('#') || /^https?:\/\//.test(ref)) continue;
+
+      const [target, pointer = ''] = ref.split('#');
+      context.names.set(`${path.resolve(path.dirname(entryPath), target)}#${pointer}`, { type, name, pending: true });
+    }
+  }
+
+  let spec = walk(root, entryPath, [], context, true);
+  const overlays = options.overlays || [];
+
+  if (context.files.size === 0 && !options.format && overlays.length === 0) {
+    // Nothing to bundle - keep the file byte for byte
+    return { spec, content: raw, format, files: [] };
+  }
+
+  if (Object.keys(context.components).length > 0) {
+    spec.components = spec.components || {};
+    for (const [type, entries] of Object.entries(context.components)) {
+      spec.components[type] = { ...(spec.components[type] || {}), ...entries };
+    }
+  }
+
+  if (overlays.length > 0) {
+    spec = applyOverlays(spec, overlays);
+  }
+
+  return {
+    spec,
+    content: serialize(spec, format),
+    format,
+    files: [...context.files].map(file => path.relative(path.dirname(entryPath), file))
+  };
+}
+
+/**
+ * Bundle a spec and write the result
+ * @param {string} specPath - Entry spec file
+ * @param {string} outPath - Output file (.yaml/.yml or .json)
+ * @param {Object} options - { overlays }
+ * @returns {Object} Bundle result with `filepath`
+ */
+export function writeBundle(specPath, outPath, options = {}) {
+  const bundle = bundleSpec(specPath, { ...options, format: isYamlPath(outPath) ? 'yaml' : 'json' });
+
+  fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+  fs.writeFileSync(outPath, bundle.content);
+
+  return { ...bundle, filepath: outPath };
+}
+
+/**
+ * Copy a node, rewriting the $refs it contains
+ * @param {*} node - Node to copy
+ * @param {string} file - File the node was read from
+ * @param {Array} trail - Keys from the document root to the node
+ * @param {boolean} isEntry - Node belongs to the entry file (internal refs stay)
+ */
+function walk(node, file, trail, context, isEntry) {
+  if (Array.isArray(node)) {
+    return node.map((item, index) => walk(item, file, [...trail, index], context, isEntry));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  if (typeof node.$ref === 'string') {
+    return rewriteRef(node, file, trail, context, isEntry);
+  }
+
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, walk(value, file, [...trail, key], context, isEntry)]));
+}
+
+function rewriteRef(node, file, trail, context, isEntry) {
+  const ref = node.$ref;
+  if (/^https?:\/\//.test(ref) || (isEntry && ref.startsWith('#'))) {
+    return { ...node };
+  }
+
+  const [target, pointer = ''] = ref.split('#');
+  const targetFile = target ? path.resolve(path.dirname(file), target) : file;
+  const entryFile = context.documents.keys().next().value;
+
+  // Refs back into the entry file become internal refs
+  if (targetFile === entryFile && pointer) {
+    return { $ref: `#${pointer}` };
+  }
+
+  // Path items have no component type in 3.0 - inline them
+  if (trail.length === 2 && trail[0] === 'paths') {
+    return walk(resolvePointer(loadDocument(targetFile, context), pointer, ref), targetFile, trail, context, false);
+  }
+
+  const type = getComponentType(trail);
+  const key = `${targetFile}#${pointer}`;
+  const registered = context.names.get(key);
+
+  // The entry file's own component entry receives the content
+  if (registered?.pending && trail.length === 3 && trail[0] === 'components' && trail[1] === registered.type && trail[2] === registered.name) {
+    registered.pending = false;
+    return walk(resolvePointer(loadDocument(targetFile, context), pointer, ref), targetFile, trail, context, false);
+  }
+
+  if (!context.names.has(key)) {
+    const name = uniqueName(type, getComponentName(targetFile, pointer), context);
+    context.names.set(key, { type, name });
+    context.components[type] = context.components[type] || {};
+
+    // Reserve the name before walking so recursive refs point back to it
+    context.components[type][name] = null;
+    context.components[type][name] = walk(resolvePointer(loadDocument(targetFile, context), pointer, ref), targetFile, ['components', type, name], context, false);
+  }
+
+  const { type: componentType, name } = context.names.get(key);
+  return { $ref: `#/components/${componentType}/${escapePointer(name)}` };
+}
+
+/**
+ * Component type for a $ref from the keys leading to it
+ */
+function getComponentType(trail) {
+  const key = trail[trail.length - 1];
+  const parent = trail[trail.length - 2];
+
+  if (trail[0] === 'components' && trail.length === 3) return trail[1];
+  if (parent === 'parameters' && typeof key === 'number') return 'parameters';
+  if (key === 'requestBody') return 'requestBodies';
+  if (typeof key === 'string' && MAP_CONTEXTS[parent] && !isSchemaKeyword(trail)) return MAP_CONTEXTS[parent];
+
+  return 'schemas';
+}
+
+/**
+ * `examples`/`headers` etc. are also property names inside schemas
+ */
+function isSchemaKeyword(trail) {
+  return trail.includes('schema') || trail.includes('properties') || (trail[0] === 'components' && trail[1] === 'schemas');
+}
+
+function getComponentName(file, pointer) {
+  const segments = pointer.split('/').filter(Boolean);
+  const last = segments.length > 0 ? unescapePointer(segments[segments.length - 1]) : path.basename(file).replace(/\.(ya?ml|json)$/i, '');
+  return last.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+function uniqueName(type, name, context) {
+  const taken = new Set([...context.names.values()].filter(entry => entry.type === type).map(entry => entry.name));
+  const root = context.documents.values().next().value;
+  for (const existing of Object.keys(root?.components?.[type] || {})) taken.add(existing);
+
+  let candidate = name;
+  for (let index = 2; taken.has(candidate); index++) {
+    candidate = `${name}_${index}`;
+  }
+  return candidate;
+}
+
+function loadDocument(file, context) {
+  if (!context.documents.has(file)) {
+    if (!fs.existsSync(file)) {
+      throw new BundleError(`Referenced file not found: ${file}`, { file });
+    }
+    context.documents.set(file, parseDocument(fs.readFileSync(file, 'utf8'), file));
+    context.files.add(file);
+  }
+  return context.documents.get(file);
+}
+
+function resolvePointer(document, pointer, ref) {
+  const segments = pointer.split('/').filter(Boolean).map(unescapePointer);
+  let node = document;
+
+  for (const segment of segments) {
+    if (!node || typeof node !== 'object' || !(segment in node)) {
+      throw new BundleError(`Cannot resolve $ref: ${ref}`, { ref });
+    }
+    node = node[segment];
+  }
+
+  return node;
+}
+
+function parseDocument(content, file) {
+  try {
+    // JSON_SCHEMA prevents arbitrary code execution from malicious YAML
+    return isYamlPath(file) ? yaml.load(content, { schema: yaml.JSON_SCHEMA }) : JSON.parse(content);
+  } catch (error) {
+    throw new BundleError(`Failed to parse ${file}: ${error.message}`, { file });
+  }
+}
+
+function serialize(spec, format) {
+  if (format === 'json') {
+    return JSON.stringify(spec, null, 2) + '\n';
+  }
+
+  return yaml.dump(spec, {
+    lineWidth: -1,
+    noRefs: true,
+    quotingType: '"',
+    forceQuotes: false
+  });
+}
+
+function isYamlPath(file) {
+  return /\.ya?ml$/i.test(file);
+}
+
+function escapePointer(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+export default {
+  bundleSpec,
+  writeBundle,
+  BundleError
+};
@@ -10,6 +10,10 @@
  * - SPEC_TO_COLLECTION: Structural changes (paths, schemas, security) - never reverse sync
  * - BIDIRECTIONAL: Enrichments (descriptions, examples) - can flow both ways
  * - COLLECTION_ONLY: Tests and scripts - stored as vendor extensions
+ *
+ * Field lists come from reverseSync.allowedFields, blockedFields and
+ * requireApprovalFor in sync.config.json (built-in lists when unset).
+ * Precedence: requireApprovalFor > allowedFields > blockedFields.
  */
 
 // Change direction constants
@@ -60,11 +64,36 @@ const BIDIRECTIONAL_FIELDS = [
   'components.schemas.*.properties.*.example'
 ];
 
+// Arrays whose items have an identity, by the field that holds them.
+// Other arrays are compared by index.
+const ARRAY_ITEM_KEYS = {
+  parameters: item => (item?.$ref ? `$ref:${item.$ref}` : item?.name !== undefined ? `${item.in}:${item.name}` : undefined),
+  tags: item => (typeof item === 'string' ? item : item?.name),
+  servers: item => item?.url,
+  security: item => (item && typeof item === 'object' && !Array.isArray(item) ? Object.keys(item).sort().join('+') : undefined)
+};
+
+/**
+ * Identity of an item in a keyed array
+ * @param {string} field - Field holding the array (parameters, tags, servers, security)
+ * @param {*} item - Array item
+ * @returns {string|undefined} Key, or undefined when the array is not keyed
+ */
+export function getArrayItemKey(field, item) {
+  const key = ARRAY_ITEM_KEYS[field]?.(item);
+  return typeof key === 'string' ? key : undefined;
+}
+
 /**
  * Deep diff implementation (simplified, no external dependency)
  * Returns array of changes between two objects
+ *
+ * Keyed arrays (see ARRAY_ITEM_KEYS) are matched by identity: `path` uses the
+ * item's base index (compare index for additions) and `keyPath` holds
+ * { key } segments so the change applies to a differently ordered copy.
+ * Reordered items are reported as moves (kind 'M', lhs/rhs = old/new index).
  */
-function deepDiff(base, compare, path = []) {
+function deepDiff(base, compare, path = [], keyPath = path) {
   const changes = [];
 
   if (base === compare) return changes;
@@ -75,6 +104,7 @@ function deepDiff(base, compare, path = []) {
       changes.push({
         kind: base === undefined ? 'N' : compare === undefined ? 'D' : 'E',
         path: [...path],
+        keyPath: [...keyPath],
         lhs: base,
         rhs: compare
       });
@@ -85,13 +115,20 @@ function deepDiff(base, compare, path = []) {
   // Handle arrays
   if (Array.isArray(base) || Array.isArray(compare)) {
     if (!Array.isArray(base) || !Array.isArray(compare)) {
-      changes.push({ kind: 'E', path: [...path], lhs: base, rhs: compare });
+      changes.push({ kind: 'E', path: [...path], keyPath: [...keyPath], lhs: base, rhs: compare });
       return changes;
     }
 
+    const field = path[path.length - 1];
+    const baseKeys = getItemKeys(field, base);
+    const compareKeys = getItemKeys(field, compare);
+    if (baseKeys && compareKeys) {
+      return diffKeyedArray(base, compare, baseKeys, compareKeys, path, keyPath);
+    }
+
     const maxLen = Math.max(base.length, compare.length);
     for (let i = 0; i < maxLen; i++) {
-      changes.push(...deepDiff(base[i], compare[i], [...path, i]));
+      changes.push(...deepDiff(base[i], compare[i], [...path, i], [...keyPath, i]));
     }
     return changes;
   }
@@ -100,18 +137,155 @@ function deepDiff(base, compare, path = []) {
   const allKeys = new Set([...Object.keys(base || {}), ...Object.keys(compare || {})]);
 
   for (const key of allKeys) {
-    changes.push(...deepDiff(base[key], compare[key], [...path, key]));
+    changes.push(...deepDiff(base[key], compare[key], [...path, key], [...keyPath, key]));
   }
 
   return changes;
 }
 
+/**
+ * Conflict identity of a change: its key path, or its path
+ */
+function serializeKeyPath(change) {
+  return JSON.stringify(change.keyPath || change.path || []);
+}
+
+/**
+ * Keys for every item of a keyed array, or null when any item has none or keys repeat
+ */
+function getItemKeys(field, items) {
+  if (!ARRAY_ITEM_KEYS[field]) return null;
+
+  const keys = items.map(item => getArrayItemKey(field, item));
+  if (keys.some(key => key === undefined) || new Set(keys).size !== keys.length) return null;
+
+  return keys;
+}
+
+function diffKeyedArray(base, compare, baseKeys, compareKeys, path, keyPath) {
+  const changes = [];
+  const baseIndex = new Map(baseKeys.map((key, index) => [key, index]));
+  const compareIndex = new Map(compareKeys.map((key, index) => [key, index]));
+
+  baseKeys.forEach((key, index) => {
+    if (!compareIndex.has(key)) {
+      changes.push({ kind: 'D', path: [...path, index], keyPath: [...keyPath, { key }], lhs: base[index], rhs: undefined });
+    }
+  });
+
+  baseKeys.forEach((key, index) => {
+    if (compareIndex.has(key)) {
+      changes.push(...deepDiff(base[index], compare[compareIndex.get(key)], [...path, index], [...keyPath, { key }]));
+    }
+  });
+
+  // Items outside the longest common order moved; everything else only shifted
+  const kept = baseKeys.filter(key => compareIndex.has(key));
+  const stable = longestCommonSubsequence(kept, compareKeys.filter(key => baseIndex.has(key)));
+  for (const key of compareKeys) {
+    if (baseIndex.has(key) && !stable.has(key)) {
+      const from = baseIndex.get(key);
+      changes.push({ kind: 'M', path: [...path, from], keyPath: [...keyPath, { key }], lhs: from, rhs: compareIndex.get(key) });
+    }
+  }
+
+  compareKeys.forEach((key, index) => {
+    if (!baseIndex.has(key)) {
+      changes.push({ kind: 'N', path: [...path, index], keyPath: [...keyPath, { key }], lhs: undefined, rhs: compare[index] });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Keys in the longest common subsequence of two key lists
+ */
+function longestCommonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const common = new Set();
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j]) {
+      common.add(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return common;
+}
+
+/**
+ * Check if a path matches a field pattern (supports * wildcard)
+ * Patterns are dot-separated; * matches one segment and a pattern also
+ * matches everything below it ("paths" matches "paths./users.get").
+ * @param {string} path - Actual path (e.g., "paths./users.get.description")
+ * @param {string} pattern - Pattern (e.g., "paths.*.*.description")
+ * @returns {boolean} True when the pattern matches
+ */
+export function matchesFieldPattern(path, pattern) {
+  const pathParts = path.split('.');
+  const patternParts = pattern.split('.');
+
+  let pi = 0;  // path index
+  let pti = 0; // pattern index
+
+  while (pi < pathParts.length && pti < patternParts.length) {
+    const patternPart = patternParts[pti];
+
+    if (patternPart === '*') {
+      // Wildcard matches any single segment
+      pi++;
+      pti++;
+    } else if (patternPart.includes('*')) {
+      // Partial wildcard (e.g., "*.description")
+      const regex = new RegExp('^' + patternPart.replace(/\*/g, '.*') + '$');
+      if (regex.test(pathParts[pi])) {
+        pi++;
+        pti++;
+      } else {
+        return false;
+      }
+    } else if (pathParts[pi] === patternPart) {
+      pi++;
+      pti++;
+    } else {
+      return false;
+    }
+  }
+
+  // Pattern matched if we consumed the entire pattern
+  // and either consumed entire path or pattern ends with structural element
+  return pti === patternParts.length;
+}
+
 export class ChangeDetector {
+  /**
+   * @param {object} options - Detector options
+   * @param {boolean} options.strictMode - Block unclassified fields (default: true)
+   * @param {Array<string>} options.allowedFields - Patterns that may reverse sync
+   * @param {Array<string>} options.blockedFields - Patterns that never reverse sync
+   * @param {Array<string>} options.requireApprovalFor - Patterns that need a sign-off before merging
+   */
   constructor(options = {}) {
     this.options = {
       strictMode: options.strictMode ?? true,  // Block unknown fields by default
       ...options
     };
+    this.allowedFields = options.allowedFields || BIDIRECTIONAL_FIELDS;
+    this.blockedFields = options.blockedFields || SPEC_SOURCE_OF_TRUTH;
+    this.requireApprovalFor = options.requireApprovalFor || [];
   }
 
   /**
@@ -125,6 +299,7 @@ export class ChangeDetector {
     const changes = {
       safeToSync: [],      // Can auto-sync (descriptions, examples)
       needsReview: [],     // Require human approval (conflicts)
+      approvalRequired: [],  // Can sync once signed off (requireApprovalFor)
       blocked: [],         // Cannot reverse-sync (structural)
       tests: []            // Collection-only artifacts
     };
@@ -136,19 +311,19 @@ export class ChangeDetector {
     const localDiff = deepDiff(baseSpec, currentSpec);
 
     // Create a set of local change paths for conflict detection
-    const localChangePaths = new Set(
-      localDiff.map(change => (change.path || []).join('.'))
-    );
+    // (key paths, so keyed array items match whatever their position)
+    const localChangePaths = new Set(localDiff.map(change => serializeKeyPath(change)));
 
     for (const change of remoteDiff) {
       const pathStr = (change.path || []).join('.');
       const classification = this.classifyChange(pathStr, change);
 
       // Check for conflicts (same path changed in both)
-      const hasLocalChange = localChangePaths.has(pathStr);
+      const hasLocalChange = localChangePaths.has(serializeKeyPath(change));
 
       const classifiedChange = {
         path: pathStr,
+        keyPath: change.keyPath,
         kind: change.kind,
         oldValue: change.lhs,
         newValue: change.rhs,
@@ -156,11 +331,16 @@ export class ChangeDetector {
         reason: classification.reason,
         hasConflict: hasLocalChange
       };
+      if (classification.requiresApproval) {
+        classifiedChange.requiresApproval = true;
+      }
 
       switch (classification.direction) {
         case CHANGE_DIRECTION.BIDIRECTIONAL:
           if (hasLocalChange) {
             changes.needsReview.push(classifiedChange);
+          } else if (classification.requiresApproval) {
+            changes.approvalRequired.push(classifiedChange);
           } else {
             changes.safeToSync.push(classifiedChange);
           }
@@ -182,28 +362,22 @@ export class ChangeDetector {
    * Classify a single change by its path
    * @param {string} pathStr - Dot-separated path string
    * @param {object} change - The change object
-   * @returns {object} Classification with direction and reason
+   * @returns {object} Classification with direction, reason and requiresApproval
    */
   classifyChange(pathStr, change) {
-    // Check if path is in spec-source-of-truth list (structural)
-    for (const pattern of SPEC_SOURCE_OF_TRUTH) {
+    // Fields that may sync, but only with a sign-off
+    for (const pattern of this.requireApprovalFor) {
       if (this.pathMatchesPattern(pathStr, pattern)) {
-        // Check if it's a description/example within a structural element
-        if (this.isEnrichmentWithinStructure(pathStr)) {
-          return {
-            direction: CHANGE_DIRECTION.BIDIRECTIONAL,
-            reason: `Enrichment within structure: ${pathStr}`
-          };
-        }
         return {
-          direction: CHANGE_DIRECTION.SPEC_TO_COLLECTION,
-          reason: `Structural element: ${pattern}`
+          direction: CHANGE_DIRECTION.BIDIRECTIONAL,
+          reason: `Requires approval: ${pattern}`,
+          requiresApproval: true
         };
       }
     }
 
     // Check if path is explicitly bidirectional
-    for (const pattern of BIDIRECTIONAL_FIELDS) {
+    for (const pattern of this.allowedFields) {
       if (this.pathMatchesPattern(pathStr, pattern)) {
         return {
           direction: CHANGE_DIRECTION.BIDIRECTIONAL,
@@ -212,6 +386,24 @@ export class ChangeDetector {
       }
     }
 
+    // Check if path is in spec-source-of-truth list (structural)
+    for (const pattern of this.blockedFields) {
+      if (this.pathMatchesPattern(pathStr, pattern)) {
+        // Check if it's a description/example within a structural element
+        // (unless the blocked pattern names that enrichment itself)
+        if (this.isEnrichmentWithinStructure(pathStr) && !this.isEnrichmentWithinStructure(pattern)) {
+          return {
+            direction: CHANGE_DIRECTION.BIDIRECTIONAL,
+            reason: `Enrichment within structure: ${pathStr}`
+          };
+        }
+        return {
+          direction: CHANGE_DIRECTION.SPEC_TO_COLLECTION,
+          reason: `Structural element: ${pattern}`
+        };
+      }
+    }
+
     // Check for test/script content (vendor extensions)
     if (pathStr.includes('x-postman') ||
         pathStr.includes('x-tests') ||
@@ -261,39 +453,7 @@ export class ChangeDetector {
    * @param {string} pattern - Pattern (e.g., "paths.*.*.description")
    */
   pathMatchesPattern(path, pattern) {
-    const pathParts = path.split('.');
-    const patternParts = pattern.split('.');
-
-    let pi = 0;  // path index
-    let pti = 0; // pattern index
-
-    while (pi < pathParts.length && pti < patternParts.length) {
-      const patternPart = patternParts[pti];
-
-      if (patternPart === '*') {
-        // Wildcard matches any single segment
-        pi++;
-        pti++;
-      } else if (patternPart.includes('*')) {
-        // Partial wildcard (e.g., "*.description")
-        const regex = new RegExp('^' + patternPart.replace(/\*/g, '.*') + '$');
-        if (regex.test(pathParts[pi])) {
-          pi++;
-          pti++;
-        } else {
-          return false;
-        }
-      } else if (pathParts[pi] === patternPart) {
-        pi++;
-        pti++;
-      } else {
-        return false;
-      }
-    }
-
-    // Pattern matched if we consumed the entire pattern
-    // and either consumed entire path or pattern ends with structural element
-    return pti === patternParts.length;
+    return matchesFieldPattern(path, pattern);
   }
 
   /**
@@ -302,9 +462,11 @@ export class ChangeDetector {
   getSummary(changes) {
     return {
       total: changes.safeToSync.length + changes.needsReview.length +
+             (changes.approvalRequired?.length || 0) +
              changes.blocked.length + changes.tests.length,
       safeToSync: changes.safeToSync.length,
       needsReview: changes.needsReview.length,
+      approvalRequired: changes.approvalRequired?.length || 0,
       blocked: changes.blocked.length,
       tests: changes.tests.length,
       hasConflicts: changes.needsReview.some(c => c.hasConflict)
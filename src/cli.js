@@ -7,6 +7,14 @@
  *
  * Commands:
  *   forward  - Sync spec to Postman (existing behavior)
+ *   generate - Build collections locally (no Spec Hub)
+ *   bundle   - Bundle a split spec into one file
+ *   overlay  - Apply OpenAPI Overlays and show or write the result
+ *   run      - Run collection tests against an API
+ *   mock     - Serve the spec as a mock API
+ *   coverage - Report which parts of the contract the tests assert
+ *   lint     - Check the spec for gaps that weaken generated tests
+ *   diff     - Report breaking changes between two spec versions
  *   repo     - Export Postman collections/environments to repo
  *   reverse  - Sync Postman changes back to spec
  *   bidi     - Full bidirectional workflow
@@ -14,14 +22,25 @@
  */
 
 import { Command } from 'commander';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { SpecHubClient } from './spec-hub-client.js';
 import { RepoSync } from './repo-sync.js';
 import { ReverseSync } from './reverse-sync.js';
 import { parseSpec } from './parser.js';
-import { loadConfig } from './config-loader.js';
+import { loadConfig, getSpecConfig } from './config-loader.js';
 import { sync as forwardSync } from './spec-hub-sync.js';
+import { buildCollections, writeCollections } from './collection-builder.js';
+import { bundleSpec, writeBundle } from './bundler.js';
+import { applyOverlays, diffDocuments, formatDiff } from './overlay.js';
+import { CollectionRunner, loadCollection, loadEnvironment } from './collection-runner.js';
+import { MockServer } from './mock-server.js';
+import { WebhookReceiver } from './webhook-receiver.js';
+import { writeReports, ReportFormat } from './reporters.js';
+import { analyzeCoverage, formatCoverageText } from './coverage.js';
+import { lintSpec, hasFailures, formatLintText, generateLintSarif } from './linter.js';
+import { compareSpecs, hasBreakingChanges, formatChangesText } from './breaking-changes.js';
 import { createLogger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -70,6 +89,21 @@ function getConfig(options) {
   return config;
 }
 
+/**
+ * Overlays configured for a spec (specs.<name>.overlays in sync.config.json)
+ */
+function getOverlays(config, specPath) {
+  return getSpecConfig(config, specPath)?.overlays || [];
+}
+
+/**
+ * Reverse sync field rules from config (undefined keeps the built-in lists)
+ */
+function getFieldRules(config) {
+  const { allowedFields, blockedFields, requireApprovalFor } = config.reverseSync;
+  return { allowedFields, blockedFields, requireApprovalFor };
+}
+
 /**
  * Validate required options
  */
@@ -93,8 +127,10 @@ const forwardCmd = program
   .description('Forward sync: OpenAPI spec -> Postman collections');
 
 addCommonOptions(forwardCmd)
-  .option('-t, --test-level <level>', 'Test level: smoke, contract, all, none', 'all')
+  .option('-t, --test-level <level>', 'Test level: smoke, contract, negative, lifecycle, all, none', 'all')
   .option('--export-to-repo <path>', 'Also export collections to repo after sync')
+  .option('--expand-server-variables', 'One environment per combination of server variable enum values')
+  .option('--fail-on-breaking', 'Stop before uploading when the spec breaks the version in Spec Hub')
   .action(async (options) => {
     const config = getConfig(options);
     validateConfig(config);
@@ -125,7 +161,11 @@ addCommonOptions(forwardCmd)
         workspaceId: config.workspace,
         apiKey: config._apiKey,
         testLevel: testLevel,
-        dryRun: dryRun
+        dryRun: dryRun,
+        overlays: getOverlays(config, specPath),
+        expandServerVariables: options.expandServerVariables || config.forwardSync.expandServerVariables,
+        checkBreakingChanges: config.ci.checkBreakingChanges,
+        failOnBreaking: options.failOnBreaking || config.ci.failOnBreaking
       });
 
       // Export to repo if requested
@@ -141,6 +181,510 @@ addCommonOptions(forwardCmd)
     }
   });
 
+// ============================================================
+// GENERATE COMMAND (OFFLINE)
+// ============================================================
+
+program
+  .command('generate')
+  .description('Build Postman collections locally from the spec (no Spec Hub or API key needed)')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec file (can also be set via SPEC_FILE env or config)')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .requiredOption('-o, --out <dir>', 'Output directory for collection files')
+  .option('-t, --test-level <level>', 'Test level: smoke, contract, negative, lifecycle, all, none')
+  .option('-d, --dry-run', 'List the files without writing them', false)
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    const testLevel = options.testLevel || config.forwardSync.testLevel;
+    const dryRun = options.dryRun || config.dryRun;
+
+    logger.info('Generate: OpenAPI -> Postman collections (offline)');
+    logger.info('='.repeat(50));
+
+    try {
+      const api = await parseSpec(specPath, { overlays: getOverlays(config, specPath) });
+      const collections = buildCollections(api, { testLevel });
+      const written = writeCollections(collections, options.out, { dryRun });
+
+      for (const file of written) {
+        logger.info(`  ${dryRun ? 'Would write' : 'Wrote'}: ${file.filepath} (${file.type})`);
+      }
+
+      logger.info(`\nGenerated ${written.length} collections`);
+    } catch (error) {
+      logger.error(`Generate failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// BUNDLE COMMAND
+// ============================================================
+
+program
+  .command('bundle')
+  .description('Bundle a spec split across files into one file (external $refs become components)')
+  .option('-s, --spec <path>', 'Path to the entry spec file (can also be set via SPEC_FILE env or config)')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .requiredOption('-o, --out <file>', 'Output file (.yaml, .yml or .json)')
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    try {
+      // Parse first so broken refs fail with the parser's error messages
+      const overlays = getOverlays(config, specPath);
+      await parseSpec(specPath, { overlays });
+      const bundle = writeBundle(specPath, options.out, { overlays });
+
+      for (const file of bundle.files) {
+        logger.info(`  Bundled: ${file}`);
+      }
+      logger.info(`Wrote ${bundle.filepath} (${bundle.files.length} referenced files)`);
+    } catch (error) {
+      logger.error(`Bundle failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// OVERLAY COMMAND
+// ============================================================
+
+program
+  .command('overlay')
+  .description('Apply OpenAPI Overlays to a spec and write the result, or show the changes with --dry-run')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec file (can also be set via SPEC_FILE env or config)')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('--overlay <paths...>', 'Overlay files to apply (default: specs.<name>.overlays from config)')
+  .option('-o, --out <file>', 'Write the resulting spec to a file (.yaml, .yml or .json) instead of stdout')
+  .option('-d, --dry-run', 'Print the changes the overlays make without writing anything', false)
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    const overlays = options.overlay || getOverlays(config, specPath);
+    if (overlays.length === 0) {
+      logger.error(`No overlays for ${specPath}. Use --overlay or configure specs.<name>.overlays in sync.config.json`);
+      process.exit(1);
+    }
+
+    try {
+      // Parse first so invalid results fail with the parser's error messages
+      await parseSpec(specPath, { overlays });
+
+      if (options.dryRun) {
+        const { spec } = bundleSpec(specPath);
+        const changes = diffDocuments(spec, applyOverlays(spec, overlays));
+        logger.info(`Overlays: ${overlays.join(', ')} (${changes.length} changes)`);
+        process.stdout.write(formatDiff(changes) + '\n');
+        return;
+      }
+
+      if (options.out) {
+        const bundle = writeBundle(specPath, options.out, { overlays });
+        logger.info(`Wrote ${bundle.filepath} with ${overlays.length} overlay(s) applied`);
+      } else {
+        process.stdout.write(bundleSpec(specPath, { overlays }).content);
+      }
+    } catch (error) {
+      logger.error(`Overlay failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// RUN COMMAND
+// ============================================================
+
+program
+  .command('run')
+  .description('Run collection tests against an API (exported collection files or built from the spec)')
+  .option('--collection <file...>', 'Collection file(s) to run (e.g. postman/collections/*.collection.json)')
+  .option('-s, --spec <path>', 'Build collections from the spec instead of reading files')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-t, --test-level <level>', 'Test level when building from the spec: smoke, contract, negative, lifecycle, all')
+  .option('-e, --environment <file>', 'Environment file (e.g. postman/environments/dev.environment.json)')
+  .option('-b, --base-url <url>', 'Base URL (overrides baseUrl from the environment)')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '10000')
+  .option('--bail', 'Stop a collection at the first failing request', false)
+  .option('-r, --reporters <formats>', 'Comma-separated report formats: junit, sarif, html')
+  .option('--report-dir <dir>', 'Directory for report files', 'reports')
+  .option('--webhooks', 'Receive webhook and callback deliveries during the run and validate them', false)
+  .option('--webhook-port <port>', 'Port for the webhook receiver', '4020')
+  .option('--webhook-wait <ms>', 'Time to wait for outstanding deliveries after the collections ran', '0')
+  .option('--require-deliveries', 'Fail for webhooks and callbacks that received no delivery', false)
+  .action(async (options) => {
+    const config = getConfig(options);
+    const specPath = options.spec || config.spec;
+    const reporters = options.reporters ? options.reporters.split(',').map(format => format.trim()).filter(Boolean) : [];
+
+    const unknownReporters = reporters.filter(format => !Object.values(ReportFormat).includes(format));
+    if (unknownReporters.length > 0) {
+      logger.error(`Unknown reporter: ${unknownReporters.join(', ')}. Use ${Object.values(ReportFormat).join(', ')}`);
+      process.exit(1);
+    }
+
+    logger.info('Run: collection tests');
+    logger.info('='.repeat(50));
+
+    try {
+      let collections;
+      let api = null;
+
+      if (options.collection) {
+        collections = options.collection.map(file => ({ name: file, collection: loadCollection(file) }));
+
+        // Reports and the webhook receiver map requests back to the spec when one is configured
+        if ((reporters.length > 0 || options.webhooks) && specPath && fs.existsSync(specPath)) {
+          api = await parseSpec(specPath, { overlays: getOverlays(config, specPath) });
+        }
+      } else {
+        if (!specPath) {
+          logger.error('Collection or spec is required. Use --collection, --spec, set SPEC_FILE env var, or configure in sync.config.json');
+          process.exit(1);
+        }
+
+        const testLevel = options.testLevel || config.forwardSync.testLevel;
+        api = await parseSpec(specPath, { overlays: getOverlays(config, specPath) });
+        // The docs collection has no tests to run
+        collections = buildCollections(api, { testLevel }).filter(({ type }) => type !== 'main');
+      }
+
+      let receiver = null;
+      const environment = options.environment ? loadEnvironment(options.environment) : {};
+
+      if (options.webhooks) {
+        if (!api) {
+          logger.error('The webhook receiver needs the spec. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+          process.exit(1);
+        }
+
+        receiver = new WebhookReceiver(api, { port: parseInt(options.webhookPort, 10) });
+        environment.webhookReceiverUrl = await receiver.start();
+        logger.info(`Webhook receiver listening at ${environment.webhookReceiverUrl} (${receiver.contracts.length} webhooks/callbacks)`);
+      }
+
+      const runner = new CollectionRunner({
+        baseUrl: options.baseUrl,
+        environment,
+        timeout: parseInt(options.timeout, 10),
+        bail: options.bail
+      });
+
+      const results = [];
+      let failures = 0;
+
+      for (const { collection } of collections) {
+        const result = await runner.run(collection);
+        results.push(result);
+        logger.info(`\n${result.collection}`);
+
+        for (const execution of result.executions) {
+          const failed = execution.tests.filter(test => !test.passed);
+          const mark = execution.error || failed.length > 0 ? '✗' : '✓';
+          const status = execution.response ? `${execution.response.code} ${execution.response.responseTime}ms` : 'no response';
+          logger.info(`  ${mark} ${[...execution.folder, execution.name].join(' / ')} (${status})`);
+
+          if (execution.error) {
+            logger.info(`      Error: ${execution.error}`);
+          }
+          for (const test of failed) {
+            logger.info(`      ✗ ${test.name}: ${test.error}`);
+          }
+        }
+
+        const { stats } = result;
+        logger.info(`  ${stats.requests} requests, ${stats.tests} tests, ${stats.passed} passed, ${stats.failed} failed, ${stats.requestErrors} request errors`);
+        failures += stats.failed + stats.requestErrors;
+      }
+
+      if (receiver) {
+        const missing = await receiver.waitForDeliveries(parseInt(options.webhookWait, 10));
+        await receiver.stop();
+
+        const result = receiver.getResults({ requireDeliveries: options.requireDeliveries });
+        results.push(result);
+        logger.info(`\n${result.collection}`);
+
+        for (const execution of result.executions) {
+          const failed = execution.tests.filter(test => !test.passed);
+          const mark = execution.error || failed.length > 0 ? '✗' : '✓';
+          logger.info(`  ${mark} ${[...execution.folder, execution.name].join(' / ')} (${execution.request.method} ${execution.request.url})`);
+
+          if (execution.error) {
+            logger.info(`      Error: ${execution.error}`);
+          }
+          for (const test of failed) {
+            logger.info(`      ✗ ${test.name}: ${test.error}`);
+          }
+        }
+
+        if (!options.requireDeliveries) {
+          for (const contract of missing) {
+            logger.warn(`  No delivery received: ${contract.name} (${contract.method} ${contract.path})`);
+          }
+        }
+
+        const { stats } = result;
+        logger.info(`  ${stats.requests} deliveries, ${stats.tests} tests, ${stats.passed} passed, ${stats.failed} failed, ${stats.requestErrors} missing`);
+        failures += stats.failed + stats.requestErrors;
+      }
+
+      if (reporters.length > 0) {
+        const written = writeReports(results, {
+          formats: reporters,
+          outDir: options.reportDir,
+          api,
+          specPath: api ? specPath : null
+        });
+
+        for (const file of written) {
+          logger.info(`Report (${file.format}): ${file.filepath}`);
+        }
+      }
+
+      if (failures > 0) {
+        logger.error(`\nRun failed: ${failures} failures`);
+        process.exit(1);
+      }
+
+      logger.info('\nAll tests passed');
+    } catch (error) {
+      logger.error(`Run failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// MOCK COMMAND
+// ============================================================
+
+program
+  .command('mock')
+  .description('Serve the spec as a mock API (examples, schema-generated bodies, request validation)')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec file (can also be set via SPEC_FILE env or config)')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-p, --port <port>', 'Port to listen on', '4010')
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--no-validate', 'Skip request and credential validation')
+  .option('--token <token>', 'Accepted bearer/OAuth token', 'mock-token')
+  .option('--key <key>', 'Accepted API key', 'mock-api-key')
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    try {
+      const api = await parseSpec(specPath, { overlays: getOverlays(config, specPath) });
+      const mock = new MockServer(api, {
+        port: parseInt(options.port, 10),
+        host: options.host,
+        validate: options.validate,
+        token: options.token,
+        apiKey: options.key
+      });
+      const url = await mock.start();
+
+      logger.info(`Mock server for ${api.info?.title || specPath} listening on ${url}`);
+      logger.info(`  ${mock.routes.length} operations, request validation ${options.validate ? 'on' : 'off'}`);
+      logger.info('  Select responses with "Prefer: code=404" or "Prefer: example=<name>"');
+
+      process.once('SIGINT', async () => {
+        await mock.stop();
+        process.exit(0);
+      });
+    } catch (error) {
+      logger.error(`Mock server failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// COVERAGE COMMAND
+// ============================================================
+
+program
+  .command('coverage')
+  .description('Report which operations, status codes, properties, enum values and headers the generated tests assert')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec file (can also be set via SPEC_FILE env or config)')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-t, --test-level <level>', 'Test level: smoke, contract, negative, lifecycle, all, none')
+  .option('-f, --format <format>', 'Output format: text or json', 'text')
+  .option('--threshold <percent>', 'Fail when overall coverage is below this percentage')
+  .option('--out <file>', 'Also write the JSON report to a file')
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    if (!['text', 'json'].includes(options.format)) {
+      logger.error(`Unknown format: ${options.format}. Use text or json`);
+      process.exit(1);
+    }
+
+    const threshold = Number(options.threshold ?? config.ci.coverageThreshold ?? 0);
+    if (Number.isNaN(threshold)) {
+      logger.error(`Invalid threshold: ${options.threshold}`);
+      process.exit(1);
+    }
+
+    try {
+      const api = await parseSpec(specPath, { overlays: getOverlays(config, specPath) });
+      const testLevel = options.testLevel || config.forwardSync.testLevel;
+      const report = analyzeCoverage(api, { testLevel });
+
+      if (options.out) {
+        fs.writeFileSync(options.out, JSON.stringify(report, null, 2) + '\n');
+      }
+
+      // JSON goes to stdout untouched so it can be piped
+      if (options.format === 'json') {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+      } else {
+        logger.info(formatCoverageText(report));
+      }
+
+      if (report.summary.percent < threshold) {
+        logger.error(`Coverage ${report.summary.percent}% is below the threshold of ${threshold}%`);
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`Coverage failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// LINT COMMAND
+// ============================================================
+
+program
+  .command('lint')
+  .description('Check the spec for contract-testability gaps (missing 4xx/401 responses, schemas, invalid examples, ...)')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec file (can also be set via SPEC_FILE env or config)')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-f, --format <format>', 'Output format: text, json or sarif', 'text')
+  .option('--fail-on <severity>', 'Fail on findings at or above this severity: error, warning, info, off')
+  .option('-o, --out <file>', 'Write the report to a file instead of stdout')
+  .action(async (options) => {
+    const config = getConfig(options);
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    if (!['text', 'json', 'sarif'].includes(options.format)) {
+      logger.error(`Unknown format: ${options.format}. Use text, json or sarif`);
+      process.exit(1);
+    }
+
+    try {
+      const api = await parseSpec(specPath, { overlays: getOverlays(config, specPath) });
+      const report = lintSpec(api, { severities: config.lint.rules });
+      const failed = hasFailures(report, options.failOn || config.lint.failOn);
+
+      let output;
+      if (options.format === 'json') {
+        output = JSON.stringify(report, null, 2) + '\n';
+      } else if (options.format === 'sarif') {
+        output = JSON.stringify(generateLintSarif(report, { specPath }), null, 2) + '\n';
+      }
+
+      if (options.out) {
+        fs.writeFileSync(options.out, output ?? formatLintText(report, { specPath }) + '\n');
+        logger.info(`Lint report written to ${options.out}`);
+      } else if (output) {
+        // JSON goes to stdout untouched so it can be piped
+        process.stdout.write(output);
+      } else {
+        logger.info(formatLintText(report, { specPath }));
+      }
+
+      if (failed) {
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`Lint failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// DIFF COMMAND
+// ============================================================
+
+program
+  .command('diff <old> <new>')
+  .description('Compare two spec versions and report breaking changes (removed operations, new required fields, narrowed enums, ...)')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-f, --format <format>', 'Output format: text or json', 'text')
+  .option('--fail-on-breaking', 'Exit non-zero when there are breaking changes (default: ci.failOnBreaking)')
+  .option('-o, --out <file>', 'Write the report to a file instead of stdout')
+  .action(async (oldPath, newPath, options) => {
+    const config = getConfig(options);
+
+    if (!['text', 'json'].includes(options.format)) {
+      logger.error(`Unknown format: ${options.format}. Use text or json`);
+      process.exit(1);
+    }
+
+    try {
+      const oldApi = await parseSpec(oldPath, { overlays: getOverlays(config, oldPath) });
+      const newApi = await parseSpec(newPath, { overlays: getOverlays(config, newPath) });
+      const report = compareSpecs(oldApi, newApi);
+
+      const output = options.format === 'json'
+        ? JSON.stringify(report, null, 2) + '\n'
+        : formatChangesText(report) + '\n';
+
+      if (options.out) {
+        fs.writeFileSync(options.out, output);
+        logger.info(`Diff report written to ${options.out}`);
+      } else if (options.format === 'json') {
+        // JSON goes to stdout untouched so it can be piped
+        process.stdout.write(output);
+      } else {
+        logger.info(output.trimEnd());
+      }
+
+      if (hasBreakingChanges(report) && (options.failOnBreaking || config.ci.failOnBreaking)) {
+        logger.error(`${report.summary.breaking} breaking change(s)`);
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`Diff failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // ============================================================
 // REPO SYNC COMMAND
 // ============================================================
@@ -197,7 +741,7 @@ async function runRepoSync(specPath, outputDir, config, includeEnvs = true, dryR
     dryRun: dryRun
   });
 
-  const spec = await parseSpec(specPath);
+  const spec = await parseSpec(specPath, { overlays: getOverlays(config, specPath) });
   const specName = spec.info?.title || 'api';
 
   logger.info(`\n[1] Fetching collections for: ${specName}`);
@@ -210,12 +754,16 @@ async function runRepoSync(specPath, outputDir, config, includeEnvs = true, dryR
     .filter(c =>
       c.name === specName ||
       c.name === `${specName} - Smoke Tests` ||
-      c.name === `${specName} - Contract Tests`
+      c.name === `${specName} - Contract Tests` ||
+      c.name === `${specName} - Negative Tests` ||
+      c.name === `${specName} - Lifecycle Tests`
     )
     .map(c => ({
       uid: c.uid,
       type: c.name.includes('Smoke') ? 'smoke' :
-            c.name.includes('Contract') ? 'contract' : 'main'
+            c.name.includes('Contract') ? 'contract' :
+            c.name.includes('Negative') ? 'negative' :
+            c.name.includes('Lifecycle') ? 'lifecycle' : 'main'
     }));
 
   if (relevantCollections.length === 0) {
@@ -277,6 +825,8 @@ addCommonOptions(reverseCmd)
   .option('--strategy <strategy>', 'Conflict resolution: spec-wins, collection-wins, interactive')
   .option('--output <path>', 'Output path for updated spec')
   .option('--no-tests', 'Skip syncing tests as vendor extensions')
+  .option('--resolutions <path>', 'Conflict resolution file (default: <spec dir>/.sync-baselines/<spec>.resolutions.json)')
+  .option('--approve <patterns...>', 'Sign off requireApprovalFor changes matching these field patterns (e.g. "paths.*.*.parameters.*.schema.default")')
   .action(async (options) => {
     const config = getConfig(options);
     validateConfig(config);
@@ -302,7 +852,10 @@ addCommonOptions(reverseCmd)
     const client = new SpecHubClient(config._apiKey, config.workspace);
     const reverseSync = new ReverseSync(client, {
       conflictStrategy: strategy,
-      storeTestsAsExtension: includeTests
+      storeTestsAsExtension: includeTests,
+      ...getFieldRules(config),
+      approvals: options.approve || [],
+      resolutionFile: options.resolutions
     });
 
     const result = await reverseSync.reverseSync(
@@ -319,6 +872,7 @@ addCommonOptions(reverseCmd)
       logger.info(`  Would apply: ${result.wouldApply} changes`);
       logger.info(`  Would skip: ${result.wouldSkip} blocked changes`);
       logger.info(`  Needs review: ${result.wouldReview} changes`);
+      logger.info(`  Needs approval: ${result.wouldNeedApproval} changes`);
     }
 
     return result;
@@ -371,7 +925,11 @@ addCommonOptions(bidiCmd)
         workspaceId: config.workspace,
         apiKey: config._apiKey,
         testLevel: config.forwardSync.testLevel,
-        dryRun: dryRun
+        dryRun: dryRun,
+        overlays: getOverlays(config, specPath),
+        expandServerVariables: config.forwardSync.expandServerVariables,
+        checkBreakingChanges: config.ci.checkBreakingChanges,
+        failOnBreaking: config.ci.failOnBreaking
       });
     } catch (error) {
       logger.error('Forward sync failed:', error.message);
@@ -406,7 +964,8 @@ addCommonOptions(bidiCmd)
         const strategy = options.strategy || config.reverseSync.conflictStrategy;
         const reverseSync = new ReverseSync(client, {
           conflictStrategy: strategy,
-          storeTestsAsExtension: config.reverseSync.includeTests
+          storeTestsAsExtension: config.reverseSync.includeTests,
+          ...getFieldRules(config)
         });
 
         // Get the main collection UID from manifest
@@ -0,0 +1,489 @@
+/**
+ * Offline Collection Builder
+ *
+ * Converts an OpenAPI spec into Postman Collection v2.1 JSON locally, without
+ * Spec Hub's collection generation endpoint, so collections can be generated
+ * and reviewed in air-gapped CI or pre-commit hooks:
+ * - One folder per tag (untagged operations at the root)
+ * - {{baseUrl}} URLs with path variables and query parameters
+ * - Example request bodies and example responses
+ * - Collection and operation auth from security requirements
+ * - Callback URLs in requests point at the webhook receiver
+ *
+ * Test collections (smoke, contract, negative, lifecycle) get their scripts
+ * injected directly, using the same item transforms as forward sync.
+ */
+
+import path from 'path';
+import { STATUS_CODES } from 'http';
+import { extractEndpoints, getBaseUrl, getExample, buildRequestBodyExample } from './parser.js';
+import { generateTestScriptsForSpec, TestLevel } from './test-generator.js';
+import { generateNegativeTestsForSpec } from './negative-generator.js';
+import { generateLifecycleTestsForSpec } from './lifecycle-generator.js';
+import { buildWorkflow, applyWorkflowCaptures } from './workflow-generator.js';
+import { SpecHubClient } from './spec-hub-client.js';
+import { RepoSync } from './repo-sync.js';
+
+/**
+ * Postman Collection v2.1 schema URL
+ */
+export const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+/**
+ * Collection types in generation order, with the name suffix used by forward sync
+ */
+const COLLECTION_TYPES = [
+  { type: 'main', suffix: '' },
+  { type: 'smoke', suffix: ' - Smoke Tests' },
+  { type: 'contract', suffix: ' - Contract Tests' },
+  { type: 'negative', suffix: ' - Negative Tests' },
+  { type: 'lifecycle', suffix: ' - Lifecycle Tests' }
+];
+
+/**
+ * Build the docs collection for a spec (no test scripts)
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - { name }
+ * @returns {Object} Postman Collection v2.1
+ */
+export function buildCollection(api, options = {}) {
+  const endpoints = extractEndpoints(api);
+  const securitySchemes = api.components?.securitySchemes || {};
+
+  const collection = {
+    info: {
+      name: options.name || api.info?.title || 'Untitled API',
+      description: api.info?.description || '',
+      schema: COLLECTION_SCHEMA
+    },
+    item: buildFolders(api, endpoints),
+    variable: [{ key: 'baseUrl', value: getBaseUrl(api), type: 'any' }]
+  };
+
+  const auth = buildAuth(api.security, securitySchemes);
+  if (auth) {
+    collection.auth = auth;
+  }
+
+  return collection;
+}
+
+/**
+ * Build the collections selected by a test level
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - { testLevel: 'smoke' | 'contract' | 'negative' | 'lifecycle' | 'all' | 'none' }
+ * @returns {Array} Array of { type, name, collection }
+ */
+export function buildCollections(api, options = {}) {
+  const testLevel = options.testLevel || 'all';
+  const specName = api.info?.title || 'Untitled API';
+  const workflow = buildWorkflow(api);
+
+  // Item transforms only - no API calls are made
+  const items = new SpecHubClient(null, null);
+
+  const collections = [];
+
+  for (const { type, suffix } of COLLECTION_TYPES) {
+    if (type !== 'main' && testLevel !== 'all' && testLevel !== type) continue;
+
+    const name = `${specName}${suffix}`;
+    const collection = buildCollection(api, { name });
+
+    switch (type) {
+      case 'smoke':
+      case 'contract': {
+        const level = type === 'smoke' ? TestLevel.SMOKE : TestLevel.CONTRACT;
+        const testScripts = applyWorkflowCaptures(generateTestScriptsForSpec(api, level), workflow);
+        items.addTestsToItems(collection.item, testScripts);
+        items.applyWorkflowToItems(collection.item, workflow);
+        collection.item = items.orderItems(collection.item, workflow.order);
+        break;
+      }
+      case 'negative':
+        collection.item = items.buildVariantItems(collection.item, generateNegativeTestsForSpec(api)).items;
+        break;
+      case 'lifecycle':
+        collection.item = items.buildLifecycleItems(collection.item, generateLifecycleTestsForSpec(api)).items;
+        break;
+    }
+
+    collections.push({ type, name, collection });
+  }
+
+  return collections;
+}
+
+/**
+ * Write collections to a directory using the repo export file layout
+ * (<spec-slug>[-type].collection.json, sorted keys)
+ * @param {Array} collections - From buildCollections()
+ * @param {string} outDir - Output directory
+ * @param {Object} options - { dryRun }
+ * @returns {Array} Array of { type, name, filepath }
+ */
+export function writeCollections(collections, outDir, options = {}) {
+  const repoSync = new RepoSync(null, { dryRun: options.dryRun });
+  const specName = collections.find(c => c.type === 'main')?.name || collections[0]?.name || 'api';
+  const written = [];
+
+  for (const { type, name, collection } of collections) {
+    const filepath = path.join(outDir, repoSync.generateFilename(specName, type, 'collection'));
+
+    if (!options.dryRun) {
+      repoSync.writeJsonFile(filepath, repoSync.normalizeCollection(collection));
+    }
+
+    written.push({ type, name, filepath });
+  }
+
+  return written;
+}
+
+/**
+ * Group request items into one folder per tag, keeping spec order
+ * Folders are named after the operation's first tag; untagged operations
+ * stay at the collection root.
+ */
+function buildFolders(api, endpoints) {
+  const items = [];
+  const folders = new Map();
+  const tagDescriptions = new Map((api.tags || []).map(tag => [tag.name, tag.description || '']));
+
+  for (const endpoint of endpoints) {
+    const item = buildRequestItem(endpoint, api);
+    const tag = endpoint.raw?.tags?.[0];
+
+    if (!tag) {
+      items.push(item);
+      continue;
+    }
+
+    if (!folders.has(tag)) {
+      const folder = { name: tag, description: tagDescriptions.get(tag) || '', item: [] };
+      folders.set(tag, folder);
+      items.push(folder);
+    }
+    folders.get(tag).item.push(item);
+  }
+
+  return items;
+}
+
+/**
+ * Build the request item for an endpoint
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Object} Postman request item
+ */
+export function buildRequestItem(endpoint, api) {
+  const parameters = endpoint.parameters.filter(Boolean);
+  const pathParams = parameters.filter(p => p.in === 'path');
+  const queryParams = parameters.filter(p => p.in === 'query');
+
+  const segments = endpoint.path.split('/').filter(Boolean).map(segment => segment.replace(/^\{([^}]+)\}$/, ':$1'));
+  const callbackTargets = getCallbackTargets(endpoint);
+  const query = queryParams.map(param => ({
+    key: param.name,
+    value: callbackTargets.find(target => target.query === param.name)?.value ?? getParameterExample(param),
+    description: param.description || ''
+  }));
+
+  const url = {
+    raw: `{{baseUrl}}/${segments.join('/')}${query.length > 0 ? `?${query.map(q => `${q.key}=${q.value}`).join('&')}` : ''}`,
+    host: ['{{baseUrl}}'],
+    path: segments
+  };
+
+  if (query.length > 0) {
+    url.query = query;
+  }
+
+  const variables = segments
+    .filter(segment => segment.startsWith(':'))
+    .map(segment => {
+      const name = segment.slice(1);
+      const param = pathParams.find(p => p.name === name) || { name };
+      return { key: name, value: getParameterExample(param), description: param.description || '' };
+    });
+
+  if (variables.length > 0) {
+    url.variable = variables;
+  }
+
+  const request = {
+    method: endpoint.method,
+    header: buildHeaders(endpoint, parameters),
+    url,
+    description: endpoint.description || ''
+  };
+
+  const body = buildRequestBody(endpoint.requestBody, callbackTargets.filter(target => target.pointer !== undefined));
+  if (body) {
+    request.body = body;
+  }
+
+  // Operation-level security overrides the collection auth
+  if (endpoint.raw?.security) {
+    request.auth = buildAuth(endpoint.raw.security, api.components?.securitySchemes || {}) || { type: 'noauth' };
+  }
+
+  return {
+    name: endpoint.name,
+    request,
+    // Examples keep their own copy - test transforms edit the live request
+    response: buildExampleResponses(endpoint, JSON.parse(JSON.stringify(request)))
+  };
+}
+
+/**
+ * Build Postman auth for the first security requirement
+ * A requirement with several schemes uses its first scheme.
+ * @param {Array} security - Security requirements
+ * @param {Object} securitySchemes - components.securitySchemes
+ * @returns {Object|null} Postman auth, or null when no credentials are required
+ */
+export function buildAuth(security, securitySchemes) {
+  const requirement = (security || []).find(req => req && Object.keys(req).length > 0);
+  if (!requirement) return null;
+
+  const schemeName = Object.keys(requirement)[0];
+  const scheme = securitySchemes[schemeName];
+  if (!scheme) return null;
+
+  // Variable names match the environment generator
+  if (scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'bearer') {
+    return { type: 'bearer', bearer: [{ key: 'token', value: '{{bearerToken}}', type: 'string' }] };
+  }
+
+  if (scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'basic') {
+    return {
+      type: 'basic',
+      basic: [
+        { key: 'username', value: '{{username}}', type: 'string' },
+        { key: 'password', value: '{{password}}', type: 'string' }
+      ]
+    };
+  }
+
+  if (scheme.type === 'apiKey') {
+    const variable = `{{api_key_${scheme.name || schemeName}}}`;
+
+    // Postman API key auth only covers headers and query parameters
+    if (scheme.in === 'cookie') {
+      return {
+        type: 'apikey',
+        apikey: [
+          { key: 'key', value: 'Cookie', type: 'string' },
+          { key: 'value', value: `${scheme.name}=${variable}`, type: 'string' },
+          { key: 'in', value: 'header', type: 'string' }
+        ]
+      };
+    }
+
+    return {
+      type: 'apikey',
+      apikey: [
+        { key: 'key', value: scheme.name, type: 'string' },
+        { key: 'value', value: variable, type: 'string' },
+        { key: 'in', value: scheme.in === 'query' ? 'query' : 'header', type: 'string' }
+      ]
+    };
+  }
+
+  if (scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+    return {
+      type: 'oauth2',
+      oauth2: [
+        { key: 'accessToken', value: '{{access_token}}', type: 'string' },
+        { key: 'addTokenTo', value: 'header', type: 'string' }
+      ]
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build request headers: header parameters, Content-Type and Accept
+ */
+function buildHeaders(endpoint, parameters) {
+  const headers = [];
+
+  const contentType = Object.keys(endpoint.requestBody?.content || {})[0];
+  if (contentType) {
+    headers.push({ key: 'Content-Type', value: preferJson(endpoint.requestBody.content) || contentType });
+  }
+
+  const successResponse = Object.entries(endpoint.responses)
+    .find(([code, response]) => /^2/.test(code) && response?.content)?.[1];
+  if (successResponse) {
+    headers.push({ key: 'Accept', value: preferJson(successResponse.content) || Object.keys(successResponse.content)[0] });
+  }
+
+  for (const param of parameters.filter(p => p.in === 'header')) {
+    // Content negotiation and auth are handled above and by request auth
+    if (['accept', 'content-type', 'authorization'].includes(param.name.toLowerCase())) continue;
+    headers.push({ key: param.name, value: getParameterExample(param), description: param.description || '' });
+  }
+
+  const cookies = parameters.filter(p => p.in === 'cookie');
+  if (cookies.length > 0) {
+    headers.push({ key: 'Cookie', value: cookies.map(param => `${param.name}=${getParameterExample(param)}`).join('; ') });
+  }
+
+  return headers;
+}
+
+/**
+ * Build the request body from the first (JSON preferred) media type
+ * @param {Object} requestBody - OpenAPI request body object
+ * @param {Array} overrides - [{ pointer, value }] values to set in JSON bodies
+ */
+function buildRequestBody(requestBody, overrides = []) {
+  const content = requestBody?.content;
+  if (!content || Object.keys(content).length === 0) return null;
+
+  const contentType = preferJson(content) || Object.keys(content)[0];
+  const media = content[contentType] || {};
+
+  if (contentType.includes('json')) {
+    let example = contentType === 'application/json'
+      ? buildRequestBodyExample(requestBody)
+      : getMediaExample(media, 'request');
+
+    for (const { pointer, value } of overrides) {
+      example = setPointer(example ?? {}, pointer, value);
+    }
+
+    return {
+      mode: 'raw',
+      raw: JSON.stringify(example ?? {}, null, 2),
+      options: { raw: { language: 'json' } }
+    };
+  }
+
+  const example = getMediaExample(media, 'request');
+
+  if (contentType === 'application/x-www-form-urlencoded' || contentType === 'multipart/form-data') {
+    const mode = contentType === 'multipart/form-data' ? 'formdata' : 'urlencoded';
+    const fields = Object.entries(example && typeof example === 'object' ? example : {})
+      .map(([key, value]) => ({ key, value: typeof value === 'string' ? value : JSON.stringify(value), type: 'text' }));
+    return { mode, [mode]: fields };
+  }
+
+  return {
+    mode: 'raw',
+    raw: example === undefined ? '' : (typeof example === 'string' ? example : JSON.stringify(example, null, 2))
+  };
+}
+
+/**
+ * Request fields that carry a callback URL, from `{$request.body#/...}` and
+ * `{$request.query.name}` callback expressions
+ * @returns {Array} [{ pointer | query, value }] with the receiver URL as value
+ */
+function getCallbackTargets(endpoint) {
+  const targets = [];
+
+  for (const [event, callback] of Object.entries(endpoint.raw?.callbacks || {})) {
+    for (const expression of Object.keys(callback || {})) {
+      const value = `{{webhookReceiverUrl}}/callbacks/${endpoint.id}/${event}`;
+      const body = expression.match(/^\{\$request\.body#(\/[^}]*)\}/);
+      const query = expression.match(/^\{\$request\.query\.([^}]+)\}/);
+
+      if (body) targets.push({ pointer: body[1], value });
+      if (query) targets.push({ query: query[1], value });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Set a value at a JSON pointer, creating objects on the way
+ */
+function setPointer(document, pointer, value) {
+  const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (segments.length === 0) return value;
+  if (!document || typeof document !== 'object') return document;
+
+  let node = document;
+  for (const segment of segments.slice(0, -1)) {
+    if (!node[segment] || typeof node[segment] !== 'object') node[segment] = {};
+    node = node[segment];
+  }
+  node[segments[segments.length - 1]] = value;
+
+  return document;
+}
+
+/**
+ * Build example responses for every concrete status code with content
+ */
+function buildExampleResponses(endpoint, originalRequest) {
+  const responses = [];
+
+  for (const [code, response] of Object.entries(endpoint.responses)) {
+    if (!/^\d{3}$/.test(code) || !response) continue;
+
+    const content = response.content || {};
+    const contentType = preferJson(content) || Object.keys(content)[0];
+    const example = contentType ? getMediaExample(content[contentType], 'response') : undefined;
+
+    responses.push({
+      name: response.description || `${code} response`,
+      originalRequest,
+      status: STATUS_CODES[code] || '',
+      code: Number(code),
+      header: contentType ? [{ key: 'Content-Type', value: contentType }] : [],
+      body: example === undefined ? '' : (typeof example === 'string' ? example : JSON.stringify(example, null, 2)),
+      _postman_previewlanguage: contentType?.includes('json') ? 'json' : 'text'
+    });
+  }
+
+  return responses;
+}
+
+/**
+ * Example value for a parameter (example, examples, schema example, default)
+ */
+function getParameterExample(param) {
+  const firstExample = param.examples ? Object.values(param.examples)[0]?.value : undefined;
+  const value = param.example ?? firstExample ?? param.schema?.default ?? getExample(param.schema);
+
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Example value for a media type object
+ * @param {Object} media - OpenAPI media type object
+ * @param {string} direction - 'request' or 'response' (skips readOnly/writeOnly properties)
+ */
+function getMediaExample(media, direction) {
+  if (!media) return undefined;
+  if (media.example !== undefined) return media.example;
+
+  const firstExample = media.examples ? Object.values(media.examples)[0]?.value : undefined;
+  if (firstExample !== undefined) return firstExample;
+
+  return getExample(media.schema, { direction });
+}
+
+/**
+ * Pick the JSON media type from a content map, if any
+ */
+function preferJson(content) {
+  const types = Object.keys(content || {});
+  return types.find(type => type === 'application/json') || types.find(type => type.includes('json')) || null;
+}
+
+export default {
+  COLLECTION_SCHEMA,
+  buildCollection,
+  buildCollections,
+  buildRequestItem,
+  buildAuth,
+  writeCollections
+};
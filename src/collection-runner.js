@@ -0,0 +1,412 @@
+/**
+ * Collection Runner
+ *
+ * Executes a Postman Collection v2.1 (exported with `spec-sync repo` or
+ * built with `spec-sync generate`) against a base URL without Postman:
+ * - Requests run in collection order, folders depth-first
+ * - {{variables}} resolve from local, environment, then collection variables
+ * - Collection/folder/request auth (bearer, basic, apikey, oauth2 token)
+ * - Pre-request and test scripts run in the script sandbox (pm.* API)
+ *
+ * Every execution records the spec operation it calls (`method|path` test
+ * key) and every test the pm.test block it came from, for the reporters.
+ */
+
+import fs from 'fs';
+import { runScript, replaceVariables } from './script-sandbox.js';
+import { SpecHubClient } from './spec-hub-client.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'collection-runner' });
+
+const DEFAULT_CONFIG = {
+  baseUrl: null,
+  environment: {},
+  timeout: 10000,
+  bail: false
+};
+
+export class CollectionRunner {
+  /**
+   * @param {Object} config - { baseUrl, environment, timeout, bail }
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    // Only used for its item -> test key mapping
+    this.keys = new SpecHubClient(null, null);
+  }
+
+  /**
+   * Run every request in a collection
+   * @param {Object} collection - Postman Collection v2.1
+   * @returns {Promise<Object>} { collection, executions, stats }
+   */
+  async run(collection) {
+    const scopes = {
+      local: {},
+      environment: { ...this.config.environment },
+      collection: Object.fromEntries(
+        (collection.variable || []).filter(v => !v.disabled).map(v => [v.key, v.value])
+      )
+    };
+
+    // --base-url wins over the environment and collection defaults
+    if (this.config.baseUrl) {
+      scopes.environment.baseUrl = this.config.baseUrl;
+    }
+
+    const executions = [];
+    const root = { auth: collection.auth, event: collection.event || [] };
+
+    await this.runItems(collection.item || [], [root], [], scopes, executions);
+
+    return {
+      collection: collection.info?.name || 'Untitled collection',
+      executions,
+      stats: summarize(executions)
+    };
+  }
+
+  /**
+   * Run items depth-first, collecting executions
+   * @returns {Promise<boolean>} False when the run was stopped (bail)
+   */
+  async runItems(items, parents, folderPath, scopes, executions) {
+    for (const item of items) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        const continueRun = await this.runItems(item.item, [...parents, item], [...folderPath, item.name], scopes, executions);
+        if (!continueRun) return false;
+        continue;
+      }
+
+      if (!item.request) continue;
+
+      const execution = await this.runRequest(item, parents, folderPath, scopes);
+      executions.push(execution);
+
+      const failed = execution.error || execution.tests.some(test => !test.passed);
+      if (failed && this.config.bail) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Run one request: pre-request scripts, HTTP call, test scripts
+   * @returns {Promise<Object>} Execution { name, folder, request, response, tests, error }
+   */
+  async runRequest(item, parents, folderPath, scopes) {
+    const tests = [];
+    const logs = [];
+    const execution = {
+      name: item.name,
+      folder: folderPath,
+      key: this.keys.generateTestKeyFromItem(item.request),
+      request: null,
+      response: null,
+      tests,
+      logs,
+      error: null
+    };
+
+    // Local variables only live for one request
+    scopes.local = {};
+
+    const events = (listen) => [...parents, item]
+      .flatMap(source => (source.event || []).filter(event => event.listen === listen))
+      .map(event => event.script?.exec || []);
+
+    for (const script of events('prerequest')) {
+      runScript(script, { scopes, request: this.resolveRequest(item, parents, scopes), tests, logs });
+    }
+
+    const request = this.resolveRequest(item, parents, scopes);
+    execution.request = { method: request.method, url: request.url };
+
+    try {
+      execution.response = await this.send(request);
+    } catch (error) {
+      execution.error = error.message;
+      logger.debug(`Request failed: ${item.name}`, { error: error.message });
+      return execution;
+    }
+
+    const testScripts = events('test');
+    for (const script of testScripts) {
+      runScript(script, { scopes, request, response: execution.response, tests, logs });
+    }
+
+    for (const test of tests) {
+      test.assertion = findAssertion(testScripts, test.name);
+    }
+
+    return execution;
+  }
+
+  /**
+   * Resolve variables, URL and auth of a request item
+   * @returns {Object} { name, method, url, headers, body, pathVariables, query }
+   */
+  resolveRequest(item, parents, scopes) {
+    const order = [scopes.local, scopes.environment, scopes.collection];
+    const resolve = (value) => replaceVariables(value, order);
+    const source = item.request;
+
+    const headers = (source.header || [])
+      .filter(h => !h.disabled)
+      .map(h => ({ key: resolve(h.key), value: resolve(h.value) }));
+
+    let pathVariables = [];
+    let query = [];
+    let url;
+
+    if (typeof source.url === 'string') {
+      url = resolve(source.url);
+    } else {
+      const urlObject = source.url || {};
+      pathVariables = (urlObject.variable || []).map(v => ({ key: v.key, value: resolve(String(v.value ?? '')) }));
+      query = (urlObject.query || []).filter(q => !q.disabled).map(q => ({ key: q.key, value: resolve(String(q.value ?? '')) }));
+      url = buildUrl(urlObject, pathVariables, query, resolve);
+    }
+
+    const auth = resolveAuth(item, parents);
+    const hasHeader = (name) => headers.some(h => h.key.toLowerCase() === name.toLowerCase());
+    const authParams = (type) => Object.fromEntries((auth?.[type] || []).map(entry => [entry.key, resolve(String(entry.value ?? ''))]));
+
+    // Explicit headers (e.g. malformed credential variants) win over auth
+    switch (auth?.type) {
+      case 'bearer':
+        if (!hasHeader('Authorization')) headers.push({ key: 'Authorization', value: `Bearer ${authParams('bearer').token || ''}` });
+        break;
+      case 'basic': {
+        const { username = '', password = '' } = authParams('basic');
+        if (!hasHeader('Authorization')) {
+          headers.push({ key: 'Authorization', value: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` });
+        }
+        break;
+      }
+      case 'oauth2':
+        if (!hasHeader('Authorization')) headers.push({ key: 'Authorization', value: `Bearer ${authParams('oauth2').accessToken || ''}` });
+        break;
+      case 'apikey': {
+        const { key, value = '', in: location = 'header' } = authParams('apikey');
+        if (key && location === 'query') {
+          url += `${url.includes('?') ? '&' : '?'}${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+        } else if (key && !hasHeader(key)) {
+          headers.push({ key, value });
+        }
+        break;
+      }
+    }
+
+    return {
+      name: item.name,
+      method: (source.method || 'GET').toUpperCase(),
+      url,
+      headers,
+      body: resolveBody(source.body, resolve, headers),
+      pathVariables,
+      query
+    };
+  }
+
+  /**
+   * Send a resolved request
+   * @returns {Promise<Object>} { code, status, headers, body, responseTime }
+   */
+  async send(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+    const started = Date.now();
+
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: request.headers.map(h => [h.key, h.value]),
+        body: ['GET', 'HEAD'].includes(request.method) ? undefined : request.body,
+        signal: controller.signal,
+        redirect: 'manual'
+      });
+      const body = await response.text();
+
+      return {
+        code: response.status,
+        status: response.statusText,
+        headers: [...response.headers.entries()].map(([key, value]) => ({ key, value })),
+        body,
+        responseTime: Date.now() - started
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timed out after ${this.config.timeout}ms`);
+      }
+      throw new Error(error.cause?.message || error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Load a collection file (raw export or { collection } wrapper)
+ * @param {string} filepath - Path to a .collection.json file
+ * @returns {Object} Postman Collection v2.1
+ */
+export function loadCollection(filepath) {
+  const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  return data.collection || data;
+}
+
+/**
+ * Load an environment file into a variable map (enabled values only)
+ * @param {string} filepath - Path to a .environment.json file
+ * @returns {Object} Map of variable names to values
+ */
+export function loadEnvironment(filepath) {
+  const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  const environment = data.environment || data;
+
+  return Object.fromEntries(
+    (environment.values || [])
+      .filter(v => v.enabled !== false)
+      .map(v => [v.key, v.value])
+  );
+}
+
+/**
+ * Build the request URL from a Postman URL object
+ */
+function buildUrl(urlObject, pathVariables, query, resolve) {
+  let base;
+
+  if (urlObject.host || urlObject.path) {
+    const host = Array.isArray(urlObject.host) ? urlObject.host.join('.') : (urlObject.host || '');
+    const segments = Array.isArray(urlObject.path) ? urlObject.path : String(urlObject.path || '').split('/');
+    const protocol = urlObject.protocol ? `${urlObject.protocol}://` : '';
+    const port = urlObject.port ? `:${urlObject.port}` : '';
+    base = `${protocol}${resolve(host)}${port}/${segments.filter(segment => segment !== '').join('/')}`;
+  } else {
+    base = resolve(String(urlObject.raw || '').split('?')[0]);
+  }
+
+  // :param segments take their path variable values
+  base = base.replace(/\/:([A-Za-z0-9_.-]+)/g, (match, name) => {
+    const variable = pathVariables.find(v => v.key === name);
+    return variable ? `/${encodeURIComponent(resolve(variable.value))}` : match;
+  });
+  base = resolve(base).replace(/([^:/])\/{2,}/g, '$1/');
+
+  if (query.length === 0) return base;
+  return `${base}?${query.map(q => `${encodeURIComponent(q.key)}=${encodeURIComponent(q.value)}`).join('&')}`;
+}
+
+/**
+ * Find the effective auth: the request's own, else the nearest parent's
+ */
+function resolveAuth(item, parents) {
+  if (item.request.auth) return item.request.auth;
+
+  for (const parent of [...parents].reverse()) {
+    if (parent.auth) return parent.auth;
+  }
+  return null;
+}
+
+/**
+ * Resolve the request body into a string, adding Content-Type for form bodies
+ */
+function resolveBody(body, resolve, headers) {
+  if (!body || body.disabled) return undefined;
+
+  const setContentType = (value) => {
+    if (!headers.some(h => h.key.toLowerCase() === 'content-type')) {
+      headers.push({ key: 'Content-Type', value });
+    }
+  };
+
+  switch (body.mode) {
+    case 'raw':
+      return resolve(body.raw || '');
+    case 'urlencoded':
+      setContentType('application/x-www-form-urlencoded');
+      return (body.urlencoded || [])
+        .filter(field => !field.disabled)
+        .map(field => `${encodeURIComponent(resolve(field.key))}=${encodeURIComponent(resolve(String(field.value ?? '')))}`)
+        .join('&');
+    case 'formdata': {
+      // Text fields only - sent as multipart with a fixed boundary
+      const boundary = '----spec-sync-boundary';
+      setContentType(`multipart/form-data; boundary=${boundary}`);
+      const parts = (body.formdata || [])
+        .filter(field => !field.disabled && field.type !== 'file')
+        .map(field => `--${boundary}\r\nContent-Disposition: form-data; name="${resolve(field.key)}"\r\n\r\n${resolve(String(field.value ?? ''))}\r\n`);
+      return `${parts.join('')}--${boundary}--\r\n`;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Find the pm.test block that produced a test result
+ * Names built at run time ("Response body matches schema for " + key) are
+ * matched by their literal prefix when no block has the exact name.
+ * @param {Array} scripts - Test scripts (arrays of lines) in run order
+ * @param {string} name - Test name
+ * @returns {Object|null} { line (1-based, in its script), source } or null
+ */
+function findAssertion(scripts, name) {
+  const blocks = scripts.flatMap(script => findTestBlocks(Array.isArray(script) ? script : String(script).split('\n')));
+  const block = blocks.find(candidate => !candidate.dynamic && candidate.name === name) ||
+    blocks.find(candidate => candidate.dynamic && name.startsWith(candidate.name));
+
+  return block ? { line: block.line, source: block.source } : null;
+}
+
+/**
+ * pm.test blocks of a script with the literal start of their name
+ * (dynamic when the name continues with a concatenation)
+ */
+function findTestBlocks(lines) {
+  const blocks = [];
+
+  lines.forEach((line, start) => {
+    const match = line.trim().match(/^pm\.test\(("(?:[^"\\]|\\.)*")\s*([,+])/);
+    if (!match) return;
+
+    // Generated blocks close with "});" at the indentation of pm.test
+    const indent = line.match(/^\s*/)[0];
+    let end = start;
+    while (end < lines.length - 1 && lines[end] !== `${indent}});`) end++;
+
+    blocks.push({
+      name: JSON.parse(match[1]),
+      dynamic: match[2] === '+',
+      line: start + 1,
+      source: lines.slice(start, end + 1).join('\n')
+    });
+  });
+
+  return blocks;
+}
+
+/**
+ * Count requests, tests and failures
+ */
+function summarize(executions) {
+  const tests = executions.flatMap(execution => execution.tests);
+
+  return {
+    requests: executions.length,
+    requestErrors: executions.filter(execution => execution.error).length,
+    tests: tests.length,
+    passed: tests.filter(test => test.passed).length,
+    failed: tests.filter(test => !test.passed).length
+  };
+}
+
+export default CollectionRunner;
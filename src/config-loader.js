@@ -27,7 +27,8 @@ const DEFAULT_CONFIG = {
   // Forward sync configuration
   forwardSync: {
     testLevel: 'all',
-    exportToRepo: false
+    exportToRepo: false,
+    expandServerVariables: false
   },
 
   // Reverse sync configuration
@@ -76,6 +77,12 @@ const DEFAULT_CONFIG = {
     autoMerge: false
   },
 
+  // Lint configuration (spec-sync lint)
+  lint: {
+    failOn: 'error', // error, warning, info, off
+    rules: {}        // rule id -> error, warning, info, off
+  },
+
   // Global options
   dryRun: false,
 
@@ -88,7 +95,8 @@ const DEFAULT_CONFIG = {
   ci: {
     checkBreakingChanges: true,
     failOnBreaking: false,
-    scheduleReverseSyncCheck: '0 * * * *'
+    scheduleReverseSyncCheck: '0 * * * *',
+    coverageThreshold: 0
   }
 };
 
@@ -200,6 +208,10 @@ export function loadConfig(cliOptions = {}) {
   if (process.env.EXPORT_TO_REPO) {
     config.forwardSync.exportToRepo = process.env.EXPORT_TO_REPO === 'true';
   }
+
+  if (process.env.EXPAND_SERVER_VARIABLES) {
+    config.forwardSync.expandServerVariables = process.env.EXPAND_SERVER_VARIABLES === 'true';
+  }
   
   // Repo sync options
   if (process.env.OUTPUT_DIR) {
@@ -224,6 +236,19 @@ export function loadConfig(cliOptions = {}) {
     config.bidirectional.autoMerge = process.env.AUTO_MERGE === 'true';
   }
   
+  // CI options
+  if (process.env.CHECK_BREAKING_CHANGES) {
+    config.ci.checkBreakingChanges = process.env.CHECK_BREAKING_CHANGES === 'true';
+  }
+
+  if (process.env.FAIL_ON_BREAKING) {
+    config.ci.failOnBreaking = process.env.FAIL_ON_BREAKING === 'true';
+  }
+
+  if (process.env.COVERAGE_THRESHOLD) {
+    config.ci.coverageThreshold = Number(process.env.COVERAGE_THRESHOLD);
+  }
+
   // Global options
   if (process.env.DRY_RUN) {
     config.dryRun = process.env.DRY_RUN === 'true';
@@ -321,6 +346,10 @@ export function getCollectionName(config, specTitle, collectionType) {
         return `${specTitle} - Smoke Tests`;
       case 'contract':
         return `${specTitle} - Contract Tests`;
+      case 'negative':
+        return `${specTitle} - Negative Tests`;
+      case 'lifecycle':
+        return `${specTitle} - Lifecycle Tests`;
       default:
         return specTitle;
     }
@@ -345,6 +374,10 @@ export function getCollectionTags(config, collectionType) {
         return ['generated', 'smoke'];
       case 'contract':
         return ['generated', 'contract'];
+      case 'negative':
+        return ['generated', 'negative'];
+      case 'lifecycle':
+        return ['generated', 'lifecycle'];
       default:
         return ['generated'];
     }
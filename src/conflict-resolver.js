@@ -0,0 +1,294 @@
+/**
+ * Conflict Resolver
+ *
+ * Resolves reverse sync conflicts (changes made to the same field in the
+ * repo spec and in Postman since the last sync). Each conflict is shown as
+ * base/local/remote columns and the user keeps the local value, takes the
+ * remote one, enters an edited value or skips it.
+ *
+ * Decisions are stored in a resolution file next to the sync baseline:
+ *
+ *   {
+ *     "version": 1,
+ *     "resolutions": [
+ *       { "path": "paths./tasks.get.description", "local": "...", "remote": "...",
+ *         "resolution": "edit", "value": "...", "resolvedAt": "..." }
+ *     ]
+ *   }
+ *
+ * Later runs replay a decision without prompting as long as the local and
+ * remote values are still the ones it was made for. Skipped conflicts are
+ * not stored, so they come up again on the next interactive run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { SpecMerge } from './spec-merge.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'conflict-resolver' });
+
+export const Resolution = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+  EDIT: 'edit',
+  SKIP: 'skip'
+};
+
+const RESOLUTION_FILE_VERSION = 1;
+
+const ANSWERS = {
+  l: Resolution.LOCAL,
+  local: Resolution.LOCAL,
+  r: Resolution.REMOTE,
+  remote: Resolution.REMOTE,
+  e: Resolution.EDIT,
+  edit: Resolution.EDIT,
+  s: Resolution.SKIP,
+  skip: Resolution.SKIP,
+  '': Resolution.SKIP
+};
+
+/**
+ * Identity of a conflict (key paths, so keyed array items match by identity)
+ */
+function conflictKey(conflict) {
+  return JSON.stringify(conflict.keyPath || conflict.path);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Lines of a value for display; strings are shown unquoted
+ */
+function valueLines(value) {
+  if (value === undefined) return ['(absent)'];
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return text.split('\n');
+}
+
+/**
+ * Split lines longer than width into chunks
+ */
+function wrapLines(lines, width) {
+  const wrapped = [];
+  for (const line of lines) {
+    if (line.length === 0) wrapped.push('');
+    for (let i = 0; i < line.length; i += width) {
+      wrapped.push(line.slice(i, i + width));
+    }
+  }
+  return wrapped;
+}
+
+/**
+ * Format a conflict as base/local/remote columns
+ * @param {object} conflict - Conflict with path, base, local and remote values
+ * @param {number} columns - Terminal width
+ * @returns {string} Side-by-side text
+ */
+export function formatConflict(conflict, columns = 100) {
+  const width = Math.max(10, Math.floor((columns - 6) / 3));
+  const cells = [conflict.base, conflict.local, conflict.remote].map(value => wrapLines(valueLines(value), width));
+  const height = Math.max(...cells.map(cell => cell.length));
+  const row = parts => parts.map(part => part.padEnd(width)).join(' | ').trimEnd();
+
+  const lines = [
+    conflict.path,
+    row(['BASE', 'LOCAL (repo)', 'REMOTE (Postman)']),
+    row(cells.map(() => '-'.repeat(width)))
+  ];
+  for (let i = 0; i < height; i++) {
+    lines.push(row(cells.map(cell => cell[i] || '')));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse an edited value: JSON when it parses, otherwise the raw text
+ */
+export function parseEditedValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+export class ConflictResolver {
+  /**
+   * @param {object} options - Resolver options
+   * @param {string} options.resolutionFile - Where decisions are stored (omit to keep them in memory)
+   * @param {boolean} options.interactive - Prompt for conflicts without a stored decision
+   * @param {object} options.input - Readable stream for answers (default stdin)
+   * @param {object} options.output - Writable stream for prompts (default stdout)
+   */
+  constructor(options = {}) {
+    this.options = {
+      resolutionFile: options.resolutionFile || null,
+      interactive: options.interactive ?? false,
+      input: options.input || process.stdin,
+      output: options.output || process.stdout,
+      ...options
+    };
+    this.specMerge = new SpecMerge();
+  }
+
+  /**
+   * Resolve conflicts from stored decisions and, in interactive mode, prompts
+   * @param {Array} conflicts - needsReview changes from ChangeDetector.detectChanges
+   * @param {object} localSpec - Current repo spec (for the local values)
+   * @returns {Promise<Array>} Conflicts annotated with resolution (and the edited newValue)
+   */
+  async resolveConflicts(conflicts, localSpec) {
+    const stored = this.loadResolutions();
+    const decisions = new Map(stored.map(entry => [conflictKey(entry), entry]));
+    const resolved = [];
+    const pending = [];
+
+    for (const change of conflicts) {
+      const conflict = {
+        change,
+        path: change.path,
+        base: change.oldValue,
+        local: this.specMerge.getValue(localSpec, change),
+        remote: change.newValue
+      };
+      const decision = decisions.get(conflictKey(change));
+
+      if (decision && sameValue(decision.local, conflict.local) && sameValue(decision.remote, conflict.remote)) {
+        resolved.push(this.applyDecision(change, decision.resolution, decision.value));
+      } else {
+        pending.push(conflict);
+      }
+    }
+
+    if (resolved.length > 0) {
+      logger.info(`    Replayed ${resolved.length} stored conflict resolution(s)`);
+    }
+
+    if (!this.options.interactive || pending.length === 0) {
+      return [...resolved, ...pending.map(conflict => conflict.change)];
+    }
+
+    const answers = await this.promptConflicts(pending);
+    const newEntries = [];
+
+    pending.forEach((conflict, index) => {
+      const answer = answers[index] || { resolution: Resolution.SKIP };
+      resolved.push(this.applyDecision(conflict.change, answer.resolution, answer.value));
+
+      if (answer.resolution !== Resolution.SKIP) {
+        newEntries.push({
+          path: conflict.path,
+          ...(conflict.change.keyPath ? { keyPath: conflict.change.keyPath } : {}),
+          base: conflict.base,
+          local: conflict.local,
+          remote: conflict.remote,
+          resolution: answer.resolution,
+          ...(answer.resolution === Resolution.EDIT ? { value: answer.value } : {}),
+          resolvedAt: new Date().toISOString()
+        });
+      }
+    });
+
+    if (newEntries.length > 0) {
+      const replaced = new Set(newEntries.map(conflictKey));
+      this.saveResolutions([...stored.filter(entry => !replaced.has(conflictKey(entry))), ...newEntries]);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Annotate a change with a decision
+   */
+  applyDecision(change, resolution, value) {
+    if (resolution === Resolution.EDIT) {
+      return { ...change, kind: change.kind === 'D' ? 'E' : change.kind, newValue: value, resolution };
+    }
+    return { ...change, resolution };
+  }
+
+  /**
+   * Ask for a decision on each conflict
+   * @param {Array} conflicts - Conflicts with path, base, local and remote values
+   * @returns {Promise<Array>} Answers ({ resolution, value }) in conflict order
+   */
+  async promptConflicts(conflicts) {
+    const { input, output } = this.options;
+    const rl = readline.createInterface({ input, terminal: false });
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async (question) => {
+      output.write(question);
+      const { value, done } = await lines.next();
+      return done ? null : value.trim();
+    };
+    const answers = [];
+
+    try {
+      for (let i = 0; i < conflicts.length; i++) {
+        const conflict = conflicts[i];
+        // Moves have no value to edit
+        const canEdit = conflict.change.kind !== 'M';
+        const choices = canEdit ? '[l]ocal, [r]emote, [e]dit, [s]kip' : '[l]ocal, [r]emote, [s]kip';
+
+        output.write(`\nConflict ${i + 1}/${conflicts.length}: ${formatConflict(conflict, output.columns || 100)}\n`);
+
+        let resolution;
+        while (resolution === undefined) {
+          const answer = await ask(`${choices} (default skip): `);
+          if (answer === null) return answers;
+          resolution = ANSWERS[answer.toLowerCase()];
+          if (resolution === Resolution.EDIT && !canEdit) resolution = undefined;
+        }
+
+        if (resolution === Resolution.EDIT) {
+          const text = await ask('New value (JSON or text): ');
+          if (text === null) return answers;
+          answers.push({ resolution, value: parseEditedValue(text) });
+        } else {
+          answers.push({ resolution });
+        }
+      }
+    } finally {
+      rl.close();
+    }
+
+    return answers;
+  }
+
+  /**
+   * Stored decisions (empty when there is no resolution file)
+   * @returns {Array} Resolution entries
+   */
+  loadResolutions() {
+    const file = this.options.resolutionFile;
+    if (!file || !fs.existsSync(file)) return [];
+
+    try {
+      const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(content.resolutions) ? content.resolutions : [];
+    } catch (error) {
+      logger.info(`    Could not load resolutions: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Write decisions to the resolution file
+   * @param {Array} resolutions - Resolution entries
+   */
+  saveResolutions(resolutions) {
+    const file = this.options.resolutionFile;
+    if (!file) return;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ version: RESOLUTION_FILE_VERSION, resolutions }, null, 2));
+  }
+}
+
+export default ConflictResolver;
@@ -0,0 +1,372 @@
+/**
+ * Contract Coverage
+ *
+ * Cross-references the spec with the generated test scripts and reports
+ * which parts of the contract have an assertion:
+ * - Operations: at least one pm.test
+ * - Status codes: a test expects the status (exact code, oneOf or range)
+ * - Response properties: constrained by the embedded response JSON Schema
+ * - Enum values: listed by the enum the tests check against
+ * - Response headers: a presence or value test for the header
+ *
+ * Coverage is read from the generated scripts themselves (the same ones the
+ * sync injects), so it reflects the selected test level.
+ */
+
+import { extractEndpoints, getResponseSchema, getResponseHeaders } from './parser.js';
+import { generateTestKey, generateTestScriptsForSpec, TestLevel } from './test-generator.js';
+import { generateNegativeTestsForSpec } from './negative-generator.js';
+import { generateLifecycleTestsForSpec } from './lifecycle-generator.js';
+
+/**
+ * Kinds of contract items
+ */
+export const CoverageKind = {
+  OPERATION: 'operation',
+  STATUS: 'status',
+  PROPERTY: 'property',
+  ENUM: 'enum',
+  HEADER: 'header'
+};
+
+/**
+ * JSON Schema keywords that make a validator check something
+ */
+const ASSERTING_KEYWORDS = [
+  'type', 'enum', 'const', 'format', 'pattern', 'properties', 'items', 'required',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties',
+  'additionalProperties', 'allOf', 'anyOf', 'oneOf', 'not', '$ref'
+];
+
+/**
+ * Analyze contract coverage for a spec
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - { testLevel: 'smoke' | 'contract' | 'negative' | 'lifecycle' | 'all' | 'none' }
+ * @returns {Object} { testLevel, summary, kinds, tags, operations, uncovered }
+ */
+export function analyzeCoverage(api, options = {}) {
+  const testLevel = options.testLevel || 'all';
+  const scriptsByKey = collectScripts(api, testLevel);
+
+  const operations = extractEndpoints(api).map(endpoint => {
+    const key = generateTestKey(endpoint.method, endpoint.path);
+    return {
+      key,
+      method: endpoint.method,
+      path: endpoint.path,
+      tags: endpoint.tags,
+      items: analyzeOperation(endpoint, scriptsByKey.get(key) || [], api)
+    };
+  });
+
+  const allItems = operations.flatMap(operation => operation.items);
+  const kinds = {};
+  for (const kind of Object.values(CoverageKind)) {
+    kinds[kind] = summarize(allItems.filter(item => item.kind === kind));
+  }
+
+  const tags = {};
+  for (const operation of operations) {
+    for (const tag of operation.tags) {
+      tags[tag] = tags[tag] || [];
+      tags[tag].push(...operation.items);
+    }
+  }
+
+  const uncovered = operations.flatMap(operation => operation.items
+    .filter(item => !item.covered)
+    .map(item => ({ operation: `${operation.method} ${operation.path}`, tags: operation.tags, ...item })));
+
+  return {
+    testLevel,
+    summary: summarize(allItems),
+    kinds,
+    tags: Object.fromEntries(Object.entries(tags).map(([tag, items]) => [tag, summarize(items)])),
+    operations,
+    uncovered
+  };
+}
+
+/**
+ * Format a coverage report as text
+ * @param {Object} report - Report from analyzeCoverage()
+ * @returns {string} Text report
+ */
+export function formatCoverageText(report) {
+  const row = (name, { covered, total, percent }) =>
+    `  ${name.padEnd(24)} ${String(covered).padStart(7)} ${String(total).padStart(7)} ${`${percent.toFixed(1)}%`.padStart(8)}`;
+  const header = (title) => `  ${title.padEnd(24)} ${'Covered'.padStart(7)} ${'Total'.padStart(7)} ${'Percent'.padStart(8)}`;
+
+  const lines = [
+    `Contract coverage (test level: ${report.testLevel})`,
+    `Overall: ${report.summary.percent.toFixed(1)}% (${report.summary.covered}/${report.summary.total})`,
+    '',
+    header('Kind'),
+    ...Object.entries(report.kinds).map(([kind, summary]) => row(kind, summary)),
+    '',
+    header('Tag'),
+    ...Object.entries(report.tags).map(([tag, summary]) => row(tag, summary))
+  ];
+
+  if (report.uncovered.length > 0) {
+    lines.push('', `Uncovered (${report.uncovered.length}):`);
+    for (const item of report.uncovered) {
+      lines.push(`  ${item.operation}  ${item.kind} ${item.name}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Collect the generated scripts of the selected test level by test key
+ * @returns {Map} Test key -> array of scripts (line arrays)
+ */
+function collectScripts(api, testLevel) {
+  const scripts = new Map();
+  const includes = (level) => testLevel === 'all' || testLevel === level;
+  const add = (key, script) => {
+    if (!scripts.has(key)) scripts.set(key, []);
+    scripts.get(key).push(script);
+  };
+
+  for (const level of [TestLevel.SMOKE, TestLevel.CONTRACT]) {
+    if (!includes(level)) continue;
+    for (const [key, script] of Object.entries(generateTestScriptsForSpec(api, level))) {
+      if (key !== 'default') add(key, script);
+    }
+  }
+
+  if (includes(TestLevel.NEGATIVE)) {
+    for (const [key, variants] of Object.entries(generateNegativeTestsForSpec(api))) {
+      for (const variant of variants) add(key, variant.script);
+    }
+  }
+
+  if (includes('lifecycle')) {
+    for (const lifecycle of generateLifecycleTestsForSpec(api)) {
+      for (const step of lifecycle.steps) add(step.key, step.script);
+    }
+  }
+
+  return scripts;
+}
+
+/**
+ * List the contract items of an operation with their coverage
+ */
+function analyzeOperation(endpoint, scripts, api) {
+  const source = scripts.map(script => script.join('\n')).join('\n');
+  const asserted = getAssertedStatuses(source);
+  const contracts = getEmbeddedContracts(scripts);
+  const items = [{ kind: CoverageKind.OPERATION, name: `${endpoint.method} ${endpoint.path}`, covered: /pm\.test\(/.test(source) }];
+
+  for (const [statusKey, response] of Object.entries(endpoint.responses)) {
+    if (!response || typeof response !== 'object') continue;
+    const key = statusKey === 'default' ? 'default' : statusKey.toUpperCase();
+
+    // default is a catch-all, not a status a test can expect
+    if (key !== 'default') {
+      items.push({ kind: CoverageKind.STATUS, status: key, name: key, covered: isStatusAsserted(key, asserted) });
+    }
+
+    const schemaInfo = getResponseSchema({ [statusKey]: response }, statusKey);
+    if (schemaInfo?.schema) {
+      const specProperties = collectProperties(schemaInfo.schema, api, true);
+      const contract = contracts[key]?.schema;
+      const testedProperties = contract ? collectProperties(contract, contract, false) : new Map();
+
+      for (const [propertyPath, propertySchema] of specProperties) {
+        const tested = testedProperties.get(propertyPath);
+        items.push({ kind: CoverageKind.PROPERTY, status: key, name: `${key} ${propertyPath}`, covered: Boolean(tested && isConstrained(tested, contract)) });
+
+        for (const value of getEnumValues(propertySchema)) {
+          const testedValues = tested ? getEnumValues(resolveRef(tested, contract)) : [];
+          items.push({
+            kind: CoverageKind.ENUM,
+            status: key,
+            name: `${key} ${propertyPath} = ${JSON.stringify(value)}`,
+            covered: testedValues.some(testedValue => JSON.stringify(testedValue) === JSON.stringify(value))
+          });
+        }
+      }
+    }
+
+    for (const header of getResponseHeaders(response)) {
+      const presenceTest = `pm.test(${JSON.stringify(`${key} response has ${header.name} header`)}`;
+      const valueTest = `pm.test(${JSON.stringify(`${key} response header ${header.name} matches schema`)}`;
+      items.push({
+        kind: CoverageKind.HEADER,
+        status: key,
+        name: `${key} ${header.name}`,
+        covered: source.includes(presenceTest) || source.includes(valueTest)
+      });
+
+      const valueBlock = extractTestBlock(source, valueTest);
+      for (const value of getEnumValues(header.schema.type === 'array' ? header.schema.items || {} : header.schema)) {
+        items.push({
+          kind: CoverageKind.ENUM,
+          status: key,
+          name: `${key} header ${header.name} = ${JSON.stringify(value)}`,
+          covered: valueBlock.includes(JSON.stringify(String(value)))
+        });
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Statuses the scripts expect: exact codes and inclusive ranges
+ */
+function getAssertedStatuses(source) {
+  const codes = new Set();
+  const ranges = [];
+
+  for (const match of source.matchAll(/pm\.response\.to\.have\.status\((\d{3})\)/g)) {
+    codes.add(Number(match[1]));
+  }
+  for (const match of source.matchAll(/pm\.expect\(pm\.response\.code\)\.to\.be\.oneOf\(\[([\d,\s]*)\]\)/g)) {
+    match[1].split(',').map(code => Number(code.trim())).filter(Boolean).forEach(code => codes.add(code));
+  }
+  for (const match of source.matchAll(/pm\.expect\(pm\.response\.code\)\.to\.be\.within\((\d{3}),\s*(\d{3})\)/g)) {
+    ranges.push([Number(match[1]), Number(match[2])]);
+  }
+
+  return { codes, ranges };
+}
+
+function isStatusAsserted(key, { codes, ranges }) {
+  if (/^\d{3}$/.test(key)) {
+    const code = Number(key);
+    return codes.has(code);
+  }
+
+  // A range key (4XX) is covered by a range test or by any code inside it
+  const low = Number(key.charAt(0)) * 100;
+  return ranges.some(([from, to]) => from <= low && to >= low + 99) ||
+    [...codes].some(code => code >= low && code <= low + 99);
+}
+
+/**
+ * Read the responseContracts constants embedded in the scripts
+ * @returns {Object} Status key -> { contentTypes, schema }
+ */
+function getEmbeddedContracts(scripts) {
+  const contracts = {};
+
+  for (const script of scripts) {
+    const start = script.findIndex(line => line.startsWith('const responseContracts = '));
+    if (start === -1) continue;
+
+    const end = script.findIndex((line, index) => index >= start && line === '};');
+    if (end === -1) continue;
+
+    try {
+      const json = [script[start].replace('const responseContracts = ', ''), ...script.slice(start + 1, end), '}'].join('\n');
+      Object.assign(contracts, JSON.parse(json));
+    } catch {
+      // Not a generated constant - ignore
+    }
+  }
+
+  return contracts;
+}
+
+/**
+ * Collect property paths of a schema ("data[].id"), following $refs,
+ * combinators and array items
+ * @param {Object} schema - Schema to walk
+ * @param {Object} root - Document used to resolve local $refs
+ * @param {boolean} skipWriteOnly - Drop writeOnly properties (spec side)
+ * @returns {Map} Path -> property schema
+ */
+function collectProperties(schema, root, skipWriteOnly, prefix = '', properties = new Map(), seen = new Set()) {
+  const resolved = resolveRef(schema, root);
+  if (!resolved || typeof resolved !== 'object' || seen.has(resolved)) return properties;
+  seen.add(resolved);
+
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    for (const subSchema of resolved[keyword] || []) {
+      collectProperties(subSchema, root, skipWriteOnly, prefix, properties, seen);
+    }
+  }
+
+  if (resolved.items) {
+    collectProperties(resolved.items, root, skipWriteOnly, `${prefix}[]`, properties, seen);
+  }
+
+  for (const [name, propertySchema] of Object.entries(resolved.properties || {})) {
+    const resolvedProperty = resolveRef(propertySchema, root);
+    if (skipWriteOnly && resolvedProperty?.writeOnly) continue;
+
+    const propertyPath = prefix ? `${prefix}.${name}` : name;
+    if (!properties.has(propertyPath)) {
+      properties.set(propertyPath, propertySchema);
+    }
+    collectProperties(propertySchema, root, skipWriteOnly, propertyPath, properties, seen);
+  }
+
+  seen.delete(resolved);
+  return properties;
+}
+
+function resolveRef(schema, root) {
+  let resolved = schema;
+  const visited = new Set();
+
+  while (resolved && typeof resolved.$ref === 'string' && resolved.$ref.startsWith('#') && !visited.has(resolved.$ref)) {
+    visited.add(resolved.$ref);
+    resolved = resolved.$ref
+      .slice(2)
+      .split('/')
+      .filter(Boolean)
+      .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, segment) => node?.[segment], root);
+  }
+
+  return resolved;
+}
+
+function isConstrained(schema, root) {
+  const resolved = resolveRef(schema, root);
+  if (resolved === false) return true;
+  return Boolean(resolved) && typeof resolved === 'object' && ASSERTING_KEYWORDS.some(keyword => keyword in resolved);
+}
+
+function getEnumValues(schema) {
+  if (!schema || typeof schema !== 'object') return [];
+  const values = Array.isArray(schema.enum) ? [...schema.enum] : [];
+  for (const subSchema of [...(schema.allOf || []), ...(schema.anyOf || []), ...(schema.oneOf || [])]) {
+    values.push(...getEnumValues(subSchema).filter(value => !values.includes(value)));
+  }
+  return values;
+}
+
+/**
+ * Source of a pm.test block, from its opening line to the closing "});"
+ */
+function extractTestBlock(source, opening) {
+  const start = source.indexOf(opening);
+  if (start === -1) return '';
+
+  const end = source.indexOf('});', start);
+  return source.slice(start, end === -1 ? undefined : end);
+}
+
+function summarize(items) {
+  const covered = items.filter(item => item.covered).length;
+  return {
+    covered,
+    total: items.length,
+    percent: items.length === 0 ? 100 : Math.round((covered / items.length) * 1000) / 10
+  };
+}
+
+export default {
+  CoverageKind,
+  analyzeCoverage,
+  formatCoverageText
+};
@@ -6,40 +6,90 @@
  * Generates Postman environments from OpenAPI spec.
  * Creates ONE environment per server (dev, staging, prod)
  * Each environment has its own baseUrl, auth, and test data.
+ *
+ * Server variables (https://{region}.api.example.com) become environment
+ * variables and baseUrl is composed from them (https://{{region}}.api.example.com),
+ * so runs switch regions by changing one value. With expandServerVariables,
+ * one environment is generated per combination of enum values.
  */
 
-import { extractEndpoints } from './parser.js';
+import { extractEndpoints, extractOutboundContracts, getExample } from './parser.js';
+
+const DEFAULT_SERVER = { url: 'https://api.example.com', description: 'Default' };
+
+/**
+ * Generate environments for every server in the spec
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - { expandServerVariables: one environment per enum combination }
+ * @returns {Array} Postman environment objects
+ */
+export function generateEnvironments(api, options = {}) {
+  const servers = api.servers?.length > 0 ? api.servers : [DEFAULT_SERVER];
+  const environments = [];
+
+  for (const server of servers) {
+    const combinations = options.expandServerVariables ? getEnumCombinations(server) : [{}];
+    for (const serverValues of combinations) {
+      environments.push(generateEnvironmentForServer(api, server, serverValues));
+    }
+  }
+
+  return environments;
+}
 
 /**
  * Generate environment for a specific server
  * @param {Object} api - Parsed OpenAPI spec
- * @param {Object} server - Server object { url, description }
+ * @param {Object} server - Server object { url, description, variables }
+ * @param {Object} serverValues - Server variable values (default: each variable's default)
  * @returns {Object} Postman environment object
  */
-export function generateEnvironmentForServer(api, server) {
+export function generateEnvironmentForServer(api, server, serverValues = {}) {
   const values = [];
+  const serverKeys = getServerVariableKeys(api, server);
   
-  // 1. Base URL for this environment
+  // 1. Base URL for this environment, composed from the server variables
   values.push({
     key: 'baseUrl',
-    value: server.url,
+    value: String(server.url || '').replace(/\{([^{}]+)\}/g, (match, name) => (serverKeys[name] ? `{{${serverKeys[name]}}}` : match)),
     type: 'default',
     enabled: true
   });
+
+  // 2. Server variables
+  for (const [name, key] of Object.entries(serverKeys)) {
+    const variable = server.variables[name];
+    values.push({
+      key,
+      value: String(serverValues[name] ?? variable.default ?? variable.enum?.[0] ?? ''),
+      type: 'default',
+      enabled: true
+    });
+  }
   
-  // 2. Path parameters
+  // 3. Path parameters
   const pathParamVars = generatePathParameterVariables(api);
   values.push(...pathParamVars);
   
-  // 3. Query parameters with defaults
+  // 4. Query parameters with defaults
   const queryParamVars = generateQueryParameterVariables(api);
   values.push(...queryParamVars);
   
-  // 4. Security/auth variables (per environment)
+  // 5. Security/auth variables (per environment)
   const authVars = generateAuthVariables(api);
   values.push(...authVars);
   
-  // 5. Test configuration
+  // 6. Callback URLs in requests point at the local webhook receiver
+  if (extractOutboundContracts(api).some(contract => contract.kind === 'callback')) {
+    values.push({
+      key: 'webhookReceiverUrl',
+      value: 'http://127.0.0.1:4020',
+      type: 'default',
+      enabled: true
+    });
+  }
+
+  // 7. Test configuration
   values.push({
     key: 'RESPONSE_TIME_THRESHOLD',
     value: '2000',
@@ -47,7 +97,9 @@ export function generateEnvironmentForServer(api, server) {
     enabled: true
   });
   
-  const envName = generateEnvironmentName(api.info?.title || 'API', server.description);
+  // Expanded environments are told apart by their server variable values
+  const valueLabel = Object.values(serverValues).join(' ');
+  const envName = generateEnvironmentName(api.info?.title || 'API', [server.description || 'Default', valueLabel].filter(Boolean).join(' '));
   
   return {
     name: envName,
@@ -67,6 +119,37 @@ function generateEnvironmentName(apiTitle, serverDescription) {
   return `${cleanTitle} - ${cleanDesc}`;
 }
 
+/**
+ * Environment keys for a server's variables
+ * Names also used by path or query parameters get a server_ prefix.
+ * @returns {Object} Variable name -> environment key
+ */
+function getServerVariableKeys(api, server) {
+  const taken = new Set(extractEndpoints(api).flatMap(endpoint => [
+    ...(endpoint.path.match(/\{([^}]+)\}/g) || []).map(param => param.replace(/[{}]/g, '')),
+    ...(endpoint.parameters || []).filter(param => param?.in === 'query').map(param => param.name)
+  ]));
+  taken.add('baseUrl');
+
+  return Object.fromEntries(Object.keys(server.variables || {}).map(name => [name, taken.has(name) ? `server_${name}` : name]));
+}
+
+/**
+ * Every combination of a server's enum variables
+ * Variables without an enum keep their default.
+ * @returns {Array} Value objects, e.g. [{ region: 'us' }, { region: 'eu' }]
+ */
+function getEnumCombinations(server) {
+  let combinations = [{}];
+
+  for (const [name, variable] of Object.entries(server.variables || {})) {
+    if (!Array.isArray(variable?.enum) || variable.enum.length === 0) continue;
+    combinations = combinations.flatMap(combination => variable.enum.map(value => ({ ...combination, [name]: value })));
+  }
+
+  return combinations;
+}
+
 /**
  * Generate path parameter variables
  * Extracts {param} from paths and creates example values
@@ -185,35 +268,20 @@ function generateAuthVariables(api) {
  * Generate example value for a parameter
  */
 function generateExampleValue(paramName, schema) {
-  if (!schema) {
+  if (!schema || isPlainString(schema)) {
     // Generate based on param name patterns
     if (paramName.includes('id')) return `example-${paramName}-001`;
     if (paramName.includes('email')) return 'user@example.com';
     if (paramName.includes('name')) return 'Example Name';
-    return `example-${paramName}`;
-  }
-  
-  // Use schema info
-  if (schema.example) return String(schema.example);
-  if (schema.examples?.length > 0) return String(schema.examples[0]);
-  
-  // Type-based defaults
-  switch (schema.type) {
-    case 'string':
-      if (schema.enum?.length > 0) return schema.enum[0];
-      if (paramName.includes('id')) return `example-${paramName}-001`;
-      if (paramName.includes('email')) return 'user@example.com';
-      if (schema.format === 'uuid') return '550e8400-e29b-41d4-a716-446655440000';
-      if (schema.format === 'date-time') return new Date().toISOString();
-      return 'example-string';
-    case 'integer':
-    case 'number':
-      return String(schema.minimum || schema.default || 1);
-    case 'boolean':
-      return 'true';
-    default:
-      return `example-${paramName}`;
+    return schema ? 'example-string' : `example-${paramName}`;
   }
+
+  // Identifiers start at 1 unless the schema says otherwise
+  const isNumeric = ['integer', 'number'].includes(schema.type);
+  const hasLowerBound = schema.minimum !== undefined || typeof schema.exclusiveMinimum === 'number';
+  const value = getExample(isNumeric && !hasLowerBound ? { minimum: 1, ...schema } : schema);
+
+  return value === undefined ? `example-${paramName}` : stringifyValue(value);
 }
 
 /**
@@ -221,36 +289,33 @@ function generateExampleValue(paramName, schema) {
  */
 function getParameterDefault(param) {
   const schema = param.schema;
-  
+
   if (schema?.default !== undefined) {
     return String(schema.default);
   }
-  
-  if (schema?.example !== undefined) {
-    return String(schema.example);
-  }
-  
-  if (schema?.enum?.length > 0) {
-    return schema.enum[0];
-  }
-  
-  // Type-based defaults
-  switch (schema?.type) {
-    case 'string':
-      if (param.name === 'limit') return '20';
-      if (param.name === 'offset') return '0';
-      if (param.name === 'status') return 'pending';
-      return '';
-    case 'integer':
-    case 'number':
-      return '0';
-    case 'boolean':
-      return 'false';
-    default:
-      return '';
+
+  // Unconstrained strings stay empty so the filter has no effect when enabled
+  if (!schema || isPlainString(schema)) {
+    return '';
   }
+
+  const value = getExample(schema);
+  return value === undefined ? '' : stringifyValue(value);
+}
+
+/**
+ * String schema without examples, enum, format or constraints
+ */
+function isPlainString(schema) {
+  const keys = ['example', 'examples', 'enum', 'const', 'default', 'format', 'pattern', 'minLength', 'maxLength'];
+  return schema.type === 'string' && !keys.some(key => schema[key] !== undefined);
+}
+
+function stringifyValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
 }
 
 export default {
+  generateEnvironments,
   generateEnvironmentForServer
 };
@@ -0,0 +1,708 @@
+/**
+ * Example Generator
+ *
+ * Builds example values from OpenAPI schemas for request bodies, parameters,
+ * mock responses and environments. Output is deterministic: the same schema
+ * and seed always give the same value, so regenerated collections diff cleanly.
+ *
+ * - Explicit values win: example, examples[0], const, default, enum[0]
+ * - Strings honour format, pattern, minLength and maxLength; format values are
+ *   never cut or padded, and strings that cannot meet the constraints are
+ *   reported and left out
+ * - Numbers honour minimum/maximum (inclusive and exclusive) and multipleOf
+ * - Arrays honour minItems, maxItems and uniqueItems
+ * - Objects honour required, minProperties, maxProperties and readOnly/writeOnly per direction
+ * - Values matching a `not` schema are replaced by the next alternative value
+ * - allOf members are merged; anyOf uses the first option, oneOf the first
+ *   option whose value matches no other option, with the discriminator
+ *   property set to the option's mapping value
+ * - Generated values are checked against the schema; mismatches are reported
+ */
+
+import { toJsonSchema, validateJsonSchema } from './json-schema.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'example-generator' });
+
+/**
+ * Seed used when none is given
+ */
+export const DEFAULT_SEED = 1;
+
+/**
+ * Nesting limit for recursive schemas
+ */
+const MAX_DEPTH = 8;
+
+/**
+ * Alternative values tried for a value that matches a `not` schema
+ */
+const MAX_ALTERNATIVES = 10;
+
+/**
+ * Fixed values for string formats
+ */
+const FORMAT_EXAMPLES = {
+  'date-time': '2024-01-15T09:30:00Z',
+  date: '2024-01-15',
+  time: '09:30:00Z',
+  duration: 'P1D',
+  email: 'user@example.com',
+  'idn-email': 'user@example.com',
+  hostname: 'example.com',
+  'idn-hostname': 'example.com',
+  ipv4: '192.0.2.1',
+  ipv6: '2001:db8::1',
+  uri: 'https://example.com/resource',
+  url: 'https://example.com/resource',
+  iri: 'https://example.com/resource',
+  'uri-reference': '/resource',
+  'iri-reference': '/resource',
+  'uri-template': 'https://example.com/{id}',
+  'json-pointer': '/resource/0',
+  'relative-json-pointer': '0/resource',
+  regex: '^[a-z]+$',
+  uuid: '550e8400-e29b-41d4-a716-446655440000',
+  byte: 'ZXhhbXBsZQ==',
+  binary: 'binary',
+  password: 'P@ssw0rd!'
+};
+
+const PRINTABLE = Array.from({ length: 95 }, (item, index) => String.fromCharCode(32 + index));
+const CHARACTER_SETS = {
+  d: '0123456789'.split(''),
+  w: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_'.split(''),
+  s: [' ']
+};
+
+/**
+ * Generate an example value for a schema
+ * @param {Object} schema - OpenAPI schema (dereferenced)
+ * @param {Object} options - Generation options
+ * @param {number} options.seed - PRNG seed for patterns and choices (default: DEFAULT_SEED)
+ * @param {string} options.direction - 'request' skips readOnly, 'response' skips writeOnly properties
+ * @param {Object} options.components - Component schemas for remaining $refs and discriminator mappings
+ * @param {number} options.variant - Index of an alternative value (distinct values for uniqueItems)
+ * @returns {*} Example value or undefined
+ */
+export function generateExample(schema, options = {}) {
+  const context = {
+    random: createRandom(options.seed ?? DEFAULT_SEED),
+    direction: options.direction || null,
+    components: options.components || {}
+  };
+
+  const example = generate(schema, context, options.variant || 0, 0);
+
+  if (example !== undefined && schema && typeof schema === 'object') {
+    const jsonSchema = toJsonSchema(schema, { components: context.components, direction: context.direction || 'response' });
+    const errors = jsonSchema ? validateJsonSchema(jsonSchema, example) : [];
+    if (errors.length > 0) {
+      logger.warn(`Generated example does not match its schema: ${errors.map(error => `${error.path || '/'} ${error.message}`).join('; ')}`);
+    }
+  }
+
+  return example;
+}
+
+/**
+ * Merge allOf members into one schema (properties, required and constraints)
+ * @param {Object} schema - Schema with allOf
+ * @returns {Object} Schema without allOf
+ */
+export function mergeAllOf(schema) {
+  if (!Array.isArray(schema?.allOf)) return schema;
+
+  const { allOf, ...base } = schema;
+  return [base, ...allOf.map(mergeAllOf)].reduce((merged, part) => {
+    if (!part || typeof part !== 'object') return merged;
+
+    const result = { ...merged, ...part };
+    if (merged.properties || part.properties) {
+      result.properties = { ...(merged.properties || {}), ...(part.properties || {}) };
+    }
+    if (merged.required || part.required) {
+      result.required = [...new Set([...(merged.required || []), ...(part.required || [])])];
+    }
+    // The tighter bound of both parts applies
+    for (const key of ['minimum', 'minLength', 'minItems', 'minProperties']) {
+      if (merged[key] !== undefined && part[key] !== undefined) result[key] = Math.max(merged[key], part[key]);
+    }
+    for (const key of ['maximum', 'maxLength', 'maxItems', 'maxProperties']) {
+      if (merged[key] !== undefined && part[key] !== undefined) result[key] = Math.min(merged[key], part[key]);
+    }
+    return result;
+  }, {});
+}
+
+function generate(schema, context, variant, depth) {
+  const value = generateValue(schema, context, variant, depth);
+  if (value === undefined || !schema.not || !matches(schema.not, value, context)) return value;
+
+  // Walk through the alternative values until one is outside `not`
+  for (let alternative = variant + 1; alternative <= variant + MAX_ALTERNATIVES; alternative++) {
+    const candidate = generateValue(schema, context, alternative, depth);
+    if (candidate !== undefined && !matches(schema.not, candidate, context)) return candidate;
+  }
+  return value;
+}
+
+function generateValue(schema, context, variant, depth) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) return undefined;
+
+  if (typeof schema.$ref === 'string') {
+    const name = schema.$ref.split('/').pop();
+    return context.components[name] ? generate(context.components[name], context, variant, depth + 1) : undefined;
+  }
+
+  // Explicit values first (variants walk through examples and enums)
+  if (schema.example !== undefined && variant === 0) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > variant) return schema.examples[variant];
+  if (schema.const !== undefined) return schema.const;
+  if (schema.default !== undefined && variant === 0) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    const values = schema.enum.filter(value => value !== null);
+    return values.length > 0 ? values[variant % values.length] : null;
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    return generateWithDiscriminator(mergeAllOf(schema), schema, context, variant, depth);
+  }
+
+  const options = schema.oneOf || schema.anyOf;
+  if (Array.isArray(options) && options.length > 0) {
+    return generateOption(schema, options, context, variant, depth);
+  }
+
+  switch (getType(schema)) {
+    case 'string':
+      return generateString(schema, context, variant);
+    case 'integer':
+      return generateNumber(schema, variant, true);
+    case 'number':
+      return generateNumber(schema, variant, false);
+    case 'boolean':
+      return variant % 2 === 0;
+    case 'array':
+      return generateArray(schema, context, variant, depth);
+    case 'object':
+      return generateObject(schema, context, variant, depth);
+    case 'null':
+      return null;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * First oneOf/anyOf option, merged with the sibling keywords of the parent
+ * oneOf values must match exactly one option: options are tried in order,
+ * and object values are kept apart from other options where possible. With
+ * a discriminator its value picks the option, so the first one is used.
+ */
+function generateOption(schema, options, context, variant, depth) {
+  const { oneOf, anyOf, discriminator, ...base } = schema;
+  const mergeBase = Object.keys(base).some(key => ['type', 'properties', 'required'].includes(key));
+  const exclusive = Array.isArray(oneOf) && !discriminator?.propertyName;
+  let first;
+
+  for (const option of exclusive ? options : options.slice(0, 1)) {
+    const merged = mergeBase ? mergeAllOf({ allOf: [base, option] }) : option;
+    let example = applyDiscriminator(generate(merged, context, variant, depth + 1), discriminator, option, context);
+    if (!exclusive || example === undefined) return example;
+
+    const others = options.filter(other => other !== option);
+    example = excludeOptions(example, option, others, context);
+    if (!others.some(other => matches(other, example, context))) return example;
+    if (first === undefined) first = example;
+  }
+
+  return first;
+}
+
+/**
+ * Keep an object value from matching other oneOf options by giving it a
+ * property that only those options define, with a value of another type
+ */
+function excludeOptions(example, option, others, context) {
+  if (!example || typeof example !== 'object' || Array.isArray(example)) return example;
+
+  let result = example;
+  for (const other of others) {
+    if (!matches(other, result, context)) continue;
+
+    for (const [name, property] of Object.entries(mergeAllOf(other)?.properties || {})) {
+      const value = mismatchingValue(property);
+      if (name in result || value === undefined) continue;
+
+      const candidate = { ...result, [name]: value };
+      if (!matches(other, candidate, context) && matches(option, candidate, context)) {
+        result = candidate;
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * A value outside the type of a property schema
+ */
+function mismatchingValue(schema) {
+  switch (schema && typeof schema === 'object' ? getType(schema) : undefined) {
+    case 'string':
+      return 0;
+    case 'integer':
+    case 'number':
+    case 'boolean':
+    case 'array':
+    case 'object':
+      return 'string';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Whether a generated value validates against a schema
+ */
+function matches(schema, value, context) {
+  const jsonSchema = toJsonSchema(schema, { components: context.components, direction: context.direction || 'response' });
+  return jsonSchema !== null && validateJsonSchema(jsonSchema, value).length === 0;
+}
+
+function generateWithDiscriminator(merged, original, context, variant, depth) {
+  const example = generate(merged, context, variant, depth + 1);
+  return applyDiscriminator(example, merged.discriminator, original, context);
+}
+
+/**
+ * Set the discriminator property to the mapping value of the chosen schema
+ */
+function applyDiscriminator(example, discriminator, option, context) {
+  const propertyName = discriminator?.propertyName;
+  if (!propertyName || !example || typeof example !== 'object' || Array.isArray(example)) return example;
+
+  // An enum/const on the property already names the type
+  const property = mergeAllOf(option)?.properties?.[propertyName];
+  if (property?.const !== undefined || Array.isArray(property?.enum)) return example;
+
+  const mapping = Object.entries(discriminator.mapping || {});
+  const match = mapping.find(([value, ref]) => {
+    const name = String(ref).split('/').pop();
+    return context.components[name] === option || option?.$ref === ref || option?.title === name;
+  });
+
+  if (match) {
+    example[propertyName] = match[0];
+  } else if (option?.title) {
+    example[propertyName] = option.title;
+  } else if (mapping.length > 0 && mapping.length === 1) {
+    example[propertyName] = mapping[0][0];
+  }
+
+  return example;
+}
+
+/**
+ * Generate a string from format, pattern or a plain value
+ * Format values are used as they are. A string that does not satisfy the
+ * string keywords is reported and left out rather than sent as invalid data.
+ */
+function generateString(schema, context, variant) {
+  const candidates = [];
+
+  if (FORMAT_EXAMPLES[schema.format]) {
+    candidates.push(variant > 0 ? varyFormat(FORMAT_EXAMPLES[schema.format], schema.format, variant) : FORMAT_EXAMPLES[schema.format]);
+  }
+  if (schema.pattern) {
+    candidates.push(generateFromPattern(schema.pattern, schema, context.random));
+  }
+  if (candidates.length === 0) {
+    candidates.push(fitLength(variant > 0 ? `string${variant + 1}` : 'string', schema));
+  }
+
+  const constraints = getStringConstraints(schema);
+  let errors = [];
+  for (const candidate of candidates) {
+    if (candidate === undefined) continue;
+    errors = validateJsonSchema(constraints, candidate);
+    if (errors.length === 0) return candidate;
+  }
+
+  const details = errors.length > 0 ? errors.map(error => error.message) : ['no supported value matches the pattern within the length limits'];
+  logger.warn(`Cannot generate a string for ${JSON.stringify(constraints)}: ${details.join('; ')}`);
+  return undefined;
+}
+
+/**
+ * The string keywords of a schema, as a JSON Schema
+ */
+function getStringConstraints(schema) {
+  const constraints = { type: 'string' };
+  for (const key of ['format', 'pattern', 'minLength', 'maxLength']) {
+    if (schema[key] !== undefined) constraints[key] = schema[key];
+  }
+  return toJsonSchema(constraints);
+}
+
+function varyFormat(value, format, variant) {
+  switch (format) {
+    case 'uuid':
+      return value.slice(0, -4) + String(variant).padStart(4, '0');
+    case 'date':
+      return `2024-01-${String(15 + (variant % 14)).padStart(2, '0')}`;
+    case 'date-time':
+      return `2024-01-${String(15 + (variant % 14)).padStart(2, '0')}T09:30:00Z`;
+    case 'email':
+    case 'idn-email':
+      return `user${variant + 1}@example.com`;
+    case 'uri':
+    case 'url':
+    case 'iri':
+      return `${value}/${variant + 1}`;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Pad or trim a plain string to minLength/maxLength
+ * (format values are never fitted, patterns are generated to fit)
+ */
+function fitLength(value, schema) {
+  let result = value;
+  const { minLength, maxLength } = schema;
+
+  if (minLength !== undefined && result.length < minLength) {
+    result = result.padEnd(minLength, result.length > 0 ? result : 'x');
+  }
+  if (maxLength !== undefined && result.length > maxLength) {
+    result = result.slice(0, maxLength);
+  }
+
+  return result;
+}
+
+function generateNumber(schema, variant, isInteger) {
+  const multipleOf = schema.multipleOf > 0 ? schema.multipleOf : null;
+  const step = multipleOf || 1;
+
+  // exclusiveMinimum/Maximum are booleans in 3.0 and numbers in 3.1
+  let lower = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : schema.minimum;
+  let upper = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : schema.maximum;
+  const lowerExclusive = typeof schema.exclusiveMinimum === 'number' || schema.exclusiveMinimum === true;
+  const upperExclusive = typeof schema.exclusiveMaximum === 'number' || schema.exclusiveMaximum === true;
+
+  if (isInteger) {
+    if (lower !== undefined) lower = lowerExclusive ? Math.floor(lower) + 1 : Math.ceil(lower);
+    if (upper !== undefined) upper = upperExclusive ? Math.ceil(upper) - 1 : Math.floor(upper);
+  } else {
+    if (lower !== undefined && lowerExclusive) lower += upper !== undefined ? Math.min(step, (upper - lower) / 2) : step;
+    if (upper !== undefined && upperExclusive) upper -= lower !== undefined ? Math.min(step, (upper - lower) / 2) : step;
+  }
+
+  let value = lower !== undefined ? lower : upper !== undefined ? Math.min(0, upper) : 0;
+  value += variant * step;
+
+  if (multipleOf) {
+    value = Math.ceil(roundNumber(value / multipleOf)) * multipleOf;
+    if (upper !== undefined && value > upper) value = Math.floor(roundNumber(upper / multipleOf)) * multipleOf;
+  }
+  if (upper !== undefined && value > upper) value = upper;
+
+  return isInteger ? Math.round(value) : roundNumber(value);
+}
+
+function generateArray(schema, context, variant, depth) {
+  if (!schema.items) return [];
+
+  const minItems = schema.minItems ?? 1;
+  const count = Math.max(0, Math.min(Math.max(minItems, 1), schema.maxItems ?? Infinity));
+  const items = [];
+
+  for (let index = 0; index < count; index++) {
+    // Distinct items for uniqueItems; every item otherwise follows the first one
+    const itemVariant = schema.uniqueItems ? variant + index : variant;
+    const item = generate(schema.items, context, itemVariant, depth + 1);
+    if (item === undefined) break;
+    items.push(item);
+  }
+
+  return items;
+}
+
+function generateObject(schema, context, variant, depth) {
+  const example = {};
+  const required = new Set(schema.required || []);
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (!property) continue;
+    if (context.direction === 'request' && property.readOnly && !required.has(name)) continue;
+    if (context.direction === 'response' && property.writeOnly && !required.has(name)) continue;
+
+    // Recursive optional properties stop before the depth limit
+    if (depth >= MAX_DEPTH - 1 && !required.has(name)) continue;
+
+    const value = generate(property, context, variant, depth + 1);
+    if (value !== undefined) example[name] = value;
+  }
+
+  // Fill minProperties from additionalProperties
+  const extra = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : { type: 'string' };
+  for (let index = 1; Object.keys(example).length < (schema.minProperties || 0) && schema.additionalProperties !== false; index++) {
+    example[`property${index}`] = generate(extra, context, variant, depth + 1);
+  }
+
+  // Leave out optional properties, last first, down to maxProperties
+  for (const name of Object.keys(example).reverse()) {
+    if (Object.keys(example).length <= (schema.maxProperties ?? Infinity)) break;
+    if (!required.has(name)) delete example[name];
+  }
+
+  return example;
+}
+
+/**
+ * Schema type, including 3.1 type arrays, nullable and implied types
+ */
+function getType(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.find(type => type !== 'null') || 'null';
+  }
+  if (schema.type) return schema.type;
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  if (schema.pattern || schema.format && FORMAT_EXAMPLES[schema.format]) return 'string';
+  return undefined;
+}
+
+function roundNumber(value) {
+  return Math.round(value * 1e9) / 1e9;
+}
+
+// ============================================================
+// Pattern strings
+// ============================================================
+
+/**
+ * Generate a string matching a regular expression
+ * Supports literals, escapes (\d \w \s), classes, groups, alternation and
+ * quantifiers. Repeats are extended until minLength is met. Lookarounds are
+ * skipped when rendering, so candidates are checked against the full
+ * pattern; backreferences fall back to undefined.
+ */
+function generateFromPattern(pattern, schema, random) {
+  let tree;
+  let regex;
+  try {
+    tree = parsePattern(pattern);
+    regex = new RegExp(pattern, 'u');
+  } catch {
+    return undefined;
+  }
+
+  const { minLength = 0, maxLength = Infinity } = schema;
+  let candidate;
+
+  for (let attempt = 0; attempt < 20; attempt++) {
+    candidate = renderNode(tree, random, attempt > 0, null);
+    if (candidate.length < minLength) {
+      candidate = renderNode(tree, random, attempt > 0, { missing: minLength - candidate.length });
+    }
+    if (regex.test(candidate) && candidate.length >= minLength && candidate.length <= maxLength) {
+      return candidate;
+    }
+  }
+
+  return undefined;
+}
+
+function parsePattern(pattern) {
+  let index = 0;
+
+  const parseAlternation = () => {
+    const branches = [parseSequence()];
+    while (pattern[index] === '|') {
+      index++;
+      branches.push(parseSequence());
+    }
+    return { type: 'alternation', branches };
+  };
+
+  const parseSequence = () => {
+    const items = [];
+    while (index < pattern.length && pattern[index] !== '|' && pattern[index] !== ')') {
+      const atom = parseAtom();
+      if (atom) items.push(parseQuantifier(atom));
+    }
+    return { type: 'sequence', items };
+  };
+
+  const parseAtom = () => {
+    const char = pattern[index++];
+
+    switch (char) {
+      case '^':
+      case '$':
+        return null;
+      case '(': {
+        // Lookarounds add no characters
+        const lookaround = /^\?(=|!|<=|<!)/.exec(pattern.slice(index));
+        if (lookaround) {
+          index += lookaround[0].length;
+          parseAlternation();
+          if (pattern[index++] !== ')') throw new Error('Unclosed group');
+          return null;
+        }
+        if (pattern[index] === '?') {
+          if (pattern[index + 1] === ':') index += 2;
+          else if (pattern[index + 1] === '<' && /[A-Za-z]/.test(pattern[index + 2])) index = pattern.indexOf('>', index) + 1;
+          else throw new Error('Unsupported group');
+        }
+        const group = parseAlternation();
+        if (pattern[index++] !== ')') throw new Error('Unclosed group');
+        return group;
+      }
+      case '[':
+        return parseClass();
+      case '.':
+        return { type: 'set', chars: CHARACTER_SETS.w };
+      case '\\':
+        return parseEscape(pattern[index++]);
+      default:
+        return { type: 'literal', value: char };
+    }
+  };
+
+  const parseEscape = (char) => {
+    if (char === 'b' || char === 'B') return null;
+    if (/[1-9]/.test(char)) throw new Error('Backreferences are not supported');
+    if (CHARACTER_SETS[char]) return { type: 'set', chars: CHARACTER_SETS[char] };
+    if (CHARACTER_SETS[char?.toLowerCase()]) {
+      const excluded = new Set(CHARACTER_SETS[char.toLowerCase()]);
+      return { type: 'set', chars: PRINTABLE.filter(c => !excluded.has(c)) };
+    }
+    if (char === 'u' && /^[0-9a-fA-F]{4}$/.test(pattern.slice(index, index + 4))) {
+      const value = String.fromCharCode(parseInt(pattern.slice(index, index + 4), 16));
+      index += 4;
+      return { type: 'literal', value };
+    }
+    const controls = { n: '\n', t: '\t', r: '\r' };
+    return { type: 'literal', value: controls[char] ?? char };
+  };
+
+  const parseClass = () => {
+    const negated = pattern[index] === '^';
+    if (negated) index++;
+    const chars = new Set();
+
+    while (index < pattern.length && pattern[index] !== ']') {
+      let char = pattern[index++];
+      if (char === '\\') {
+        const escape = pattern[index++];
+        const set = CHARACTER_SETS[escape] || (CHARACTER_SETS[escape.toLowerCase()] &&
+          PRINTABLE.filter(c => !CHARACTER_SETS[escape.toLowerCase()].includes(c)));
+        if (set) {
+          set.forEach(c => chars.add(c));
+          continue;
+        }
+        char = { n: '\n', t: '\t', r: '\r' }[escape] ?? escape;
+      }
+
+      if (pattern[index] === '-' && pattern[index + 1] && pattern[index + 1] !== ']') {
+        let end = pattern[index + 1];
+        index += 2;
+        if (end === '\\') end = pattern[index++];
+        for (let code = char.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+          chars.add(String.fromCharCode(code));
+        }
+      } else {
+        chars.add(char);
+      }
+    }
+    if (pattern[index++] !== ']') throw new Error('Unclosed class');
+
+    const list = negated ? PRINTABLE.filter(c => !chars.has(c)) : [...chars];
+    return { type: 'set', chars: list };
+  };
+
+  const parseQuantifier = (atom) => {
+    const char = pattern[index];
+    let min = 1;
+    let max = 1;
+
+    if (char === '*') { min = 0; max = Infinity; index++; }
+    else if (char === '+') { min = 1; max = Infinity; index++; }
+    else if (char === '?') { min = 0; max = 1; index++; }
+    else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+      if (!match) return atom;
+      min = Number(match[1]);
+      max = match[2] ? (match[3] ? Number(match[3]) : Infinity) : min;
+      index += match[0].length;
+    } else {
+      return atom;
+    }
+
+    // Lazy and possessive markers do not change what matches
+    if (pattern[index] === '?' || pattern[index] === '+') index++;
+    return { type: 'repeat', atom, min, max };
+  };
+
+  const tree = parseAlternation();
+  if (index < pattern.length) throw new Error('Unbalanced pattern');
+  return tree;
+}
+
+/**
+ * Render a parsed pattern; `fill.missing` characters are added through
+ * extra repeats, up to each repeat's maximum
+ */
+function renderNode(node, random, vary, fill) {
+  switch (node.type) {
+    case 'alternation':
+      return renderNode(node.branches[vary ? Math.floor(random() * node.branches.length) : 0], random, vary, fill);
+    case 'sequence':
+      return node.items.map(item => renderNode(item, random, vary, fill)).join('');
+    case 'repeat': {
+      const spread = Math.min(node.max, node.min + 3) - node.min;
+      const count = node.min + (vary || node.min === 0 ? Math.floor(random() * (spread + 1)) : 0);
+      const parts = Array.from({ length: Math.max(count, node.min) }, () => renderNode(node.atom, random, vary, fill));
+      while (fill && fill.missing > 0 && parts.length < node.max) {
+        const part = renderNode(node.atom, random, vary, null);
+        if (part.length === 0) break;
+        parts.push(part);
+        fill.missing -= part.length;
+      }
+      return parts.join('');
+    }
+    case 'set':
+      return node.chars.length > 0 ? node.chars[Math.floor(random() * node.chars.length)] : '';
+    case 'literal':
+      return node.value;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Small seeded PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default {
+  DEFAULT_SEED,
+  generateExample,
+  mergeAllOf
+};
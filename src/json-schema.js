@@ -0,0 +1,487 @@
+/**
+ * JSON Schema Module
+ *
+ * Converts OpenAPI schema objects into standalone JSON Schema (draft-07)
+ * documents that can be embedded in generated Postman test scripts and
+ * validated with `pm.response.to.have.jsonSchema()`.
+ *
+ * Handles:
+ * - OpenAPI 3.0 keywords (nullable, boolean exclusiveMinimum/Maximum)
+ * - Keywords that are not JSON Schema (example, discriminator, xml, ...)
+ * - Formats unknown to JSON Schema validators (int32, int64, binary, ...)
+ * - Circular $refs left in place by the parser (hoisted into definitions)
+ *
+ * Also validates data against the converted documents (draft-07 subset),
+ * for running generated tests outside Postman.
+ */
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+/**
+ * OpenAPI-only keywords that JSON Schema validators do not understand
+ */
+const OPENAPI_ONLY_KEYWORDS = [
+  'nullable',
+  'discriminator',
+  'xml',
+  'externalDocs',
+  'example',
+  'deprecated',
+  'readOnly',
+  'writeOnly'
+];
+
+/**
+ * Formats defined by JSON Schema itself. Anything else (int32, int64,
+ * float, double, byte, binary, password) is an OpenAPI data type hint and
+ * makes strict validators reject the whole schema.
+ */
+const JSON_SCHEMA_FORMATS = new Set([
+  'date',
+  'time',
+  'date-time',
+  'email',
+  'hostname',
+  'ipv4',
+  'ipv6',
+  'uri',
+  'uri-reference',
+  'uri-template',
+  'uuid',
+  'regex',
+  'json-pointer',
+  'relative-json-pointer'
+]);
+
+/**
+ * Keywords whose value is a single subschema
+ */
+const SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'contains', 'propertyNames', 'if', 'then', 'else'];
+
+/**
+ * Keywords whose value is an array of subschemas
+ */
+const SCHEMA_ARRAY_KEYWORDS = ['allOf', 'oneOf', 'anyOf', 'prefixItems'];
+
+/**
+ * Keywords whose value is a map of subschemas
+ */
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'definitions', '$defs', 'dependentSchemas'];
+
+const COMPONENT_SCHEMA_PREFIX = '#/components/schemas/';
+
+/**
+ * Convert an OpenAPI schema into a self-contained JSON Schema document
+ * @param {Object} schema - OpenAPI schema object (dereferenced)
+ * @param {Object} options - Conversion options
+ * @param {Object} options.components - Component schemas used to resolve remaining $refs
+ * @param {string} options.direction - 'response' drops writeOnly properties, 'request' drops readOnly ones
+ * @returns {Object|null} JSON Schema document or null if no schema
+ */
+export function toJsonSchema(schema, options = {}) {
+  if (!schema || typeof schema !== 'object') return null;
+
+  const context = {
+    components: options.components || {},
+    direction: options.direction || 'response',
+    definitions: {},
+    ancestors: new Set()
+  };
+
+  const converted = convertSchema(schema, context);
+
+  const document = { $schema: JSON_SCHEMA_DRAFT, ...converted };
+  if (Object.keys(context.definitions).length > 0) {
+    document.definitions = { ...(document.definitions || {}), ...context.definitions };
+  }
+
+  return document;
+}
+
+/**
+ * Recursively convert a schema node
+ * @param {Object} schema - Schema node
+ * @param {Object} context - Conversion context
+ * @returns {Object} Converted schema node
+ */
+function convertSchema(schema, context) {
+  if (typeof schema === 'boolean') return schema;
+  if (!schema || typeof schema !== 'object') return {};
+
+  // Remaining $refs are circular references the parser left in place
+  if (typeof schema.$ref === 'string') {
+    return convertRef(schema.$ref, context);
+  }
+
+  // Guard against real object cycles (parsed specs without $ref markers)
+  if (context.ancestors.has(schema)) {
+    return {};
+  }
+  context.ancestors.add(schema);
+
+  const result = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (OPENAPI_ONLY_KEYWORDS.includes(key) || key.startsWith('x-')) continue;
+
+    if (SCHEMA_KEYWORDS.includes(key)) {
+      result[key] = convertSchema(value, context);
+    } else if (SCHEMA_ARRAY_KEYWORDS.includes(key) && Array.isArray(value)) {
+      result[key] = value.map(subSchema => convertSchema(subSchema, context));
+    } else if (SCHEMA_MAP_KEYWORDS.includes(key) && value && typeof value === 'object') {
+      result[key] = {};
+      for (const [name, subSchema] of Object.entries(value)) {
+        if (key === 'properties' && isHiddenProperty(subSchema, context)) continue;
+        result[key][name] = convertSchema(subSchema, context);
+      }
+    } else if (key === 'format') {
+      if (JSON_SCHEMA_FORMATS.has(value)) result.format = value;
+    } else {
+      result[key] = value;
+    }
+  }
+
+  // OpenAPI 3.0 boolean exclusive bounds -> numeric (draft-06+)
+  convertExclusiveBound(schema, result, 'exclusiveMinimum', 'minimum');
+  convertExclusiveBound(schema, result, 'exclusiveMaximum', 'maximum');
+
+  // Drop required entries for properties hidden in this direction
+  if (Array.isArray(result.required) && schema.properties) {
+    result.required = result.required.filter(name =>
+      !schema.properties[name] || !isHiddenProperty(schema.properties[name], context)
+    );
+    if (result.required.length === 0) delete result.required;
+  }
+
+  context.ancestors.delete(schema);
+
+  if (schema.nullable === true) {
+    return applyNullable(result);
+  }
+
+  return result;
+}
+
+/**
+ * Convert a $ref into a definitions pointer, hoisting the target schema
+ * @param {string} ref - $ref value
+ * @param {Object} context - Conversion context
+ * @returns {Object} Schema referencing the hoisted definition
+ */
+function convertRef(ref, context) {
+  if (!ref.startsWith(COMPONENT_SCHEMA_PREFIX)) {
+    // Unresolvable here - accept anything rather than fail every response
+    return {};
+  }
+
+  const name = decodePointerSegment(ref.slice(COMPONENT_SCHEMA_PREFIX.length));
+  const target = context.components[name];
+  if (!target) return {};
+
+  if (!(name in context.definitions)) {
+    // Reserve the slot first so self-references terminate
+    context.definitions[name] = {};
+    context.definitions[name] = convertSchema(target, context);
+  }
+
+  return { $ref: `#/definitions/${encodePointerSegment(name)}` };
+}
+
+/**
+ * Convert boolean exclusive bounds to their numeric form
+ */
+function convertExclusiveBound(source, result, exclusiveKey, boundKey) {
+  if (typeof source[exclusiveKey] !== 'boolean') return;
+
+  if (source[exclusiveKey] && source[boundKey] !== undefined) {
+    result[exclusiveKey] = source[boundKey];
+    delete result[boundKey];
+  } else {
+    delete result[exclusiveKey];
+  }
+}
+
+/**
+ * Apply OpenAPI 3.0 `nullable: true` semantics
+ */
+function applyNullable(schema) {
+  if (typeof schema.type === 'string') {
+    const nullable = { ...schema, type: [schema.type, 'null'] };
+    if (Array.isArray(nullable.enum) && !nullable.enum.includes(null)) {
+      nullable.enum = [...nullable.enum, null];
+    }
+    return nullable;
+  }
+
+  if (Array.isArray(schema.type)) {
+    return schema.type.includes('null') ? schema : { ...schema, type: [...schema.type, 'null'] };
+  }
+
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+/**
+ * Check whether a property is invisible in the current direction
+ * (writeOnly in responses, readOnly in requests)
+ */
+function isHiddenProperty(propSchema, context) {
+  if (!propSchema || typeof propSchema !== 'object') return false;
+  if (context.direction === 'response') return propSchema.writeOnly === true;
+  if (context.direction === 'request') return propSchema.readOnly === true;
+  return false;
+}
+
+/**
+ * Format checks used by validateJsonSchema
+ */
+const FORMAT_VALIDATORS = {
+  'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value),
+  'time': value => /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/i.test(value),
+  'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'uuid': value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  'uri': value => /^[a-z][a-z0-9+.-]*:/i.test(value),
+  'ipv4': value => /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/.test(value),
+  'hostname': value => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value)
+};
+
+/**
+ * Assertion keywords validateJsonSchema does not check. Schemas using them
+ * are reported instead of passing unchecked.
+ */
+const UNSUPPORTED_KEYWORDS = [
+  'if',
+  'then',
+  'else',
+  'contains',
+  'minContains',
+  'maxContains',
+  'propertyNames',
+  'dependencies',
+  'dependentRequired',
+  'dependentSchemas',
+  'prefixItems',
+  'unevaluatedItems',
+  'unevaluatedProperties'
+];
+
+/**
+ * Validate data against a JSON Schema document (draft-07 subset)
+ * Supports type, enum, const, object/array/string/number keywords,
+ * allOf/anyOf/oneOf/not, known formats, and local $refs. Other assertion
+ * keywords (if/then/else, contains, propertyNames, dependencies, ...) are
+ * reported as errors.
+ * @param {Object|boolean} schema - JSON Schema document (e.g. from toJsonSchema)
+ * @param {*} data - Value to validate
+ * @returns {Array} Errors { path, message } - empty when valid
+ */
+export function validateJsonSchema(schema, data) {
+  const errors = [];
+  validateNode(schema, data, '', schema, errors);
+  return errors;
+}
+
+/**
+ * Validate one schema node, appending errors
+ */
+function validateNode(schema, data, path, root, errors) {
+  if (schema === true || schema === undefined || schema === null) return;
+  if (schema === false) {
+    errors.push({ path, message: 'no value is allowed here' });
+    return;
+  }
+
+  if (typeof schema.$ref === 'string') {
+    const target = resolveLocalRef(root, schema.$ref);
+    if (target !== undefined) {
+      validateNode(target, data, path, root, errors);
+    }
+    return;
+  }
+
+  const fail = (message) => errors.push({ path, message });
+
+  for (const keyword of UNSUPPORTED_KEYWORDS.filter(keyword => keyword in schema)) {
+    fail(`uses unsupported keyword "${keyword}" (not validated)`);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, data))) {
+      fail(`must be ${types.join(' or ')} (got ${typeOf(data)})`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(value => deepEqual(value, data))) {
+    fail(`must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if ('const' in schema && !deepEqual(schema.const, data)) {
+    fail(`must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof data === 'string') {
+    const length = [...data].length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(data)) fail(`must match pattern ${schema.pattern}`);
+    if (schema.format && FORMAT_VALIDATORS[schema.format] && !FORMAT_VALIDATORS[schema.format](data)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof data === 'number') {
+    if (schema.minimum !== undefined && data < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && data > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && !isMultipleOf(data, schema.multipleOf)) fail(`must be a multiple of ${schema.multipleOf}`);
+  }
+
+  if (Array.isArray(data)) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems === true && data.some((item, i) => data.findIndex(other => deepEqual(other, item)) !== i)) {
+      fail('must not contain duplicate items');
+    }
+
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, i) => {
+        if (i < data.length) validateNode(itemSchema, data[i], `${path}/${i}`, root, errors);
+      });
+      if (schema.additionalItems !== undefined) {
+        data.slice(schema.items.length).forEach((item, i) => {
+          validateNode(schema.additionalItems, item, `${path}/${schema.items.length + i}`, root, errors);
+        });
+      }
+    } else if (schema.items !== undefined) {
+      data.forEach((item, i) => validateNode(schema.items, item, `${path}/${i}`, root, errors));
+    }
+  }
+
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    const keys = Object.keys(data);
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (!(name in data)) fail(`missing required property "${name}"`);
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail(`must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail(`must have at most ${schema.maxProperties} properties`);
+
+    for (const key of keys) {
+      const childPath = `${path}/${encodePointerSegment(key)}`;
+      let matched = false;
+
+      if (key in properties) {
+        matched = true;
+        validateNode(properties[key], data[key], childPath, root, errors);
+      }
+
+      for (const [pattern, patternSchema] of Object.entries(schema.patternProperties || {})) {
+        if (new RegExp(pattern, 'u').test(key)) {
+          matched = true;
+          validateNode(patternSchema, data[key], childPath, root, errors);
+        }
+      }
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: 'is not an allowed property' });
+        } else {
+          validateNode(schema.additionalProperties, data[key], childPath, root, errors);
+        }
+      }
+    }
+  }
+
+  for (const subSchema of schema.allOf || []) {
+    validateNode(subSchema, data, path, root, errors);
+  }
+
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(subSchema => isValid(subSchema, data, root))) {
+    fail('must match at least one schema in anyOf');
+  }
+
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(subSchema => isValid(subSchema, data, root)).length;
+    if (matches !== 1) fail(`must match exactly one schema in oneOf (matched ${matches})`);
+  }
+
+  if (schema.not !== undefined && isValid(schema.not, data, root)) {
+    fail('must not match the schema in not');
+  }
+}
+
+function isValid(schema, data, root) {
+  const errors = [];
+  validateNode(schema, data, '', root, errors);
+  return errors.length === 0;
+}
+
+function matchesType(type, data) {
+  switch (type) {
+    case 'null': return data === null;
+    case 'array': return Array.isArray(data);
+    case 'object': return data !== null && typeof data === 'object' && !Array.isArray(data);
+    case 'integer': return Number.isInteger(data);
+    case 'number': return typeof data === 'number' && Number.isFinite(data);
+    default: return typeof data === type;
+  }
+}
+
+function typeOf(data) {
+  if (data === null) return 'null';
+  if (Array.isArray(data)) return 'array';
+  return typeof data;
+}
+
+function isMultipleOf(value, divisor) {
+  const quotient = value / divisor;
+  return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+}
+
+/**
+ * Structural equality of JSON values (enum, const, uniqueItems and chai's deep.equal)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True when both hold the same data
+ */
+export function deepEqual(a, b) {
+  if (a === b || Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Resolve a local $ref (#/definitions/Name) within the root document
+ */
+function resolveLocalRef(root, ref) {
+  if (!ref.startsWith('#')) return undefined;
+
+  let target = root;
+  for (const segment of ref.slice(1).split('/').filter(Boolean)) {
+    if (target === null || typeof target !== 'object') return undefined;
+    target = target[decodePointerSegment(segment)];
+  }
+  return target;
+}
+
+function decodePointerSegment(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function encodePointerSegment(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+export default {
+  deepEqual,
+  toJsonSchema,
+  validateJsonSchema
+};
@@ -0,0 +1,175 @@
+/**
+ * Lifecycle Test Generator
+ *
+ * Generates one CRUD lifecycle per resource family (POST /tasks with
+ * /tasks/{taskId}[/...]) that runs against a single created resource:
+ *
+ *   create -> read -> update -> sub-actions -> delete -> read (expects 404)
+ *
+ * Every step carries the contract assertions of its operation. The create
+ * step captures the new resource id into a collection variable named after
+ * the create operation (e.g. createTask_taskId), and every later step binds
+ * the item path parameter to it. A bare {{taskId}} would lose to the
+ * example value the generated environments define for it.
+ *
+ * The lifecycles are uploaded as a separate "Lifecycle Tests" collection.
+ */
+
+import { extractEndpoints } from './parser.js';
+import { generateTestKey, generateTestScriptsForSpec, generateNotFoundTestScript, TestLevel } from './test-generator.js';
+import { findResourceFamilies, generateCaptureScript, getCaptureVariable } from './workflow-generator.js';
+
+/**
+ * Lifecycle phases in run order
+ */
+export const LifecyclePhase = {
+  CREATE: 'create',
+  READ: 'read',
+  UPDATE: 'update',
+  ACTION: 'action',
+  DELETE: 'delete',
+  VERIFY_DELETED: 'verify-deleted'
+};
+
+/**
+ * Step name labels by phase
+ */
+const PHASE_LABELS = {
+  [LifecyclePhase.CREATE]: 'Create',
+  [LifecyclePhase.READ]: 'Read',
+  [LifecyclePhase.UPDATE]: 'Update',
+  [LifecyclePhase.ACTION]: 'Action',
+  [LifecyclePhase.DELETE]: 'Delete',
+  [LifecyclePhase.VERIFY_DELETED]: 'Read after delete'
+};
+
+/**
+ * Generate lifecycles for every resource family in a spec
+ * Families whose create response has no identifiable id field are skipped,
+ * since later steps could not address the created resource.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Array} Lifecycles { name, resource, idParam, idField, steps }
+ */
+export function generateLifecycleTestsForSpec(api) {
+  const endpoints = extractEndpoints(api);
+  const contractScripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+  const lifecycles = [];
+
+  for (const family of findResourceFamilies(endpoints)) {
+    if (!family.idField) continue;
+
+    const steps = generateLifecycleSteps(family, contractScripts, api);
+
+    // A lifecycle needs at least one step after create
+    if (steps.length > 1) {
+      lifecycles.push({
+        name: `${family.collectionPath} lifecycle`,
+        resource: family.collectionPath,
+        idParam: family.idParam,
+        idField: family.idField,
+        steps
+      });
+    }
+  }
+
+  return lifecycles;
+}
+
+/**
+ * Generate the ordered steps of one resource family
+ * @param {Object} family - Family from findResourceFamilies()
+ * @param {Object} contractScripts - Contract scripts by test key
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Array} Steps { key, phase, name, script, preRequest?, request }
+ */
+export function generateLifecycleSteps(family, contractScripts, api) {
+  const { create, members, itemPath, idParam, idField, statusCode } = family;
+  const itemOperation = (method) => members.find(member => member.path === itemPath && member.method === method);
+
+  const read = itemOperation('GET');
+  const updates = ['PUT', 'PATCH'].map(itemOperation).filter(Boolean);
+  const actions = members.filter(member => member.path !== itemPath && member.method !== 'DELETE');
+  const remove = itemOperation('DELETE');
+
+  // Every step after create addresses the created resource
+  const variable = getCaptureVariable(create, idParam);
+  const bound = { pathVariables: { [idParam]: `{{${variable}}}` } };
+  const steps = [];
+
+  const addStep = (phase, endpoint, script, extra = {}) => {
+    steps.push({
+      key: generateTestKey(endpoint.method, endpoint.path),
+      phase,
+      name: `${steps.length + 1}. ${PHASE_LABELS[phase]}: ${endpoint.method} ${endpoint.path}`,
+      script,
+      request: phase === LifecyclePhase.CREATE ? {} : bound,
+      ...extra
+    });
+  };
+
+  const contractScript = (endpoint) => contractScripts[generateTestKey(endpoint.method, endpoint.path)] || [];
+
+  addStep(LifecyclePhase.CREATE, create, [
+    ...contractScript(create),
+    '',
+    ...generateCaptureScript([{ variable, expression: `$response.body#/${idField}`, statusCode }]),
+    ...generateCreatedIdCheck(variable)
+  ], {
+    // Never run later steps against an id left over from a previous run
+    preRequest: [`pm.collectionVariables.unset(${JSON.stringify(variable)});`]
+  });
+
+  if (read) {
+    addStep(LifecyclePhase.READ, read, [...contractScript(read), '', ...generateSameResourceCheck(variable, idField)]);
+  }
+
+  for (const update of updates) {
+    addStep(LifecyclePhase.UPDATE, update, contractScript(update));
+  }
+
+  for (const action of actions) {
+    addStep(LifecyclePhase.ACTION, action, contractScript(action));
+  }
+
+  if (remove) {
+    addStep(LifecyclePhase.DELETE, remove, contractScript(remove));
+
+    if (read) {
+      addStep(LifecyclePhase.VERIFY_DELETED, read, generateNotFoundTestScript(read, api));
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Assert the create step produced an id for the rest of the lifecycle
+ */
+function generateCreatedIdCheck(variable) {
+  return [
+    `pm.test(${JSON.stringify(`Created resource id is captured (${variable})`)}, function () {`,
+    `    pm.expect(pm.collectionVariables.get(${JSON.stringify(variable)}), "Later lifecycle steps need the created id").to.not.be.undefined;`,
+    `});`
+  ];
+}
+
+/**
+ * Assert the read step returned the resource the lifecycle created
+ */
+function generateSameResourceCheck(variable, idField) {
+  return [
+    `pm.test("Read returns the created resource", function () {`,
+    `    const jsonData = pm.response.json();`,
+    `    if (jsonData[${JSON.stringify(idField)}] === undefined) {`,
+    `        return; // Read response does not echo the id`,
+    `    }`,
+    `    pm.expect(String(jsonData[${JSON.stringify(idField)}])).to.eql(String(pm.collectionVariables.get(${JSON.stringify(variable)})));`,
+    `});`
+  ];
+}
+
+export default {
+  LifecyclePhase,
+  generateLifecycleTestsForSpec,
+  generateLifecycleSteps
+};
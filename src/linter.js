@@ -0,0 +1,354 @@
+/**
+ * Contract-Testability Linter
+ *
+ * Checks a spec for gaps that weaken the generated tests:
+ * - operation-id: operations without an operationId
+ * - operation-4xx-response: operations without any 4xx response
+ * - response-schema: responses without a schema or example
+ * - example-valid: examples that do not validate against their schema
+ * - path-parameter-schema: path parameters without a schema
+ * - secured-operation-401: secured operations without a 401 response
+ *
+ * Rules are plain objects { id, description, severity, check } that run once
+ * per operation, so callers can pass their own rules next to LINT_RULES.
+ * Severities are overridden per rule with `lint.rules` in sync.config.json.
+ */
+
+import path from 'path';
+import { extractEndpoints } from './parser.js';
+import { generateTestKey } from './test-generator.js';
+import { toJsonSchema, validateJsonSchema } from './json-schema.js';
+import { locateOperations } from './reporters.js';
+
+/**
+ * Finding severities, most severe first ('off' disables a rule)
+ */
+export const LintSeverity = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info',
+  OFF: 'off'
+};
+
+const SEVERITY_ORDER = [LintSeverity.ERROR, LintSeverity.WARNING, LintSeverity.INFO];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_LEVELS = {
+  [LintSeverity.ERROR]: 'error',
+  [LintSeverity.WARNING]: 'warning',
+  [LintSeverity.INFO]: 'note'
+};
+
+/**
+ * Built-in rules
+ * check(endpoint, context) returns findings { message, pointer } where
+ * pointer is a JSON pointer relative to the operation.
+ */
+export const LINT_RULES = [
+  {
+    id: 'operation-id',
+    description: 'Operations need an operationId for stable request names and chaining',
+    severity: LintSeverity.WARNING,
+    check(endpoint) {
+      return endpoint.raw.operationId ? [] : [{ message: 'Operation has no operationId', pointer: '' }];
+    }
+  },
+  {
+    id: 'operation-4xx-response',
+    description: 'Operations need a 4xx response for negative tests to assert',
+    severity: LintSeverity.WARNING,
+    check(endpoint) {
+      const codes = Object.keys(endpoint.responses);
+      return codes.some(code => /^4(\d\d|XX)$/i.test(code))
+        ? []
+        : [{ message: 'Operation documents no 4xx response', pointer: '/responses' }];
+    }
+  },
+  {
+    id: 'response-schema',
+    description: 'Responses need a schema or example for contract assertions',
+    severity: LintSeverity.WARNING,
+    check(endpoint) {
+      const findings = [];
+
+      for (const [code, response] of Object.entries(endpoint.responses)) {
+        const content = response?.content;
+        if (!content) {
+          // Success responses that normally carry a body
+          if (/^2\d\d$/.test(code) && !['202', '204', '205'].includes(code) && endpoint.method !== 'HEAD') {
+            findings.push({ message: `Response ${code} has no content`, pointer: `/responses/${code}` });
+          }
+          continue;
+        }
+
+        for (const [mediaType, media] of Object.entries(content)) {
+          if (!media?.schema && media?.example === undefined && !media?.examples) {
+            findings.push({
+              message: `Response ${code} (${mediaType}) has no schema or example`,
+              pointer: `/responses/${code}/content/${escapePointer(mediaType)}`
+            });
+          }
+        }
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'example-valid',
+    description: 'Examples are sent and compared by the generated tests, so they must match their schema',
+    severity: LintSeverity.ERROR,
+    check(endpoint, context) {
+      const findings = [];
+
+      endpoint.parameters.forEach((parameter, index) => {
+        if (!parameter?.schema) return;
+        findings.push(...checkExamples(parameter, parameter.schema, 'request', context, {
+          label: `Parameter "${parameter.name}"`,
+          pointer: `/parameters/${index}`
+        }));
+      });
+
+      for (const [mediaType, media] of Object.entries(endpoint.requestBody?.content || {})) {
+        if (!media?.schema || !/json/i.test(mediaType)) continue;
+        findings.push(...checkExamples(media, media.schema, 'request', context, {
+          label: `Request body (${mediaType})`,
+          pointer: `/requestBody/content/${escapePointer(mediaType)}`
+        }));
+      }
+
+      for (const [code, response] of Object.entries(endpoint.responses)) {
+        for (const [mediaType, media] of Object.entries(response?.content || {})) {
+          if (!media?.schema || !/json/i.test(mediaType)) continue;
+          findings.push(...checkExamples(media, media.schema, 'response', context, {
+            label: `Response ${code} (${mediaType})`,
+            pointer: `/responses/${code}/content/${escapePointer(mediaType)}`
+          }));
+        }
+      }
+
+      return findings;
+    }
+  },
+  {
+    id: 'path-parameter-schema',
+    description: 'Path parameters need a schema to generate values and negative variants',
+    severity: LintSeverity.ERROR,
+    check(endpoint) {
+      return endpoint.parameters
+        .map((parameter, index) => ({ parameter, index }))
+        .filter(({ parameter }) => parameter?.in === 'path' && !parameter.schema && !parameter.content)
+        .map(({ parameter, index }) => ({
+          message: `Path parameter "${parameter.name}" has no schema`,
+          pointer: `/parameters/${index}`
+        }));
+    }
+  },
+  {
+    id: 'secured-operation-401',
+    description: 'Secured operations need a 401 response for auth tests to assert',
+    severity: LintSeverity.WARNING,
+    check(endpoint) {
+      // security: [{}] makes authentication optional
+      const secured = endpoint.security.length > 0 && !endpoint.security.some(requirement => Object.keys(requirement || {}).length === 0);
+      if (!secured || endpoint.responses['401'] || endpoint.responses['4XX'] || endpoint.responses['4xx']) {
+        return [];
+      }
+      return [{ message: 'Secured operation documents no 401 response', pointer: '/responses' }];
+    }
+  }
+];
+
+/**
+ * Lint a spec
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - { rules: rule list (default LINT_RULES), severities: { ruleId: severity } }
+ * @returns {Object} { rules, findings, summary }
+ */
+export function lintSpec(api, options = {}) {
+  const rules = resolveRules(options.rules || LINT_RULES, options.severities || {});
+  const context = { api, components: api.components?.schemas };
+  const findings = [];
+
+  for (const endpoint of extractEndpoints(api)) {
+    const key = generateTestKey(endpoint.method, endpoint.path);
+
+    for (const rule of rules) {
+      if (rule.severity === LintSeverity.OFF) continue;
+
+      for (const finding of rule.check(endpoint, context) || []) {
+        findings.push({
+          ruleId: rule.id,
+          severity: rule.severity,
+          message: finding.message,
+          operation: `${endpoint.method} ${endpoint.path}`,
+          key,
+          pointer: `/paths/${escapePointer(endpoint.path)}/${endpoint.method.toLowerCase()}${finding.pointer || ''}`
+        });
+      }
+    }
+  }
+
+  const summary = Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+
+  return {
+    rules: rules.map(({ id, description, severity }) => ({ id, description, severity })),
+    findings,
+    summary
+  };
+}
+
+/**
+ * Check whether a report has findings at or above a severity
+ * @param {Object} report - Report from lintSpec()
+ * @param {string} failOn - 'error', 'warning', 'info' or 'off' (never fail)
+ * @returns {boolean} True when the report should fail
+ */
+export function hasFailures(report, failOn = LintSeverity.ERROR) {
+  if (failOn === LintSeverity.OFF) return false;
+
+  const threshold = SEVERITY_ORDER.indexOf(failOn);
+  if (threshold === -1) {
+    throw new Error(`Unknown severity: ${failOn}. Use ${[...SEVERITY_ORDER, LintSeverity.OFF].join(', ')}`);
+  }
+
+  return report.findings.some(finding => SEVERITY_ORDER.indexOf(finding.severity) <= threshold);
+}
+
+/**
+ * Format a lint report as text
+ * @param {Object} report - Report from lintSpec()
+ * @param {Object} options - { specPath } adds file:line locations
+ * @returns {string} Text report
+ */
+export function formatLintText(report, options = {}) {
+  const { specPath } = options;
+  const locations = specPath ? locateOperations(specPath) : {};
+  const lines = [];
+
+  for (const finding of report.findings) {
+    const position = locations[finding.key];
+    const location = specPath ? `${specPath}${position ? `:${position.line}` : ''}  ` : '';
+    lines.push(`${location}${finding.severity.padEnd(7)}  ${finding.ruleId.padEnd(24)}  ${finding.operation}: ${finding.message}`);
+  }
+
+  const { error, warning, info } = report.summary;
+  lines.push(lines.length > 0 ? '' : 'No findings', `${error} errors, ${warning} warnings, ${info} info`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate a SARIF 2.1.0 log of the findings
+ * @param {Object} report - Report from lintSpec()
+ * @param {Object} options - { specPath }
+ * @returns {Object} SARIF log
+ */
+export function generateLintSarif(report, options = {}) {
+  const { specPath } = options;
+  const locations = specPath ? locateOperations(specPath) : {};
+  const artifactUri = specPath ? path.relative(process.cwd(), specPath).split(path.sep).join('/') : null;
+  const ruleIds = report.rules.map(rule => rule.id);
+
+  const results = report.findings.map(finding => {
+    const location = { logicalLocations: [{ name: finding.key, kind: 'function' }] };
+
+    if (artifactUri) {
+      location.physicalLocation = { artifactLocation: { uri: artifactUri } };
+      const position = locations[finding.key];
+      if (position) {
+        location.physicalLocation.region = { startLine: position.line, startColumn: position.column };
+      }
+    }
+
+    return {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleIds.indexOf(finding.ruleId),
+      level: SARIF_LEVELS[finding.severity],
+      message: { text: `${finding.operation}: ${finding.message}` },
+      locations: [location],
+      properties: { pointer: finding.pointer }
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'spec-sync-lint',
+          version: '2.0.0',
+          rules: report.rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: SARIF_LEVELS[rule.severity] || 'none', enabled: rule.severity !== LintSeverity.OFF }
+          }))
+        }
+      },
+      ...(artifactUri ? { artifacts: [{ location: { uri: artifactUri } }] } : {}),
+      results
+    }]
+  };
+}
+
+/**
+ * Apply severity overrides to the rule list
+ */
+function resolveRules(rules, severities) {
+  const ids = new Set(rules.map(rule => rule.id));
+  const allowed = Object.values(LintSeverity);
+
+  for (const [id, severity] of Object.entries(severities)) {
+    if (!ids.has(id)) {
+      throw new Error(`Unknown lint rule: ${id}`);
+    }
+    if (!allowed.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for lint rule ${id}. Use ${allowed.join(', ')}`);
+    }
+  }
+
+  return rules.map(rule => ({ ...rule, severity: severities[rule.id] || rule.severity || LintSeverity.WARNING }));
+}
+
+/**
+ * Validate the `example` and `examples` of a parameter or media type
+ */
+function checkExamples(holder, schema, direction, context, { label, pointer }) {
+  const examples = [];
+  if (holder.example !== undefined) {
+    examples.push({ name: 'example', value: holder.example, pointer: `${pointer}/example` });
+  }
+  for (const [name, example] of Object.entries(holder.examples || {})) {
+    // externalValue examples are not loaded
+    if (example && 'value' in example) {
+      examples.push({ name: `example "${name}"`, value: example.value, pointer: `${pointer}/examples/${escapePointer(name)}` });
+    }
+  }
+  if (examples.length === 0) return [];
+
+  const jsonSchema = toJsonSchema(schema, { components: context.components, direction });
+
+  return examples.flatMap(example => {
+    const errors = validateJsonSchema(jsonSchema, example.value);
+    return errors.length === 0
+      ? []
+      : [{
+          message: `${label} ${example.name} does not match its schema: ${errors.map(error => `${error.path || '/'} ${error.message}`).join('; ')}`,
+          pointer: example.pointer
+        }];
+  });
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+export default {
+  LintSeverity,
+  LINT_RULES,
+  lintSpec,
+  hasFailures,
+  formatLintText,
+  generateLintSarif
+};
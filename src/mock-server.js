@@ -0,0 +1,457 @@
+/**
+ * Mock Server
+ *
+ * Serves an OpenAPI spec locally so contract collections can run with no
+ * backend:
+ * - Routes requests by the spec paths (server base paths are optional)
+ * - Validates parameters, request bodies and credential presence
+ * - Answers with spec examples, or bodies generated from the schema
+ * - `Prefer: code=404` selects a documented response, `example=name` a
+ *   named example
+ *
+ * The mock is stateless: it does not remember created resources.
+ */
+
+import http from 'http';
+import { extractEndpoints, getExample, getResponseForStatus, getResponseHeaders } from './parser.js';
+import { toJsonSchema, validateJsonSchema } from './json-schema.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'mock-server' });
+
+const DEFAULT_CONFIG = {
+  port: 4010,
+  host: '127.0.0.1',
+  validate: true,
+  token: 'mock-token',
+  apiKey: 'mock-api-key'
+};
+
+export class MockServer {
+  /**
+   * @param {Object} api - Parsed OpenAPI spec
+   * @param {Object} config - { port, host, validate, token, apiKey } - token and apiKey are the only accepted credentials
+   */
+  constructor(api, config = {}) {
+    this.api = api;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.routes = compileRoutes(extractEndpoints(api));
+    this.basePaths = getBasePaths(api);
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Server URL including the first base path
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    return `http://${this.config.host}:${port}${this.basePaths[0] || ''}`;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Adapt a Node HTTP request to handle()
+   */
+  handleHttp(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      try {
+        const url = new URL(req.url, 'http://mock');
+        const response = this.handle({
+          method: req.method,
+          path: url.pathname,
+          query: url.searchParams,
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+
+        logger.info(`${req.method} ${req.url} -> ${response.status}`);
+        res.writeHead(response.status, response.headers);
+        res.end(response.body);
+      } catch (error) {
+        // A failing request must not take the server down
+        logger.error(`${req.method} ${req.url} failed: ${error.message}`);
+        if (res.headersSent) {
+          res.end();
+          return;
+        }
+        const response = errorResponse(500, 'Internal Server Error', [error.message]);
+        res.writeHead(response.status, response.headers);
+        res.end(response.body);
+      }
+    });
+  }
+
+  /**
+   * Build the mock response for a request
+   * @param {Object} request - { method, path, query (URLSearchParams), headers (lower-case keys), body (string) }
+   * @returns {Object} { status, headers, body }
+   */
+  handle(request) {
+    const method = request.method.toUpperCase();
+    const path = stripBasePath(request.path, this.basePaths);
+    const candidates = this.routes.filter(route => route.regex.test(path));
+
+    if (candidates.length === 0) {
+      return errorResponse(404, 'Not Found', [`No path in the spec matches ${path}`]);
+    }
+
+    const route = candidates.find(candidate => candidate.endpoint.method === method);
+    if (!route) {
+      const allowed = [...new Set(candidates.map(candidate => candidate.endpoint.method))];
+      const response = errorResponse(405, 'Method Not Allowed', [`${method} is not defined for ${candidates[0].endpoint.path}`]);
+      response.headers.Allow = allowed.join(', ');
+      return response;
+    }
+
+    const { endpoint } = route;
+    const pathParams = extractPathParams(route, path);
+    const prefer = parsePrefer(request.headers.prefer);
+
+    if (this.config.validate) {
+      if (!hasCredentials(endpoint, this.api, request, this.config)) {
+        return respondWithError(endpoint, 401, 'Unauthorized', ['No valid credentials for the operation security requirements']);
+      }
+
+      const errors = [
+        ...validateParameters(endpoint, this.api, { ...request, pathParams }),
+        ...validateBody(endpoint, this.api, request)
+      ];
+      if (errors.length > 0) {
+        return respondWithError(endpoint, endpoint.responses['422'] && !endpoint.responses['400'] ? 422 : 400, 'Bad Request', errors);
+      }
+    }
+
+    const status = prefer.code ? Number(prefer.code) : getDefaultStatus(endpoint.responses);
+    const documented = getResponseForStatus(endpoint.responses, status);
+
+    if (!documented) {
+      return errorResponse(500, 'Mock Error', [`${endpoint.method} ${endpoint.path} documents no ${status} response`]);
+    }
+
+    return buildResponse(status, documented.response, prefer.example);
+  }
+}
+
+/**
+ * Compile endpoint paths into matchers (literal paths before templated ones)
+ * @param {Array} endpoints - Endpoints from extractEndpoints()
+ * @returns {Array} Routes { endpoint, regex, params }
+ */
+export function compileRoutes(endpoints) {
+  return endpoints
+    .map(endpoint => {
+      const params = [];
+      const pattern = endpoint.path
+        .split(/(\{[^}]+\})/)
+        .map(part => {
+          const param = part.match(/^\{([^}]+)\}$/);
+          if (param) {
+            params.push(param[1]);
+            return '([^/]+)';
+          }
+          return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+
+      return { endpoint, regex: new RegExp(`^${pattern}/?$`), params };
+    })
+    .sort((a, b) => a.params.length - b.params.length);
+}
+
+/**
+ * Parse a Prefer header (e.g. "code=404, example=notFound")
+ * @param {string} header - Prefer header value
+ * @returns {Object} { code, example }
+ */
+export function parsePrefer(header) {
+  const preferences = {};
+
+  for (const part of String(header || '').split(/[,;]/)) {
+    const [key, value] = part.split('=').map(token => token?.trim());
+    if (key && value) {
+      preferences[key.toLowerCase()] = value.replace(/^"|"$/g, '');
+    }
+  }
+
+  return { code: preferences.code, example: preferences.example };
+}
+
+/**
+ * Base paths of the spec servers (e.g. "/v1"), longest first
+ */
+function getBasePaths(api) {
+  const paths = (api.servers || []).map(server => {
+    const url = String(server.url || '').replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? match);
+    // Absolute URLs contribute their path, relative ones (e.g. "/v1") are the path
+    const pathname = url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+    return pathname.replace(/\/+$/, '');
+  });
+
+  return [...new Set(paths.filter(Boolean))].sort((a, b) => b.length - a.length);
+}
+
+function stripBasePath(path, basePaths) {
+  const basePath = basePaths.find(base => path === base || path.startsWith(`${base}/`));
+  return basePath ? path.slice(basePath.length) || '/' : path;
+}
+
+function extractPathParams(route, path) {
+  const values = path.match(route.regex).slice(1);
+  return Object.fromEntries(route.params.map((name, index) => [name, decodeURIComponent(values[index])]));
+}
+
+/**
+ * Check that credentials for at least one security requirement are present
+ * Bearer and OAuth tokens must equal config.token and API keys config.apiKey;
+ * Basic credentials must be base64 "user:password".
+ */
+function hasCredentials(endpoint, api, request, config) {
+  const requirements = endpoint.security || [];
+  if (requirements.length === 0) return true;
+
+  const schemes = api.components?.securitySchemes || {};
+  const headers = request.headers || {};
+  const cookies = parseCookies(headers.cookie);
+  const authorization = String(headers.authorization || '');
+
+  const satisfied = (schemeName) => {
+    const scheme = schemes[schemeName];
+    if (!scheme) return true;
+
+    switch (scheme.type) {
+      case 'http': {
+        const [type, credentials = ''] = authorization.split(/\s+/, 2);
+        if (type.toLowerCase() !== String(scheme.scheme || '').toLowerCase()) return false;
+        if (type.toLowerCase() !== 'basic') return credentials === config.token;
+        return /^[A-Za-z0-9+/]+=*$/.test(credentials) && Buffer.from(credentials, 'base64').toString('utf8').includes(':');
+      }
+      case 'oauth2':
+      case 'openIdConnect':
+        return /^Bearer$/i.test(authorization.split(/\s+/)[0]) && authorization.split(/\s+/)[1] === config.token;
+      case 'apiKey':
+        if (scheme.in === 'query') return request.query?.get(scheme.name) === config.apiKey;
+        if (scheme.in === 'cookie') return cookies[scheme.name] === config.apiKey;
+        return headers[String(scheme.name).toLowerCase()] === config.apiKey;
+      default:
+        return true;
+    }
+  };
+
+  return requirements.some(requirement => Object.keys(requirement).every(satisfied));
+}
+
+/**
+ * Validate path, query, header and cookie parameters
+ * @returns {Array} Error messages
+ */
+function validateParameters(endpoint, api, request) {
+  const errors = [];
+  const cookies = parseCookies(request.headers?.cookie);
+  const components = api.components?.schemas;
+
+  for (const param of endpoint.parameters) {
+    if (!param || param.$ref) continue;
+
+    let values;
+    switch (param.in) {
+      case 'path':
+        values = request.pathParams[param.name] !== undefined ? [request.pathParams[param.name]] : [];
+        break;
+      case 'query':
+        values = request.query?.getAll(param.name) || [];
+        break;
+      case 'header':
+        values = request.headers?.[param.name.toLowerCase()] !== undefined ? [request.headers[param.name.toLowerCase()]] : [];
+        break;
+      case 'cookie':
+        values = cookies[param.name] !== undefined ? [cookies[param.name]] : [];
+        break;
+      default:
+        continue;
+    }
+
+    if (values.length === 0) {
+      if (param.required) errors.push(`Missing required ${param.in} parameter "${param.name}"`);
+      continue;
+    }
+
+    if (!param.schema) continue;
+
+    const value = coerceParameter(values, param.schema);
+    for (const error of validateJsonSchema(toJsonSchema(param.schema, { components, direction: 'request' }), value)) {
+      errors.push(`${param.in} parameter "${param.name}"${error.path}: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert raw parameter strings into the schema type so they can be validated
+ */
+function coerceParameter(values, schema) {
+  if (schema.type === 'array') {
+    const items = values.length === 1 ? values[0].split(',') : values;
+    return items.map(item => coerceScalar(item, schema.items || {}));
+  }
+  return coerceScalar(values[0], schema);
+}
+
+function coerceScalar(value, schema) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate the JSON request body against the request schema
+ * @returns {Array} Error messages
+ */
+function validateBody(endpoint, api, request) {
+  const requestBody = endpoint.requestBody;
+  if (!requestBody || requestBody.$ref) return [];
+
+  const body = request.body || '';
+  if (body === '') {
+    return requestBody.required ? ['Request body is required'] : [];
+  }
+
+  const media = requestBody.content?.['application/json'];
+  const contentType = String(request.headers?.['content-type'] || '');
+  if (!media?.schema || (contentType && !/json/i.test(contentType))) return [];
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    return [`Request body is not valid JSON: ${error.message}`];
+  }
+
+  const schema = toJsonSchema(media.schema, { components: api.components?.schemas, direction: 'request' });
+  return validateJsonSchema(schema, data).map(error => `body${error.path}: ${error.message}`);
+}
+
+/**
+ * Pick the status returned without a Prefer header: lowest documented 2xx
+ */
+function getDefaultStatus(responses) {
+  const codes = Object.keys(responses);
+  const success = codes.filter(code => /^2\d\d$/.test(code)).sort();
+
+  if (success.length > 0) return Number(success[0]);
+  if (codes.some(code => /^2xx$/i.test(code)) || codes.includes('default')) return 200;
+
+  const numeric = codes.filter(code => /^\d{3}$/.test(code)).sort();
+  return numeric.length > 0 ? Number(numeric[0]) : 200;
+}
+
+/**
+ * Build a response from a documented response object
+ */
+function buildResponse(status, response, exampleName) {
+  const headers = {};
+
+  for (const header of getResponseHeaders(response)) {
+    const value = getExample(header.schema);
+    if (value !== undefined) headers[header.name] = String(value);
+  }
+
+  const content = response.content || {};
+  const contentType = content['application/json'] ? 'application/json' : Object.keys(content)[0];
+  if (!contentType || status === 204 || status === 304) {
+    return { status, headers, body: '' };
+  }
+
+  const body = getMediaExample(content[contentType], exampleName);
+  headers['Content-Type'] = contentType;
+
+  return {
+    status,
+    headers,
+    body: body === undefined ? '' : typeof body === 'string' && !/json/i.test(contentType) ? body : JSON.stringify(body)
+  };
+}
+
+/**
+ * Example for a media type: named example, first example, or schema example
+ */
+function getMediaExample(media, exampleName) {
+  if (!media) return undefined;
+
+  const examples = media.examples || {};
+  if (exampleName && examples[exampleName] && 'value' in examples[exampleName]) {
+    return examples[exampleName].value;
+  }
+  if (media.example !== undefined) return media.example;
+
+  const first = Object.values(examples).find(example => example && 'value' in example);
+  if (first) return first.value;
+
+  return getExample(media.schema, { direction: 'response' });
+}
+
+/**
+ * Error response, using the documented error response when there is one
+ */
+function respondWithError(endpoint, status, title, details) {
+  const documented = getResponseForStatus(endpoint.responses, status);
+  if (!documented || documented.key === 'default') {
+    return errorResponse(status, title, details);
+  }
+
+  const response = buildResponse(status, documented.response);
+  response.headers['X-Mock-Errors'] = toHeaderValue(details.join('; ')).slice(0, 1000);
+  return response;
+}
+
+/**
+ * Percent-encode characters that are not allowed in an HTTP header value
+ * (anything outside printable ASCII), e.g. from parser messages quoting the body
+ */
+function toHeaderValue(text) {
+  return text.replace(/[^\t\x20-\x7e]/gu, char => encodeURIComponent(char));
+}
+
+function errorResponse(status, title, details) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ error: title, details })
+  };
+}
+
+function parseCookies(header) {
+  return Object.fromEntries(
+    String(header || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name]) => name)
+      .map(([name, ...value]) => [name, value.join('=')])
+  );
+}
+
+export default MockServer;
@@ -0,0 +1,436 @@
+/**
+ * Negative Test Generator
+ *
+ * Generates request variants that deliberately break the request contract
+ * of each operation. Every variant carries a test script asserting the API
+ * rejects it with a documented 4xx response.
+ *
+ * Variants:
+ * - Missing required body properties
+ * - Wrong types for body properties
+ * - Values past maxLength/minLength, maximum/minimum, maxItems/minItems
+ * - Values outside an enum or not matching a format
+ * - Malformed path parameters
+ * - Missing required / out-of-range query parameters
+ * - Missing or malformed credentials on secured operations (expects 401/403)
+ * - No credentials on unsecured operations (expects success)
+ *
+ * The variants are uploaded as a separate "Negative Tests" collection.
+ */
+
+import { extractEndpoints, buildRequestBodyExample, getExample } from './parser.js';
+import { generateTestKey, generateTestScriptsForSpec, generateSecurityTestScript, TestLevel } from './test-generator.js';
+
+/**
+ * Value used for enum violations on string enums
+ */
+const INVALID_ENUM_VALUE = '__invalid_enum_value__';
+
+/**
+ * Values of the wrong type, keyed by the documented type
+ */
+const WRONG_TYPE_VALUES = {
+  string: 12345,
+  integer: 'not-a-number',
+  number: 'not-a-number',
+  boolean: 'not-a-boolean',
+  array: 'not-an-array',
+  object: 'not-an-object'
+};
+
+/**
+ * Types that can be violated once a value is serialized into a URL
+ */
+const SERIALIZED_TYPES = ['integer', 'number', 'boolean'];
+
+/**
+ * Values violating common string formats
+ */
+const FORMAT_VIOLATIONS = {
+  'uuid': 'not-a-uuid',
+  'date': 'not-a-date',
+  'date-time': 'not-a-date-time',
+  'email': 'not-an-email',
+  'uri': 'not a uri',
+  'ipv4': '999.999.999.999'
+};
+
+/**
+ * Malformed credential values, sent in place of real ones
+ * (the mock server rejects them like a real backend would)
+ */
+export const MALFORMED_TOKEN = 'malformed.credentials.value';
+export const MALFORMED_API_KEY = 'malformed-api-key';
+
+/**
+ * Disables the collection-level auth for a request
+ */
+const NO_AUTH = { type: 'noauth' };
+
+/**
+ * Generate negative test variants for all endpoints in a spec
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Object} Map of endpoint keys to arrays of variants with scripts
+ */
+export function generateNegativeTestsForSpec(api) {
+  const endpoints = extractEndpoints(api);
+  const testScripts = generateTestScriptsForSpec(api, TestLevel.NEGATIVE);
+  const negativeTests = {};
+
+  for (const endpoint of endpoints) {
+    const testKey = generateTestKey(endpoint.method, endpoint.path);
+    const variants = [
+      ...generateSecurityVariants(endpoint, api).map(variant => ({
+        ...variant,
+        script: generateSecurityTestScript(endpoint, variant)
+      })),
+      ...generateNegativeVariants(endpoint).map(variant => ({
+        ...variant,
+        script: [`// Negative test: ${variant.name}`, ...testScripts[testKey]]
+      }))
+    ];
+
+    if (variants.length > 0) {
+      negativeTests[testKey] = variants;
+    }
+  }
+
+  return negativeTests;
+}
+
+/**
+ * Generate request variants violating the request contract of an endpoint
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Array of { name, location, field, request } variants
+ */
+export function generateNegativeVariants(endpoint) {
+  return [
+    ...generateBodyVariants(endpoint),
+    ...generatePathParameterVariants(endpoint),
+    ...generateQueryParameterVariants(endpoint)
+  ];
+}
+
+/**
+ * Generate variants exercising the security requirements of an endpoint
+ * Secured operations are called without and with malformed credentials
+ * (expecting 401/403); unsecured ones without credentials (expecting success).
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} api - Parsed OpenAPI spec (for security scheme definitions)
+ * @returns {Array} Array of auth variants with an `expectation` and `requirement`
+ */
+export function generateSecurityVariants(endpoint, api) {
+  const requirements = (endpoint.security || []).filter(req => req && Object.keys(req).length > 0);
+
+  // An empty requirement object ({}) makes authentication optional
+  const optional = (endpoint.security || []).some(req => req && Object.keys(req).length === 0);
+
+  if (requirements.length === 0) {
+    return [{
+      name: 'Auth: succeeds without credentials',
+      location: 'auth',
+      field: null,
+      reason: 'no credentials',
+      expectation: 'success',
+      requirement: 'security: []',
+      request: { auth: NO_AUTH }
+    }];
+  }
+
+  if (optional) return [];
+
+  const requirement = requirements.map(describeRequirement).join(' or ');
+  const securitySchemes = api?.components?.securitySchemes || {};
+  const variants = [{
+    name: `Auth: no credentials (${requirement})`,
+    location: 'auth',
+    field: null,
+    reason: 'no credentials',
+    expectation: 'unauthorized',
+    requirement,
+    request: { auth: NO_AUTH }
+  }];
+
+  const schemeNames = [...new Set(requirements.flatMap(req => Object.keys(req)))];
+  for (const schemeName of schemeNames) {
+    const credentials = getMalformedCredentials(securitySchemes[schemeName]);
+    if (!credentials) continue;
+
+    const schemeRequirement = requirements
+      .filter(req => schemeName in req)
+      .map(req => describeRequirement({ [schemeName]: req[schemeName] }))[0];
+
+    variants.push({
+      name: `Auth: malformed credentials (${schemeRequirement})`,
+      location: 'auth',
+      field: schemeName,
+      reason: 'malformed credentials',
+      expectation: 'unauthorized',
+      requirement: schemeRequirement,
+      request: { auth: NO_AUTH, ...credentials }
+    });
+  }
+
+  return variants;
+}
+
+/**
+ * Describe a security requirement, recording OAuth scopes
+ * @param {Object} requirement - Security requirement object
+ * @returns {string} e.g. "oauth2 [tasks:read, tasks:write] + apiKey"
+ */
+function describeRequirement(requirement) {
+  return Object.entries(requirement)
+    .map(([name, scopes]) => (Array.isArray(scopes) && scopes.length > 0 ? `${name} [${scopes.join(', ')}]` : name))
+    .join(' + ');
+}
+
+/**
+ * Build request overrides sending malformed credentials for a scheme
+ * @param {Object} scheme - Security scheme object
+ * @returns {Object|null} Request overrides (headers/query) or null if unsupported
+ */
+function getMalformedCredentials(scheme) {
+  if (!scheme || typeof scheme !== 'object') return null;
+
+  switch (scheme.type) {
+    case 'http': {
+      const httpScheme = (scheme.scheme || '').toLowerCase();
+      if (httpScheme === 'basic') {
+        return { headers: { Authorization: 'Basic !!not-base64!!' } };
+      }
+      const prefix = httpScheme === 'bearer' ? 'Bearer' : scheme.scheme;
+      return { headers: { Authorization: `${prefix} ${MALFORMED_TOKEN}` } };
+    }
+    case 'oauth2':
+    case 'openIdConnect':
+      return { headers: { Authorization: `Bearer ${MALFORMED_TOKEN}` } };
+    case 'apiKey':
+      if (scheme.in === 'query') {
+        return { query: { [scheme.name]: MALFORMED_API_KEY } };
+      }
+      if (scheme.in === 'cookie') {
+        return { headers: { Cookie: `${scheme.name}=${MALFORMED_API_KEY}` } };
+      }
+      return { headers: { [scheme.name]: MALFORMED_API_KEY } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generate variants breaking the JSON request body
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Body variants
+ */
+function generateBodyVariants(endpoint) {
+  const schema = endpoint.requestBody?.content?.['application/json']?.schema;
+  const example = buildRequestBodyExample(endpoint.requestBody);
+  if (!schema || !isPlainObject(example)) return [];
+
+  const { properties, required } = getObjectShape(schema);
+  const variants = [];
+
+  for (const field of required) {
+    const body = { ...example };
+    delete body[field];
+    variants.push(createVariant('body', field, 'missing required', { body }, `Body: missing required "${field}"`));
+  }
+
+  for (const [field, propSchema] of Object.entries(properties)) {
+    if (!propSchema || propSchema.readOnly) continue;
+
+    const validValue = example[field] !== undefined ? example[field] : getExample(propSchema);
+    for (const violation of getValueViolations(propSchema, validValue)) {
+      variants.push(createVariant('body', field, violation.reason, {
+        body: { ...example, [field]: violation.value }
+      }));
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Generate variants with malformed path parameters
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Path parameter variants
+ */
+function generatePathParameterVariants(endpoint) {
+  const variants = [];
+
+  for (const param of getParameters(endpoint, 'path')) {
+    for (const violation of getValueViolations(param.schema, getExample(param.schema), { serialized: true })) {
+      variants.push(createVariant('path', param.name, violation.reason, {
+        pathVariables: { [param.name]: String(violation.value) }
+      }));
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Generate variants with missing or out-of-range query parameters
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Query parameter variants
+ */
+function generateQueryParameterVariants(endpoint) {
+  const variants = [];
+
+  for (const param of getParameters(endpoint, 'query')) {
+    if (param.required) {
+      variants.push(createVariant('query', param.name, 'missing required', {
+        query: { [param.name]: null }
+      }, `Query: missing required "${param.name}"`));
+    }
+
+    for (const violation of getValueViolations(param.schema, getExample(param.schema), { serialized: true })) {
+      variants.push(createVariant('query', param.name, violation.reason, {
+        query: { [param.name]: String(violation.value) }
+      }));
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Compute values violating a schema's type and constraints
+ * @param {Object} schema - Property or parameter schema
+ * @param {*} validValue - A value satisfying the schema (used for arrays)
+ * @param {Object} options - Options
+ * @param {boolean} options.serialized - Value is sent as a string (path/query)
+ * @returns {Array} Array of { reason, value }
+ */
+function getValueViolations(schema, validValue, options = {}) {
+  const violations = [];
+  if (!schema || typeof schema !== 'object') return violations;
+
+  const type = schema.type;
+
+  if (type in WRONG_TYPE_VALUES && (!options.serialized || SERIALIZED_TYPES.includes(type))) {
+    violations.push({ reason: `wrong type (expected ${type})`, value: WRONG_TYPE_VALUES[type] });
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    const numeric = schema.enum.every(value => typeof value === 'number');
+    violations.push({
+      reason: 'not in enum',
+      value: numeric ? Math.max(...schema.enum) + 1 : INVALID_ENUM_VALUE
+    });
+  }
+
+  if (type === 'string') {
+    if (schema.format && FORMAT_VIOLATIONS[schema.format] && !schema.enum) {
+      violations.push({ reason: `not a valid ${schema.format}`, value: FORMAT_VIOLATIONS[schema.format] });
+    }
+    if (typeof schema.maxLength === 'number') {
+      violations.push({ reason: `longer than maxLength ${schema.maxLength}`, value: 'x'.repeat(schema.maxLength + 1) });
+    }
+    if (typeof schema.minLength === 'number' && schema.minLength > 0) {
+      violations.push({ reason: `shorter than minLength ${schema.minLength}`, value: 'x'.repeat(schema.minLength - 1) });
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    const maximum = getExclusiveBound(schema, 'maximum', 'exclusiveMaximum');
+    if (maximum) {
+      violations.push({ reason: `above maximum ${maximum.bound}`, value: maximum.exclusive ? maximum.bound : maximum.bound + 1 });
+    }
+    const minimum = getExclusiveBound(schema, 'minimum', 'exclusiveMinimum');
+    if (minimum) {
+      violations.push({ reason: `below minimum ${minimum.bound}`, value: minimum.exclusive ? minimum.bound : minimum.bound - 1 });
+    }
+  }
+
+  if (type === 'array' && !options.serialized) {
+    const item = Array.isArray(validValue) && validValue.length > 0 ? validValue[0] : getExample(schema.items);
+    if (typeof schema.maxItems === 'number') {
+      violations.push({ reason: `more than maxItems ${schema.maxItems}`, value: Array(schema.maxItems + 1).fill(item) });
+    }
+    if (typeof schema.minItems === 'number' && schema.minItems > 0) {
+      violations.push({ reason: `fewer than minItems ${schema.minItems}`, value: Array(schema.minItems - 1).fill(item) });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Read a numeric bound in either OpenAPI 3.0 (boolean) or 3.1 (numeric) form
+ * @returns {Object|null} { bound, exclusive } or null if unbounded
+ */
+function getExclusiveBound(schema, boundKey, exclusiveKey) {
+  if (typeof schema[exclusiveKey] === 'number') {
+    return { bound: schema[exclusiveKey], exclusive: true };
+  }
+  if (typeof schema[boundKey] === 'number') {
+    return { bound: schema[boundKey], exclusive: schema[exclusiveKey] === true };
+  }
+  return null;
+}
+
+/**
+ * Collect the properties and required list of an object schema (merging allOf)
+ * @param {Object} schema - Object schema
+ * @returns {Object} { properties, required }
+ */
+function getObjectShape(schema) {
+  const properties = { ...(schema.properties || {}) };
+  const required = new Set(schema.required || []);
+
+  for (const subSchema of schema.allOf || []) {
+    const shape = getObjectShape(subSchema);
+    Object.assign(properties, shape.properties);
+    shape.required.forEach(name => required.add(name));
+  }
+
+  return { properties, required: [...required] };
+}
+
+/**
+ * Get the endpoint parameters in a location (operation overrides path level)
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {string} location - Parameter location ('path', 'query')
+ * @returns {Array} Parameters with a schema
+ */
+function getParameters(endpoint, location) {
+  const byName = new Map();
+  for (const param of endpoint.parameters || []) {
+    if (param && param.in === location && param.schema) {
+      byName.set(param.name, param);
+    }
+  }
+  return [...byName.values()];
+}
+
+/**
+ * Create a variant object
+ * @param {string} location - 'body', 'path' or 'query'
+ * @param {string} field - Property or parameter name
+ * @param {string} reason - What the variant violates
+ * @param {Object} request - Request overrides (body, pathVariables, query)
+ * @param {string} name - Explicit variant name
+ * @returns {Object} Variant
+ */
+function createVariant(location, field, reason, request, name = null) {
+  const prefix = location.charAt(0).toUpperCase() + location.slice(1);
+  return {
+    name: name || `${prefix}: "${field}" ${reason}`,
+    location,
+    field,
+    reason,
+    request
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default {
+  generateNegativeTestsForSpec,
+  generateNegativeVariants,
+  generateSecurityVariants
+};
@@ -0,0 +1,401 @@
+/**
+ * OpenAPI Overlays
+ *
+ * Applies OpenAPI Overlay 1.0 documents to a spec before test generation
+ * and upload, so vendor-specific tweaks stay out of the source spec:
+ *
+ *   overlay: 1.0.0
+ *   info: { title: Vendor tweaks, version: 1.0.0 }
+ *   actions:
+ *     - target: $.info
+ *       update: { x-logo: { url: https://example.com/logo.png } }
+ *     - target: $.paths['/internal']
+ *       remove: true
+ *
+ * Actions run in order. `update` deep-merges objects into object targets
+ * (arrays and scalars in the update replace the target's value) and appends
+ * to array targets. `remove` deletes the selected nodes.
+ *
+ * Supported JSONPath: $, .name, ['name'], [0], [*], .*, ..name (recursive
+ * descent) and filters like [?(@.in == 'query')], [?(@.deprecated)].
+ */
+
+import fs from 'fs';
+import yaml from 'js-yaml';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'overlay' });
+
+export class OverlayError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'OverlayError';
+    this.details = details;
+  }
+}
+
+/**
+ * Load and check an overlay document
+ * @param {string} overlayPath - Path to a YAML or JSON overlay
+ * @returns {Object} Overlay document
+ */
+export function loadOverlay(overlayPath) {
+  if (!fs.existsSync(overlayPath)) {
+    throw new OverlayError(`Overlay file not found: ${overlayPath}`, { overlayPath });
+  }
+
+  let overlay;
+  try {
+    // JSON_SCHEMA prevents arbitrary code execution from malicious YAML
+    overlay = yaml.load(fs.readFileSync(overlayPath, 'utf8'), { schema: yaml.JSON_SCHEMA });
+  } catch (error) {
+    throw new OverlayError(`Failed to parse overlay ${overlayPath}: ${error.message}`, { overlayPath });
+  }
+
+  validateOverlay(overlay, overlayPath);
+  return overlay;
+}
+
+/**
+ * Apply overlays to a spec
+ * @param {Object} spec - Spec document (not modified)
+ * @param {Array} overlays - Overlay documents or paths to overlay files
+ * @returns {Object} New spec document with every overlay applied
+ */
+export function applyOverlays(spec, overlays = []) {
+  let result = structuredClone(spec);
+
+  for (const entry of overlays) {
+    const overlay = typeof entry === 'string' ? loadOverlay(entry) : entry;
+    const source = typeof entry === 'string' ? entry : overlay.info?.title || 'overlay';
+    validateOverlay(overlay, source);
+
+    for (const action of overlay.actions) {
+      const matches = queryJsonPath(result, action.target);
+      if (matches.length === 0) {
+        logger.warn(`Overlay ${source}: target ${action.target} matched nothing`);
+        continue;
+      }
+
+      result = action.remove === true
+        ? removeNodes(result, matches, action.target)
+        : updateNodes(result, matches, action);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Select nodes with a JSONPath expression
+ * @param {Object} document - Document to query
+ * @param {string} expression - JSONPath expression starting with $
+ * @returns {Array} Matches { value, parent, key, path } - path is the key list from the root
+ */
+export function queryJsonPath(document, expression) {
+  const segments = parseJsonPath(expression);
+  let nodes = [{ value: document, parent: null, key: null, path: [] }];
+
+  for (const segment of segments) {
+    const candidates = segment.descendant ? nodes.flatMap(collectDescendants) : nodes;
+    nodes = candidates.flatMap(node => selectChildren(node, segment));
+  }
+
+  return nodes;
+}
+
+/**
+ * List the differences between two documents
+ * @param {*} before - Original document
+ * @param {*} after - Changed document
+ * @param {Array} trail - Keys leading to the compared values
+ * @returns {Array} Changes { type: 'added' | 'removed' | 'changed', path, before, after }
+ */
+export function diffDocuments(before, after, trail = []) {
+  if (isDeepEqual(before, after)) return [];
+
+  if (before === undefined) return [{ type: 'added', path: trail, after }];
+  if (after === undefined) return [{ type: 'removed', path: trail, before }];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    return Array.from({ length }, (item, index) => diffDocuments(before[index], after[index], [...trail, index])).flat();
+  }
+
+  if (!isPlainObject(before) || !isPlainObject(after)) {
+    return [{ type: 'changed', path: trail, before, after }];
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].flatMap(key => diffDocuments(before[key], after[key], [...trail, key]));
+}
+
+/**
+ * Format changes from diffDocuments() as text
+ * @param {Array} changes - Changes from diffDocuments()
+ * @returns {string} One line per change (+ added, - removed, ~ changed)
+ */
+export function formatDiff(changes) {
+  if (changes.length === 0) return 'No changes';
+
+  return changes.map(change => {
+    const location = formatPath(change.path);
+    switch (change.type) {
+      case 'added':
+        return `+ ${location}: ${JSON.stringify(change.after)}`;
+      case 'removed':
+        return `- ${location}`;
+      default:
+        return `~ ${location}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`;
+    }
+  }).join('\n');
+}
+
+function validateOverlay(overlay, source) {
+  if (!isPlainObject(overlay) || !overlay.overlay) {
+    throw new OverlayError(`Not an OpenAPI Overlay (missing "overlay" version): ${source}`, { source });
+  }
+  if (!Array.isArray(overlay.actions) || overlay.actions.length === 0) {
+    throw new OverlayError(`Overlay has no actions: ${source}`, { source });
+  }
+
+  overlay.actions.forEach((action, index) => {
+    if (typeof action?.target !== 'string' || !action.target.startsWith('$')) {
+      throw new OverlayError(`Overlay action ${index} in ${source} needs a JSONPath target`, { source, index });
+    }
+    if (action.remove !== true && action.update === undefined) {
+      throw new OverlayError(`Overlay action ${index} in ${source} needs "update" or "remove: true"`, { source, index });
+    }
+  });
+}
+
+function updateNodes(document, matches, action) {
+  for (const match of matches) {
+    if (Array.isArray(match.value)) {
+      match.value.push(structuredClone(action.update));
+    } else if (isPlainObject(match.value) && isPlainObject(action.update)) {
+      mergeInto(match.value, action.update);
+    } else {
+      throw new OverlayError(`Cannot update ${formatPath(match.path)} (target ${action.target}): update targets must be objects or arrays`, {
+        target: action.target
+      });
+    }
+  }
+  return document;
+}
+
+function removeNodes(document, matches, target) {
+  if (matches.some(match => match.parent === null)) {
+    throw new OverlayError(`Cannot remove the document root (target ${target})`, { target });
+  }
+
+  // Remove array items from the end so earlier indexes stay valid
+  const ordered = [...matches].sort((a, b) => (typeof b.key === 'number' && typeof a.key === 'number' ? b.key - a.key : 0));
+  for (const match of ordered) {
+    if (Array.isArray(match.parent)) {
+      match.parent.splice(match.key, 1);
+    } else {
+      delete match.parent[match.key];
+    }
+  }
+  return document;
+}
+
+function mergeInto(target, update) {
+  for (const [key, value] of Object.entries(update)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+}
+
+/**
+ * Split a JSONPath expression into segments
+ * @returns {Array} { descendant, selector: 'name' | 'index' | 'wildcard' | 'filter', ... }
+ */
+function parseJsonPath(expression) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new OverlayError(`Invalid JSONPath: ${expression}`, { expression });
+  }
+
+  const segments = [];
+  let index = 1;
+
+  const fail = () => {
+    throw new OverlayError(`Unsupported JSONPath: ${expression}`, { expression });
+  };
+
+  while (index < expression.length) {
+    let descendant = false;
+
+    if (expression.startsWith('..', index)) {
+      descendant = true;
+      index += 2;
+    } else if (expression[index] === '.') {
+      index += 1;
+    } else if (expression[index] !== '[') {
+      fail();
+    }
+
+    if (expression[index] === '[') {
+      const end = findBracketEnd(expression, index);
+      if (end === -1) fail();
+      segments.push({ descendant, ...parseBracket(expression.slice(index + 1, end).trim(), fail) });
+      index = end + 1;
+    } else if (expression[index] === '*') {
+      segments.push({ descendant, selector: 'wildcard' });
+      index += 1;
+    } else {
+      const match = /^[^.[\]]+/.exec(expression.slice(index));
+      if (!match) fail();
+      segments.push({ descendant, selector: 'name', name: match[0] });
+      index += match[0].length;
+    }
+  }
+
+  return segments;
+}
+
+function parseBracket(content, fail) {
+  if (content === '*') return { selector: 'wildcard' };
+  if (/^-?\d+$/.test(content)) return { selector: 'index', index: Number(content) };
+
+  const quoted = parseLiteral(content);
+  if (typeof quoted === 'string' && /^['"]/.test(content)) return { selector: 'name', name: quoted };
+
+  if (content.startsWith('?')) {
+    const filter = content.slice(1).trim().replace(/^\((.*)\)$/s, '$1').trim();
+    const match = /^@((?:\.[A-Za-z0-9_$-]+|\[(?:'[^']*'|"[^"]*")\])*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+))?$/s.exec(filter);
+    if (!match) fail();
+
+    const property = [...match[1].matchAll(/\.([A-Za-z0-9_$-]+)|\[(?:'([^']*)'|"([^"]*)")\]/g)]
+      .map(part => part[1] ?? part[2] ?? part[3]);
+    const value = match[2] ? parseLiteral(match[3].trim()) : undefined;
+    if (match[2] && value === undefined) fail();
+
+    return { selector: 'filter', property, operator: match[2] || null, value };
+  }
+
+  return fail();
+}
+
+function parseLiteral(text) {
+  if (/^'.*'$/s.test(text)) return text.slice(1, -1).replace(/\\'/g, "'");
+  if (/^".*"$/s.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return undefined;
+    }
+  }
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return undefined;
+}
+
+function findBracketEnd(expression, start) {
+  let quote = null;
+  let depth = 0;
+  for (let index = start + 1; index < expression.length; index++) {
+    const char = expression[index];
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      if (depth === 0) return index;
+      depth--;
+    }
+  }
+  return -1;
+}
+
+function selectChildren(node, segment) {
+  const { value } = node;
+  if (!value || typeof value !== 'object') return [];
+
+  const child = (key) => ({ value: value[key], parent: value, key, path: [...node.path, key] });
+
+  switch (segment.selector) {
+    case 'name':
+      return !Array.isArray(value) && Object.hasOwn(value, segment.name) ? [child(segment.name)] : [];
+    case 'index': {
+      if (!Array.isArray(value)) return [];
+      const index = segment.index < 0 ? value.length + segment.index : segment.index;
+      return index >= 0 && index < value.length ? [child(index)] : [];
+    }
+    case 'wildcard':
+      return childKeys(value).map(child);
+    case 'filter':
+      return childKeys(value).map(child).filter(candidate => matchesFilter(candidate.value, segment));
+    default:
+      return [];
+  }
+}
+
+function matchesFilter(value, { property, operator, value: expected }) {
+  let actual = value;
+  for (const key of property) {
+    if (!actual || typeof actual !== 'object' || !Object.hasOwn(actual, key)) {
+      actual = undefined;
+      break;
+    }
+    actual = actual[key];
+  }
+
+  switch (operator) {
+    case null: return actual !== undefined && actual !== null && actual !== false;
+    case '==': return isDeepEqual(actual, expected);
+    case '!=': return !isDeepEqual(actual, expected);
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    default: return false;
+  }
+}
+
+/**
+ * A node and every node below it (for .. segments)
+ */
+function collectDescendants(node) {
+  const nodes = [node];
+  if (node.value && typeof node.value === 'object') {
+    for (const key of childKeys(node.value)) {
+      nodes.push(...collectDescendants({ value: node.value[key], parent: node.value, key, path: [...node.path, key] }));
+    }
+  }
+  return nodes;
+}
+
+function childKeys(value) {
+  return Array.isArray(value) ? value.map((item, index) => index) : Object.keys(value);
+}
+
+function formatPath(trail) {
+  return '$' + trail.map(key => (typeof key === 'number' ? `[${key}]` : /^[A-Za-z_$][\w$-]*$/.test(key) ? `.${key}` : `['${key}']`)).join('');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDeepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export default {
+  loadOverlay,
+  applyOverlays,
+  queryJsonPath,
+  diffDocuments,
+  formatDiff,
+  OverlayError
+};
@@ -2,13 +2,18 @@
  * OpenAPI Parser Module
  *
  * Parses OpenAPI 3.0/3.1 specifications and extracts endpoints, schemas,
- * and metadata needed for test generation.
+ * and metadata needed for test generation. Swagger 2.0 specs are converted
+ * to OpenAPI 3.0 on load.
  */
 
 import SwaggerParser from '@apidevtools/swagger-parser';
 import YAML from 'yaml';
 import fs from 'fs';
 import path from 'path';
+import { isSwagger2, convertSwagger2 } from './swagger-converter.js';
+import { applyOverlays, OverlayError } from './overlay.js';
+import { bundleSpec } from './bundler.js';
+import { generateExample } from './example-generator.js';
 
 /**
  * Custom error class for parsing errors
@@ -44,6 +49,10 @@ export const ParserErrorCode = {
  */
 const SUPPORTED_VERSIONS = /^3\.(0|1)\.\d+$/;
 
+function isUrl(specPath) {
+  return specPath.startsWith('http://') || specPath.startsWith('https://');
+}
+
 /**
  * Validate that a spec file exists and is readable
  * @param {string} specPath - Path to spec file
@@ -51,7 +60,7 @@ const SUPPORTED_VERSIONS = /^3\.(0|1)\.\d+$/;
  */
 function validateFileExists(specPath) {
   // Skip validation for URLs
-  if (specPath.startsWith('http://') || specPath.startsWith('https://')) {
+  if (isUrl(specPath)) {
     return;
   }
 
@@ -105,16 +114,16 @@ function validateFileExists(specPath) {
 function validateOpenApiVersion(api) {
   if (!api.openapi) {
     throw new ParserError(
-      'Missing OpenAPI version. Spec must include "openapi" field (e.g., "3.0.3" or "3.1.0")',
+      'Missing OpenAPI version. Spec must include "openapi" field (e.g., "3.0.3" or "3.1.0") or "swagger": "2.0"',
       ParserErrorCode.MISSING_OPENAPI_VERSION
     );
   }
 
   if (!SUPPORTED_VERSIONS.test(api.openapi)) {
     throw new ParserError(
-      `Unsupported OpenAPI version: ${api.openapi}. Supported versions: 3.0.x and 3.1.x`,
+      `Unsupported OpenAPI version: ${api.openapi}. Supported versions: 2.0, 3.0.x and 3.1.x`,
       ParserErrorCode.UNSUPPORTED_VERSION,
-      { version: api.openapi, supported: ['3.0.x', '3.1.x'] }
+      { version: api.openapi, supported: ['2.0', '3.0.x', '3.1.x'] }
     );
   }
 }
@@ -212,33 +221,32 @@ function formatParseError(error, specPath) {
  * @param {Object} options - Parsing options
  * @param {number} options.timeout - Timeout for parsing (default: 30000ms)
  * @param {boolean} options.validate - Whether to validate the spec (default: true)
- * @returns {Promise<Object>} Parsed and dereferenced OpenAPI spec
+ * @param {Array} options.overlays - OpenAPI Overlay documents or file paths, applied in order
+ * @returns {Promise<Object>} Parsed and dereferenced OpenAPI 3.x spec
  */
 export async function parseSpec(specPath, options = {}) {
-  const { timeout = 30000, validate = true } = options;
+  const { timeout = 30000, validate = true, overlays = [] } = options;
 
   // Validate file exists (for local files)
   validateFileExists(specPath);
 
   try {
-    // Parse and dereference the spec (resolves $refs)
-    // SwaggerParser handles circular references gracefully
-    const api = await SwaggerParser.dereference(specPath, {
-      dereference: {
-        circular: 'ignore' // Handle circular refs by keeping them as-is
-      }
-    });
-
-    // Validate OpenAPI structure
-    if (validate) {
-      validateOpenApiVersion(api);
-      validateRequiredFields(api);
+    // Overlay targets address the bundled document uploaded to Spec Hub
+    // (external $refs as bundler.js names them), so local specs with
+    // overlays are bundled the same way before $refs are resolved
+    if (overlays.length > 0 && !isUrl(specPath)) {
+      return await resolveDocument(bundleSpec(specPath, { overlays }).spec, validate);
     }
 
-    return api;
+    // Parse and dereference the spec (resolves $refs)
+    // Bundling first keeps circular refs across files from leaving whole
+    // external chains unresolved; SwaggerParser handles the rest gracefully
+    const bundled = await SwaggerParser.bundle(specPath);
+    const source = overlays.length > 0 ? applyOverlays(bundled, overlays) : bundled;
+    return await resolveDocument(source, validate);
   } catch (error) {
-    // If it's already a ParserError, re-throw
-    if (error instanceof ParserError) {
+    // If it's already a ParserError (or an overlay problem), re-throw
+    if (error instanceof ParserError || error instanceof OverlayError) {
       throw error;
     }
 
@@ -247,6 +255,49 @@ export async function parseSpec(specPath, options = {}) {
   }
 }
 
+/**
+ * Parse an OpenAPI spec from a single-document string (e.g. a spec stored in Spec Hub)
+ * @param {string} content - YAML or JSON spec content (internal $refs only)
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.validate - Whether to validate the spec (default: true)
+ * @param {string} options.source - Name used in error messages (default: 'spec content')
+ * @returns {Promise<Object>} Parsed and dereferenced OpenAPI 3.x spec
+ */
+export async function parseSpecContent(content, options = {}) {
+  const { validate = true, source = 'spec content' } = options;
+
+  try {
+    return await resolveDocument(YAML.parse(content), validate);
+  } catch (error) {
+    if (error instanceof ParserError) {
+      throw error;
+    }
+    throw formatParseError(error, source);
+  }
+}
+
+/**
+ * Dereference a bundled document, convert Swagger 2.0 and validate it
+ */
+async function resolveDocument(document, validate) {
+  const dereferenced = await SwaggerParser.dereference(document, {
+    dereference: {
+      circular: 'ignore' // Handle circular refs by keeping them as-is
+    }
+  });
+
+  // Everything downstream works on the OpenAPI 3 model
+  const api = isSwagger2(dereferenced) ? convertSwagger2(dereferenced) : dereferenced;
+
+  // Validate OpenAPI structure
+  if (validate) {
+    validateOpenApiVersion(api);
+    validateRequiredFields(api);
+  }
+
+  return api;
+}
+
 /**
  * Extract endpoints from parsed OpenAPI spec
  * @param {Object} api - Parsed OpenAPI spec
@@ -286,6 +337,68 @@ export function extractEndpoints(api) {
   return endpoints;
 }
 
+/**
+ * Extract outbound contracts: OpenAPI 3.1 webhooks and operation callbacks
+ * These are requests the API sends, so they are not part of extractEndpoints.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Array} Array of contract objects
+ *   { id, name, kind, event, method, path, expression, operation, tags, requestBody, responses, raw }
+ *   `path` is where the webhook receiver accepts the delivery.
+ */
+export function extractOutboundContracts(api) {
+  const contracts = [];
+  const methods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+  const addOperations = (pathItem, details) => {
+    if (!pathItem || typeof pathItem !== 'object') return;
+
+    for (const method of methods) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      contracts.push({
+        id: operation.operationId || `${details.kind}_${details.event}_${method}`.replace(/[^a-zA-Z0-9]/g, '_'),
+        name: operation.summary || operation.operationId || `${details.event} ${details.kind}`,
+        description: operation.description || '',
+        method: method.toUpperCase(),
+        requestBody: operation.requestBody,
+        responses: operation.responses || {},
+        raw: operation,
+        ...details,
+        tags: operation.tags || details.tags
+      });
+    }
+  };
+
+  for (const [event, pathItem] of Object.entries(api.webhooks || {})) {
+    addOperations(pathItem, {
+      kind: 'webhook',
+      event,
+      path: `/webhooks/${event}`,
+      expression: null,
+      operation: null,
+      tags: ['webhooks']
+    });
+  }
+
+  for (const endpoint of extractEndpoints(api)) {
+    for (const [event, callback] of Object.entries(endpoint.raw.callbacks || {})) {
+      for (const [expression, pathItem] of Object.entries(callback || {})) {
+        addOperations(pathItem, {
+          kind: 'callback',
+          event,
+          path: `/callbacks/${endpoint.id}/${event}`,
+          expression,
+          operation: { method: endpoint.method, path: endpoint.path },
+          tags: endpoint.tags
+        });
+      }
+    }
+  }
+
+  return contracts;
+}
+
 /**
  * Extract response schema for a specific status code
  * @param {Object} responses - Responses object from OpenAPI
@@ -323,6 +436,56 @@ export function getResponseSchema(responses, statusCode = '200') {
   return null;
 }
 
+/**
+ * Find the response object documented for a status code
+ * Resolution order follows OpenAPI: exact code, then range (e.g. 4XX), then default
+ * @param {Object} responses - Responses object from OpenAPI
+ * @param {number|string} statusCode - HTTP status code
+ * @returns {Object|null} { key, response } or null if undocumented
+ */
+export function getResponseForStatus(responses, statusCode) {
+  if (!responses) return null;
+
+  const code = String(statusCode);
+  const candidates = [code, `${code.charAt(0)}XX`, `${code.charAt(0)}xx`, 'default'];
+
+  for (const key of candidates) {
+    if (responses[key]) {
+      return { key, response: responses[key] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract the headers declared on a response object
+ * Content-Type is skipped - OpenAPI ignores it in favour of the content map.
+ * @param {Object} response - Response object from OpenAPI
+ * @returns {Array} Array of { name, required, schema, description }
+ */
+export function getResponseHeaders(response) {
+  const headers = [];
+  if (!response || !response.headers) return headers;
+
+  for (const [name, header] of Object.entries(response.headers)) {
+    if (!header || header.$ref) continue;
+    if (name.toLowerCase() === 'content-type') continue;
+
+    // Headers may describe their value with `content` instead of `schema`
+    const contentSchema = header.content ? Object.values(header.content)[0]?.schema : null;
+
+    headers.push({
+      name,
+      required: header.required === true,
+      schema: header.schema || contentSchema || {},
+      description: header.description || ''
+    });
+  }
+
+  return headers;
+}
+
 /**
  * Extract required fields from a schema
  * @param {Object} schema - JSON Schema object
@@ -349,53 +512,14 @@ export function getRequiredFields(schema) {
 }
 
 /**
- * Get example value for a schema
+ * Get example value for a schema (deterministic, see example-generator.js)
  * @param {Object} schema - JSON Schema object
+ * @param {Object} options - Generator options (seed, direction, components)
  * @returns {*} Example value or undefined
  */
-export function getExample(schema) {
+export function getExample(schema, options = {}) {
   if (!schema) return undefined;
-  
-  // Direct example
-  if (schema.example !== undefined) {
-    return schema.example;
-  }
-
-  // Examples array
-  if (schema.examples && Array.isArray(schema.examples) && schema.examples.length > 0) {
-    return schema.examples[0];
-  }
-
-  // Generate simple example based on type
-  switch (schema.type) {
-    case 'string':
-      if (schema.enum && schema.enum.length > 0) {
-        return schema.enum[0];
-      }
-      if (schema.format === 'email') return 'user@example.com';
-      if (schema.format === 'date-time') return new Date().toISOString();
-      if (schema.format === 'date') return new Date().toISOString().split('T')[0];
-      if (schema.format === 'uuid') return '550e8400-e29b-41d4-a716-446655440000';
-      return 'string';
-    case 'integer':
-    case 'number':
-      return schema.minimum || 0;
-    case 'boolean':
-      return true;
-    case 'array':
-      return schema.items ? [getExample(schema.items)] : [];
-    case 'object':
-      if (schema.properties) {
-        const example = {};
-        for (const [key, propSchema] of Object.entries(schema.properties)) {
-          example[key] = getExample(propSchema);
-        }
-        return example;
-      }
-      return {};
-    default:
-      return undefined;
-  }
+  return generateExample(schema, options);
 }
 
 /**
@@ -414,8 +538,8 @@ export function buildRequestBodyExample(requestBody) {
     return jsonContent.example;
   }
 
-  // Generate from schema
-  return getExample(jsonContent.schema);
+  // Generate from schema, leaving out readOnly properties
+  return getExample(jsonContent.schema, { direction: 'request' });
 }
 
 /**
@@ -429,25 +553,47 @@ export function convertPathParams(path) {
 
 /**
  * Extract server/base URL from spec
+ * Server variables are filled in with their defaults.
  * @param {Object} api - Parsed OpenAPI spec
  * @returns {string} Base URL
  */
 export function getBaseUrl(api) {
   if (api.servers && api.servers.length > 0) {
-    return api.servers[0].url;
+    return resolveServerUrl(api.servers[0]);
   }
   return 'https://api.example.com';
 }
 
+/**
+ * Fill in a server URL template such as https://{region}.api.example.com
+ * @param {Object} server - Server object { url, variables }
+ * @param {Object} values - Values by variable name (default: each variable's default)
+ * @returns {string} URL - placeholders without a variable are kept
+ */
+export function resolveServerUrl(server, values = {}) {
+  const variables = server?.variables || {};
+
+  return String(server?.url || '').replace(/\{([^{}]+)\}/g, (match, name) => {
+    if (values[name] !== undefined) return String(values[name]);
+    if (!variables[name]) return match;
+    return String(variables[name].default ?? variables[name].enum?.[0] ?? '');
+  });
+}
+
 export default {
   parseSpec,
+  parseSpecContent,
   extractEndpoints,
+  extractOutboundContracts,
   getResponseSchema,
+  getResponseForStatus,
+  getResponseHeaders,
   getRequiredFields,
   getExample,
   buildRequestBodyExample,
   convertPathParams,
   getBaseUrl,
+  resolveServerUrl,
   ParserError,
   ParserErrorCode
 };
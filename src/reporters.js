@@ -0,0 +1,377 @@
+/**
+ * Run Reporters
+ *
+ * Turns CollectionRunner results into machine-readable reports:
+ * - JUnit XML: one testsuite per collection, one testcase per pm.test
+ * - SARIF 2.1.0: one result per failure, located at the operation in the spec
+ * - HTML: standalone page grouped by tag and operation
+ *
+ * Failures carry the pm.test block that produced them (from the generated
+ * contract scripts), so a report reader sees the exact assertion.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { extractEndpoints } from './parser.js';
+import { generateTestKey } from './test-generator.js';
+
+/**
+ * Supported report formats
+ */
+export const ReportFormat = {
+  JUNIT: 'junit',
+  SARIF: 'sarif',
+  HTML: 'html'
+};
+
+const REPORT_FILES = {
+  [ReportFormat.JUNIT]: 'contract-tests.junit.xml',
+  [ReportFormat.SARIF]: 'contract-tests.sarif',
+  [ReportFormat.HTML]: 'contract-tests.html'
+};
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Write the selected reports
+ * @param {Array} results - Results of CollectionRunner.run(), one per collection
+ * @param {Object} options - { formats, outDir, api, specPath }
+ * @returns {Array} Written files { format, filepath }
+ */
+export function writeReports(results, options = {}) {
+  const { formats = [], outDir = 'reports' } = options;
+  const unknown = formats.filter(format => !REPORT_FILES[format]);
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report format: ${unknown.join(', ')} (expected ${Object.values(ReportFormat).join(', ')})`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  return formats.map(format => {
+    const filepath = path.join(outDir, REPORT_FILES[format]);
+    let content;
+
+    switch (format) {
+      case ReportFormat.JUNIT:
+        content = generateJUnitReport(results);
+        break;
+      case ReportFormat.SARIF:
+        content = JSON.stringify(generateSarifReport(results, options), null, 2) + '\n';
+        break;
+      case ReportFormat.HTML:
+        content = generateHtmlReport(results, options);
+        break;
+    }
+
+    fs.writeFileSync(filepath, content);
+    return { format, filepath };
+  });
+}
+
+/**
+ * Generate a JUnit XML report
+ * Request errors (no response) are reported as <error> testcases.
+ * @param {Array} results - Results of CollectionRunner.run()
+ * @returns {string} XML document
+ */
+export function generateJUnitReport(results) {
+  const suites = results.map(result => {
+    const cases = [];
+    let time = 0;
+
+    for (const execution of result.executions) {
+      const classname = [result.collection, ...execution.folder, execution.name].join(' / ');
+      time += execution.response?.responseTime || 0;
+
+      if (execution.error) {
+        cases.push(`    <testcase classname="${xml(classname)}" name="Request" time="0">\n` +
+          `      <error message="${xml(execution.error)}" type="RequestError">${xml(describeRequest(execution))}</error>\n` +
+          `    </testcase>`);
+      }
+
+      for (const test of execution.tests) {
+        const open = `    <testcase classname="${xml(classname)}" name="${xml(test.name)}" time="0"`;
+
+        if (test.passed) {
+          cases.push(`${open}/>`);
+        } else {
+          const details = [describeRequest(execution), test.assertion?.source].filter(Boolean).join('\n\n');
+          cases.push(`${open}>\n` +
+            `      <failure message="${xml(test.error || 'Assertion failed')}" type="AssertionError">${xml(details)}</failure>\n` +
+            `    </testcase>`);
+        }
+      }
+    }
+
+    const { stats } = result;
+    return `  <testsuite name="${xml(result.collection)}" tests="${stats.tests + stats.requestErrors}" ` +
+      `failures="${stats.failed}" errors="${stats.requestErrors}" time="${(time / 1000).toFixed(3)}">\n` +
+      `${cases.join('\n')}${cases.length > 0 ? '\n' : ''}  </testsuite>`;
+  });
+
+  const totals = sumStats(results);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="spec-sync" tests="${totals.tests + totals.requestErrors}" failures="${totals.failed}" errors="${totals.requestErrors}">\n` +
+    `${suites.join('\n')}${suites.length > 0 ? '\n' : ''}</testsuites>\n`;
+}
+
+/**
+ * Generate a SARIF 2.1.0 log
+ * Results point at the operation (method key) in the spec file when the
+ * spec is given; otherwise they carry only a logical location.
+ * @param {Array} results - Results of CollectionRunner.run()
+ * @param {Object} options - { specPath }
+ * @returns {Object} SARIF log
+ */
+export function generateSarifReport(results, options = {}) {
+  const { specPath } = options;
+  const locations = specPath ? locateOperations(specPath) : {};
+  const artifactUri = specPath ? path.relative(process.cwd(), specPath).split(path.sep).join('/') : null;
+  const rules = new Map();
+  const sarifResults = [];
+
+  const addRule = (id, text) => {
+    if (!rules.has(id)) {
+      rules.set(id, { id, name: text, shortDescription: { text } });
+    }
+    return [...rules.keys()].indexOf(id);
+  };
+
+  for (const result of results) {
+    for (const execution of result.executions) {
+      const failures = execution.tests.filter(test => !test.passed);
+      const failed = execution.error
+        ? [{ ruleId: 'request-error', name: 'Request failed', error: execution.error }, ...failures.map(toFailure)]
+        : failures.map(toFailure);
+
+      for (const failure of failed) {
+        const ruleIndex = addRule(failure.ruleId, failure.name);
+        const location = { logicalLocations: [{ name: execution.key, kind: 'function' }] };
+
+        if (artifactUri) {
+          location.physicalLocation = { artifactLocation: { uri: artifactUri } };
+          const position = locations[execution.key];
+          if (position) {
+            location.physicalLocation.region = { startLine: position.line, startColumn: position.column };
+          }
+        }
+
+        sarifResults.push({
+          ruleId: failure.ruleId,
+          ruleIndex,
+          level: 'error',
+          message: { text: `${formatKey(execution.key)}: ${failure.name} - ${failure.error}` },
+          locations: [location],
+          properties: {
+            collection: result.collection,
+            request: [...execution.folder, execution.name].join(' / '),
+            ...(failure.assertion ? { assertion: failure.assertion.source } : {})
+          }
+        });
+      }
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'spec-sync', version: '2.0.0', rules: [...rules.values()] } },
+      ...(artifactUri ? { artifacts: [{ location: { uri: artifactUri } }] } : {}),
+      results: sarifResults
+    }]
+  };
+}
+
+/**
+ * Generate a standalone HTML report grouped by tag and operation
+ * @param {Array} results - Results of CollectionRunner.run()
+ * @param {Object} options - { api, title }
+ * @returns {string} HTML document
+ */
+export function generateHtmlReport(results, options = {}) {
+  const { api } = options;
+  const title = options.title || `${api?.info?.title || 'API'} - Contract Test Report`;
+  const totals = sumStats(results);
+  const groups = groupByOperation(results, api);
+
+  const sections = [...groups.entries()].map(([tag, operations]) => {
+    const operationBlocks = [...operations.entries()].map(([key, { summary, executions }]) => {
+      const failed = executions.some(({ execution }) => execution.error || execution.tests.some(test => !test.passed));
+      const rows = executions.map(({ collection, execution }) => renderExecution(collection, execution)).join('\n');
+
+      return `<details class="operation ${failed ? 'failed' : 'passed'}"${failed ? ' open' : ''}>
+<summary><span class="badge">${failed ? 'FAIL' : 'PASS'}</span> <code>${html(formatKey(key))}</code> ${html(summary || '')}</summary>
+${rows}
+</details>`;
+    }).join('\n');
+
+    return `<section>\n<h2>${html(tag)}</h2>\n${operationBlocks}\n</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${html(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+.summary span { margin-right: 1.5rem; }
+.operation { border: 1px solid #ddd; border-radius: 4px; margin: 0.5rem 0; padding: 0.5rem; }
+.operation.failed { border-color: #d33; }
+.badge { font-weight: bold; }
+.failed > summary .badge, .test.failed { color: #c00; }
+.passed > summary .badge, .test.passed { color: #080; }
+.request { margin: 0.5rem 1rem; }
+.test { margin-left: 1rem; }
+pre { background: #f6f6f6; padding: 0.5rem; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${html(title)}</h1>
+<p class="summary"><span>${totals.requests} requests</span><span>${totals.tests} tests</span><span>${totals.passed} passed</span><span>${totals.failed} failed</span><span>${totals.requestErrors} request errors</span></p>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Find the line and column of every operation in a YAML or JSON spec
+ * @param {string} specPath - Path to the spec file
+ * @returns {Object} Positions { line, column } by test key (e.g. "get|/tasks")
+ */
+export function locateOperations(specPath) {
+  const lineCounter = new YAML.LineCounter();
+  const document = YAML.parseDocument(fs.readFileSync(specPath, 'utf8'), { lineCounter });
+  const paths = document.get('paths', true);
+  const positions = {};
+
+  if (!YAML.isMap(paths)) return positions;
+
+  for (const pathPair of paths.items) {
+    if (!YAML.isMap(pathPair.value)) continue;
+
+    for (const methodPair of pathPair.value.items) {
+      const method = String(methodPair.key?.value).toLowerCase();
+      if (!HTTP_METHODS.includes(method) || !methodPair.key.range) continue;
+
+      const { line, col } = lineCounter.linePos(methodPair.key.range[0]);
+      positions[generateTestKey(method, String(pathPair.key.value))] = { line, column: col };
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Group executions by tag, then operation (spec order; unknown requests last)
+ */
+function groupByOperation(results, api) {
+  const endpoints = api ? extractEndpoints(api) : [];
+  const byKey = new Map(endpoints.map(endpoint => [generateTestKey(endpoint.method, endpoint.path), endpoint]));
+  const groups = new Map();
+
+  // Seed groups in spec order so the report follows the spec
+  for (const [key, endpoint] of byKey) {
+    const tag = endpoint.tags[0] || 'default';
+    if (!groups.has(tag)) groups.set(tag, new Map());
+    groups.get(tag).set(key, { summary: endpoint.name, executions: [] });
+  }
+
+  for (const result of results) {
+    for (const execution of result.executions) {
+      const endpoint = byKey.get(execution.key);
+      const tag = endpoint ? endpoint.tags[0] || 'default' : execution.folder[0] || 'Other requests';
+
+      if (!groups.has(tag)) groups.set(tag, new Map());
+      const operations = groups.get(tag);
+      if (!operations.has(execution.key)) operations.set(execution.key, { summary: null, executions: [] });
+      operations.get(execution.key).executions.push({ collection: result.collection, execution });
+    }
+  }
+
+  // Drop operations that no collection exercised
+  for (const [tag, operations] of groups) {
+    for (const [key, operation] of operations) {
+      if (operation.executions.length === 0) operations.delete(key);
+    }
+    if (operations.size === 0) groups.delete(tag);
+  }
+
+  return groups;
+}
+
+function renderExecution(collection, execution) {
+  const status = execution.response ? `${execution.response.code} in ${execution.response.responseTime}ms` : 'no response';
+  const tests = execution.tests.map(test => {
+    const assertion = !test.passed && test.assertion
+      ? `\n<details><summary>Assertion</summary><pre>${html(test.assertion.source)}</pre></details>`
+      : '';
+    const error = test.passed ? '' : `: ${html(test.error || '')}`;
+    return `<div class="test ${test.passed ? 'passed' : 'failed'}">${test.passed ? '&#10003;' : '&#10007;'} ${html(test.name)}${error}${assertion}</div>`;
+  }).join('\n');
+  const error = execution.error ? `\n<div class="test failed">&#10007; Request failed: ${html(execution.error)}</div>` : '';
+
+  return `<div class="request">
+<strong>${html(execution.name)}</strong> <small>${html(collection)} &middot; ${html(execution.request?.method || '')} ${html(execution.request?.url || '')} &middot; ${html(status)}</small>${error}
+${tests}
+</div>`;
+}
+
+function toFailure(test) {
+  return {
+    ruleId: slugify(test.name),
+    name: test.name,
+    error: test.error || 'Assertion failed',
+    assertion: test.assertion
+  };
+}
+
+function describeRequest(execution) {
+  const request = execution.request ? `${execution.request.method} ${execution.request.url}` : formatKey(execution.key);
+  return execution.response ? `${request} -> ${execution.response.code}` : request;
+}
+
+function formatKey(key) {
+  const [method, route] = String(key).split('|');
+  return route ? `${method.toUpperCase()} ${route}` : String(key);
+}
+
+function sumStats(results) {
+  return results.reduce((totals, { stats }) => {
+    for (const [name, value] of Object.entries(stats)) {
+      totals[name] = (totals[name] || 0) + value;
+    }
+    return totals;
+  }, { requests: 0, requestErrors: 0, tests: 0, passed: 0, failed: 0 });
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'assertion';
+}
+
+function xml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function html(value) {
+  return xml(value).replace(/'/g, '&#39;');
+}
+
+export default {
+  ReportFormat,
+  writeReports,
+  generateJUnitReport,
+  generateSarifReport,
+  generateHtmlReport,
+  locateOperations
+};
@@ -7,14 +7,16 @@
  * 1. Fetch collection from Postman
  * 2. Transform to OpenAPI via Postman API
  * 3. Detect and classify changes
- * 4. Apply allowed changes back to spec
- * 5. Store tests as vendor extensions
+ * 4. Resolve conflicts (stored decisions, or prompts in interactive mode)
+ * 5. Apply allowed changes back to spec
+ * 6. Store tests as vendor extensions
  */
 
 import fs from 'fs';
 import path from 'path';
 import { ChangeDetector, CHANGE_DIRECTION } from './change-detector.js';
 import { SpecMerge } from './spec-merge.js';
+import { ConflictResolver } from './conflict-resolver.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger({ name: 'reverse-sync' });
@@ -30,7 +32,11 @@ export class ReverseSync {
       baselineDir: config.baselineDir || '.sync-baselines',
       ...config
     };
-    this.changeDetector = new ChangeDetector();
+    this.changeDetector = new ChangeDetector({
+      allowedFields: this.config.allowedFields,
+      blockedFields: this.config.blockedFields,
+      requireApprovalFor: this.config.requireApprovalFor
+    });
     this.specMerge = new SpecMerge(this.config);
   }
 
@@ -89,7 +95,8 @@ export class ReverseSync {
         changes,
         wouldApply: changes.safeToSync.length,
         wouldSkip: changes.blocked.length,
-        wouldReview: changes.needsReview.length
+        wouldReview: changes.needsReview.length,
+        wouldNeedApproval: changes.approvalRequired.length
       };
     }
 
@@ -104,8 +111,14 @@ export class ReverseSync {
       }
     }
 
-    // Step 8: Apply safe changes
-    if (changes.safeToSync.length === 0 && changes.tests.length === 0) {
+    // Step 8: Resolve conflicts
+    if (changes.needsReview.length > 0) {
+      changes.needsReview = await this.resolveConflicts(specPath, localSpec, changes.needsReview);
+    }
+
+    // Step 9: Apply safe changes
+    if (changes.safeToSync.length === 0 && changes.approvalRequired.length === 0 &&
+        changes.needsReview.length === 0 && changes.tests.length === 0) {
       logger.info('\n    No changes to apply');
       return { status: 'no-changes', changes };
     }
@@ -114,10 +127,18 @@ export class ReverseSync {
     const mergeResult = this.specMerge.mergeSpecs(
       localSpec,
       remoteSpec || localSpec,
-      changes.safeToSync
+      [...changes.safeToSync, ...changes.approvalRequired, ...changes.needsReview]
     );
 
-    // Step 9: Store tests as vendor extension if configured
+    const pendingApproval = mergeResult.skipped.filter(change => change.reason === 'Requires approval');
+    if (pendingApproval.length > 0) {
+      logger.info(`    Awaiting approval (re-run with --approve <pattern>): ${pendingApproval.length}`);
+      for (const change of pendingApproval) {
+        logger.info(`      - ${change.path}`);
+      }
+    }
+
+    // Step 10: Store tests as vendor extension if configured
     if (this.config.storeTestsAsExtension && collection.collection) {
       const testsApplied = this.applyTestsAsExtensions(
         mergeResult.spec,
@@ -128,7 +149,7 @@ export class ReverseSync {
       }
     }
 
-    // Step 10: Write updated spec
+    // Step 11: Write updated spec
     const outputPath = options.outputPath || specPath;
 
     // Backup original if modifying in place
@@ -137,12 +158,15 @@ export class ReverseSync {
       logger.info(`    Backup created: ${backupPath}`);
     }
 
-    this.specMerge.writeSpec(mergeResult.spec, outputPath);
+    const preserved = this.specMerge.writeSpec(mergeResult.spec, outputPath, { sourcePath: specPath });
     logger.info(`\n    Updated: ${outputPath}`);
+    if (!preserved && this.specMerge.options.preserveFormatting && /\.ya?ml$/.test(outputPath)) {
+      logger.info('    Could not edit the spec in place; rewrote the whole file');
+    }
     logger.info(`    Applied: ${mergeResult.applied.length} changes`);
     logger.info(`    Skipped: ${mergeResult.skipped.length} changes`);
 
-    // Step 11: Save new baseline for future 3-way merges
+    // Step 12: Save new baseline for future 3-way merges
     await this.saveBaseline(specPath, mergeResult.spec);
 
     return {
@@ -154,6 +178,29 @@ export class ReverseSync {
     };
   }
 
+  /**
+   * Resolve conflicts with stored decisions, prompting for the rest when the
+   * strategy is interactive and a terminal is attached
+   * @param {string} specPath - Path to local OpenAPI spec
+   * @param {object} localSpec - Current repo spec
+   * @param {Array} conflicts - needsReview changes
+   * @returns {Promise<Array>} Conflicts annotated with their resolution
+   */
+  async resolveConflicts(specPath, localSpec, conflicts) {
+    const interactive = this.config.conflictStrategy === 'interactive';
+    const canPrompt = this.config.interactive ?? Boolean(process.stdin.isTTY);
+
+    if (interactive && !canPrompt) {
+      logger.info('    No terminal attached: replaying stored resolutions only');
+    }
+
+    const resolver = new ConflictResolver({
+      resolutionFile: this.config.resolutionFile || this.getResolutionPath(specPath),
+      interactive: interactive && canPrompt
+    });
+    return resolver.resolveConflicts(conflicts, localSpec);
+  }
+
   /**
    * Print change summary
    */
@@ -162,6 +209,7 @@ export class ReverseSync {
     logger.info('\n    Change Summary:');
     logger.info(`      Safe to sync: ${summary.safeToSync}`);
     logger.info(`      Needs review: ${summary.needsReview}`);
+    logger.info(`      Needs approval: ${summary.approvalRequired}`);
     logger.info(`      Blocked: ${summary.blocked}`);
     logger.info(`      Tests: ${summary.tests}`);
     if (summary.hasConflicts) {
@@ -198,6 +246,18 @@ export class ReverseSync {
     fs.writeFileSync(baselinePath, JSON.stringify(spec, null, 2));
   }
 
+  /**
+   * Get conflict resolution file path for a spec
+   */
+  getResolutionPath(specPath) {
+    const specName = path.basename(specPath, path.extname(specPath));
+    return path.join(
+      path.dirname(specPath),
+      this.config.baselineDir,
+      `${specName}.resolutions.json`
+    );
+  }
+
   /**
    * Get baseline file path for a spec
    */
@@ -217,6 +277,7 @@ export class ReverseSync {
     const changes = {
       safeToSync: [],
       needsReview: [],
+      approvalRequired: [],
       blocked: [],
       tests: []
     };
@@ -0,0 +1,448 @@
+/**
+ * Script Sandbox
+ *
+ * Runs Postman pre-request and test scripts outside Postman. Implements the
+ * subset of the `pm.*` API the generated scripts use:
+ * - pm.test / pm.expect (chai-style BDD chains)
+ * - pm.response (code, headers, json(), text(), to.have.status/header/jsonSchema)
+ * - pm.request (url.variables, url.query, headers, body)
+ * - pm.environment / pm.collectionVariables / pm.variables
+ *
+ * Scripts run in a fresh vm context per event, sharing variable scopes
+ * through the objects passed in.
+ */
+
+import vm from 'vm';
+import { deepEqual, validateJsonSchema } from './json-schema.js';
+
+/**
+ * Script execution time limit (ms) - generated scripts are synchronous
+ */
+const SCRIPT_TIMEOUT = 5000;
+
+/**
+ * How many levels of variables inside variable values are resolved
+ */
+const MAX_VARIABLE_DEPTH = 10;
+
+/**
+ * Error thrown by a failed pm.expect assertion
+ */
+export class AssertionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssertionError';
+  }
+}
+
+/**
+ * Words that only make assertions read well (chai language chains)
+ */
+const LANGUAGE_CHAINS = ['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'does', 'still'];
+
+/**
+ * Chai-style assertion over a value
+ */
+class Assertion {
+  constructor(value, message) {
+    this.value = value;
+    this.message = message;
+    this.negate = false;
+    this.useLength = false;
+
+    for (const word of LANGUAGE_CHAINS) {
+      Object.defineProperty(this, word, { get: () => this });
+    }
+  }
+
+  get not() {
+    this.negate = !this.negate;
+    return this;
+  }
+
+  get deep() {
+    return this;
+  }
+
+  get length() {
+    this.useLength = true;
+    return this;
+  }
+
+  // Property assertions
+  get true() { return this.assert(this.value === true, 'to be true'); }
+  get false() { return this.assert(this.value === false, 'to be false'); }
+  get null() { return this.assert(this.value === null, 'to be null'); }
+  get undefined() { return this.assert(this.value === undefined, 'to be undefined'); }
+  get exist() { return this.assert(this.value !== null && this.value !== undefined, 'to exist'); }
+  get ok() { return this.assert(Boolean(this.value), 'to be truthy'); }
+  get NaN() { return this.assert(Number.isNaN(this.value), 'to be NaN'); }
+
+  get empty() {
+    const value = this.value;
+    const empty = typeof value === 'string' || Array.isArray(value)
+      ? value.length === 0
+      : value && typeof value === 'object' ? Object.keys(value).length === 0 : false;
+    return this.assert(empty, 'to be empty');
+  }
+
+  // Method assertions
+  a(type) {
+    return this.assert(typeName(this.value) === String(type).toLowerCase(), `to be a ${type}`);
+  }
+
+  an(type) {
+    return this.a(type);
+  }
+
+  equal(expected) {
+    return this.assert(this.value === expected, `to equal ${format(expected)}`);
+  }
+
+  equals(expected) { return this.equal(expected); }
+  eq(expected) { return this.equal(expected); }
+
+  eql(expected) {
+    return this.assert(deepEqual(this.value, expected), `to deeply equal ${format(expected)}`);
+  }
+
+  above(n) { return this.compare(actual => actual > n, `above ${n}`); }
+  below(n) { return this.compare(actual => actual < n, `below ${n}`); }
+  least(n) { return this.compare(actual => actual >= n, `at least ${n}`); }
+  most(n) { return this.compare(actual => actual <= n, `at most ${n}`); }
+  within(min, max) { return this.compare(actual => actual >= min && actual <= max, `within ${min}..${max}`); }
+
+  gt(n) { return this.above(n); }
+  lt(n) { return this.below(n); }
+  gte(n) { return this.least(n); }
+  lte(n) { return this.most(n); }
+
+  lengthOf(n) {
+    this.useLength = true;
+    return this.compare(actual => actual === n, `of length ${n}`);
+  }
+
+  oneOf(list) {
+    return this.assert(list.some(item => deepEqual(item, this.value)), `to be one of ${format(list)}`);
+  }
+
+  include(expected) {
+    const value = this.value;
+    let included = false;
+
+    if (typeof value === 'string') {
+      included = value.includes(expected);
+    } else if (Array.isArray(value)) {
+      included = value.some(item => deepEqual(item, expected));
+    } else if (value && typeof value === 'object' && expected && typeof expected === 'object') {
+      included = Object.entries(expected).every(([key, item]) => deepEqual(value[key], item));
+    }
+
+    return this.assert(included, `to include ${format(expected)}`);
+  }
+
+  includes(expected) { return this.include(expected); }
+  contain(expected) { return this.include(expected); }
+  contains(expected) { return this.include(expected); }
+
+  match(pattern) {
+    return this.assert(isRegExp(pattern) && pattern.test(String(this.value)), `to match ${pattern}`);
+  }
+
+  matches(pattern) { return this.match(pattern); }
+
+  property(name, ...expected) {
+    const value = this.value;
+    const has = value !== null && value !== undefined && Object(value)[name] !== undefined;
+
+    if (expected.length === 0) {
+      this.assert(has, `to have property ${format(name)}`);
+    } else {
+      this.assert(has && deepEqual(value[name], expected[0]), `to have property ${format(name)} of ${format(expected[0])}`);
+    }
+
+    // Like chai, further chaining asserts on the property value
+    return this.negate ? this : new Assertion(value[name], this.message);
+  }
+
+  /**
+   * Numeric comparison on the value, or on its length after `.length`
+   */
+  compare(predicate, description) {
+    const actual = this.useLength ? this.value?.length : this.value;
+    const subject = this.useLength ? `length ${format(actual)}` : format(actual);
+    const passed = typeof actual === 'number' && predicate(actual);
+
+    if (passed === this.negate) {
+      this.fail(`expected ${subject} ${this.negate ? 'not ' : ''}to be ${description}`);
+    }
+    return this;
+  }
+
+  assert(passed, description) {
+    if (Boolean(passed) === this.negate) {
+      this.fail(`expected ${format(this.value)} ${this.negate ? 'not ' : ''}${description}`);
+    }
+    return this;
+  }
+
+  fail(text) {
+    throw new AssertionError(this.message ? `${this.message}: ${text}` : text);
+  }
+}
+
+/**
+ * Create pm.expect
+ */
+export function createExpect() {
+  const expect = (value, message) => new Assertion(value, message);
+  expect.fail = (message) => {
+    throw new AssertionError(message || 'expect.fail()');
+  };
+  return expect;
+}
+
+/**
+ * Variable scope backed by a plain object (pm.environment, pm.collectionVariables)
+ */
+function createScope(values) {
+  return {
+    get: (key) => values[key],
+    set: (key, value) => { values[key] = value; },
+    unset: (key) => { delete values[key]; },
+    has: (key) => Object.prototype.hasOwnProperty.call(values, key),
+    clear: () => { for (const key of Object.keys(values)) delete values[key]; },
+    toObject: () => ({ ...values }),
+    replaceIn: (template) => replaceVariables(template, [values])
+  };
+}
+
+/**
+ * Substitute {{variables}} from scopes (first scope wins); unknown ones are kept
+ * Values may reference other variables (baseUrl = https://{{region}}.example.com),
+ * which are resolved up to MAX_VARIABLE_DEPTH levels like Postman does.
+ * @param {string} template - Text with {{variable}} placeholders
+ * @param {Array} scopes - Variable objects in priority order
+ * @returns {string} Resolved text
+ */
+export function replaceVariables(template, scopes) {
+  if (typeof template !== 'string') return template;
+
+  let result = template;
+  for (let depth = 0; depth < MAX_VARIABLE_DEPTH; depth++) {
+    const next = result.replace(/\{\{([^{}]+)\}\}/g, (match, name) => {
+      const scope = scopes.find(values => values && Object.prototype.hasOwnProperty.call(values, name));
+      return scope ? String(scope[name]) : match;
+    });
+    if (next === result) break;
+    result = next;
+  }
+
+  return result;
+}
+
+/**
+ * Build the pm object for one script execution
+ * @param {Object} context - { scopes: { local, environment, collection }, request, response, tests }
+ * @returns {Object} pm API
+ */
+export function createPm(context) {
+  const { scopes, request, response, tests } = context;
+  const expect = createExpect();
+  const resolveOrder = [scopes.local, scopes.environment, scopes.collection];
+
+  const pm = {
+    expect,
+    environment: createScope(scopes.environment),
+    collectionVariables: createScope(scopes.collection),
+    variables: {
+      ...createScope(scopes.local),
+      get: (key) => {
+        const scope = resolveOrder.find(values => Object.prototype.hasOwnProperty.call(values, key));
+        return scope ? scope[key] : undefined;
+      },
+      replaceIn: (template) => replaceVariables(template, resolveOrder)
+    },
+    test: (name, fn) => {
+      try {
+        fn();
+        tests.push({ name, passed: true });
+      } catch (error) {
+        tests.push({ name, passed: false, error: error.message });
+      }
+    },
+    request: createRequestApi(request),
+    info: {
+      eventName: response ? 'test' : 'prerequest',
+      requestName: request?.name
+    }
+  };
+
+  pm.test.skip = (name) => {
+    tests.push({ name, passed: true, skipped: true });
+  };
+
+  if (response) {
+    pm.response = createResponseApi(response, expect);
+  }
+
+  return pm;
+}
+
+/**
+ * pm.request over the resolved request
+ */
+function createRequestApi(request) {
+  if (!request) return {};
+
+  const listApi = (entries) => ({
+    get: (key) => entries.find(entry => entry.key === key)?.value,
+    has: (key) => entries.some(entry => entry.key === key),
+    toObject: () => Object.fromEntries(entries.map(entry => [entry.key, entry.value]))
+  });
+
+  return {
+    method: request.method,
+    url: {
+      ...listApi([]),
+      variables: listApi(request.pathVariables || []),
+      query: listApi(request.query || []),
+      toString: () => request.url
+    },
+    headers: {
+      ...listApi(request.headers || []),
+      get: (key) => (request.headers || []).find(h => h.key.toLowerCase() === String(key).toLowerCase())?.value
+    },
+    body: request.body ? { mode: 'raw', raw: request.body } : undefined
+  };
+}
+
+/**
+ * pm.response over a received response
+ */
+function createResponseApi(response, expect) {
+  const getHeader = (name) => {
+    const entry = response.headers.find(h => h.key.toLowerCase() === String(name).toLowerCase());
+    return entry ? entry.value : undefined;
+  };
+
+  const json = () => JSON.parse(response.body);
+
+  const api = {
+    code: response.code,
+    status: response.status,
+    responseTime: response.responseTime,
+    responseSize: Buffer.byteLength(response.body || ''),
+    headers: {
+      get: getHeader,
+      has: (name) => getHeader(name) !== undefined,
+      toObject: () => Object.fromEntries(response.headers.map(h => [h.key.toLowerCase(), h.value]))
+    },
+    json,
+    text: () => response.body
+  };
+
+  const have = {
+    status: (expected) => {
+      if (typeof expected === 'number') {
+        expect(response.code, 'Status code').to.equal(expected);
+      } else {
+        expect(response.status, 'Status').to.equal(expected);
+      }
+    },
+    header: (name, value) => {
+      expect(getHeader(name), `Header ${name}`).to.not.be.undefined;
+      if (value !== undefined) {
+        expect(getHeader(name), `Header ${name}`).to.equal(value);
+      }
+    },
+    jsonSchema: (schema) => {
+      const errors = validateJsonSchema(schema, json());
+      if (errors.length > 0) {
+        const details = errors.slice(0, 5).map(error => `${error.path || '(root)'} ${error.message}`).join('; ');
+        throw new AssertionError(`Response does not match schema: ${details}`);
+      }
+    },
+    body: (expected) => {
+      expect(response.body, 'Body').to.equal(expected);
+    }
+  };
+
+  api.to = {
+    have,
+    be: {
+      get json() {
+        try {
+          json();
+        } catch (error) {
+          throw new AssertionError(`Response body is not valid JSON: ${error.message}`);
+        }
+        return true;
+      },
+      get ok() {
+        expect(response.code, 'Status code').to.equal(200);
+        return true;
+      },
+      get success() {
+        expect(response.code, 'Status code').to.be.within(200, 299);
+        return true;
+      }
+    }
+  };
+
+  return api;
+}
+
+/**
+ * Run a script in a fresh context
+ * Errors outside pm.test are reported as a failed "Script error" test.
+ * @param {Array|string} script - Script lines or source
+ * @param {Object} context - Context for createPm()
+ * @returns {Array} context.tests (with results appended)
+ */
+export function runScript(script, context) {
+  const source = Array.isArray(script) ? script.join('\n') : String(script || '');
+  const logs = context.logs || [];
+  const log = (...args) => logs.push(args.map(arg => (typeof arg === 'string' ? arg : format(arg))).join(' '));
+
+  try {
+    vm.runInNewContext(source, {
+      pm: createPm(context),
+      console: { log, info: log, warn: log, error: log }
+    }, { timeout: SCRIPT_TIMEOUT });
+  } catch (error) {
+    context.tests.push({ name: 'Script error', passed: false, error: error.message });
+  }
+
+  return context.tests;
+}
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isRegExp(value)) return 'regexp';
+  return typeof value;
+}
+
+// Scripts run in their own realm, so instanceof RegExp does not work
+function isRegExp(value) {
+  return Object.prototype.toString.call(value) === '[object RegExp]';
+}
+
+function format(value) {
+  if (typeof value === 'string') return `'${value}'`;
+  if (isRegExp(value) || typeof value === 'function') return String(value);
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+export default {
+  AssertionError,
+  createExpect,
+  createPm,
+  replaceVariables,
+  runScript
+};
@@ -573,8 +573,12 @@ class SpecHubClient {
 
   /**
    * Add test scripts to collection requests
+   * @param {string} collectionUid - Collection UID
+   * @param {Object} testScripts - Map of test keys to script lines
+   * @param {Object} options - Options
+   * @param {Object} options.workflow - Workflow from buildWorkflow() to bind and order requests
    */
-  async addTestScripts(collectionUid, testScripts) {
+  async addTestScripts(collectionUid, testScripts, options = {}) {
     const collectionData = await this.getCollection(collectionUid);
 
     // Validate response structure
@@ -593,6 +597,12 @@ class SpecHubClient {
     // Recursively add tests to all request items
     const injectedCount = this.addTestsToItems(collection.item, testScripts);
 
+    // Chain requests: bind linked parameters and run producers first
+    if (options.workflow) {
+      this.applyWorkflowToItems(collection.item, options.workflow);
+      collection.item = this.orderItems(collection.item, options.workflow.order);
+    }
+
     // Update the collection
     await this.updateCollection(collectionUid, collection);
 
@@ -618,8 +628,8 @@ class SpecHubClient {
       try {
         path = new URL(urlStr).pathname || '/';
       } catch {
-        // Fallback: extract path manually
-        path = urlStr.replace(/^https?:\/\/[^\/]+/, '') || '/';
+        // Fallback: extract path manually (without query string or fragment)
+        path = urlStr.replace(/^https?:\/\/[^\/]+/, '').replace(/[?#].*$/, '') || '/';
       }
     } else if (url && typeof url === 'object') {
       if (url.path && Array.isArray(url.path)) {
@@ -632,6 +642,9 @@ class SpecHubClient {
     // Normalize path
     path = path.replace(/\/{2,}/g, '/');
     if (!path.startsWith('/')) path = '/' + path;
+
+    // Postman path variables (:taskId) -> OpenAPI templates ({taskId})
+    path = path.replace(/\/:([^/]+)/g, '/{$1}');
     
     return `${method}|${path}`;
   }
@@ -711,6 +724,343 @@ class SpecHubClient {
     return injectedCount;
   }
 
+  /**
+   * Recursively bind linked request parameters to captured collection variables
+   * @param {Array} items - Collection items
+   * @param {Object} workflow - Workflow from buildWorkflow()
+   * @returns {number} Number of requests bound
+   */
+  applyWorkflowToItems(items, workflow, boundCount = 0) {
+    if (!Array.isArray(items)) {
+      return boundCount;
+    }
+
+    for (const item of items) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        boundCount = this.applyWorkflowToItems(item.item, workflow, boundCount);
+        continue;
+      }
+
+      const url = item.request?.url;
+      if (!url || typeof url !== 'object') continue;
+
+      const bindings = workflow.bindings[this.generateTestKeyFromItem(item.request)];
+      if (!bindings) continue;
+
+      for (const binding of bindings) {
+        const value = `{{${binding.variable}}}`;
+
+        if (binding.in === 'path') {
+          url.variable = url.variable || [];
+          const variable = url.variable.find(v => v.key === binding.name);
+          if (variable) {
+            variable.value = value;
+          } else {
+            url.variable.push({ key: binding.name, value });
+          }
+        } else if (binding.in === 'query') {
+          url.query = url.query || [];
+          const param = url.query.find(q => q.key === binding.name);
+          if (param) {
+            param.value = value;
+            delete param.disabled;
+          } else {
+            url.query.push({ key: binding.name, value });
+          }
+        }
+      }
+
+      boundCount++;
+    }
+
+    return boundCount;
+  }
+
+  /**
+   * Sort collection items (and folders) by workflow run order
+   * Folders sort by their earliest request; unknown requests keep their place after known ones.
+   * @param {Array} items - Collection items
+   * @param {string[]} order - Test keys in run order
+   * @returns {Array} Sorted items
+   */
+  orderItems(items, order) {
+    if (!Array.isArray(items)) {
+      return items;
+    }
+
+    const rankOf = (item) => {
+      if (Array.isArray(item.item)) {
+        return Math.min(Infinity, ...item.item.map(rankOf));
+      }
+      if (!item.request) return Infinity;
+      const index = order.indexOf(this.generateTestKeyFromItem(item.request));
+      return index === -1 ? Infinity : index;
+    };
+
+    return items
+      .map(item => (item && Array.isArray(item.item) ? { ...item, item: this.orderItems(item.item, order) } : item))
+      .map((item, index) => ({ item, index, rank: item ? rankOf(item) : Infinity }))
+      .sort((a, b) => (a.rank === b.rank ? a.index - b.index : a.rank - b.rank))
+      .map(entry => entry.item);
+  }
+
+  /**
+   * Replace collection requests with request variants (e.g. negative tests)
+   * Each matched request becomes a folder holding one item per variant.
+   * Requests without variants, and folders left empty, are removed.
+   * @param {string} collectionUid - Collection UID
+   * @param {Object} variantsByKey - Map of test keys to arrays of variants
+   * @returns {Object} { success, injected }
+   */
+  async addRequestVariants(collectionUid, variantsByKey) {
+    const collectionData = await this.getCollection(collectionUid);
+
+    if (!collectionData?.collection) {
+      throw new Error(`Collection ${collectionUid} not found or has no data`);
+    }
+
+    const collection = collectionData.collection;
+
+    if (!Array.isArray(collection.item)) {
+      logger.warn(`Collection ${collectionUid} has no items to build variants from`);
+      return { success: true, injected: 0 };
+    }
+
+    const { items, count } = this.buildVariantItems(collection.item, variantsByKey);
+    collection.item = items;
+
+    await this.updateCollection(collectionUid, collection);
+
+    return { success: true, injected: count };
+  }
+
+  /**
+   * Recursively rebuild collection items from request variants
+   * @returns {{ items: Array, count: number }} Rebuilt items and variant count
+   */
+  buildVariantItems(items, variantsByKey) {
+    const result = [];
+    let count = 0;
+
+    for (const item of items) {
+      if (!item) continue;
+
+      // Recurse into folders, dropping the ones left empty
+      if (Array.isArray(item.item)) {
+        const nested = this.buildVariantItems(item.item, variantsByKey);
+        if (nested.items.length > 0) {
+          result.push({ ...item, item: nested.items });
+          count += nested.count;
+        }
+        continue;
+      }
+
+      if (!item.request?.method || !item.request?.url) {
+        continue;
+      }
+
+      const stableKey = this.generateTestKeyFromItem(item.request);
+      const variants = variantsByKey[stableKey] || [];
+      const variantItems = [];
+
+      for (const variant of variants) {
+        const scriptLines = Array.isArray(variant.script) ? variant.script : variant.script.split('\n');
+
+        if (!this.validateScriptSyntax(scriptLines.join('\n'))) {
+          logger.warn(`Invalid script syntax for variant "${variant.name}", skipping`, {
+            key: stableKey
+          });
+          continue;
+        }
+
+        variantItems.push(this.createVariantItem(item, variant, scriptLines));
+      }
+
+      if (variantItems.length > 0) {
+        result.push({ name: item.name, item: variantItems });
+        count += variantItems.length;
+      }
+    }
+
+    return { items: result, count };
+  }
+
+  /**
+   * Replace collection contents with lifecycle folders
+   * Each lifecycle becomes a folder of steps cloned from the collection's
+   * requests, in run order. Steps whose request is missing are skipped.
+   * @param {string} collectionUid - Collection UID
+   * @param {Array} lifecycles - Lifecycles from generateLifecycleTestsForSpec()
+   * @returns {Object} { success, injected }
+   */
+  async addLifecycleFolders(collectionUid, lifecycles) {
+    const collectionData = await this.getCollection(collectionUid);
+
+    if (!collectionData?.collection) {
+      throw new Error(`Collection ${collectionUid} not found or has no data`);
+    }
+
+    const collection = collectionData.collection;
+    const { items, count } = this.buildLifecycleItems(collection.item || [], lifecycles);
+    collection.item = items;
+
+    await this.updateCollection(collectionUid, collection);
+
+    return { success: true, injected: count };
+  }
+
+  /**
+   * Build lifecycle folders from the request items of a collection
+   * @returns {{ items: Array, count: number }} Lifecycle folders and step count
+   */
+  buildLifecycleItems(items, lifecycles) {
+    const requestsByKey = {};
+    const collect = (list) => {
+      for (const item of list || []) {
+        if (!item) continue;
+        if (Array.isArray(item.item)) {
+          collect(item.item);
+        } else if (item.request?.method && item.request?.url) {
+          const key = this.generateTestKeyFromItem(item.request);
+          requestsByKey[key] = requestsByKey[key] || item;
+        }
+      }
+    };
+    collect(items);
+
+    const folders = [];
+    let count = 0;
+
+    for (const lifecycle of lifecycles) {
+      const steps = [];
+
+      for (const step of lifecycle.steps) {
+        const item = requestsByKey[step.key];
+        if (!item) {
+          logger.warn(`No request found for lifecycle step "${step.name}", skipping`, { key: step.key });
+          continue;
+        }
+
+        const scriptLines = Array.isArray(step.script) ? step.script : step.script.split('\n');
+        if (!this.validateScriptSyntax(scriptLines.join('\n'))) {
+          logger.warn(`Invalid script syntax for lifecycle step "${step.name}", skipping`, { key: step.key });
+          continue;
+        }
+
+        steps.push(this.createVariantItem(item, step, scriptLines));
+      }
+
+      if (steps.length > 0) {
+        folders.push({ name: lifecycle.name, item: steps });
+        count += steps.length;
+      }
+    }
+
+    return { items: folders, count };
+  }
+
+  /**
+   * Clone a request item and apply a variant's request overrides
+   * (body, auth, headers, pathVariables, query) and optional pre-request script
+   * @param {object} item - Original collection item
+   * @param {object} variant - Variant with name and request overrides
+   * @param {string[]} scriptLines - Test script for the variant
+   * @returns {object} New collection item
+   */
+  createVariantItem(item, variant, scriptLines) {
+    const variantItem = JSON.parse(JSON.stringify(item));
+    delete variantItem.id;
+    delete variantItem.response;
+    variantItem.name = variant.name;
+
+    const request = variantItem.request;
+    const overrides = variant.request || {};
+
+    if (overrides.body !== undefined) {
+      request.body = {
+        mode: 'raw',
+        raw: JSON.stringify(overrides.body, null, 2),
+        options: { raw: { language: 'json' } }
+      };
+    }
+
+    if (overrides.auth) {
+      request.auth = overrides.auth;
+    }
+
+    for (const [key, value] of Object.entries(overrides.headers || {})) {
+      const headers = (request.header || []).filter(h => h.key.toLowerCase() !== key.toLowerCase());
+      headers.push({ key, value });
+      request.header = headers;
+    }
+
+    if (request.url && typeof request.url === 'object') {
+      for (const [key, value] of Object.entries(overrides.pathVariables || {})) {
+        const variables = request.url.variable || [];
+        const existing = variables.find(v => v.key === key);
+        if (existing) {
+          existing.value = value;
+        } else {
+          variables.push({ key, value });
+        }
+        request.url.variable = variables;
+      }
+
+      for (const [key, value] of Object.entries(overrides.query || {})) {
+        // null removes the parameter
+        const query = (request.url.query || []).filter(q => q.key !== key);
+        if (value !== null) {
+          query.push({ key, value });
+        }
+        request.url.query = query;
+      }
+
+      if (overrides.query && request.url.raw) {
+        const query = (request.url.query || []).map(q => `${q.key}=${q.value ?? ''}`).join('&');
+        request.url.raw = request.url.raw.split('?')[0] + (query ? `?${query}` : '');
+      }
+    }
+
+    variantItem.event = (variantItem.event || []).filter(e => e.listen !== 'test');
+
+    if (variant.preRequest) {
+      variantItem.event = variantItem.event.filter(e => e.listen !== 'prerequest');
+      variantItem.event.push({
+        listen: 'prerequest',
+        script: {
+          type: 'text/javascript',
+          exec: variant.preRequest
+        }
+      });
+    }
+
+    variantItem.event.push({
+      listen: 'test',
+      script: {
+        type: 'text/javascript',
+        exec: scriptLines
+      }
+    });
+
+    return variantItem;
+  }
+
+  /**
+   * Get the content of a spec's root file (index.yaml or index.json as uploaded)
+   * Returns null when the spec has no files
+   */
+  async getSpecContent(specId) {
+    const result = await this.request('GET', `/specs/${specId}/files`);
+    const files = result.files || [];
+    const root = files.find(file => file.type === 'ROOT') || files.find(file => /^index\.(ya?ml|json)$/.test(file.path)) || files[0];
+    if (!root) return null;
+
+    const file = await this.request('GET', `/specs/${specId}/files/${root.path}`);
+    return file.content ?? null;
+  }
+
   /**
    * Delete spec
    */
@@ -823,18 +1173,20 @@ class SpecHubClient {
   /**
    * Apply standard tags to a collection based on type
    * @param {string} collectionUid - Collection UID
-   * @param {string} type - Collection type: 'main', 'smoke', or 'contract'
+   * @param {string} type - Collection type: 'main', 'smoke', 'contract', 'negative', or 'lifecycle'
    */
   async applyCollectionTags(collectionUid, type) {
     const tagMap = {
       'main': ['generated', 'docs'],
       'smoke': ['generated', 'smoke'],
-      'contract': ['generated', 'contract']
+      'contract': ['generated', 'contract'],
+      'negative': ['generated', 'negative'],
+      'lifecycle': ['generated', 'lifecycle']
     };
 
     const tags = tagMap[type];
     if (!tags) {
-      throw new Error(`Unknown collection type: ${type}. Use 'main', 'smoke', or 'contract'.`);
+      throw new Error(`Unknown collection type: ${type}. Use 'main', 'smoke', 'contract', 'negative', or 'lifecycle'.`);
     }
 
     return this.updateCollectionTags(collectionUid, tags);
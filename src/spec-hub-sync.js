@@ -4,20 +4,27 @@
  * Spec Hub Sync
  * 
  * Main orchestrator for the Spec Hub workflow:
- * 1. Parse OpenAPI spec
- * 2. Upload/update spec in Spec Hub
+ * 1. Parse OpenAPI spec (with overlays applied)
+ * 2. Upload/update spec in Spec Hub (split specs bundled into one file),
+ *    optionally gated on breaking changes against the version already there
  * 3. Generate docs collection (via Spec Hub) - no tests
  * 4. Generate smoke test collection (via Spec Hub + inject smoke tests)
  * 5. Generate contract test collection (via Spec Hub + inject contract tests)
- * 6. Upload environment
+ * 6. Generate negative test collection (via Spec Hub + replace requests with invalid variants)
+ * 7. Generate lifecycle test collection (via Spec Hub + replace requests with CRUD lifecycles)
+ * 8. Upload environment
  */
 
-import { parseSpec } from './parser.js';
+import { parseSpec, parseSpecContent } from './parser.js';
 import { generateTestScriptsForSpec, TestLevel } from './test-generator.js';
-import { generateEnvironmentForServer } from './environment-generator.js';
+import { generateNegativeTestsForSpec } from './negative-generator.js';
+import { buildWorkflow, applyWorkflowCaptures } from './workflow-generator.js';
+import { generateLifecycleTestsForSpec } from './lifecycle-generator.js';
+import { generateEnvironments } from './environment-generator.js';
 import { SpecHubClient } from './spec-hub-client.js';
+import { bundleSpec } from './bundler.js';
+import { compareSpecs, hasBreakingChanges, formatChangesText } from './breaking-changes.js';
 import { createLogger, LogLevel } from './logger.js';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -51,7 +58,11 @@ function parseArgs() {
     workspaceId: process.env.POSTMAN_WORKSPACE_ID || null,
     apiKey: process.env.POSTMAN_API_KEY || null,
     dryRun: process.env.DRY_RUN === 'true' || false,
-    testLevel: process.env.TEST_LEVEL || 'all', // 'smoke', 'contract', or 'all'
+    testLevel: process.env.TEST_LEVEL || 'all', // 'smoke', 'contract', 'negative', 'lifecycle', or 'all'
+    overlays: [],
+    expandServerVariables: process.env.EXPAND_SERVER_VARIABLES === 'true',
+    checkBreakingChanges: process.env.CHECK_BREAKING_CHANGES === 'true',
+    failOnBreaking: process.env.FAIL_ON_BREAKING === 'true',
     help: false
   };
 
@@ -75,6 +86,20 @@ function parseArgs() {
       case '-t':
         options.testLevel = args[++i];
         break;
+      case '--overlay':
+      case '-o':
+        options.overlays.push(args[++i]);
+        break;
+      case '--expand-server-variables':
+        options.expandServerVariables = true;
+        break;
+      case '--check-breaking-changes':
+        options.checkBreakingChanges = true;
+        break;
+      case '--fail-on-breaking':
+        options.checkBreakingChanges = true;
+        options.failOnBreaking = true;
+        break;
       case '--dry-run':
       case '-d':
         options.dryRun = true;
@@ -100,7 +125,14 @@ Options:
   --spec, -s        Path to OpenAPI spec file (required)
   --workspace, -w   Postman workspace ID (default: env.POSTMAN_WORKSPACE_ID)
   --api-key, -k     Postman API key (default: env.POSTMAN_API_KEY)
-  --test-level, -t  Test level to generate: smoke, contract, or all (default: all)
+  --test-level, -t  Test level to generate: smoke, contract, negative, lifecycle, or all (default: all)
+  --overlay, -o     OpenAPI Overlay to apply before generation and upload (repeatable)
+  --expand-server-variables
+                    One environment per combination of server variable enum values
+  --check-breaking-changes
+                    Compare with the spec already in Spec Hub and report breaking changes
+  --fail-on-breaking
+                    Stop before uploading when there are breaking changes (implies the check)
   --dry-run, -d     Validate without uploading
   --help, -h        Show this help message
 
@@ -108,11 +140,14 @@ Environment Variables:
   POSTMAN_API_KEY       Required - Your Postman API key
   POSTMAN_WORKSPACE_ID  Required - Target workspace ID
   SPEC_FILE             Path to OpenAPI spec file (alternative to --spec)
-  TEST_LEVEL            Test level: smoke, contract, or all (default: all)
+  TEST_LEVEL            Test level: smoke, contract, negative, lifecycle, or all (default: all)
   DRY_RUN               Set to 'true' to validate without uploading
+  EXPAND_SERVER_VARIABLES  Set to 'true' for one environment per server variable enum combination
+  CHECK_BREAKING_CHANGES   Set to 'true' to report breaking changes against Spec Hub
+  FAIL_ON_BREAKING         Set to 'true' to stop before uploading on breaking changes
 
 Examples:
-  # Generate all collections (docs + smoke + contract)
+  # Generate all collections (docs + smoke + contract + negative + lifecycle)
   node src/spec-hub-sync.js --spec specs/api.yaml
 
   # Generate only smoke tests
@@ -121,9 +156,21 @@ Examples:
   # Generate only contract tests
   node src/spec-hub-sync.js --spec specs/api.yaml --test-level contract
 
+  # Generate only negative tests (invalid requests expecting 4xx)
+  node src/spec-hub-sync.js --spec specs/api.yaml --test-level negative
+
+  # Generate only lifecycle tests (create -> read -> update -> delete per resource)
+  node src/spec-hub-sync.js --spec specs/api.yaml --test-level lifecycle
+
   # With explicit credentials
   node src/spec-hub-sync.js --spec specs/api.yaml --workspace <id> --api-key <key>
 
+  # Apply vendor overlays before generating and uploading
+  node src/spec-hub-sync.js --spec specs/api.yaml --overlay overlays/vendor.yaml
+
+  # Refuse to upload a spec that breaks existing clients
+  node src/spec-hub-sync.js --spec specs/api.yaml --fail-on-breaking
+
   # Dry run (validate only)
   node src/spec-hub-sync.js --spec specs/api.yaml --dry-run
 `;
@@ -132,19 +179,6 @@ Examples:
   process.stdout.write(helpText + '\n');
 }
 
-// Generate environments for each server
-function generateEnvironments(api) {
-  const servers = api.servers || [{ url: 'https://api.example.com', description: 'Default' }];
-  const environments = [];
-  
-  for (const server of servers) {
-    const env = generateEnvironmentForServer(api, server);
-    environments.push(env);
-  }
-  
-  return environments;
-}
-
 // Main sync function
 async function sync(options) {
   logger.info('═══════════════════════════════════════════════════════════');
@@ -169,10 +203,14 @@ async function sync(options) {
 
   const generateSmoke = options.testLevel === 'all' || options.testLevel === 'smoke';
   const generateContract = options.testLevel === 'all' || options.testLevel === 'contract';
+  const generateNegative = options.testLevel === 'all' || options.testLevel === 'negative';
+  const generateLifecycle = options.testLevel === 'all' || options.testLevel === 'lifecycle';
 
   logInfo(`Test level: ${options.testLevel}`);
   logInfo(`Generate smoke tests: ${generateSmoke}`);
-  logInfo(`Generate contract tests: ${generateContract}\n`);
+  logInfo(`Generate contract tests: ${generateContract}`);
+  logInfo(`Generate negative tests: ${generateNegative}`);
+  logInfo(`Generate lifecycle tests: ${generateLifecycle}\n`);
 
   if (options.dryRun) {
     logInfo('DRY RUN MODE - No changes will be made\n');
@@ -181,19 +219,34 @@ async function sync(options) {
   // Initialize client
   const client = new SpecHubClient(options.apiKey, options.workspaceId);
 
+  // Steps are numbered as they run, since collections are optional
+  let stepNumber = 0;
+  const nextStep = () => `Step ${++stepNumber}`;
+
   // Step 1: Parse OpenAPI spec
-  logStep('Step 1', 'Parsing OpenAPI spec');
-  const api = await parseSpec(options.spec);
+  logStep(nextStep(), 'Parsing OpenAPI spec');
+  const overlays = options.overlays || [];
+  // Spec Hub gets one file, so external $refs are bundled into components;
+  // tests are generated from that same (overlaid) bundle
+  const bundle = overlays.length > 0 ? bundleSpec(options.spec, { overlays }) : null;
+  const api = bundle
+    ? await parseSpecContent(bundle.content, { source: options.spec })
+    : await parseSpec(options.spec);
   const specName = api.info?.title || 'Untitled API';
   logSuccess(`Parsed: ${specName} (${api.info?.version || 'unknown version'})`);
+  if (overlays.length > 0) {
+    logInfo(`Applied ${overlays.length} overlay(s): ${overlays.map(overlay => (typeof overlay === 'string' ? overlay : overlay.info?.title)).join(', ')}`);
+  }
 
-  if (options.dryRun) {
+  // Dry runs only read from Spec Hub for the breaking change comparison
+  const compare = options.checkBreakingChanges || options.failOnBreaking;
+  if (options.dryRun && !compare) {
     logInfo('Dry run complete - spec is valid');
     return;
   }
 
   // Step 2: Check for existing spec
-  logStep('Step 2', 'Checking for existing spec in Spec Hub');
+  logStep(nextStep(), 'Checking for existing spec in Spec Hub');
   let specId = null;
   try {
     const existingSpec = await client.findSpecByName(specName);
@@ -204,19 +257,48 @@ async function sync(options) {
       logInfo('No existing spec found - will create new');
     }
   } catch (error) {
+    // Without the existing spec there is nothing to compare against
+    if (options.failOnBreaking) {
+      throw new Error(`Could not check for existing spec - not uploading (failOnBreaking): ${error.message}`);
+    }
     logInfo('Could not check for existing spec - will create new');
   }
 
+  // Compare with the version in Spec Hub before replacing it (dry runs included)
+  let breakingChanges = null;
+  if (specId && compare) {
+    logStep(nextStep(), 'Checking for breaking changes against Spec Hub');
+    breakingChanges = await checkBreakingChanges(client, specId, api, { failOnError: options.failOnBreaking });
+
+    if (breakingChanges && hasBreakingChanges(breakingChanges) && options.failOnBreaking) {
+      throw new Error(`${breakingChanges.summary.breaking} breaking change(s) against the spec in Spec Hub - not uploading (failOnBreaking)`);
+    }
+  }
+
+  if (options.dryRun) {
+    logInfo('Dry run complete - spec is valid');
+    return;
+  }
+
   // Step 3: Upload spec to Spec Hub
-  logStep('Step 3', 'Uploading spec to Spec Hub');
-  const specContent = fs.readFileSync(options.spec, 'utf8');
-  specId = await client.uploadSpec(specName, specContent, specId);
+  logStep(nextStep(), 'Uploading spec to Spec Hub');
+  const upload = bundle || bundleSpec(options.spec);
+  if (upload.files.length > 0) {
+    logInfo(`Bundled ${upload.files.length} referenced files: ${upload.files.join(', ')}`);
+  }
+  specId = await client.uploadSpec(specName, upload.content, specId);
   logSuccess(`Spec uploaded: ${specId}`);
 
   const generatedCollections = [];
 
+  // Request chains (links + inferred POST -> item) shared by the test collections
+  const workflow = buildWorkflow(api);
+  if (workflow.links.length > 0) {
+    logInfo(`Workflow: ${workflow.links.length} linked parameters across ${Object.keys(workflow.bindings).length} requests`);
+  }
+
   // Step 4: Generate or sync main collection (always, no tests - for documentation)
-  logStep('Step 4', 'Generating/syncing main collection from Spec Hub');
+  logStep(nextStep(), 'Generating/syncing main collection from Spec Hub');
   const docsCollectionName = specName;  // Default/clean collection (no suffix)
   let docsCollectionUid = null;
   
@@ -238,7 +320,7 @@ async function sync(options) {
 
   // Step 5: Generate or sync smoke test collection
   if (generateSmoke) {
-    logStep('Step 5', 'Generating/syncing smoke test collection from Spec Hub');
+    logStep(nextStep(), 'Generating/syncing smoke test collection from Spec Hub');
     const smokeCollectionName = `${specName} - Smoke Tests`;
     const smokeCollectionUid = await client.generateOrSyncCollection(specId, smokeCollectionName, {
       enableOptionalParameters: true,
@@ -246,12 +328,12 @@ async function sync(options) {
     });
     logSuccess(`Smoke test collection: ${smokeCollectionUid}`);
 
-    logStep('Step 6', 'Generating and injecting smoke tests');
-    const smokeTestScripts = generateTestScriptsForSpec(api, TestLevel.SMOKE);
+    logStep(nextStep(), 'Generating and injecting smoke tests');
+    const smokeTestScripts = applyWorkflowCaptures(generateTestScriptsForSpec(api, TestLevel.SMOKE), workflow);
     const smokeTestCount = Object.keys(smokeTestScripts).length - 1;
     logInfo(`Generated ${smokeTestCount} smoke test scripts`);
 
-    await client.addTestScripts(smokeCollectionUid, smokeTestScripts);
+    await client.addTestScripts(smokeCollectionUid, smokeTestScripts, { workflow });
     logSuccess('Smoke tests injected into collection');
     generatedCollections.push({ name: smokeCollectionName, uid: smokeCollectionUid, type: 'smoke' });
 
@@ -266,8 +348,7 @@ async function sync(options) {
 
   // Step 6: Generate or sync contract test collection
   if (generateContract) {
-    const contractStepNum = generateSmoke ? '7' : '5';
-    logStep(`Step ${contractStepNum}`, 'Generating/syncing contract test collection from Spec Hub');
+    logStep(nextStep(), 'Generating/syncing contract test collection from Spec Hub');
     const contractCollectionName = `${specName} - Contract Tests`;
     const contractCollectionUid = await client.generateOrSyncCollection(specId, contractCollectionName, {
       enableOptionalParameters: true,
@@ -275,13 +356,12 @@ async function sync(options) {
     });
     logSuccess(`Contract test collection: ${contractCollectionUid}`);
 
-    const injectStepNum = generateSmoke ? '8' : '6';
-    logStep(`Step ${injectStepNum}`, 'Generating and injecting contract tests');
-    const contractTestScripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+    logStep(nextStep(), 'Generating and injecting contract tests');
+    const contractTestScripts = applyWorkflowCaptures(generateTestScriptsForSpec(api, TestLevel.CONTRACT), workflow);
     const contractTestCount = Object.keys(contractTestScripts).length - 1;
     logInfo(`Generated ${contractTestCount} contract test scripts`);
 
-    await client.addTestScripts(contractCollectionUid, contractTestScripts);
+    await client.addTestScripts(contractCollectionUid, contractTestScripts, { workflow });
     logSuccess('Contract tests injected into collection');
     generatedCollections.push({ name: contractCollectionName, uid: contractCollectionUid, type: 'contract' });
 
@@ -294,10 +374,64 @@ async function sync(options) {
     }
   }
 
-  // Step 7: Create/update environments (one per server)
-  const envStepNum = generateSmoke && generateContract ? '9' : generateSmoke || generateContract ? '7' : '5';
-  logStep(`Step ${envStepNum}`, 'Creating environments');
-  const environments = generateEnvironments(api);
+  // Step 7: Generate or sync negative test collection
+  if (generateNegative) {
+    logStep(nextStep(), 'Generating/syncing negative test collection from Spec Hub');
+    const negativeCollectionName = `${specName} - Negative Tests`;
+    const negativeCollectionUid = await client.generateOrSyncCollection(specId, negativeCollectionName, {
+      enableOptionalParameters: true,
+      folderStrategy: 'Tags'
+    });
+    logSuccess(`Negative test collection: ${negativeCollectionUid}`);
+
+    logStep(nextStep(), 'Generating negative request variants');
+    const negativeTests = generateNegativeTestsForSpec(api);
+    const variantCount = Object.values(negativeTests).reduce((sum, variants) => sum + variants.length, 0);
+    logInfo(`Generated ${variantCount} negative variants for ${Object.keys(negativeTests).length} operations`);
+
+    await client.addRequestVariants(negativeCollectionUid, negativeTests);
+    logSuccess('Negative variants written to collection');
+    generatedCollections.push({ name: negativeCollectionName, uid: negativeCollectionUid, type: 'negative' });
+
+    // Apply tags
+    try {
+      await client.applyCollectionTags(negativeCollectionUid, 'negative');
+      logSuccess(`Tags applied: generated, negative`);
+    } catch (tagError) {
+      logInfo(`Note: Could not apply tags: ${tagError.message}`);
+    }
+  }
+
+  // Step 8: Generate or sync lifecycle test collection
+  if (generateLifecycle) {
+    logStep(nextStep(), 'Generating/syncing lifecycle test collection from Spec Hub');
+    const lifecycleCollectionName = `${specName} - Lifecycle Tests`;
+    const lifecycleCollectionUid = await client.generateOrSyncCollection(specId, lifecycleCollectionName, {
+      enableOptionalParameters: true,
+      folderStrategy: 'Tags'
+    });
+    logSuccess(`Lifecycle test collection: ${lifecycleCollectionUid}`);
+
+    logStep(nextStep(), 'Generating resource lifecycles');
+    const lifecycles = generateLifecycleTestsForSpec(api);
+    logInfo(`Generated ${lifecycles.length} lifecycles: ${lifecycles.map(l => l.resource).join(', ') || 'none'}`);
+
+    await client.addLifecycleFolders(lifecycleCollectionUid, lifecycles);
+    logSuccess('Lifecycle folders written to collection');
+    generatedCollections.push({ name: lifecycleCollectionName, uid: lifecycleCollectionUid, type: 'lifecycle' });
+
+    // Apply tags
+    try {
+      await client.applyCollectionTags(lifecycleCollectionUid, 'lifecycle');
+      logSuccess(`Tags applied: generated, lifecycle`);
+    } catch (tagError) {
+      logInfo(`Note: Could not apply tags: ${tagError.message}`);
+    }
+  }
+
+  // Step 9: Create/update environments (one per server, or per server variable enum combination)
+  logStep(nextStep(), 'Creating environments');
+  const environments = generateEnvironments(api, { expandServerVariables: options.expandServerVariables });
   
   // Get existing environments
   const existingEnvs = await client.request('GET', `/environments?workspace=${options.workspaceId}`);
@@ -336,18 +470,60 @@ async function sync(options) {
   if (generateContract) {
     logger.info(`  3. Run contract tests: postman collection run "${specName} - Contract Tests"`);
   }
+  if (generateNegative) {
+    logger.info(`  4. Run negative tests: postman collection run "${specName} - Negative Tests"`);
+  }
+  if (generateLifecycle) {
+    logger.info(`  5. Run lifecycle tests: postman collection run "${specName} - Lifecycle Tests"`);
+  }
 
-  logger.info(`  4. On spec change, re-run: node src/spec-hub-sync.js --spec ${options.spec}`);
+  logger.info(`  6. On spec change, re-run: node src/spec-hub-sync.js --spec ${options.spec}`);
 
   logger.info('═══════════════════════════════════════════════════════════');
 
   return {
     specId,
     specName,
-    collections: generatedCollections
+    collections: generatedCollections,
+    breakingChanges: breakingChanges?.summary || null
   };
 }
 
+/**
+ * Compare the parsed spec with the version stored in Spec Hub
+ * Returns null when the stored version cannot be loaded (the sync continues),
+ * unless failOnError is set - then the sync fails instead of uploading unchecked
+ */
+async function checkBreakingChanges(client, specId, api, { failOnError = false } = {}) {
+  try {
+    const content = await client.getSpecContent(specId);
+    if (!content) {
+      logInfo('Spec in Spec Hub has no content - skipping comparison');
+      return null;
+    }
+
+    const previous = await parseSpecContent(content, { validate: false, source: 'Spec Hub spec' });
+    const report = compareSpecs(previous, api);
+
+    for (const line of formatChangesText(report).split('\n')) {
+      if (line) logInfo(line);
+    }
+    if (hasBreakingChanges(report)) {
+      logError(`${report.summary.breaking} breaking change(s) for existing clients`);
+    } else {
+      logSuccess('No breaking changes');
+    }
+
+    return report;
+  } catch (error) {
+    if (failOnError) {
+      throw new Error(`Could not compare with the spec in Spec Hub - not uploading (failOnBreaking): ${error.message}`);
+    }
+    logInfo(`Could not compare with the spec in Spec Hub: ${error.message}`);
+    return null;
+  }
+}
+
 // Export for programmatic use
 export { sync, parseArgs, showHelp };
 export default sync;
@@ -10,6 +10,8 @@
 
 import fs from 'fs';
 import yaml from 'js-yaml';
+import { getArrayItemKey, matchesFieldPattern } from './change-detector.js';
+import { updateYamlSource } from './yaml-editor.js';
 
 export class SpecMerge {
   constructor(options = {}) {
@@ -18,6 +20,7 @@ export class SpecMerge {
       autoMergeDescriptions: options.autoMergeDescriptions ?? true,
       autoMergeExamples: options.autoMergeExamples ?? true,
       preserveFormatting: options.preserveFormatting ?? true,
+      approvals: options.approvals || [],  // Signed-off path patterns for requireApprovalFor changes
       ...options
     };
   }
@@ -37,13 +40,32 @@ export class SpecMerge {
 
     // Apply only allowed changes
     for (const change of allowedChanges) {
-      // Skip conflicting changes based on strategy
+      // requireApprovalFor changes wait for an explicit sign-off
+      if (change.requiresApproval && !this.isApproved(change)) {
+        skippedChanges.push({ ...change, reason: 'Requires approval' });
+        continue;
+      }
+
+      // Skip conflicting changes based on their resolution or the strategy
+      // (resolutions come from ConflictResolver and override the strategy)
       if (change.hasConflict) {
-        if (this.options.conflictStrategy === 'spec-wins') {
+        if (change.resolution === 'local') {
+          skippedChanges.push({ ...change, reason: 'Conflict - local kept' });
+          continue;
+        }
+        if (change.resolution === 'skip') {
+          skippedChanges.push({ ...change, reason: 'Conflict - skipped' });
+          continue;
+        }
+        if (!change.resolution && this.options.conflictStrategy === 'spec-wins') {
           skippedChanges.push({ ...change, reason: 'Conflict - spec wins' });
           continue;
         }
-        // collection-wins or interactive: apply the change
+        if (!change.resolution && this.options.conflictStrategy === 'interactive') {
+          skippedChanges.push({ ...change, reason: 'Conflict - unresolved' });
+          continue;
+        }
+        // collection-wins, or resolved to the remote or an edited value: apply the change
       }
 
       try {
@@ -64,31 +86,48 @@ export class SpecMerge {
     };
   }
 
+  /**
+   * Check whether a change was signed off (approvals use field pattern syntax)
+   * @param {object} change - Change with a path
+   * @returns {boolean} True when an approval pattern matches
+   */
+  isApproved(change) {
+    return (this.options.approvals || []).some(pattern => matchesFieldPattern(change.path, pattern));
+  }
+
   /**
    * Apply a single change to the spec
+   * Changes with a keyPath locate keyed array items ({ key } segments) by
+   * identity, so they apply even when the spec orders the array differently.
    * @param {object} spec - Spec object to modify
-   * @param {object} change - Change to apply (path, newValue)
+   * @param {object} change - Change to apply (path or keyPath, kind, newValue)
    */
   applyChange(spec, change) {
-    const pathParts = this.parsePath(change.path);
+    const pathParts = change.keyPath || this.parsePath(change.path);
     let current = spec;
 
     // Navigate to parent of target
     for (let i = 0; i < pathParts.length - 1; i++) {
-      const part = pathParts[i];
+      const part = this.resolvePart(current, pathParts[i], pathParts[i - 1]);
 
+      if (part === undefined) {
+        throw new Error(`No item ${pathParts[i].key} in ${pathParts[i - 1]}`);
+      }
       if (current[part] === undefined) {
         // Create intermediate objects/arrays as needed
         const nextPart = pathParts[i + 1];
-        current[part] = typeof nextPart === 'number' ? [] : {};
+        current[part] = typeof nextPart === 'number' || typeof nextPart === 'object' ? [] : {};
       }
       current = current[part];
     }
 
     // Apply the change
-    const finalKey = pathParts[pathParts.length - 1];
+    const lastPart = pathParts[pathParts.length - 1];
+    const finalKey = this.resolvePart(current, lastPart, pathParts[pathParts.length - 2]);
 
-    if (change.kind === 'D') {
+    if (typeof lastPart === 'object') {
+      this.applyKeyedChange(current, finalKey, change);
+    } else if (change.kind === 'D') {
       // Deletion
       delete current[finalKey];
     } else {
@@ -97,6 +136,54 @@ export class SpecMerge {
     }
   }
 
+  /**
+   * Read the value a change targets (undefined when the spec has none)
+   * @param {object} spec - Spec object to read
+   * @param {object} change - Change with path or keyPath
+   * @returns {*} Current value
+   */
+  getValue(spec, change) {
+    const pathParts = change.keyPath || this.parsePath(change.path);
+    let current = spec;
+
+    for (let i = 0; i < pathParts.length; i++) {
+      if (current === null || typeof current !== 'object') return undefined;
+      const part = this.resolvePart(current, pathParts[i], pathParts[i - 1]);
+      if (part === undefined) return undefined;
+      current = current[part];
+    }
+
+    return current;
+  }
+
+  /**
+   * Index of a keyed array item ({ key } segment); other segments pass through
+   */
+  resolvePart(current, part, field) {
+    if (typeof part !== 'object' || part === null) return part;
+    if (!Array.isArray(current)) return undefined;
+
+    const index = current.findIndex(item => getArrayItemKey(field, item) === part.key);
+    return index === -1 ? undefined : index;
+  }
+
+  /**
+   * Add, replace, remove or move an item of a keyed array
+   */
+  applyKeyedChange(items, index, change) {
+    if (change.kind === 'D') {
+      if (index !== undefined) items.splice(index, 1);
+    } else if (change.kind === 'M') {
+      if (index === undefined) throw new Error('Moved item no longer exists');
+      const [item] = items.splice(index, 1);
+      items.splice(Math.min(change.newValue, items.length), 0, item);
+    } else if (index !== undefined) {
+      items[index] = change.newValue;
+    } else {
+      items.push(change.newValue);
+    }
+  }
+
   /**
    * Parse a dot-separated path into parts
    * Handles paths like "paths./users.get.description"
@@ -288,9 +375,25 @@ export class SpecMerge {
 
   /**
    * Write spec back to file (preserving format)
+   * With preserveFormatting, YAML specs are written by editing only the changed
+   * nodes of the original file (sourcePath, default filePath), keeping comments,
+   * anchors, key order and quoting; otherwise the whole spec is re-dumped.
+   * @param {object} spec - Spec to write
+   * @param {string} filePath - Output path
+   * @param {object} options - Options (sourcePath)
+   * @returns {boolean} True when the original formatting was preserved
    */
-  writeSpec(spec, filePath) {
+  writeSpec(spec, filePath, options = {}) {
     const isYaml = filePath.endsWith('.yaml') || filePath.endsWith('.yml');
+    const sourcePath = options.sourcePath || filePath;
+
+    if (isYaml && this.options.preserveFormatting && fs.existsSync(sourcePath)) {
+      const updated = updateYamlSource(fs.readFileSync(sourcePath, 'utf8'), spec);
+      if (updated !== null) {
+        fs.writeFileSync(filePath, updated);
+        return true;
+      }
+    }
 
     const content = isYaml
       ? yaml.dump(spec, {
@@ -302,6 +405,7 @@ export class SpecMerge {
       : JSON.stringify(spec, null, 2);
 
     fs.writeFileSync(filePath, content + '\n');
+    return false;
   }
 
   /**
@@ -0,0 +1,443 @@
+/**
+ * Swagger 2.0 Converter
+ *
+ * Converts Swagger 2.0 documents to the OpenAPI 3.0 model the rest of the
+ * tool works on:
+ * - host/basePath/schemes -> servers
+ * - consumes/produces -> request and response content maps
+ * - body and formData parameters -> requestBody
+ * - definitions, parameters, responses, securityDefinitions -> components
+ *
+ * Works on raw and dereferenced documents; remaining $refs (e.g. circular
+ * ones) are rewritten to their components location.
+ */
+
+const OPENAPI_VERSION = '3.0.3';
+
+const DEFAULT_MEDIA_TYPES = ['application/json'];
+
+const FORM_MEDIA_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+/**
+ * Keywords shared by non-body parameters, headers and items that become schema keywords
+ */
+const SCHEMA_KEYWORDS = [
+  'type', 'format', 'default', 'enum', 'multipleOf',
+  'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+  'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems'
+];
+
+/**
+ * collectionFormat -> parameter serialization (csv depends on the location)
+ */
+const COLLECTION_FORMATS = {
+  ssv: { style: 'spaceDelimited', explode: false },
+  pipes: { style: 'pipeDelimited', explode: false },
+  multi: { style: 'form', explode: true }
+};
+
+/**
+ * Component reference prefixes
+ */
+const REF_PREFIXES = [
+  ['#/definitions/', '#/components/schemas/'],
+  ['#/responses/', '#/components/responses/'],
+  ['#/parameters/', '#/components/parameters/']
+];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * Check whether a document is Swagger 2.0
+ * @param {Object} api - Parsed spec document
+ * @returns {boolean} True for Swagger 2.0
+ */
+export function isSwagger2(api) {
+  return Boolean(api) && typeof api === 'object' && String(api.swagger || '').startsWith('2.');
+}
+
+/**
+ * Convert a Swagger 2.0 document to OpenAPI 3.0
+ * @param {Object} api - Swagger 2.0 document
+ * @returns {Object} OpenAPI 3.0 document
+ */
+export function convertSwagger2(api) {
+  const context = {
+    api,
+    consumes: api.consumes || DEFAULT_MEDIA_TYPES,
+    produces: api.produces || DEFAULT_MEDIA_TYPES,
+    schemas: new WeakMap()
+  };
+
+  const converted = {
+    openapi: OPENAPI_VERSION,
+    info: api.info,
+    ...pickExtensions(api)
+  };
+
+  converted.servers = convertServers(api);
+  if (api.tags) converted.tags = api.tags;
+  if (api.externalDocs) converted.externalDocs = api.externalDocs;
+  if (api.security) converted.security = api.security;
+
+  converted.paths = {};
+  for (const [pathKey, pathItem] of Object.entries(api.paths || {})) {
+    converted.paths[pathKey] = convertPathItem(pathItem, context);
+  }
+
+  const components = convertComponents(context);
+  if (Object.keys(components).length > 0) {
+    converted.components = components;
+  }
+
+  return converted;
+}
+
+/**
+ * host + basePath + schemes -> servers
+ */
+function convertServers(api) {
+  const basePath = api.basePath && api.basePath !== '/' ? api.basePath.replace(/\/$/, '') : '';
+
+  if (!api.host) {
+    return [{ url: basePath || '/' }];
+  }
+
+  return (api.schemes || ['https']).map(scheme => ({ url: `${scheme}://${api.host}${basePath}` }));
+}
+
+function convertComponents(context) {
+  const { api } = context;
+  const components = {};
+
+  if (api.definitions) {
+    components.schemas = mapValues(api.definitions, schema => convertSchema(schema, context));
+  }
+
+  // Body and formData parameters have no 3.0 parameter equivalent
+  const parameters = Object.entries(api.parameters || {}).filter(([, parameter]) => !isBodyParameter(parameter));
+  if (parameters.length > 0) {
+    components.parameters = Object.fromEntries(parameters.map(([name, parameter]) => [name, convertParameter(parameter, context)]));
+  }
+
+  const bodies = Object.entries(api.parameters || {}).filter(([, parameter]) => parameter.in === 'body');
+  if (bodies.length > 0) {
+    components.requestBodies = Object.fromEntries(bodies.map(([name, parameter]) => [name, convertBodyParameter(parameter, context.consumes, context)]));
+  }
+
+  if (api.responses) {
+    components.responses = mapValues(api.responses, response => convertResponse(response, context.produces, context));
+  }
+
+  if (api.securityDefinitions) {
+    components.securitySchemes = mapValues(api.securityDefinitions, convertSecurityScheme);
+  }
+
+  return components;
+}
+
+function convertPathItem(pathItem, context) {
+  if (pathItem.$ref) {
+    return { $ref: pathItem.$ref };
+  }
+
+  const converted = pickExtensions(pathItem);
+  const pathParameters = resolveParameters(pathItem.parameters, context);
+
+  const shared = pathParameters.filter(parameter => !isBodyParameter(parameter));
+  if (shared.length > 0) {
+    converted.parameters = shared.map(parameter => convertParameter(parameter, context));
+  }
+
+  for (const method of HTTP_METHODS) {
+    if (pathItem[method]) {
+      converted[method] = convertOperation(pathItem[method], pathParameters, context);
+    }
+  }
+
+  return converted;
+}
+
+function convertOperation(operation, pathParameters, context) {
+  const consumes = operation.consumes || context.consumes;
+  const produces = operation.produces || context.produces;
+  const converted = {};
+
+  for (const field of ['tags', 'summary', 'description', 'externalDocs', 'operationId', 'deprecated', 'security']) {
+    if (operation[field] !== undefined) converted[field] = operation[field];
+  }
+  Object.assign(converted, pickExtensions(operation));
+
+  // Operation parameters override path-level ones with the same name and location
+  const operationParameters = resolveParameters(operation.parameters, context);
+  const overridden = new Set(operationParameters.map(parameter => `${parameter.in}:${parameter.name}`));
+  const inherited = pathParameters.filter(parameter => isBodyParameter(parameter) && !overridden.has(`${parameter.in}:${parameter.name}`));
+  const parameters = [...inherited, ...operationParameters];
+
+  const plain = operationParameters.filter(parameter => !isBodyParameter(parameter));
+  if (plain.length > 0) {
+    converted.parameters = plain.map(parameter => convertParameter(parameter, context));
+  }
+
+  const body = parameters.find(parameter => parameter.in === 'body');
+  const formData = parameters.filter(parameter => parameter.in === 'formData');
+
+  if (body) {
+    converted.requestBody = convertBodyParameter(body, consumes, context);
+  } else if (formData.length > 0) {
+    converted.requestBody = convertFormData(formData, consumes, context);
+  }
+
+  converted.responses = mapValues(operation.responses || {}, response => convertResponse(response, produces, context));
+
+  return converted;
+}
+
+/**
+ * Inline $ref'd parameters so body parameters can be told apart
+ */
+function resolveParameters(parameters, context) {
+  return (parameters || []).map(parameter => {
+    if (parameter?.$ref?.startsWith('#/parameters/')) {
+      return context.api.parameters?.[decodeRef(parameter.$ref.slice('#/parameters/'.length))] || parameter;
+    }
+    return parameter;
+  });
+}
+
+function isBodyParameter(parameter) {
+  return parameter?.in === 'body' || parameter?.in === 'formData';
+}
+
+function convertParameter(parameter, context) {
+  if (parameter.$ref) {
+    return { $ref: rewriteRef(parameter.$ref) };
+  }
+
+  const converted = { name: parameter.name, in: parameter.in };
+  if (parameter.description) converted.description = parameter.description;
+  if (parameter.required !== undefined) converted.required = parameter.required;
+  if (parameter.allowEmptyValue !== undefined) converted.allowEmptyValue = parameter.allowEmptyValue;
+
+  converted.schema = convertSimpleSchema(parameter, context);
+  Object.assign(converted, getSerialization(parameter));
+
+  if (parameter['x-example'] !== undefined) converted.example = parameter['x-example'];
+  Object.assign(converted, pickExtensions(parameter, ['x-example']));
+
+  return converted;
+}
+
+/**
+ * Parameter style/explode for an array collectionFormat
+ */
+function getSerialization(parameter) {
+  if (parameter.type !== 'array') return {};
+
+  const format = parameter.collectionFormat || 'csv';
+  if (COLLECTION_FORMATS[format]) return COLLECTION_FORMATS[format];
+
+  // csv is the 3.0 default for path and header; query and cookie default to exploded form
+  if (format === 'csv' && (parameter.in === 'query' || parameter.in === 'cookie')) {
+    return { style: 'form', explode: false };
+  }
+
+  return {};
+}
+
+function convertBodyParameter(parameter, consumes, context) {
+  const schema = convertSchema(parameter.schema || {}, context);
+  const examples = parameter['x-examples'] || {};
+  const content = {};
+
+  for (const mediaType of consumes) {
+    content[mediaType] = { schema };
+    if (examples[mediaType] !== undefined) content[mediaType].example = examples[mediaType];
+  }
+
+  const converted = { content };
+  if (parameter.description) converted.description = parameter.description;
+  if (parameter.required) converted.required = true;
+
+  return converted;
+}
+
+function convertFormData(parameters, consumes, context) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  for (const parameter of parameters) {
+    const property = convertSimpleSchema(parameter, context);
+    if (parameter.description) property.description = parameter.description;
+    schema.properties[parameter.name] = property;
+    if (parameter.required) required.push(parameter.name);
+  }
+  if (required.length > 0) schema.required = required;
+
+  const hasFile = parameters.some(parameter => parameter.type === 'file');
+  const formTypes = consumes.filter(mediaType => FORM_MEDIA_TYPES.includes(mediaType));
+  const mediaTypes = formTypes.length > 0 ? formTypes : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+  const converted = { content: Object.fromEntries(mediaTypes.map(mediaType => [mediaType, { schema }])) };
+  if (required.length > 0) converted.required = true;
+
+  return converted;
+}
+
+function convertResponse(response, produces, context) {
+  if (response.$ref) {
+    return { $ref: rewriteRef(response.$ref) };
+  }
+
+  const converted = { description: response.description || '' };
+
+  if (response.headers) {
+    converted.headers = mapValues(response.headers, header => {
+      const convertedHeader = { schema: convertSimpleSchema(header, context) };
+      if (header.description) convertedHeader.description = header.description;
+      return convertedHeader;
+    });
+  }
+
+  const content = {};
+  if (response.schema) {
+    const schema = convertSchema(response.schema, context);
+    for (const mediaType of produces) {
+      content[mediaType] = { schema };
+    }
+  }
+
+  // examples are keyed by media type in 2.0
+  for (const [mediaType, example] of Object.entries(response.examples || {})) {
+    content[mediaType] = { ...content[mediaType], example };
+  }
+
+  if (Object.keys(content).length > 0) {
+    converted.content = content;
+  }
+
+  Object.assign(converted, pickExtensions(response));
+  return converted;
+}
+
+function convertSecurityScheme(scheme) {
+  const description = scheme.description ? { description: scheme.description } : {};
+
+  switch (scheme.type) {
+    case 'basic':
+      return { type: 'http', scheme: 'basic', ...description };
+    case 'apiKey':
+      return { type: 'apiKey', name: scheme.name, in: scheme.in, ...description };
+    case 'oauth2': {
+      const scopes = scheme.scopes || {};
+      const flows = {
+        implicit: { implicit: { authorizationUrl: scheme.authorizationUrl, scopes } },
+        password: { password: { tokenUrl: scheme.tokenUrl, scopes } },
+        application: { clientCredentials: { tokenUrl: scheme.tokenUrl, scopes } },
+        accessCode: { authorizationCode: { authorizationUrl: scheme.authorizationUrl, tokenUrl: scheme.tokenUrl, scopes } }
+      };
+      return { type: 'oauth2', flows: flows[scheme.flow] || {}, ...description };
+    }
+    default:
+      return { ...scheme };
+  }
+}
+
+/**
+ * Schema for a non-body parameter, header or items object
+ */
+function convertSimpleSchema(source, context) {
+  if (source.type === 'file') {
+    return { type: 'string', format: 'binary' };
+  }
+
+  const schema = {};
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (source[keyword] !== undefined) schema[keyword] = source[keyword];
+  }
+
+  if (source.items) {
+    schema.items = source.items.$ref ? convertSchema(source.items, context) : convertSimpleSchema(source.items, context);
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a 2.0 schema object; shared (dereferenced) schemas stay shared
+ */
+function convertSchema(schema, context) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return schema;
+  }
+
+  if (context.schemas.has(schema)) {
+    return context.schemas.get(schema);
+  }
+
+  if (schema.$ref) {
+    return { $ref: rewriteRef(schema.$ref) };
+  }
+
+  const converted = {};
+  context.schemas.set(schema, converted);
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    switch (keyword) {
+      case 'x-nullable':
+        if (value) converted.nullable = true;
+        break;
+      case 'discriminator':
+        converted.discriminator = typeof value === 'string' ? { propertyName: value } : value;
+        break;
+      case 'properties':
+        converted.properties = mapValues(value, property => convertSchema(property, context));
+        break;
+      case 'items':
+      case 'additionalProperties':
+      case 'not':
+        converted[keyword] = convertSchema(value, context);
+        break;
+      case 'allOf':
+      case 'anyOf':
+      case 'oneOf':
+        converted[keyword] = value.map(subSchema => convertSchema(subSchema, context));
+        break;
+      default:
+        converted[keyword] = value;
+    }
+  }
+
+  if (converted.type === 'file') {
+    converted.type = 'string';
+    converted.format = 'binary';
+  }
+
+  return converted;
+}
+
+function rewriteRef(ref) {
+  for (const [from, to] of REF_PREFIXES) {
+    if (ref.startsWith(from)) {
+      return to + ref.slice(from.length);
+    }
+  }
+  return ref;
+}
+
+function decodeRef(segment) {
+  return decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function pickExtensions(object, exclude = []) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([key]) => key.startsWith('x-') && !exclude.includes(key)));
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+export default {
+  isSwagger2,
+  convertSwagger2
+};
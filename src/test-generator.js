@@ -4,23 +4,31 @@
  * Test Generator
  * 
  * Generates Postman test scripts from OpenAPI spec metadata.
- * Supports two test levels:
+ * Supports three test levels:
  * - smoke: Basic health checks (status code, response time)
  * - contract: Comprehensive validation (schemas, fields, content-types)
+ * - negative: Invalid requests are rejected with a documented 4xx
  * 
  * These tests are injected into Spec Hub-generated collections.
  */
 
-import { extractEndpoints, getResponseSchema, getRequiredFields } from './parser.js';
+import { extractEndpoints, getResponseSchema, getResponseHeaders, getRequiredFields, getResponseForStatus } from './parser.js';
+import { toJsonSchema } from './json-schema.js';
 
 /**
  * Test level enumeration
  */
 export const TestLevel = {
   SMOKE: 'smoke',
-  CONTRACT: 'contract'
+  CONTRACT: 'contract',
+  NEGATIVE: 'negative'
 };
 
+/**
+ * Client errors that are not caused by an invalid request payload
+ */
+const NON_VALIDATION_STATUS_CODES = ['401', '403', '429'];
+
 /**
  * Generate a stable key for test script lookup
  * Uses method + normalized path to handle renamed items
@@ -37,7 +45,7 @@ export function generateTestKey(method, path) {
 /**
  * Generate test scripts for all endpoints in a spec
  * @param {Object} api - Parsed OpenAPI spec
- * @param {string} level - Test level ('smoke' or 'contract')
+ * @param {string} level - Test level ('smoke', 'contract' or 'negative')
  * @returns {Object} Map of endpoint keys to test scripts
  */
 export function generateTestScriptsForSpec(api, level = TestLevel.CONTRACT) {
@@ -48,13 +56,17 @@ export function generateTestScriptsForSpec(api, level = TestLevel.CONTRACT) {
     // Use stable key based on method + path instead of name
     // This survives item renames in Postman
     const testKey = generateTestKey(endpoint.method, endpoint.path);
-    testScripts[testKey] = generateTestScript(endpoint, level);
+    testScripts[testKey] = generateTestScript(endpoint, level, api);
   }
 
   // Add default test script for any unmatched endpoints
-  testScripts['default'] = level === TestLevel.SMOKE 
-    ? generateDefaultSmokeTestScript() 
-    : generateDefaultContractTestScript();
+  if (level === TestLevel.SMOKE) {
+    testScripts['default'] = generateDefaultSmokeTestScript();
+  } else if (level === TestLevel.NEGATIVE) {
+    testScripts['default'] = generateDefaultNegativeTestScript();
+  } else {
+    testScripts['default'] = generateDefaultContractTestScript();
+  }
 
   return testScripts;
 }
@@ -62,14 +74,17 @@ export function generateTestScriptsForSpec(api, level = TestLevel.CONTRACT) {
 /**
  * Generate test script for a single endpoint
  * @param {Object} endpoint - Endpoint object from parser
- * @param {string} level - Test level ('smoke' or 'contract')
+ * @param {string} level - Test level ('smoke', 'contract' or 'negative')
+ * @param {Object} api - Parsed OpenAPI spec (for resolving component schemas)
  * @returns {Array} Test script lines
  */
-function generateTestScript(endpoint, level) {
+function generateTestScript(endpoint, level, api) {
   if (level === TestLevel.SMOKE) {
     return generateSmokeTestScript(endpoint);
+  } else if (level === TestLevel.NEGATIVE) {
+    return generateNegativeTestScript(endpoint, api);
   } else {
-    return generateContractTestScript(endpoint);
+    return generateContractTestScript(endpoint, api);
   }
 }
 
@@ -133,9 +148,10 @@ function generateSmokeTestScript(endpoint) {
 /**
  * Generate CONTRACT test script - Comprehensive validation
  * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} api - Parsed OpenAPI spec (for resolving component schemas)
  * @returns {Array} Test script lines
  */
-function generateContractTestScript(endpoint) {
+function generateContractTestScript(endpoint, api) {
   const tests = [];
 
   // Header comment
@@ -169,52 +185,72 @@ function generateContractTestScript(endpoint) {
   tests.push(`});`);
   tests.push('');
 
-  // 3. Content-Type validation
-  const successResponse = endpoint.responses['200'] || endpoint.responses['201'];
-  if (successResponse?.content) {
-    const contentTypes = Object.keys(successResponse.content);
-    if (contentTypes.length > 0) {
-      const expectedType = contentTypes[0].split(';')[0];
-      tests.push(`// Content-Type validation`);
-      tests.push(`pm.test("Content-Type is ${expectedType}", function () {`);
-      tests.push(`    pm.response.to.have.header("Content-Type");`);
-      tests.push(`    const contentType = pm.response.headers.get("Content-Type");`);
-      tests.push(`    pm.expect(contentType).to.include("${expectedType}");`);
-      tests.push(`});`);
-      tests.push('');
-    }
-  }
+  // 3. Response contract selection - validate whatever status comes back
+  // against the response documented for it (exact code, 4XX range, default)
+  const responseContracts = buildResponseContracts(endpoint, api);
+  if (Object.keys(responseContracts).length > 0) {
+    tests.push(...generateResponseContractSelection(responseContracts));
+    tests.push('');
+    tests.push(`pm.test("Status code is documented", function () {`);
+    tests.push(`    pm.expect(responseContract, "No response documented for status " + statusCode).to.not.be.undefined;`);
+    tests.push(`});`);
+    tests.push('');
 
-  // 4. JSON Schema validation (only for JSON responses)
-  const schemaInfo = getResponseSchema(endpoint.responses, '200') ||
-                     getResponseSchema(endpoint.responses, '201');
-  
-  if (schemaInfo?.schema) {
-    tests.push(`// JSON Schema validation`);
-    tests.push(`pm.test("Response matches schema structure", function () {`);
+    // 4. Content-Type validation against the selected response
+    tests.push(`// Content-Type validation`);
+    tests.push(`pm.test("Content-Type matches documented response", function () {`);
+    tests.push(`    if (!responseContract || responseContract.contentTypes.length === 0) {`);
+    tests.push(`        return;`);
+    tests.push(`    }`);
+    tests.push(`    pm.response.to.have.header("Content-Type");`);
+    tests.push(`    const contentType = (pm.response.headers.get("Content-Type") || "").replace(/;.*$/, "").trim().toLowerCase();`);
+    tests.push(`    const documented = responseContract.contentTypes.some(function (type) {`);
+    tests.push(`        return type === contentType || type === "*/*" ||`);
+    tests.push(`            (type.endsWith("/*") && contentType.startsWith(type.slice(0, -1)));`);
+    tests.push(`    });`);
+    tests.push(`    pm.expect(documented, "Content-Type " + contentType + " is not documented for " + responseKey).to.be.true;`);
+    tests.push(`});`);
+    tests.push('');
+
+    // 5. JSON Schema validation of the body against the selected response
+    tests.push(`// JSON Schema validation (fully resolved schema of the documented response)`);
+    tests.push(`pm.test("Response body matches schema for " + (responseKey || statusCode), function () {`);
+    tests.push(`    if (!responseContract || !responseContract.schema) {`);
+    tests.push(`        return;`);
+    tests.push(`    }`);
     tests.push(`    // Check Content-Type before parsing`);
     tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
-    tests.push(`    if (!contentType.includes("application/json")) {`);
+    tests.push(`    if (!contentType.includes("json")) {`);
     tests.push(`        pm.expect.fail("Response is not JSON, cannot validate schema");`);
     tests.push(`        return;`);
     tests.push(`    }`);
     tests.push(`    `);
-    tests.push(`    const jsonData = pm.response.json();`);
-    tests.push(`    `);
-    tests.push(`    // Basic type validation`);
-    if (schemaInfo.schema.type === 'object') {
-      tests.push(`    pm.expect(jsonData).to.be.an('object');`);
-    } else if (schemaInfo.schema.type === 'array') {
-      tests.push(`    pm.expect(jsonData).to.be.an('array');`);
-    }
+    tests.push(`    pm.response.to.have.jsonSchema(responseContract.schema);`);
     tests.push(`});`);
     tests.push('');
 
-    // 5. Required field checks
-    const requiredFields = getRequiredFields(schemaInfo.schema);
-    if (requiredFields.length > 0) {
+    // 6. Response header validation for each documented status
+    const headerValidations = generateResponseHeaderValidations(endpoint);
+    if (headerValidations.length > 0) {
+      tests.push(`// Response header validation (presence, type, format, enum)`);
+      tests.push(...headerValidations);
+      tests.push('');
+    }
+  }
+
+  // Field-level checks for the primary success response
+  const primaryStatus = ['200', '201'].find(code => endpoint.responses[code]);
+  const schemaInfo = primaryStatus ? getResponseSchema(endpoint.responses, primaryStatus) : null;
+  
+  if (schemaInfo?.schema) {
+    // 7. Required field checks (every array element, nested objects included)
+    const requiredValidations = generateRequiredFieldValidations(schemaInfo.schema);
+    if (requiredValidations.length > 0) {
       tests.push(`// Required field validation`);
       tests.push(`pm.test("Response has required fields", function () {`);
+      tests.push(`    if (pm.response.code !== ${primaryStatus}) {`);
+      tests.push(`        return; // Other statuses are covered by their own response schema`);
+      tests.push(`    }`);
       tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
       tests.push(`    if (!contentType.includes("application/json")) {`);
       tests.push(`        pm.expect.fail("Response is not JSON, cannot validate fields");`);
@@ -222,20 +258,22 @@ function generateContractTestScript(endpoint) {
       tests.push(`    }`);
       tests.push(`    `);
       tests.push(`    const jsonData = pm.response.json();`);
-      tests.push(`    const dataToCheck = Array.isArray(jsonData) ? (jsonData[0] || {}) : jsonData;`);
       tests.push(`    `);
-      for (const field of requiredFields) {
-        tests.push(`    pm.expect(dataToCheck).to.have.property('${field}');`);
+      for (const validation of requiredValidations) {
+        tests.push(`    ${validation}`);
       }
       tests.push(`});`);
       tests.push('');
     }
 
-    // 6. Advanced schema validations (enum, format, patterns, constraints)
+    // 8. Advanced schema validations (enum, format, patterns, constraints)
     const advancedValidations = generateAdvancedSchemaValidations(schemaInfo.schema);
     if (advancedValidations.length > 0) {
       tests.push(`// Advanced schema validations (enum, format, constraints)`);
       tests.push(`pm.test("Field values match schema constraints", function () {`);
+      tests.push(`    if (pm.response.code !== ${primaryStatus}) {`);
+      tests.push(`        return; // Other statuses are covered by their own response schema`);
+      tests.push(`    }`);
       tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
       tests.push(`    if (!contentType.includes("application/json")) {`);
       tests.push(`        pm.expect.fail("Response is not JSON, cannot validate constraints");`);
@@ -243,7 +281,6 @@ function generateContractTestScript(endpoint) {
       tests.push(`    }`);
       tests.push(`    `);
       tests.push(`    const jsonData = pm.response.json();`);
-      tests.push(`    const dataToCheck = Array.isArray(jsonData) ? (jsonData[0] || {}) : jsonData;`);
       tests.push(`    `);
       for (const validation of advancedValidations) {
         tests.push(`    ${validation}`);
@@ -253,12 +290,13 @@ function generateContractTestScript(endpoint) {
     }
   }
 
-  // 6. Error response structure validation
+  // 9. Generic error structure check for error responses without a schema
   const errorCodes = statusCodes.filter(code => code.startsWith('4') || code.startsWith('5'));
-  if (errorCodes.length > 0) {
-    tests.push(`// Error response structure validation`);
+  const hasUntypedErrors = errorCodes.some(code => !getResponseSchema({ [code]: endpoint.responses[code] }, code));
+  if (hasUntypedErrors) {
+    tests.push(`// Error response structure validation (error responses without a documented schema)`);
     tests.push(`pm.test("Error responses have proper structure", function () {`);
-    tests.push(`    if (pm.response.code >= 400) {`);
+    tests.push(`    if (pm.response.code >= 400 && !(responseContract && responseContract.schema)) {`);
     tests.push(`        const contentType = pm.response.headers.get("Content-Type") || "";`);
     tests.push(`        if (contentType.includes("application/json")) {`);
     tests.push(`            const jsonData = pm.response.json();`);
@@ -273,14 +311,375 @@ function generateContractTestScript(endpoint) {
   return tests;
 }
 
+/**
+ * Generate NEGATIVE test script - Request violates the contract on purpose
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} api - Parsed OpenAPI spec (for resolving component schemas)
+ * @returns {Array} Test script lines
+ */
+function generateNegativeTestScript(endpoint, api) {
+  const tests = [];
+
+  // Header comment
+  tests.push(`// Negative tests for: ${endpoint.method} ${endpoint.path}`);
+  tests.push(`// Invalid request must be rejected with a documented 4xx - generated from OpenAPI spec`);
+  tests.push('');
+
+  // 1. Status code validation - a documented client error
+  // Auth and rate limit rejections don't prove the payload was validated
+  const documentedKeys = Object.keys(endpoint.responses).filter(code => code.startsWith('4'));
+  const validationKeys = documentedKeys.filter(code => !NON_VALIDATION_STATUS_CODES.includes(code));
+  const clientErrorKeys = validationKeys.length > 0 ? validationKeys : documentedKeys;
+  const clientErrorCodes = clientErrorKeys.filter(code => /^\d{3}$/.test(code));
+  tests.push(`// Status code validation`);
+  if (clientErrorCodes.length > 0 && clientErrorCodes.length === clientErrorKeys.length) {
+    tests.push(`pm.test("Status code is a documented client error", function () {`);
+    tests.push(`    pm.expect(pm.response.code).to.be.oneOf([${clientErrorCodes.join(', ')}]);`);
+  } else {
+    // No documented codes, or a 4XX range covering every client error
+    tests.push(`pm.test("Status code is a client error", function () {`);
+    tests.push(`    pm.expect(pm.response.code).to.be.within(400, 499);`);
+  }
+  tests.push(`});`);
+  tests.push('');
+
+  // 2. Response time check
+  tests.push(`// Performance baseline check`);
+  tests.push(`pm.test("Response time is acceptable", function () {`);
+  tests.push(`    const threshold = parseInt(pm.environment.get("RESPONSE_TIME_THRESHOLD") || "2000");`);
+  tests.push(`    pm.expect(pm.response.responseTime).to.be.below(threshold);`);
+  tests.push(`});`);
+  tests.push('');
+
+  // 3. Error body validation against the documented error schema
+  const errorContracts = Object.fromEntries(
+    Object.entries(buildResponseContracts(endpoint, api))
+      .filter(([key, contract]) => (key.startsWith('4') || key === 'default') && contract.schema)
+  );
+  if (Object.keys(errorContracts).length > 0) {
+    tests.push(...generateResponseContractSelection(errorContracts));
+    tests.push('');
+    tests.push(`// JSON Schema validation of the error body`);
+    tests.push(`pm.test("Error response matches documented schema", function () {`);
+    tests.push(`    if (!responseContract) {`);
+    tests.push(`        return;`);
+    tests.push(`    }`);
+    tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
+    tests.push(`    if (!contentType.includes("json")) {`);
+    tests.push(`        pm.expect.fail("Response is not JSON, cannot validate schema");`);
+    tests.push(`        return;`);
+    tests.push(`    }`);
+    tests.push(`    `);
+    tests.push(`    pm.response.to.have.jsonSchema(responseContract.schema);`);
+    tests.push(`});`);
+    tests.push('');
+  }
+
+  return tests;
+}
+
+/**
+ * Generate SECURITY test script for an auth variant of an endpoint
+ * Test names record the security requirement (including OAuth scopes)
+ * so coverage of each scheme can be audited from run reports.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} variant - Auth variant ({ name, reason, expectation, requirement })
+ * @returns {Array} Test script lines
+ */
+export function generateSecurityTestScript(endpoint, variant) {
+  const tests = [];
+
+  // Header comment
+  tests.push(`// Security tests for: ${endpoint.method} ${endpoint.path}`);
+  tests.push(`// ${variant.name} - generated from OpenAPI security requirements`);
+  tests.push('');
+
+  if (variant.expectation === 'success') {
+    // 1. Unsecured operation must not demand credentials
+    const successCodes = Object.keys(endpoint.responses).filter(code => /^2\d\d$/.test(code));
+    const testName = `Request without credentials succeeds (${variant.requirement})`;
+    tests.push(`// Unsecured operation - no credentials required`);
+    tests.push(`pm.test(${JSON.stringify(testName)}, function () {`);
+    if (successCodes.length > 0) {
+      tests.push(`    pm.expect(pm.response.code).to.be.oneOf([${successCodes.join(', ')}]);`);
+    } else {
+      tests.push(`    pm.expect(pm.response.code).to.be.within(200, 299);`);
+    }
+    tests.push(`});`);
+  } else {
+    // 1. Secured operation must reject the request
+    const testName = `Request with ${variant.reason} is rejected (${variant.requirement})`;
+    tests.push(`// Secured operation - expect 401 Unauthorized or 403 Forbidden`);
+    tests.push(`pm.test(${JSON.stringify(testName)}, function () {`);
+    tests.push(`    pm.expect(pm.response.code).to.be.oneOf([401, 403]);`);
+    tests.push(`});`);
+  }
+  tests.push('');
+
+  // 2. Response time check
+  tests.push(`// Performance baseline check`);
+  tests.push(`pm.test("Response time is acceptable", function () {`);
+  tests.push(`    const threshold = parseInt(pm.environment.get("RESPONSE_TIME_THRESHOLD") || "2000");`);
+  tests.push(`    pm.expect(pm.response.responseTime).to.be.below(threshold);`);
+  tests.push(`});`);
+
+  return tests;
+}
+
+/**
+ * Generate the script for reading a resource after it was deleted
+ * The request must return 404, and its body must match the documented 404
+ * (or 4XX/default) response when one is documented.
+ * @param {Object} endpoint - Endpoint object from parser (the item GET)
+ * @param {Object} api - Parsed OpenAPI spec (for resolving component schemas)
+ * @returns {Array} Test script lines
+ */
+export function generateNotFoundTestScript(endpoint, api) {
+  const tests = [];
+
+  // Header comment
+  tests.push(`// Lifecycle tests for: ${endpoint.method} ${endpoint.path}`);
+  tests.push(`// Read after delete - the resource must be gone`);
+  tests.push('');
+
+  // 1. Deleted resource is not found
+  tests.push(`pm.test("Deleted resource is not found", function () {`);
+  tests.push(`    pm.response.to.have.status(404);`);
+  tests.push(`});`);
+  tests.push('');
+
+  // 2. Error body matches the documented 404 response
+  const responseContracts = buildResponseContracts(endpoint, api);
+  const notFound = getResponseForStatus(responseContracts, 404);
+  if (notFound?.response.schema) {
+    const notFoundKey = notFound.key;
+    tests.push(`// Error schema validation (${notFoundKey} response)`);
+    tests.push(...embedJsonConstant('notFoundSchema', notFound.response.schema));
+    tests.push(`pm.test("Not found response matches schema for ${notFoundKey}", function () {`);
+    tests.push(`    if (pm.response.code !== 404) {`);
+    tests.push(`        return;`);
+    tests.push(`    }`);
+    tests.push(`    pm.response.to.have.jsonSchema(notFoundSchema);`);
+    tests.push(`});`);
+    tests.push('');
+  }
+
+  // 3. Response time check
+  tests.push(`// Performance baseline check`);
+  tests.push(`pm.test("Response time is acceptable", function () {`);
+  tests.push(`    const threshold = parseInt(pm.environment.get("RESPONSE_TIME_THRESHOLD") || "2000");`);
+  tests.push(`    pm.expect(pm.response.responseTime).to.be.below(threshold);`);
+  tests.push(`});`);
+
+  return tests;
+}
+
+/**
+ * Generate the script lines selecting the response contract for the
+ * returned status (exact code, then range, then default)
+ * @param {Object} responseContracts - Map from buildResponseContracts()
+ * @returns {Array} Script lines declaring responseContracts, responseKey and responseContract
+ */
+function generateResponseContractSelection(responseContracts) {
+  return [
+    `// Response contracts by status code (exact code, then range, then default)`,
+    ...embedJsonConstant('responseContracts', responseContracts),
+    `const statusCode = String(pm.response.code);`,
+    `const responseKey = [statusCode, statusCode.charAt(0) + "XX", "default"].find(function (key) {`,
+    `    return Object.prototype.hasOwnProperty.call(responseContracts, key);`,
+    `});`,
+    `const responseContract = responseContracts[responseKey];`
+  ];
+}
+
+/**
+ * Generate header assertions for every response that declares headers
+ * Each block only runs when the returned status selects that response.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Script lines
+ */
+function generateResponseHeaderValidations(endpoint) {
+  const lines = [];
+
+  for (const [statusKey, response] of Object.entries(endpoint.responses || {})) {
+    const headers = getResponseHeaders(response);
+    if (headers.length === 0) continue;
+
+    const key = statusKey === 'default' ? 'default' : statusKey.toUpperCase();
+    lines.push(`if (responseKey === ${JSON.stringify(key)}) {`);
+
+    for (const header of headers) {
+      const name = JSON.stringify(header.name);
+
+      if (header.required) {
+        lines.push(`    pm.test(${JSON.stringify(`${key} response has ${header.name} header`)}, function () {`);
+        lines.push(`        pm.response.to.have.header(${name});`);
+        lines.push(`    });`);
+      }
+
+      const valueChecks = generateHeaderValueChecks(header.schema, 'value', header.name);
+      if (valueChecks.length > 0) {
+        lines.push(`    pm.test(${JSON.stringify(`${key} response header ${header.name} matches schema`)}, function () {`);
+        lines.push(`        const value = pm.response.headers.get(${name});`);
+        lines.push(`        if (value === undefined || value === null) {`);
+        lines.push(`            return; // Presence is covered by the required header check`);
+        lines.push(`        }`);
+        for (const check of valueChecks) {
+          lines.push(`        ${check}`);
+        }
+        lines.push(`    });`);
+      }
+    }
+
+    lines.push(`}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Generate type, format and enum checks for a header value
+ * Header values are strings, so types are checked by their serialized form
+ * and arrays are treated as comma-separated lists (style: simple).
+ * @param {Object} schema - Header schema
+ * @param {string} accessor - Script expression holding the value
+ * @param {string} label - Header name used in failure messages
+ * @returns {Array} Script lines
+ */
+function generateHeaderValueChecks(schema, accessor, label) {
+  const checks = [];
+  if (!schema || typeof schema !== 'object') return checks;
+
+  const message = JSON.stringify(label);
+
+  if (schema.type === 'array') {
+    const itemChecks = generateHeaderValueChecks(schema.items, 'item', label);
+    if (itemChecks.length > 0) {
+      checks.push(`${accessor}.split(",").map(function (part) { return part.trim(); }).forEach(function (item) {`);
+      for (const check of itemChecks) {
+        checks.push(`    ${check}`);
+      }
+      checks.push(`});`);
+    }
+    return checks;
+  }
+
+  if (schema.type === 'integer') {
+    checks.push(`pm.expect(${accessor}, ${message}).to.match(/^-?\\d+$/);`);
+  } else if (schema.type === 'number') {
+    checks.push(`pm.expect(${accessor}, ${message}).to.match(/^-?\\d+(\\.\\d+)?([eE][+-]?\\d+)?$/);`);
+  } else if (schema.type === 'boolean') {
+    checks.push(`pm.expect(${accessor}, ${message}).to.be.oneOf(["true", "false"]);`);
+  }
+
+  const formatPattern = schema.format ? getFormatPattern(schema.format) : null;
+  if (formatPattern) {
+    checks.push(`pm.expect(${accessor}, ${message}).to.match(${formatPattern});`);
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    const values = schema.enum.filter(value => value !== null).map(String);
+    checks.push(`pm.expect(${accessor}, ${message}).to.be.oneOf(${JSON.stringify(values)});`);
+  }
+
+  return checks;
+}
+
+/**
+ * Build the per-status response contracts embedded in contract scripts
+ * Keys are normalized so ranges read "4XX" and the default response "default".
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} api - Parsed OpenAPI spec (for resolving component schemas)
+ * @returns {Object} Map of status key to { contentTypes, schema }
+ */
+function buildResponseContracts(endpoint, api) {
+  const contracts = {};
+
+  for (const [statusKey, response] of Object.entries(endpoint.responses || {})) {
+    if (!response || typeof response !== 'object') continue;
+
+    const key = statusKey === 'default' ? 'default' : statusKey.toUpperCase();
+    const content = response.content || {};
+    const schemaInfo = getResponseSchema({ [statusKey]: response }, statusKey);
+    const isJson = schemaInfo && /json/i.test(schemaInfo.contentType);
+
+    contracts[key] = {
+      contentTypes: Object.keys(content).map(type => type.split(';')[0].trim().toLowerCase()),
+      schema: isJson
+        ? toJsonSchema(schemaInfo.schema, { components: api?.components?.schemas })
+        : null
+    };
+  }
+
+  return contracts;
+}
+
+/**
+ * Generate required field assertions
+ * Arrays are walked element by element so every item is checked, and
+ * failure messages name the offending element (e.g. `data[17]`).
+ * @param {Object} schema - JSON Schema object
+ * @param {string} accessor - Script expression for the current value
+ * @param {string} label - Template literal body describing the current path
+ * @param {number} depth - Array nesting depth (for loop variable names)
+ * @returns {Array} Array of assertion strings
+ */
+function generateRequiredFieldValidations(schema, accessor = 'jsonData', label = '', depth = 0) {
+  const validations = [];
+
+  if (!schema || typeof schema !== 'object') {
+    return validations;
+  }
+
+  // Handle array items - validate every element
+  if (schema.type === 'array') {
+    if (schema.items) {
+      const itemValidations = generateRequiredFieldValidations(
+        schema.items,
+        `item${depth}`,
+        `${label}[\${i${depth}}]`,
+        depth + 1
+      );
+      validations.push(...wrapArrayLoop(accessor, depth, itemValidations));
+    }
+    return validations;
+  }
+
+  const message = toTemplateLiteral(label || 'response body');
+  for (const field of getRequiredFields(schema)) {
+    validations.push(`pm.expect(${accessor}, ${message}).to.have.property(${JSON.stringify(field)});`);
+  }
+
+  // Nested objects and arrays carry their own required lists
+  for (const [propName, propSchema] of Object.entries(getSchemaProperties(schema))) {
+    if (propSchema?.type !== 'object' && propSchema?.type !== 'array') continue;
+
+    const propAccessor = `${accessor}[${JSON.stringify(propName)}]`;
+    const nested = generateRequiredFieldValidations(propSchema, propAccessor, joinLabel(label, propName), depth);
+    if (nested.length > 0) {
+      validations.push(`if (${propAccessor} !== undefined && ${propAccessor} !== null) {`);
+      for (const nestedValidation of nested) {
+        validations.push(`    ${nestedValidation}`);
+      }
+      validations.push(`}`);
+    }
+  }
+
+  return validations;
+}
+
 /**
  * Generate advanced schema validation assertions
  * Validates: enum, format, pattern, numeric constraints, string constraints
+ * Arrays are walked element by element; failure messages name the
+ * offending path including the index (e.g. `items[17].status`).
  * @param {Object} schema - JSON Schema object
- * @param {string} path - Current property path (for nested objects)
+ * @param {string} accessor - Script expression for the current value
+ * @param {string} label - Template literal body describing the current path
+ * @param {number} depth - Array nesting depth (for loop variable names)
  * @returns {Array} Array of assertion strings
  */
-function generateAdvancedSchemaValidations(schema, path = 'dataToCheck') {
+function generateAdvancedSchemaValidations(schema, accessor = 'jsonData', label = '', depth = 0) {
   const validations = [];
   
   if (!schema || typeof schema !== 'object') {
@@ -288,107 +687,194 @@ function generateAdvancedSchemaValidations(schema, path = 'dataToCheck') {
   }
 
   // Handle array items
-  if (schema.type === 'array' && schema.items) {
-    validations.push(...generateAdvancedSchemaValidations(schema.items, `${path}[0]`));
-    
+  if (schema.type === 'array') {
+    const message = toTemplateLiteral(label || 'response body');
+
     // Array constraints
     if (schema.minItems !== undefined) {
-      validations.push(`pm.expect(${path}).to.have.length.of.at.least(${schema.minItems});`);
+      validations.push(`pm.expect(${accessor}, ${message}).to.have.length.of.at.least(${schema.minItems});`);
     }
     if (schema.maxItems !== undefined) {
-      validations.push(`pm.expect(${path}).to.have.length.of.at.most(${schema.maxItems});`);
+      validations.push(`pm.expect(${accessor}, ${message}).to.have.length.of.at.most(${schema.maxItems});`);
     }
     if (schema.uniqueItems) {
-      validations.push(`// Note: uniqueItems validation requires deep comparison`);
+      validations.push(`if (Array.isArray(${accessor})) {`);
+      validations.push(`    const uniqueValues = new Set(${accessor}.map(function (value) { return JSON.stringify(value); }));`);
+      validations.push(`    pm.expect(uniqueValues.size, ${toTemplateLiteral(`${label || 'response body'} (uniqueItems)`)}).to.equal(${accessor}.length);`);
+      validations.push(`}`);
+    }
+
+    if (schema.items) {
+      const itemValidations = generateAdvancedSchemaValidations(
+        schema.items,
+        `item${depth}`,
+        `${label}[\${i${depth}}]`,
+        depth + 1
+      );
+      validations.push(...wrapArrayLoop(accessor, depth, itemValidations));
     }
     return validations;
   }
 
   // Handle object properties
-  if (schema.type === 'object' && schema.properties) {
-    for (const [propName, propSchema] of Object.entries(schema.properties)) {
-      const propPath = `${path}['${propName}']`;
-      
-      // Only validate if property exists (required check is separate)
-      validations.push(`if (${propPath} !== undefined) {`);
-      
-      // Type validation
-      if (propSchema.type) {
-        const typeMap = {
-          'string': 'string',
-          'integer': 'number',
-          'number': 'number',
-          'boolean': 'boolean',
-          'array': 'array',
-          'object': 'object'
-        };
-        if (typeMap[propSchema.type]) {
-          validations.push(`    pm.expect(${propPath}).to.be.a('${typeMap[propSchema.type]}');`);
-        }
+  for (const [propName, propSchema] of Object.entries(getSchemaProperties(schema))) {
+    if (!propSchema || typeof propSchema !== 'object') continue;
+
+    const propAccessor = `${accessor}[${JSON.stringify(propName)}]`;
+    const propLabel = joinLabel(label, propName);
+    const message = toTemplateLiteral(propLabel);
+    
+    // Only validate if property exists (required check is separate)
+    const nullGuard = propSchema.nullable ? ` && ${propAccessor} !== null` : '';
+    validations.push(`if (${propAccessor} !== undefined${nullGuard}) {`);
+    
+    // Type validation
+    if (propSchema.type) {
+      const typeMap = {
+        'string': 'string',
+        'integer': 'number',
+        'number': 'number',
+        'boolean': 'boolean',
+        'array': 'array',
+        'object': 'object'
+      };
+      if (typeMap[propSchema.type]) {
+        validations.push(`    pm.expect(${propAccessor}, ${message}).to.be.a('${typeMap[propSchema.type]}');`);
       }
-      
-      // Enum validation
-      if (propSchema.enum && propSchema.enum.length > 0) {
-        // Use JSON.stringify to safely escape enum values and prevent code injection
-        const enumJson = JSON.stringify(propSchema.enum);
-        validations.push(`    pm.expect(${propPath}).to.be.oneOf(${enumJson});`);
+    }
+    
+    // Enum validation
+    if (propSchema.enum && propSchema.enum.length > 0) {
+      // Use JSON.stringify to safely escape enum values and prevent code injection
+      const enumJson = JSON.stringify(propSchema.enum);
+      validations.push(`    pm.expect(${propAccessor}, ${message}).to.be.oneOf(${enumJson});`);
+    }
+    
+    // Format validation (strings)
+    if (propSchema.format && propSchema.type === 'string') {
+      const formatPattern = getFormatPattern(propSchema.format);
+      if (formatPattern) {
+        validations.push(`    pm.expect(${propAccessor}, ${message}).to.match(${formatPattern});`);
       }
-      
-      // Format validation (strings)
-      if (propSchema.format && propSchema.type === 'string') {
-        const formatPattern = getFormatPattern(propSchema.format);
-        if (formatPattern) {
-          validations.push(`    pm.expect(${propPath}).to.match(${formatPattern});`);
-        }
+    }
+    
+    // Pattern validation (regex)
+    if (propSchema.pattern && propSchema.type === 'string') {
+      // Use JSON.stringify to safely escape regex patterns and prevent code injection
+      const safePattern = JSON.stringify(propSchema.pattern);
+      validations.push(`    pm.expect(${propAccessor}, ${message}).to.match(new RegExp(${safePattern}));`);
+    }
+    
+    // String constraints
+    if (propSchema.type === 'string') {
+      if (propSchema.minLength !== undefined) {
+        validations.push(`    pm.expect(${propAccessor}, ${message}).to.have.length.of.at.least(${propSchema.minLength});`);
       }
-      
-      // Pattern validation (regex)
-      if (propSchema.pattern && propSchema.type === 'string') {
-        // Use JSON.stringify to safely escape regex patterns and prevent code injection
-        const safePattern = JSON.stringify(propSchema.pattern);
-        validations.push(`    pm.expect(${propPath}).to.match(new RegExp(${safePattern}));`);
+      if (propSchema.maxLength !== undefined) {
+        validations.push(`    pm.expect(${propAccessor}, ${message}).to.have.length.of.at.most(${propSchema.maxLength});`);
       }
-      
-      // String constraints
-      if (propSchema.type === 'string') {
-        if (propSchema.minLength !== undefined) {
-          validations.push(`    pm.expect(${propPath}).to.have.length.of.at.least(${propSchema.minLength});`);
-        }
-        if (propSchema.maxLength !== undefined) {
-          validations.push(`    pm.expect(${propPath}).to.have.length.of.at.most(${propSchema.maxLength});`);
-        }
+    }
+    
+    // Numeric constraints
+    if (propSchema.type === 'number' || propSchema.type === 'integer') {
+      if (propSchema.minimum !== undefined) {
+        const operator = propSchema.exclusiveMinimum ? '>' : '>=';
+        validations.push(`    pm.expect(${propAccessor}, ${message}).to.be${operator === '>' ? '.above' : '.at.least'}(${propSchema.minimum});`);
       }
-      
-      // Numeric constraints
-      if (propSchema.type === 'number' || propSchema.type === 'integer') {
-        if (propSchema.minimum !== undefined) {
-          const operator = propSchema.exclusiveMinimum ? '>' : '>=';
-          validations.push(`    pm.expect(${propPath}).to.be${operator === '>' ? '.above' : '.at.least'}(${propSchema.minimum});`);
-        }
-        if (propSchema.maximum !== undefined) {
-          const operator = propSchema.exclusiveMaximum ? '<' : '<=';
-          validations.push(`    pm.expect(${propPath}).to.be${operator === '<' ? '.below' : '.at.most'}(${propSchema.maximum});`);
-        }
-        if (propSchema.multipleOf !== undefined) {
-          validations.push(`    pm.expect(${propPath} % ${propSchema.multipleOf}).to.equal(0);`);
-        }
+      if (propSchema.maximum !== undefined) {
+        const operator = propSchema.exclusiveMaximum ? '<' : '<=';
+        validations.push(`    pm.expect(${propAccessor}, ${message}).to.be${operator === '<' ? '.below' : '.at.most'}(${propSchema.maximum});`);
       }
-      
-      // Nested object/array validation
-      if (propSchema.type === 'object' || propSchema.type === 'array') {
-        const nested = generateAdvancedSchemaValidations(propSchema, propPath);
-        for (const nestedValidation of nested) {
-          validations.push(`    ${nestedValidation}`);
-        }
+      if (propSchema.multipleOf !== undefined) {
+        validations.push(`    pm.expect(${propAccessor} % ${propSchema.multipleOf}, ${message}).to.equal(0);`);
+      }
+    }
+    
+    // Nested object/array validation
+    if (propSchema.type === 'object' || propSchema.type === 'array') {
+      const nested = generateAdvancedSchemaValidations(propSchema, propAccessor, propLabel, depth);
+      for (const nestedValidation of nested) {
+        validations.push(`    ${nestedValidation}`);
       }
-      
-      validations.push(`}`);
     }
+    
+    validations.push(`}`);
   }
   
   return validations;
 }
 
+/**
+ * Collect the properties of an object schema, merging allOf members
+ * @param {Object} schema - JSON Schema object
+ * @returns {Object} Map of property name to schema
+ */
+function getSchemaProperties(schema) {
+  if (!schema || typeof schema !== 'object') return {};
+
+  const properties = { ...(schema.properties || {}) };
+  if (Array.isArray(schema.allOf)) {
+    for (const subSchema of schema.allOf) {
+      Object.assign(properties, getSchemaProperties(subSchema));
+    }
+  }
+  return properties;
+}
+
+/**
+ * Wrap element validations in a loop over every array element
+ * @param {string} accessor - Script expression for the array
+ * @param {number} depth - Nesting depth (for loop variable names)
+ * @param {Array} itemValidations - Validations using item{depth}/i{depth}
+ * @returns {Array} Loop lines, or empty if nothing to validate
+ */
+function wrapArrayLoop(accessor, depth, itemValidations) {
+  if (itemValidations.length === 0) return [];
+
+  const lines = [];
+  lines.push(`if (Array.isArray(${accessor})) {`);
+  lines.push(`    ${accessor}.forEach(function (item${depth}, i${depth}) {`);
+  for (const validation of itemValidations) {
+    lines.push(`        ${validation}`);
+  }
+  lines.push(`    });`);
+  lines.push(`}`);
+  return lines;
+}
+
+/**
+ * Append a property name to a path label
+ * @param {string} label - Template literal body of the parent path
+ * @param {string} propName - Property name
+ * @returns {string} Template literal body of the property path
+ */
+function joinLabel(label, propName) {
+  const escaped = propName.replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '\\${');
+  return label ? `${label}.${escaped}` : escaped;
+}
+
+/**
+ * Turn a template literal body into script source
+ * @param {string} body - Template literal body
+ * @returns {string} Template literal source
+ */
+function toTemplateLiteral(body) {
+  return `\`${body}\``;
+}
+
+/**
+ * Embed a JSON value as a script constant
+ * @param {string} name - Constant name
+ * @param {*} value - JSON-serializable value
+ * @returns {Array} Script lines declaring the constant
+ */
+function embedJsonConstant(name, value) {
+  const lines = JSON.stringify(value, null, 4).split('\n');
+  lines[0] = `const ${name} = ${lines[0]}`;
+  lines[lines.length - 1] += ';';
+  return lines;
+}
+
 /**
  * Get regex pattern for common OpenAPI formats
  * @param {string} format - OpenAPI format string
@@ -450,6 +936,24 @@ function generateDefaultContractTestScript() {
   ];
 }
 
+/**
+ * Generate default NEGATIVE test script for unmatched endpoints
+ * @returns {Array} Default negative test script lines
+ */
+function generateDefaultNegativeTestScript() {
+  return [
+    '// Default negative tests',
+    'pm.test("Status code is a client error", function () {',
+    '    pm.expect(pm.response.code).to.be.within(400, 499);',
+    '});',
+    '',
+    'pm.test("Response time is acceptable", function () {',
+    '    const threshold = parseInt(pm.environment.get("RESPONSE_TIME_THRESHOLD") || "2000");',
+    '    pm.expect(pm.response.responseTime).to.be.below(threshold);',
+    '});'
+  ];
+}
+
 /**
  * Generate pre-request script for authentication setup
  * @param {Object} endpoint - Endpoint object
@@ -487,5 +991,7 @@ export function generatePreRequestScript(endpoint) {
 export default {
   TestLevel,
   generateTestScriptsForSpec,
+  generateSecurityTestScript,
+  generateNotFoundTestScript,
   generatePreRequestScript
 };
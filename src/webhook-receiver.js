@@ -0,0 +1,286 @@
+/**
+ * Webhook Receiver
+ *
+ * Accepts deliveries from the service under test during a run and checks
+ * them against the spec's outbound contracts (OpenAPI 3.1 webhooks and
+ * operation callbacks):
+ * - Webhooks are delivered to /webhooks/{name}
+ * - Callbacks are delivered to /callbacks/{operationId}/{name}
+ * - Deliveries to any other path are matched by method and payload schema
+ *
+ * Results use the collection runner's result shape so they are logged and
+ * reported next to the contract results.
+ */
+
+import http from 'http';
+import { extractOutboundContracts } from './parser.js';
+import { toJsonSchema, validateJsonSchema } from './json-schema.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'webhook-receiver' });
+
+const DEFAULT_CONFIG = {
+  port: 4020,
+  host: '127.0.0.1'
+};
+
+/**
+ * Result name used in logs and reports
+ */
+export const RECEIVER_COLLECTION = 'Webhook deliveries';
+
+export class WebhookReceiver {
+  /**
+   * @param {Object} api - Parsed OpenAPI spec
+   * @param {Object} config - { port, host }
+   */
+  constructor(api, config = {}) {
+    this.api = api;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.contracts = extractOutboundContracts(api);
+    this.executions = [];
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Receiver base URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    this.url = `http://${this.config.host}:${port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Adapt a Node HTTP request to handle()
+   */
+  handleHttp(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      try {
+        const url = new URL(req.url, 'http://receiver');
+        const response = this.handle({
+          method: req.method,
+          path: url.pathname,
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        });
+
+        logger.info(`${req.method} ${req.url} -> ${response.status}`);
+        res.writeHead(response.status, response.headers);
+        res.end(response.body);
+      } catch (error) {
+        // A failing delivery must not take the receiver down
+        logger.error(`${req.method} ${req.url} failed: ${error.message}`);
+        if (res.headersSent) {
+          res.end();
+          return;
+        }
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Internal Server Error', details: [error.message] }));
+      }
+    });
+  }
+
+  /**
+   * Record and validate a delivery
+   * @param {Object} delivery - { method, path, headers (lowercase keys), body }
+   * @returns {Object} { status, headers, body }
+   */
+  handle(delivery) {
+    const method = String(delivery.method || 'POST').toUpperCase();
+    const contract = this.match(method, delivery);
+    const execution = {
+      name: contract ? contract.name : `Unexpected ${method} ${delivery.path}`,
+      folder: [contract?.kind === 'callback' ? 'Callbacks' : 'Webhooks'],
+      key: contract ? `${contract.method.toLowerCase()}|${contract.path}` : `${method.toLowerCase()}|${delivery.path}`,
+      request: { method, url: delivery.path },
+      response: null,
+      tests: [],
+      logs: [],
+      error: null
+    };
+
+    if (!contract) {
+      execution.tests.push({
+        name: 'Delivery matches a documented webhook or callback',
+        passed: false,
+        error: `No webhook or callback accepts ${method} ${delivery.path}`,
+        assertion: null
+      });
+      execution.response = { code: 404, responseTime: 0 };
+      this.executions.push(execution);
+      return { status: 404, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: 'Not Found' }) };
+    }
+
+    execution.tests = validateDelivery(contract, this.api, delivery).map(({ name, errors }) => ({
+      name,
+      passed: errors.length === 0,
+      error: errors.length > 0 ? errors.join('; ') : null,
+      assertion: null
+    }));
+
+    // Always acknowledge so the service under test does not retry
+    const status = getSuccessStatus(contract.responses);
+    execution.response = { code: status, responseTime: 0 };
+    this.executions.push(execution);
+
+    return { status, headers: {}, body: '' };
+  }
+
+  /**
+   * Find the contract for a delivery: by receiver path, then by payload
+   */
+  match(method, delivery) {
+    const path = delivery.path.replace(/\/+$/, '') || '/';
+    const byPath = this.contracts.find(contract => contract.method === method && contract.path === path);
+    if (byPath) return byPath;
+
+    // Services often post every event to one configured URL; only a payload
+    // that validates identifies the contract
+    const candidates = this.contracts.filter(contract => contract.method === method);
+    return candidates.find(contract => validateDelivery(contract, this.api, delivery).every(({ errors }) => errors.length === 0)) || null;
+  }
+
+  /**
+   * Wait until every contract received a delivery, or the timeout passes
+   * @param {number} timeout - Milliseconds to wait
+   * @returns {Promise<Array>} Contracts still without a delivery
+   */
+  async waitForDeliveries(timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (this.getMissing().length > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(100, Math.max(deadline - Date.now(), 0))));
+    }
+
+    return this.getMissing();
+  }
+
+  /**
+   * Contracts that received no delivery
+   */
+  getMissing() {
+    const received = new Set(this.executions.map(execution => execution.key));
+    return this.contracts.filter(contract => !received.has(`${contract.method.toLowerCase()}|${contract.path}`));
+  }
+
+  /**
+   * Collect deliveries as a run result
+   * @param {Object} options - { requireDeliveries } - report contracts without a delivery as errors
+   * @returns {Object} { collection, executions, stats }
+   */
+  getResults(options = {}) {
+    const executions = [...this.executions];
+
+    if (options.requireDeliveries) {
+      for (const contract of this.getMissing()) {
+        executions.push({
+          name: contract.name,
+          folder: [contract.kind === 'callback' ? 'Callbacks' : 'Webhooks'],
+          key: `${contract.method.toLowerCase()}|${contract.path}`,
+          request: { method: contract.method, url: contract.path },
+          response: null,
+          tests: [],
+          logs: [],
+          error: 'No delivery received'
+        });
+      }
+    }
+
+    const tests = executions.flatMap(execution => execution.tests);
+    return {
+      collection: RECEIVER_COLLECTION,
+      executions,
+      stats: {
+        requests: executions.length,
+        requestErrors: executions.filter(execution => execution.error).length,
+        tests: tests.length,
+        passed: tests.filter(test => test.passed).length,
+        failed: tests.filter(test => !test.passed).length
+      }
+    };
+  }
+}
+
+/**
+ * Check a delivery against the contract's request body
+ * @returns {Array} [{ name, errors }]
+ */
+function validateDelivery(contract, api, delivery) {
+  const requestBody = contract.requestBody;
+  const content = requestBody?.content || {};
+  const body = delivery.body || '';
+  const contentType = String(delivery.headers?.['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const checks = [];
+
+  if (body === '') {
+    checks.push({ name: 'Payload is present', errors: requestBody?.required ? ['Payload is required'] : [] });
+    return checks;
+  }
+
+  const mediaTypes = Object.keys(content);
+  if (mediaTypes.length === 0) return checks;
+
+  const mediaType = mediaTypes.find(type => type.toLowerCase() === contentType) ||
+    mediaTypes.find(type => matchesWildcard(type, contentType));
+  checks.push({
+    name: 'Content-Type is documented',
+    errors: mediaType ? [] : [`Content-Type "${contentType || '(none)'}" is not one of ${mediaTypes.join(', ')}`]
+  });
+
+  const media = content[mediaType || mediaTypes[0]];
+  if (!media?.schema || !/json/i.test(mediaType || mediaTypes[0])) return checks;
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    checks.push({ name: 'Payload matches schema', errors: [`Payload is not valid JSON: ${error.message}`] });
+    return checks;
+  }
+
+  // The service is the sender, so readOnly properties are allowed
+  const schema = toJsonSchema(media.schema, { components: api.components?.schemas, direction: 'response' });
+  checks.push({
+    name: 'Payload matches schema',
+    errors: validateJsonSchema(schema, data).map(error => `payload${error.path}: ${error.message}`)
+  });
+
+  return checks;
+}
+
+function matchesWildcard(pattern, contentType) {
+  const [type, subtype] = pattern.toLowerCase().split('/');
+  const [actualType] = contentType.split('/');
+  return type === '*' || (subtype === '*' && type === actualType);
+}
+
+/**
+ * Lowest documented 2xx status, 200 otherwise
+ */
+function getSuccessStatus(responses) {
+  const success = Object.keys(responses || {}).filter(code => /^2\d\d$/.test(code)).sort();
+  return success.length > 0 ? Number(success[0]) : 200;
+}
+
+export default WebhookReceiver;
@@ -0,0 +1,434 @@
+/**
+ * Workflow Generator
+ *
+ * Chains requests so collections run against real data instead of
+ * placeholder IDs:
+ * - Reads OpenAPI response `links` (operationId / operationRef)
+ * - Infers POST -> GET/PUT/PATCH/DELETE chains on the same resource path
+ *   when an operation has no links (POST /tasks -> /tasks/{taskId})
+ * - Emits test script lines capturing values into collection variables
+ * - Binds path/query parameters of linked requests to those variables
+ * - Orders requests so producers run before their consumers
+ */
+
+import { extractEndpoints, getResponseSchema } from './parser.js';
+import { generateTestKey } from './test-generator.js';
+
+/**
+ * Relative order of methods within the same workflow depth
+ * (reads before writes, DELETE last)
+ */
+const METHOD_ORDER = {
+  POST: 0,
+  GET: 1,
+  HEAD: 1,
+  OPTIONS: 1,
+  PUT: 2,
+  PATCH: 2,
+  DELETE: 4
+};
+
+/**
+ * Order of POST sub-actions (e.g. POST /tasks/{taskId}/complete)
+ */
+const ACTION_ORDER = 3;
+
+/**
+ * Build the workflow for a spec: links between operations, the values each
+ * response must capture, the parameters bound to captured values, and the
+ * order requests should run in
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Object} { links, captures, bindings, order }
+ */
+export function buildWorkflow(api) {
+  const endpoints = extractEndpoints(api);
+  const links = extractLinks(endpoints);
+
+  // Only infer chains for parameters that explicit links don't already supply
+  for (const inferred of inferLinks(endpoints)) {
+    const supplied = links.some(link =>
+      link.target === inferred.target && link.parameter.name === inferred.parameter.name
+    );
+    if (!supplied) links.push(inferred);
+  }
+
+  const sources = new Map(endpoints.map(endpoint => [generateTestKey(endpoint.method, endpoint.path), endpoint]));
+  const captures = {};
+  const bindings = {};
+
+  for (const link of links) {
+    const variable = getCaptureVariable(sources.get(link.source), link.parameter.name);
+
+    captures[link.source] = captures[link.source] || [];
+    if (!captures[link.source].some(capture => capture.variable === variable)) {
+      captures[link.source].push({ variable, expression: link.expression, statusCode: link.statusCode });
+    }
+
+    bindings[link.target] = bindings[link.target] || [];
+    if (!bindings[link.target].some(binding => binding.name === link.parameter.name && binding.in === link.parameter.in)) {
+      bindings[link.target].push({ ...link.parameter, variable });
+    }
+  }
+
+  return {
+    links,
+    captures,
+    bindings,
+    order: orderEndpoints(endpoints, links)
+  };
+}
+
+/**
+ * Collection variable a linked value is captured into, namespaced by the
+ * source operation so resources sharing a parameter name don't collide
+ * (createTask_id, or post__tasks_id without an operationId)
+ * @param {Object} endpoint - Source endpoint from extractEndpoints()
+ * @param {string} name - Target parameter name
+ * @returns {string} Variable name
+ */
+export function getCaptureVariable(endpoint, name) {
+  return `${endpoint.id}_${name}`.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Extract explicit OpenAPI links between operations
+ * @param {Array} endpoints - Endpoints from extractEndpoints()
+ * @returns {Array} Links { source, target, statusCode, parameter, expression, inferred }
+ */
+export function extractLinks(endpoints) {
+  const links = [];
+
+  for (const endpoint of endpoints) {
+    const source = generateTestKey(endpoint.method, endpoint.path);
+
+    for (const [statusCode, response] of Object.entries(endpoint.responses || {})) {
+      for (const link of Object.values(response?.links || {})) {
+        const target = findLinkTarget(endpoints, link);
+        if (!target) continue;
+
+        for (const [paramKey, expression] of Object.entries(link.parameters || {})) {
+          links.push({
+            source,
+            target: generateTestKey(target.method, target.path),
+            statusCode,
+            parameter: resolveLinkParameter(target, paramKey),
+            expression,
+            inferred: false
+          });
+        }
+      }
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Infer POST -> item chains for resource families without links
+ * POST /tasks returning { id } feeds {taskId} in /tasks/{taskId}[/...]
+ * @param {Array} endpoints - Endpoints from extractEndpoints()
+ * @returns {Array} Inferred links
+ */
+export function inferLinks(endpoints) {
+  const links = [];
+
+  for (const family of findResourceFamilies(endpoints)) {
+    const { create, idParam, idField, statusCode, members } = family;
+    if (!idField) continue;
+
+    for (const member of members) {
+      links.push({
+        source: generateTestKey(create.method, create.path),
+        target: generateTestKey(member.method, member.path),
+        statusCode,
+        parameter: { in: 'path', name: idParam },
+        expression: `$response.body#/${escapePointerSegment(idField)}`,
+        inferred: true
+      });
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Group endpoints into resource families: a collection path with a create
+ * operation (POST /tasks) and the operations under its item path
+ * (/tasks/{taskId} and deeper)
+ * @param {Array} endpoints - Endpoints from extractEndpoints()
+ * @returns {Array} Families { collectionPath, itemPath, idParam, idField, statusCode, create, members }
+ */
+export function findResourceFamilies(endpoints) {
+  const families = [];
+
+  for (const create of endpoints) {
+    if (create.method !== 'POST' || isTemplateSegment(lastSegment(create.path))) continue;
+
+    const prefix = create.path.replace(/\/$/, '');
+    const members = endpoints.filter(endpoint => {
+      const rest = endpoint.path.slice(prefix.length);
+      return endpoint.path.startsWith(prefix + '/') && /^\/\{[^}/]+\}(\/|$)/.test(rest);
+    });
+    if (members.length === 0) continue;
+
+    const idParam = members[0].path.slice(prefix.length + 2).split('}')[0];
+    const statusCode = ['201', '200'].find(code => create.responses?.[code]) || null;
+    const schema = statusCode ? getResponseSchema(create.responses, statusCode)?.schema : null;
+
+    families.push({
+      collectionPath: create.path,
+      itemPath: `${prefix}/{${idParam}}`,
+      idParam,
+      idField: inferIdField(schema, idParam),
+      statusCode,
+      create,
+      members
+    });
+  }
+
+  return families;
+}
+
+/**
+ * Pick the response property identifying the created resource
+ * @param {Object} schema - Create response schema
+ * @param {string} idParam - Path parameter name (e.g. taskId)
+ * @returns {string|null} Property name or null if none found
+ */
+export function inferIdField(schema, idParam) {
+  const properties = collectProperties(schema);
+  const names = Object.keys(properties);
+
+  if (names.includes(idParam)) return idParam;
+  if (names.includes('id')) return 'id';
+
+  // e.g. taskId -> task_id, or any single *Id/*_id property
+  const snake = idParam.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  if (names.includes(snake)) return snake;
+
+  const idLike = names.filter(name => /(Id|_id)$/.test(name));
+  return idLike.length === 1 ? idLike[0] : null;
+}
+
+/**
+ * Generate test script lines capturing linked values into collection variables
+ * @param {Array} captures - Captures { variable, expression, statusCode }
+ * @returns {Array} Script lines
+ */
+export function generateCaptureScript(captures) {
+  const lines = [];
+  if (!captures || captures.length === 0) return lines;
+
+  lines.push(`// Workflow: capture values for linked requests`);
+
+  for (const capture of captures) {
+    const accessor = expressionToScript(capture.expression);
+    const variable = JSON.stringify(capture.variable);
+
+    if (!accessor) {
+      lines.push(`// Unsupported link expression for ${capture.variable}: ${capture.expression}`);
+      continue;
+    }
+
+    const statusCheck = /^\d{3}$/.test(String(capture.statusCode))
+      ? `pm.response.code === ${capture.statusCode}`
+      : 'pm.response.code >= 200 && pm.response.code < 300';
+
+    lines.push(`if (${statusCheck}) {`);
+    lines.push(`    try {`);
+    lines.push(`        const value = ${accessor};`);
+    lines.push(`        if (value !== undefined && value !== null) {`);
+    lines.push(`            pm.collectionVariables.set(${variable}, value);`);
+    lines.push(`        }`);
+    lines.push(`    } catch (e) {`);
+    lines.push(`        console.log(${JSON.stringify(`Could not capture ${capture.variable}: `)} + e.message);`);
+    lines.push(`    }`);
+    lines.push(`}`);
+  }
+
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Append capture lines to the test scripts of workflow sources
+ * @param {Object} testScripts - Map of endpoint keys to script lines
+ * @param {Object} workflow - Workflow from buildWorkflow()
+ * @returns {Object} New map with capture lines appended
+ */
+export function applyWorkflowCaptures(testScripts, workflow) {
+  const result = { ...testScripts };
+
+  for (const [key, captures] of Object.entries(workflow.captures)) {
+    if (!result[key]) continue;
+    result[key] = [...result[key], '', ...generateCaptureScript(captures)];
+  }
+
+  return result;
+}
+
+/**
+ * Translate an OpenAPI runtime expression into a script expression
+ * @param {string} expression - Runtime expression (e.g. $response.body#/id)
+ * @returns {string|null} Script expression or null if unsupported
+ */
+export function expressionToScript(expression) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    // Constant link parameter
+    return JSON.stringify(expression);
+  }
+
+  const [source, pointer] = expression.split('#');
+  const access = pointer !== undefined ? pointerToAccessor(pointer) : '';
+
+  switch (true) {
+    case source === '$response.body':
+      return `pm.response.json()${access}`;
+    case source === '$request.body':
+      return `JSON.parse(pm.request.body.raw)${access}`;
+    case source.startsWith('$response.header.'):
+      return `pm.response.headers.get(${JSON.stringify(source.slice('$response.header.'.length))})`;
+    case source.startsWith('$request.header.'):
+      return `pm.request.headers.get(${JSON.stringify(source.slice('$request.header.'.length))})`;
+    case source.startsWith('$request.path.'):
+      return `pm.request.url.variables.get(${JSON.stringify(source.slice('$request.path.'.length))})`;
+    case source.startsWith('$request.query.'):
+      return `pm.request.url.query.get(${JSON.stringify(source.slice('$request.query.'.length))})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Order endpoints so link sources run before their targets
+ * Endpoints are ranked by link depth, then by method (POST, reads, writes,
+ * sub-actions, DELETE last), keeping spec order otherwise.
+ * @param {Array} endpoints - Endpoints from extractEndpoints()
+ * @param {Array} links - Links from extractLinks()/inferLinks()
+ * @returns {Array} Endpoint keys in run order
+ */
+export function orderEndpoints(endpoints, links) {
+  const keys = endpoints.map(endpoint => generateTestKey(endpoint.method, endpoint.path));
+  const depths = new Map();
+
+  const depthOf = (key, visiting = new Set()) => {
+    if (depths.has(key)) return depths.get(key);
+    if (visiting.has(key)) return 0; // Cycle - break it here
+    visiting.add(key);
+
+    const sources = links.filter(link => link.target === key && link.source !== key).map(link => link.source);
+    const depth = sources.length === 0 ? 0 : 1 + Math.max(...sources.map(source => depthOf(source, visiting)));
+
+    visiting.delete(key);
+    depths.set(key, depth);
+    return depth;
+  };
+
+  const rank = (endpoint) => {
+    const key = generateTestKey(endpoint.method, endpoint.path);
+    const isAction = endpoint.method === 'POST' && depthOf(key) > 0;
+    return [depthOf(key), isAction ? ACTION_ORDER : (METHOD_ORDER[endpoint.method] ?? ACTION_ORDER)];
+  };
+
+  // DELETE consumers run after every other consumer of the same source
+  const ranked = endpoints.map((endpoint, index) => ({ key: keys[index], rank: rank(endpoint), index }));
+  const maxDepth = Math.max(0, ...ranked.map(entry => entry.rank[0]));
+  for (const entry of ranked) {
+    if (entry.key.startsWith('delete|') && entry.rank[0] > 0) {
+      entry.rank[0] = maxDepth;
+    }
+  }
+
+  return ranked
+    .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.index - b.index)
+    .map(entry => entry.key);
+}
+
+/**
+ * Find the endpoint a link points to
+ */
+function findLinkTarget(endpoints, link) {
+  if (link.operationId) {
+    return endpoints.find(endpoint => endpoint.raw?.operationId === link.operationId) || null;
+  }
+
+  if (typeof link.operationRef === 'string') {
+    // Local refs only: #/paths/~1tasks~1{taskId}/get
+    const match = link.operationRef.match(/^#\/paths\/([^/]+)\/([a-z]+)$/);
+    if (!match) return null;
+
+    const path = decodeURIComponent(match[1]).replace(/~1/g, '/').replace(/~0/g, '~');
+    const method = match[2].toUpperCase();
+    return endpoints.find(endpoint => endpoint.path === path && endpoint.method === method) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a link parameter key (plain or location-qualified) on its target
+ * @returns {Object} { in, name }
+ */
+function resolveLinkParameter(target, paramKey) {
+  const qualified = paramKey.match(/^(path|query|header|cookie)\.(.+)$/);
+  if (qualified) {
+    return { in: qualified[1], name: qualified[2] };
+  }
+
+  const param = (target.parameters || []).find(p => p?.name === paramKey);
+  if (param) {
+    return { in: param.in, name: paramKey };
+  }
+
+  return { in: target.path.includes(`{${paramKey}}`) ? 'path' : 'query', name: paramKey };
+}
+
+/**
+ * Collect object properties, merging allOf
+ */
+function collectProperties(schema) {
+  if (!schema || typeof schema !== 'object') return {};
+
+  const properties = { ...(schema.properties || {}) };
+  for (const subSchema of schema.allOf || []) {
+    Object.assign(properties, collectProperties(subSchema));
+  }
+  return properties;
+}
+
+/**
+ * Convert a JSON pointer into property access (/data/0/id -> ["data"][0]["id"])
+ */
+function pointerToAccessor(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : `[${JSON.stringify(segment)}]`))
+    .join('');
+}
+
+function escapePointerSegment(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function lastSegment(path) {
+  return path.split('/').filter(Boolean).pop() || '';
+}
+
+function isTemplateSegment(segment) {
+  return /^\{[^}]+\}$/.test(segment);
+}
+
+export default {
+  buildWorkflow,
+  getCaptureVariable,
+  extractLinks,
+  inferLinks,
+  findResourceFamilies,
+  inferIdField,
+  generateCaptureScript,
+  applyWorkflowCaptures,
+  expressionToScript,
+  orderEndpoints
+};
@@ -0,0 +1,341 @@
+/**
+ * YAML Source Editor
+ *
+ * Rewrites a YAML file to a new value by editing only the nodes that
+ * changed, so comments, anchors, key order, quoting and line wrapping
+ * everywhere else stay byte-for-byte identical:
+ *
+ * - Changed scalars are replaced in place (keeping their quoting or block style)
+ * - Added keys are inserted after the last key of their mapping
+ * - Removed keys and sequence items are deleted with their lines
+ * - Reordered sequence items are moved with their lines
+ * - Anything else that changed (a new type, a reordered flow collection,
+ *   ...) is re-rendered at the smallest enclosing key or sequence item
+ *
+ * Edits are verified by parsing the result; when the source cannot be
+ * edited in place (syntax errors, a non-mapping document, anchors shared
+ * by changed nodes) callers get null and should re-dump the whole file.
+ */
+
+import YAML, { isMap, isScalar, isSeq } from 'yaml';
+import jsYaml from 'js-yaml';
+import { isDeepStrictEqual } from 'util';
+
+const PLACEHOLDER_KEY = '__yaml_editor_key__';
+
+const RENDER_OPTIONS = {
+  indent: 2,
+  lineWidth: 0,
+  flowCollectionPadding: false
+};
+
+// Scalar styles kept when a string is replaced
+const KEPT_SCALAR_TYPES = new Set(['QUOTE_DOUBLE', 'QUOTE_SINGLE', 'BLOCK_LITERAL', 'BLOCK_FOLDED']);
+
+/**
+ * Update YAML source text to a new value with minimal edits
+ * @param {string} source - Original YAML text
+ * @param {object} value - New document value
+ * @returns {string|null} Updated YAML text, or null when it cannot be edited in place
+ */
+export function updateYamlSource(source, value) {
+  const target = JSON.parse(JSON.stringify(value));
+  const doc = YAML.parseDocument(source);
+  if (doc.errors.length > 0 || !isMap(doc.contents) || doc.contents.flow) return null;
+
+  const current = loadYaml(source);
+  if (current === undefined) return null;
+
+  const ctx = { source, edits: [] };
+  if (!diffMap(ctx, doc.contents, current, target)) return null;
+
+  const updated = applyEdits(source, ctx.edits);
+  return isDeepStrictEqual(loadYaml(updated), target) ? updated : null;
+}
+
+/**
+ * Parse YAML the way SpecMerge.readSpec does (undefined on syntax errors)
+ */
+function loadYaml(source) {
+  try {
+    return jsYaml.load(source, { schema: jsYaml.JSON_SCHEMA });
+  } catch {
+    return undefined;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function lineStart(source, pos) {
+  return source.lastIndexOf('\n', pos - 1) + 1;
+}
+
+/**
+ * Offset just past the line containing pos (pos itself when it already starts a line)
+ */
+function lineEnd(source, pos) {
+  if (pos > 0 && source[pos - 1] === '\n') return pos;
+  const newline = source.indexOf('\n', pos);
+  return newline === -1 ? source.length : newline + 1;
+}
+
+function columnOf(source, pos) {
+  return pos - lineStart(source, pos);
+}
+
+function startsLine(source, pos) {
+  return source.slice(lineStart(source, pos), pos).trim() === '';
+}
+
+function pairEnd(pair) {
+  return pair.value?.range ? pair.value.range[1] : pair.key.range[1];
+}
+
+/**
+ * Offset of a block sequence item's dash, or -1 when it does not start its line
+ */
+function dashOf(source, item) {
+  const dash = source.lastIndexOf('-', item.range[0] - 1);
+  if (dash === -1 || !startsLine(source, dash) || source.slice(dash + 1, item.range[0]).trim() !== '') {
+    return -1;
+  }
+  return dash;
+}
+
+/**
+ * Collect edits turning a node (parsed as oldValue) into newValue
+ * @param {object} ctx - Source and collected edits
+ * @param {object} node - yaml node (null for missing values)
+ * @param {*} oldValue - Current value of the node
+ * @param {*} newValue - Wanted value
+ * @param {object} slot - Where the node sits: { pair } or { item }, with the column
+ */
+function diffNode(ctx, node, oldValue, newValue, slot) {
+  if (isDeepStrictEqual(oldValue, newValue)) return;
+
+  if (isMap(node) && !node.flow && isPlainObject(oldValue) && isPlainObject(newValue)) {
+    if (diffMap(ctx, node, oldValue, newValue)) return;
+  } else if (isSeq(node) && !node.flow && Array.isArray(oldValue) && Array.isArray(newValue)) {
+    if (diffSeq(ctx, node, oldValue, newValue)) return;
+  }
+
+  replaceNode(ctx, node, newValue, slot);
+}
+
+/**
+ * Edit a block mapping key by key
+ * @returns {boolean} False when the mapping has to be replaced as a whole
+ */
+function diffMap(ctx, node, oldValue, newValue) {
+  const { source } = ctx;
+  const pairs = new Map();
+
+  for (const pair of node.items) {
+    if (!isScalar(pair.key) || !pair.key.range) return false;
+    pairs.set(String(pair.key.value), pair);
+  }
+  // Merge keys and duplicates do not map one-to-one onto the parsed value
+  if (pairs.size !== node.items.length || pairs.size !== Object.keys(oldValue).length) return false;
+
+  const removed = [...pairs.keys()].filter(key => !Object.hasOwn(newValue, key));
+  const added = Object.keys(newValue).filter(key => !pairs.has(key));
+  if (removed.length === pairs.size) return false;
+  if (removed.some(key => !startsLine(source, pairs.get(key).key.range[0]))) return false;
+
+  const column = columnOf(source, node.items[0].key.range[0]);
+
+  for (const [key, pair] of pairs) {
+    if (removed.includes(key)) {
+      const start = lineStart(source, pair.key.range[0]);
+      ctx.edits.push({ start, end: lineEnd(source, pairEnd(pair)), text: '' });
+    } else {
+      diffNode(ctx, pair.value, oldValue[key], newValue[key], { pair, column });
+    }
+  }
+
+  if (added.length > 0) {
+    const entries = Object.fromEntries(added.map(key => [key, newValue[key]]));
+    insertAfter(ctx, pairEnd(node.items[node.items.length - 1]), indentLines(render(entries), column));
+  }
+
+  return true;
+}
+
+/**
+ * Edit a block sequence item by item (same length), or delete/append items
+ * @returns {boolean} False when the sequence has to be replaced as a whole
+ */
+function diffSeq(ctx, node, oldValue, newValue) {
+  const { source } = ctx;
+  const items = node.items;
+  if (items.length !== oldValue.length || items.some(item => !item?.range)) return false;
+
+  if (newValue.length === oldValue.length) {
+    if (moveItems(ctx, items, oldValue, newValue)) return true;
+    items.forEach((item, index) => {
+      diffNode(ctx, item, oldValue[index], newValue[index], { item, column: columnOf(source, item.range[0]) });
+    });
+    return true;
+  }
+
+  if (newValue.length > oldValue.length) {
+    // Only appended items
+    if (!oldValue.every((value, index) => isDeepStrictEqual(value, newValue[index]))) return false;
+    const last = items[items.length - 1];
+    const dash = dashOf(source, last);
+    if (dash === -1) return false;
+    insertAfter(ctx, last.range[1], indentLines(render(newValue.slice(oldValue.length)), columnOf(source, dash)));
+    return true;
+  }
+
+  // Only removed items: newValue must be oldValue with some items left out
+  const removed = [];
+  let next = 0;
+  oldValue.forEach((value, index) => {
+    if (next < newValue.length && isDeepStrictEqual(value, newValue[next])) {
+      next++;
+    } else {
+      removed.push(index);
+    }
+  });
+  if (next !== newValue.length) return false;
+
+  const dashes = removed.map(index => dashOf(source, items[index]));
+  if (dashes.includes(-1)) return false;
+
+  removed.forEach((index, i) => {
+    ctx.edits.push({ start: lineStart(source, dashes[i]), end: lineEnd(source, items[index].range[1]), text: '' });
+  });
+  return true;
+}
+
+/**
+ * Reorder block sequence items by moving their lines, when newValue holds
+ * the same items as oldValue in another order
+ * @returns {boolean} False when newValue is not a permutation of oldValue
+ */
+function moveItems(ctx, items, oldValue, newValue) {
+  const { source } = ctx;
+  const unused = oldValue.map((_, index) => index);
+  const order = [];
+
+  for (const value of newValue) {
+    const position = unused.findIndex(index => isDeepStrictEqual(oldValue[index], value));
+    if (position === -1) return false;
+    order.push(unused.splice(position, 1)[0]);
+  }
+
+  const blocks = items.map(item => {
+    const dash = dashOf(source, item);
+    return dash === -1 ? null : { start: lineStart(source, dash), end: lineEnd(source, item.range[1]) };
+  });
+  // Every item must be whole lines to be moved (the last one may lack a newline at the end of the file)
+  if (blocks.some(block => block === null || source[block.end - 1] !== '\n')) return false;
+
+  order.forEach((from, to) => {
+    if (from !== to) {
+      ctx.edits.push({ start: blocks[to].start, end: blocks[to].end, text: source.slice(blocks[from].start, blocks[from].end) });
+    }
+  });
+  return true;
+}
+
+/**
+ * Re-render a node in its slot, keeping the key text of mapping pairs
+ */
+function replaceNode(ctx, node, value, slot) {
+  const { source } = ctx;
+  const flow = (isMap(node) || isSeq(node)) && node.flow;
+  const type = isScalar(node) && KEPT_SCALAR_TYPES.has(node.type) ? node.type : undefined;
+  let start;
+  let end;
+  let text;
+
+  if (slot.pair) {
+    start = slot.pair.key.range[1];
+    end = pairEnd(slot.pair);
+    // Drop the placeholder key, keep ": value"
+    text = indentLines(renderChild(value, { flow, type }), slot.column, false)
+      .slice(PLACEHOLDER_KEY.length);
+  } else {
+    start = node.range[0];
+    end = node.range[1];
+    // Drop the "- " of the rendered item and re-indent to the item's column
+    const lines = renderChild(value, { flow, type, item: true }).split('\n');
+    text = [lines[0].slice(2), ...lines.slice(1).map(line => line.slice(2))]
+      .map((line, index) => (index === 0 || line === '' ? line : ' '.repeat(slot.column) + line))
+      .join('\n');
+  }
+
+  if (text.endsWith('\n')) text = text.slice(0, -1);
+  if (source[end - 1] === '\n') text += '\n';
+  ctx.edits.push({ start, end, text });
+}
+
+/**
+ * Insert lines after the line containing pos
+ */
+function insertAfter(ctx, pos, text) {
+  const { source } = ctx;
+  const at = lineEnd(source, pos);
+  const prefix = at === source.length && !source.endsWith('\n') ? '\n' : '';
+  ctx.edits.push({ start: at, end: at, text: prefix + text });
+}
+
+/**
+ * Prefix every line with the column's indentation (optionally skipping the first)
+ */
+function indentLines(text, column, indentFirst = true) {
+  const indent = ' '.repeat(column);
+  return text
+    .split('\n')
+    .map((line, index) => (line === '' || (index === 0 && !indentFirst) ? line : indent + line))
+    .join('\n');
+}
+
+/**
+ * Render a value as YAML
+ */
+function render(value) {
+  const doc = new YAML.Document();
+  doc.contents = doc.createNode(value, { aliasDuplicateObjects: false });
+  return doc.toString(RENDER_OPTIONS);
+}
+
+/**
+ * Render a value as the only entry of a placeholder mapping (or as the only
+ * sequence item), in flow style or with the given scalar type
+ */
+function renderChild(value, { flow = false, type, item = false } = {}) {
+  const doc = new YAML.Document();
+  const node = doc.createNode(value, { flow, aliasDuplicateObjects: false });
+  if (type && isScalar(node) && typeof value === 'string') node.type = type;
+
+  doc.contents = doc.createNode(item ? [null] : { [PLACEHOLDER_KEY]: null });
+  if (item) {
+    doc.contents.items[0] = node;
+  } else {
+    doc.contents.items[0].value = node;
+  }
+  return doc.toString(RENDER_OPTIONS);
+}
+
+/**
+ * Apply edits from the end of the source so offsets stay valid; edits at
+ * the same offset are applied in reverse so earlier ones come first
+ */
+function applyEdits(source, edits) {
+  const ordered = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.index - a.index);
+
+  let result = source;
+  for (const edit of ordered) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+export default { updateYamlSource };